@@ -0,0 +1,491 @@
+/**
+ * ReplayViewer - リプレイの再生
+ *
+ * サーバーが記録したイベントを記録時の間隔で順に流し、ゲーム画面の GameUI の演出で再生する。
+ * 観戦者と同じ立場で表示するので、操作パネルは出さない。
+ * 一時停止・1イベントずつのコマ送り・再生速度の変更ができる。
+ */
+
+import { GameUI } from './ui/GameUI.js';
+import { verifyRound } from './fairness.js';
+
+// 記録上の間隔がこれより長い所（考え中・一時停止など）は詰めて再生する
+const MAX_GAP_MS = 3000;
+
+// 演出が終わるまで次のイベントを待つ時間（ゲーム中の演出と同じ長さ）
+const MIN_DURATION_MS = {
+    dice_rolled: 1200,
+    round_result: 1500
+};
+
+// ダイスが回る演出を見せてから結果を表示するまでの時間
+const ROLL_ANIMATION_MS = 1200;
+
+// ゲームから抜けた時の精算の表示
+const FORFEIT_TEXT = {
+    forfeited: 'ベットは没収されました',
+    refunded: 'ベットは返されました',
+    none: ''
+};
+
+export class ReplayViewer {
+    /**
+     * @param {GameUI} ui
+     */
+    constructor(ui) {
+        /** @type {GameUI} */
+        this.ui = ui;
+
+        /** @type {Object|null} 再生中のリプレイ */
+        this.replay = null;
+
+        /** @type {number} 次に流すイベントの位置 */
+        this.index = 0;
+
+        /** @type {boolean} 自動再生中か */
+        this.playing = false;
+
+        /** @type {number} 再生速度（倍率） */
+        this.speed = 1;
+
+        /** @type {number|null} 次のイベントを流すタイマー */
+        this.timer = null;
+
+        /** @type {Set<number>} 演出の途中のタイマー（停止時にまとめて止める） */
+        this.effectTimers = new Set();
+
+        /** @type {Object[]} 現在のプレイヤー情報 */
+        this.players = [];
+    }
+
+    // ===== 操作 =====
+
+    /**
+     * リプレイを読み込み、ゲーム画面を再生用に切り替える（再生は play で始める）
+     * @param {Object} replay - /api/replays/:replayId の結果
+     */
+    load(replay) {
+        this.pause();
+        this.clearEffectTimers();
+
+        this.replay = replay;
+        this.index = 0;
+        this.players = replay.players;
+
+        const ui = this.ui;
+        ui.showScreen('game');
+        ui.setReplayMode(true, `🎞 リプレイ ${replay.roomId}（${new Date(replay.startedAt).toLocaleString()}）`);
+        ui.setPaused(false);
+        ui.setDeadline(null);
+        ui.hideResultOverlay();
+        ui.clearLog();
+        ui.clearFairness();
+        ui.setFairnessCommit(null);
+        ui.setDealerInfo('-');
+        ui.setCurrentPlayerInfo('-');
+        ui.updateOtherPlayers(this.players);
+        this.updateProgress();
+    }
+
+    /**
+     * 自動再生を始める（最後まで再生していれば最初から）
+     */
+    play() {
+        if (!this.replay) return;
+        if (this.isFinished()) {
+            this.load(this.replay);
+        }
+
+        this.playing = true;
+        this.scheduleNext();
+        this.updateProgress();
+    }
+
+    /**
+     * 自動再生を止める
+     */
+    pause() {
+        this.playing = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.updateProgress();
+    }
+
+    /**
+     * 再生・一時停止を切り替える
+     */
+    toggle() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * 一時停止して、次のイベントを1つだけ流す
+     */
+    step() {
+        this.pause();
+        this.advance();
+    }
+
+    /**
+     * 再生速度を変える（次のイベントから反映）
+     * @param {number} speed - 倍率
+     */
+    setSpeed(speed) {
+        this.speed = speed > 0 ? speed : 1;
+    }
+
+    /**
+     * 再生を終えてゲーム画面の再生用の表示を戻す
+     */
+    stop() {
+        this.pause();
+        this.clearEffectTimers();
+        this.replay = null;
+        this.ui.hideResultOverlay();
+        this.ui.setReplayMode(false);
+    }
+
+    // ===== 進行 =====
+
+    /**
+     * 最後まで流したか
+     * @returns {boolean}
+     */
+    isFinished() {
+        return !this.replay || this.index >= this.replay.events.length;
+    }
+
+    /**
+     * 次のイベントを流す
+     */
+    advance() {
+        if (this.isFinished()) return;
+
+        const { event, data } = this.replay.events[this.index++];
+        this.dispatch(event, data);
+
+        if (this.isFinished()) {
+            this.pause();
+        }
+        this.updateProgress();
+    }
+
+    /**
+     * 次のイベントを、記録時の間隔（を再生速度で割った時間）の後に流す
+     */
+    scheduleNext() {
+        clearTimeout(this.timer);
+        if (!this.playing || this.isFinished()) return;
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.advance();
+            this.scheduleNext();
+        }, this.getDelay());
+    }
+
+    /**
+     * 次のイベントまでの待ち時間
+     * @returns {number} ミリ秒
+     */
+    getDelay() {
+        const { events } = this.replay;
+        const previous = events[this.index - 1];
+        if (!previous) return 0;
+
+        const gap = Math.min(events[this.index].at - previous.at, MAX_GAP_MS);
+        return Math.max(gap, MIN_DURATION_MS[previous.event] || 0) / this.speed;
+    }
+
+    /**
+     * 演出の途中で表示を進めるタイマー（停止時に止められるよう控えておく）
+     * @param {Function} callback
+     * @param {number} ms - 等速での時間
+     */
+    later(callback, ms) {
+        const timer = setTimeout(() => {
+            this.effectTimers.delete(timer);
+            callback();
+        }, ms / this.speed);
+        this.effectTimers.add(timer);
+    }
+
+    /**
+     * 演出の途中のタイマーを止める
+     */
+    clearEffectTimers() {
+        this.effectTimers.forEach(timer => clearTimeout(timer));
+        this.effectTimers.clear();
+    }
+
+    /**
+     * 再生位置の表示を更新
+     */
+    updateProgress() {
+        const total = this.replay ? this.replay.events.length : 0;
+        this.ui.setReplayProgress(this.index, total, this.playing);
+    }
+
+    // ===== イベントの表示 =====
+
+    /**
+     * プレイヤー名（いなければ ???）
+     * @param {string} playerId
+     * @returns {string}
+     */
+    getName(playerId) {
+        return this.players.find(p => p.id === playerId)?.name || '???';
+    }
+
+    /**
+     * 記録したイベントを画面に反映する（ゲーム中に受け取った時と同じ演出を使う）
+     * @param {string} event
+     * @param {Object} data
+     */
+    dispatch(event, data) {
+        const ui = this.ui;
+
+        switch (event) {
+            case 'game_started':
+                this.players = data.players;
+                ui.logMessage('ゲーム開始！', 'important');
+                ui.updateOtherPlayers(this.players);
+                break;
+
+            case 'round_started':
+                this.players = data.players;
+                ui.setRoundNumber(data.roundNumber);
+                ui.setFairnessCommit(data.fairness ? data.fairness.serverSeedHash : null);
+                ui.setDealerInfo(this.getName(data.dealerId));
+                ui.setCurrentPlayerInfo('-');
+                ui.updateOtherPlayers(this.players);
+                ui.logMessage(`ラウンド ${data.roundNumber} 開始`, 'important');
+                ui.logMessage(`親: ${this.getName(data.dealerId)}`, 'normal');
+                break;
+
+            case 'final_round':
+                ui.logMessage(`⚠ ラウンド ${data.roundNumber} が最終ラウンドです`, 'important');
+                break;
+
+            case 'bet_placed':
+                ui.logMessage(`${this.getName(data.playerId)} が ${data.amount} チップをベット`, 'normal');
+                break;
+
+            case 'dealer_turn':
+                ui.logMessage(`${this.getName(data.dealerId)}（親）のターン`, 'normal');
+                break;
+
+            case 'player_turn':
+                ui.setCurrentPlayerInfo(this.getName(data.playerId));
+                ui.updateOtherPlayers(this.players, data.playerId);
+                ui.logMessage(`${this.getName(data.playerId)} のターン`, 'normal');
+                break;
+
+            case 'dice_rolled':
+                this.showRoll(data);
+                break;
+
+            case 'player_deciding':
+                ui.logMessage(`${this.getName(data.playerId)} が「${data.skillName}」を発動中...`, 'important');
+                break;
+
+            case 'skill_action':
+                ui.logMessage(
+                    `${this.getName(data.playerId)}: 「${data.skillName || 'スキル'}」で ${ReplayViewer.describeChoice(data.choice)}`,
+                    'important'
+                );
+                break;
+
+            case 'dice_updated':
+                this.showDiceUpdate(data);
+                break;
+
+            case 'skill_visual_effect':
+                ui.logMessage(`${data.type}スキルが発動！`, 'important');
+                break;
+
+            case 'doubt_result':
+                ui.logMessage(
+                    `${this.getName(data.accuserId)} が ${this.getName(data.targetId)} をダウト → ` +
+                    `${data.result.caught ? 'イカサマ発覚！' : '冤罪...'}（${data.result.penalty.chipLoss.toLocaleString()} 点）`,
+                    data.result.caught ? 'result' : 'warning'
+                );
+                break;
+
+            case 'turn_timeout':
+                data.playerIds.forEach(playerId => {
+                    const action = data.phase === 'betting' ? '自動ベット' : '自動ロール';
+                    ui.logMessage(`${this.getName(playerId)}: 時間切れのため${action}`, 'normal');
+                });
+                break;
+
+            case 'dealer_continued':
+                ui.logMessage(`${this.getName(data.dealerId)} が連荘！（${data.streak}連荘）`, 'important');
+                break;
+
+            case 'dealer_passed':
+                ui.logMessage(`${this.getName(data.playerId)} が親を降りました`, 'important');
+                break;
+
+            case 'round_result':
+                this.showRoundResult(data);
+                break;
+
+            case 'fairness_revealed':
+                ui.addFairnessRecord(data, verifyRound);
+                break;
+
+            case 'set_completed':
+                this.players = data.players;
+                ui.updateOtherPlayers(this.players);
+                ui.logMessage(`セット${data.setNumber}終了！全員に ${data.bonusAmount.toLocaleString()} 点加算`, 'important');
+                break;
+
+            case 'players_bankrupt':
+                data.playerIds.forEach(playerId => {
+                    ui.logMessage(`${this.getName(playerId)} が破産しました`, 'warning');
+                });
+                break;
+
+            case 'player_forfeited':
+                ui.logMessage(`${data.playerName} が途中退出しました ${FORFEIT_TEXT[data.outcome] || ''}`, 'important');
+                this.players = data.players;
+                ui.updateOtherPlayers(this.players);
+                break;
+
+            case 'game_paused':
+                ui.logMessage('⏸ 一時停止', 'normal');
+                break;
+
+            case 'game_resumed':
+                ui.logMessage('▶ 再開', 'normal');
+                break;
+
+            case 'game_ended': {
+                const reasonText = GameUI.describeEndReason(data.reason);
+                ui.showResultOverlay('ゲーム終了！', `<p class="end-reason">${reasonText}</p>${ui.formatRankingHtml(data.ranking)}`, 0);
+                ui.logMessage(`ゲーム終了！ ${reasonText}`, 'important');
+                break;
+            }
+        }
+    }
+
+    /**
+     * ダイスを振った演出（回してから結果を表示）
+     * @param {Object} data - dice_rolled
+     */
+    showRoll(data) {
+        const ui = this.ui;
+        const player = this.players.find(p => p.id === data.playerId);
+        const isDealer = player?.isDealer;
+
+        ui.startDiceRolling(isDealer ? ui.gameElements.dealerDice : ui.gameElements.currentPlayerDice);
+
+        this.later(() => {
+            const name = this.getName(data.playerId);
+            if (isDealer) {
+                ui.setDealerInfo(name, data.dice, data.hand.displayName);
+            } else {
+                ui.setCurrentPlayerInfo(name, data.dice, data.hand.displayName);
+            }
+            ui.logMessage(`${name}: ${data.dice.join('-')} → ${data.hand.displayName}`, 'result');
+
+            if (data.canReroll) {
+                ui.logMessage(`目なし！振り直し (${data.rerollCount})`, 'warning');
+            } else {
+                ui.playHandEffect(data.hand, data.dice);
+            }
+
+            if (data.effectData) {
+                if (data.effectData.type === 'GOD_EFFECT') {
+                    ui.freezeScreen(data.effectData.freezeDuration || 3000);
+                    ui.showToast('GODハンド発動！！！', 'success');
+                } else {
+                    ui.showSkillEffect(data.effectData);
+                }
+            }
+        }, ROLL_ANIMATION_MS);
+    }
+
+    /**
+     * スキルで他人のダイスが変わった
+     * @param {Object} data - dice_updated
+     */
+    showDiceUpdate(data) {
+        const ui = this.ui;
+        const player = this.players.find(p => p.id === data.playerId);
+        if (!player) return;
+
+        player.currentDice = data.newDice;
+        player.currentHand = data.newHand;
+
+        if (player.isDealer) {
+            ui.setDealerInfo(player.name, data.newDice, data.newHand.displayName);
+        } else {
+            ui.setCurrentPlayerInfo(player.name, data.newDice, data.newHand.displayName);
+        }
+        ui.updateOtherPlayers(this.players);
+
+        if (data.effectData) {
+            ui.showSkillEffect(data.effectData);
+            ui.logMessage(data.effectData.message || 'ダイスが変更された！', 'warning');
+        }
+    }
+
+    /**
+     * 精算（チップ移動の演出の後に表示を更新）
+     * @param {Object} data - round_result
+     */
+    showRoundResult(data) {
+        const ui = this.ui;
+
+        data.results.forEach(result => {
+            if (result.chipTransfer > 0 && result.winner) {
+                const [from, to] = result.winner === 'dealer'
+                    ? [result.playerId, result.dealerId]
+                    : [result.dealerId, result.playerId];
+                ui.animateChipTransfer(from, to, result.chipTransfer);
+            }
+
+            const name = this.getName(result.playerId);
+            const handName = result.instant ? '（即決着）' : result.playerHand.displayName;
+            if (!result.winner) {
+                ui.logMessage(`${name}: ${handName} vs 親 → 引き分け (±0)`, 'normal');
+                return;
+            }
+            const sign = result.winner === 'player' ? '+' : '-';
+            ui.logMessage(
+                `${name}: ${handName} vs 親 → ${result.winner === 'player' ? '勝ち' : '負け'} (${sign}${result.chipTransfer})`,
+                result.winner === 'player' ? 'result' : 'normal'
+            );
+        });
+
+        this.later(() => {
+            this.players = data.players;
+            ui.updateOtherPlayers(this.players);
+        }, MIN_DURATION_MS.round_result);
+    }
+
+    /**
+     * スキルの選択内容を文章にする
+     * @param {*} choice - skill_action の choice
+     * @returns {string}
+     */
+    static describeChoice(choice) {
+        if (choice === 'skip') return 'スキップ';
+        if (choice === 'keep') return 'そのまま';
+        if (choice === 'reroll') return '振り直し';
+        if (Number.isInteger(choice)) return `ダイス${choice + 1}を選択`;
+        if (Array.isArray(choice)) return `ダイス${choice.map(i => i + 1).join('・')}を選択`;
+        if (choice && typeof choice === 'object' && 'myDiceIndex' in choice) {
+            return `自分のダイス${choice.myDiceIndex + 1}と相手のダイス${choice.opponentDiceIndex + 1}をすり替え`;
+        }
+        return choice === null ? '選択なし' : String(choice);
+    }
+}
+
+export default ReplayViewer;
@@ -0,0 +1,101 @@
+/**
+ * fairness - ダイスの公平性検証（ブラウザ側）
+ *
+ * サーバーの ProvablyFair と同じ手順でダイスを再計算し、
+ * リビールされたサーバーシードがコミットと一致するか、全ての出目が一致するかを確認する。
+ *   HMAC-SHA256(key = サーバーシード, message = `${クライアントシード}:${ノンス}:${カーソル}`)
+ *   の各バイトのうち252未満のものを (byte % 6) + 1 として使う。
+ */
+
+const BYTE_LIMIT = 252;
+const encoder = new TextEncoder();
+
+/**
+ * バイト列を16進文字列に変換
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * シードのハッシュ（SHA-256, hex）
+ * @param {string} seed
+ * @returns {Promise<string>}
+ */
+export async function hashSeed(seed) {
+    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(seed));
+    return toHex(digest);
+}
+
+/**
+ * シードとノンスからダイスを導出する
+ * @param {string} serverSeed
+ * @param {string} clientSeed
+ * @param {number} nonce
+ * @param {number} count
+ * @returns {Promise<number[]>}
+ */
+export async function deriveDice(serverSeed, clientSeed, nonce, count) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(serverSeed),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+
+    const dice = [];
+    let cursor = 0;
+
+    while (dice.length < count) {
+        const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${clientSeed}:${nonce}:${cursor}`));
+
+        for (const byte of new Uint8Array(signature)) {
+            if (byte >= BYTE_LIMIT) continue;
+            dice.push((byte % 6) + 1);
+            if (dice.length === count) break;
+        }
+        cursor++;
+    }
+
+    return dice;
+}
+
+/**
+ * リビールされたラウンドを検証する
+ * @param {Object} record - fairness_revealed で受け取った記録
+ * @returns {Promise<{ valid: boolean, hashMatches: boolean, rolls: Object[] }>}
+ */
+export async function verifyRound(record) {
+    const hashMatches = (await hashSeed(record.serverSeed)) === record.serverSeedHash;
+
+    const rolls = [];
+    for (const roll of record.rolls) {
+        const expected = await deriveDice(record.serverSeed, record.clientSeed, roll.nonce, roll.count);
+        rolls.push({
+            ...roll,
+            expected,
+            match: expected.length === roll.dice.length && expected.every((d, i) => d === roll.dice[i])
+        });
+    }
+
+    return {
+        valid: hashMatches && rolls.every(roll => roll.match),
+        hashMatches,
+        rolls
+    };
+}
+
+/**
+ * ランダムなクライアントシードを生成
+ * @returns {string}
+ */
+export function generateClientSeed() {
+    const bytes = new Uint8Array(8);
+    crypto.getRandomValues(bytes);
+    return toHex(bytes.buffer);
+}
@@ -5,6 +5,8 @@
  */
 
 import { GameUI } from './ui/GameUI.js';
+import { ReplayViewer } from './ReplayViewer.js';
+import { verifyRound, generateClientSeed } from './fairness.js';
 
 // ===== 初期化 =====
 const ui = new GameUI();
@@ -14,6 +16,53 @@ const socket = io();
 let myInfo = null;
 let roomInfo = null;
 
+// 再接続用のセッショントークン（ルームの作成・参加時にサーバーから受け取る。退出後も次の参加で使い続ける）
+let sessionToken = null;
+
+// 観戦中かどうか（観戦者は操作パネルを持たない）
+let isSpectator = false;
+
+/**
+ * 自分のプレイヤーID（ソケットIDとは別。ルームに参加していなければ null）
+ * @returns {string|null}
+ */
+function getMyPlayerId() {
+    return myInfo ? myInfo.id : null;
+}
+
+// ===== セッションの保存 =====
+// ページを再読み込みしても同じ席に戻れるよう、トークンと参加中のルームIDをブラウザに保存する
+
+const SESSION_STORAGE_KEY = 'chinchiro-royale.session';
+
+/**
+ * 保存したセッションを読む
+ * @returns {{ sessionToken: string|null, roomId: string|null }}
+ */
+function loadStoredSession() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+        return { sessionToken: stored?.sessionToken ?? null, roomId: stored?.roomId ?? null };
+    } catch (error) {
+        return { sessionToken: null, roomId: null };
+    }
+}
+
+/**
+ * 現在のトークンと参加中のルームIDを保存する
+ * @param {string|null} roomId - 戻る先のルーム（退出したら null）
+ */
+function storeSession(roomId) {
+    try {
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({ sessionToken, roomId }));
+    } catch (error) {
+        console.warn('[Session] Save failed:', error);
+    }
+}
+
+// 前のページで受け取ったトークンを引き継ぐ
+sessionToken = loadStoredSession().sessionToken;
+
 socket.on('disconnect', () => {
     console.log('[Socket] Disconnected');
     ui.showToast('サーバーとの接続が切れました。再接続を試みています...', 'error');
@@ -33,23 +82,49 @@ socket.on('connect', () => {
     // 再接続オーバーレイを非表示
     hideReconnectOverlay();
 
-    // ゲーム中だった場合、再接続を試みる
-    if (myInfo && roomInfo) {
-        console.log('[Socket] Attempting reconnect to game...');
-        socket.emit('reconnect_attempt', { playerId: myInfo.id }, (response) => {
-            if (response.success) {
-                console.log('[Socket] Reconnected to game successfully');
-                ui.showToast('ゲームに再接続しました', 'success');
-                roomInfo = response.room;
-                myInfo = response.player;
-            } else {
-                console.log('[Socket] Reconnect failed:', response.error);
-                ui.showToast('再接続に失敗しました: ' + response.error, 'error');
-            }
-        });
+    // 選択可能なハウスルールを取得
+    socket.emit('get_rule_sets', {}, (response) => {
+        if (response.success) {
+            ui.setRuleSetOptions(response.ruleSets);
+        }
+    });
+
+    // タイトル画面にいる間は公開ルーム一覧を受け取る
+    if (!roomInfo) {
+        subscribeRoomList();
+        loadReplayList();
+    }
+
+    // ゲーム中だった場合（ページを再読み込みした場合を含む）、同じ席に戻る
+    const wasSeated = roomInfo ? myInfo !== null : loadStoredSession().roomId !== null;
+    if (sessionToken && wasSeated) {
+        rejoinRoom();
     }
 });
 
+/**
+ * セッショントークンで以前の席に戻る
+ */
+function rejoinRoom() {
+    console.log('[Socket] Attempting reconnect to game...');
+    socket.emit('reconnect_attempt', { sessionToken }, (response) => {
+        if (response.success) {
+            console.log('[Socket] Reconnected to game successfully');
+            ui.showToast('ゲームに再接続しました', 'success');
+            handleRejoined(response);
+        } else {
+            console.log('[Socket] Reconnect failed:', response.error);
+            ui.showToast('再接続に失敗しました: ' + response.error, 'error');
+            // 席がもうないので、タイトル画面からやり直す
+            if (roomInfo) {
+                resetToTitle();
+            } else {
+                storeSession(null);
+            }
+        }
+    });
+}
+
 // 再接続オーバーレイ表示
 function showReconnectOverlay() {
     let overlay = document.getElementById('reconnect-overlay');
@@ -84,6 +159,14 @@ socket.on('error', (data) => {
 
 // ===== タイトル画面イベント =====
 
+// 持ち時間のプリセット（undefined = サーバーの標準設定）
+const TURN_TIME_PRESETS = {
+    standard: undefined,
+    short: { betMs: 15000, rollMs: 10000 },
+    long: { betMs: 60000, rollMs: 40000 },
+    none: { betMs: 0, rollMs: 0 }
+};
+
 // ルーム作成
 ui.titleElements.createRoomBtn.addEventListener('click', () => {
     const playerName = ui.titleElements.playerNameInput.value.trim();
@@ -92,7 +175,23 @@ ui.titleElements.createRoomBtn.addEventListener('click', () => {
         return;
     }
 
-    socket.emit('create_room', { playerName }, (response) => {
+    const ruleSetId = ui.titleElements.ruleSetSelect.value;
+    const roundFlow = ui.titleElements.roundFlowSelect.value;
+    const bankerMode = ui.titleElements.bankerModeSelect.value === 'on';
+    const continuation = ui.titleElements.dealerContinuationSelect.value;
+    const dealerContinuation = continuation !== 'off';
+    const maxDealerStreak = dealerContinuation && continuation !== 'unlimited' ? Number(continuation) : null;
+    const timeouts = TURN_TIME_PRESETS[ui.titleElements.turnTimeSelect.value];
+    const [endType, endValue] = ui.titleElements.endConditionSelect.value.split(':');
+    const endCondition = { type: endType, value: endValue ? Number(endValue) : null };
+    const catchUpChips = ui.titleElements.catchUpSelect.value ? Number(ui.titleElements.catchUpSelect.value) : null;
+    const visibility = ui.titleElements.visibilitySelect.value;
+    const password = ui.titleElements.passwordInput.value;
+
+    socket.emit('create_room', {
+        playerName, ruleSetId, roundFlow, bankerMode, dealerContinuation, maxDealerStreak, timeouts, endCondition,
+        catchUpChips, visibility, password, sessionToken
+    }, (response) => {
         if (response.success) {
             handleRoomJoined(response);
         }
@@ -113,29 +212,280 @@ ui.titleElements.joinRoomBtn.addEventListener('click', () => {
         return;
     }
 
-    socket.emit('join_room', { roomId, playerName }, (response) => {
+    const password = ui.titleElements.passwordInput.value;
+
+    socket.emit('join_room', { roomId, playerName, password, sessionToken }, (response) => {
         if (response.success) {
             handleRoomJoined(response);
         }
     });
 });
 
+// 観戦
+ui.titleElements.spectateRoomBtn.addEventListener('click', () => {
+    const playerName = ui.titleElements.playerNameInput.value.trim();
+    const roomId = ui.titleElements.roomIdInput.value.trim();
+
+    if (!playerName) {
+        ui.showToast('プレイヤー名を入力してください', 'error');
+        return;
+    }
+    if (!roomId) {
+        ui.showToast('ルームIDを入力してください', 'error');
+        return;
+    }
+
+    const password = ui.titleElements.passwordInput.value;
+
+    socket.emit('spectate_room', { roomId, playerName, password, sessionToken }, (response) => {
+        if (response.success) {
+            handleSpectateJoined(response);
+        }
+    });
+});
+
+// ===== 公開ルーム一覧・クイックマッチ =====
+
+/**
+ * 公開ルーム一覧の配信を受け取り始める
+ */
+function subscribeRoomList() {
+    socket.emit('subscribe_room_list', {}, (response) => {
+        if (response.success) {
+            ui.updateRoomBrowser(response.rooms);
+        }
+    });
+}
+
+socket.on('room_list_updated', (data) => {
+    ui.updateRoomBrowser(data.rooms);
+});
+
+// 一覧の参加・観戦ボタン（パスワード付きのルームは入力欄の値を使う）
+ui.titleElements.roomBrowserList.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    if (button.dataset.password === 'true' && !ui.titleElements.passwordInput.value) {
+        ui.showToast('このルームは参加パスワードが必要です', 'error');
+        ui.titleElements.passwordInput.focus();
+        return;
+    }
+
+    ui.titleElements.roomIdInput.value = button.dataset.id;
+    const target = button.dataset.action === 'join' ? ui.titleElements.joinRoomBtn : ui.titleElements.spectateRoomBtn;
+    target.click();
+});
+
+// クイックマッチ
+ui.titleElements.quickMatchBtn.addEventListener('click', () => {
+    const playerName = ui.titleElements.playerNameInput.value.trim();
+    if (!playerName) {
+        ui.showToast('プレイヤー名を入力してください', 'error');
+        return;
+    }
+
+    socket.emit('quick_match', { playerName, sessionToken }, (response) => {
+        if (response.success && !response.matched) {
+            ui.setQuickMatchWaiting(true, '対戦相手を探しています...');
+        }
+    });
+});
+
+ui.titleElements.cancelQuickMatchBtn.addEventListener('click', () => {
+    socket.emit('cancel_quick_match', {}, () => {
+        ui.setQuickMatchWaiting(false);
+    });
+});
+
+socket.on('quick_match_status', (data) => {
+    ui.setQuickMatchWaiting(true, `待機中 ${data.waitingCount}人（${data.requiredCount}人そろうと開始）`);
+});
+
+socket.on('quick_match_found', (response) => {
+    ui.setQuickMatchWaiting(false);
+    handleRoomJoined(response);
+});
+
+// ===== リプレイ =====
+
+const replayViewer = new ReplayViewer(ui);
+
+/**
+ * 保存されたリプレイの一覧を取得して表示
+ */
+function loadReplayList() {
+    fetch('/api/replays')
+        .then(res => res.json())
+        .then(replays => ui.updateReplayList(replays))
+        .catch(error => console.error('[Replay] List failed:', error));
+}
+
+ui.titleElements.refreshReplaysBtn.addEventListener('click', loadReplayList);
+
+// 一覧の再生ボタン
+ui.titleElements.replayList.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action="play"]');
+    if (!button) return;
+
+    fetch(`/api/replays/${encodeURIComponent(button.dataset.id)}`)
+        .then(res => res.json().then(body => (res.ok ? body : Promise.reject(new Error(body.error)))))
+        .then(replay => {
+            replayViewer.setSpeed(Number(ui.gameElements.replaySpeedSelect.value));
+            replayViewer.load(replay);
+            replayViewer.play();
+        })
+        .catch(error => ui.showToast(error.message || 'リプレイを読み込めませんでした', 'error'));
+});
+
+ui.gameElements.replayToggleBtn.addEventListener('click', () => replayViewer.toggle());
+ui.gameElements.replayStepBtn.addEventListener('click', () => replayViewer.step());
+ui.gameElements.replaySpeedSelect.addEventListener('change', (e) => {
+    replayViewer.setSpeed(Number(e.target.value));
+});
+
+// 再生をやめてタイトルに戻る
+ui.gameElements.replayCloseBtn.addEventListener('click', () => {
+    replayViewer.stop();
+    ui.showScreen('title');
+    loadReplayList();
+});
+
 /**
  * ルーム参加時の処理
  * @param {Object} response 
  */
 function handleRoomJoined(response) {
+    socket.emit('unsubscribe_room_list');
+    sessionToken = response.sessionToken;
+    storeSession(response.roomId);
+
+    if (response.queued) {
+        handleQueuedJoined(response);
+        return;
+    }
+
     myInfo = response.player;
     roomInfo = response.room;
+    isSpectator = false;
+    ui.setSpectatorMode(false);
 
-    ui.setRoomId(response.roomId);
-    ui.updateLobbyPlayerList(response.room.players, response.room.hostId);
-    ui.setStartGameEnabled(response.room.hostId === socket.id && response.room.players.length >= 2);
+    setRoomInfo(response.roomId, response.room);
+    ui.setStartGameEnabled(response.room.hostId === getMyPlayerId() && response.room.players.length >= 2);
     ui.showScreen('lobby');
 
     ui.showToast(`ルーム ${response.roomId} に参加しました`, 'success');
 }
 
+/**
+ * 再接続した時の処理（ページを再読み込みした場合も、サーバーの状態から画面を作り直す）
+ * @param {Object} response - { roomId, room, player, sessionToken }
+ */
+function handleRejoined(response) {
+    socket.emit('unsubscribe_room_list');
+    sessionToken = response.sessionToken;
+    storeSession(response.roomId);
+
+    myInfo = response.player;
+    roomInfo = response.room;
+    requestSyncState();
+}
+
+/**
+ * ゲーム中に参加した時の処理（着席まで観戦と同じ画面で待つ）
+ * @param {Object} response
+ */
+function handleQueuedJoined(response) {
+    applySyncState(response.room);
+
+    ui.showToast(`ゲーム進行中のため、次のセットから参加します`, 'info', 5000);
+}
+
+/**
+ * 観戦開始時の処理（進行中ならその場の状態を描画）
+ * @param {Object} response
+ */
+function handleSpectateJoined(response) {
+    socket.emit('unsubscribe_room_list');
+
+    applySyncState(response.room);
+
+    ui.showToast(`ルーム ${response.roomId} を観戦しています`, 'success');
+}
+
+/**
+ * ロビーのルーム情報表示を更新
+ * @param {string} roomId
+ * @param {Object} room
+ */
+function setRoomInfo(roomId, room) {
+    ui.renderRoomInfo({ ...room, id: roomId }, getMyPlayerId());
+}
+
+// ===== 状態の同期 =====
+
+/**
+ * サーバーに今の状態を問い合わせて画面を作り直す（再接続した時・表示がずれた時）
+ */
+function requestSyncState() {
+    socket.emit('sync_state', {}, (response) => {
+        if (response.success) {
+            applySyncState(response.state);
+        }
+    });
+}
+
+/**
+ * sync_state の状態を手元の情報に反映し、画面を作り直す
+ * @param {Object} state - サーバーの getSyncState() の結果
+ */
+function applySyncState(state) {
+    roomInfo = state;
+    roomInfo.dealerId = state.currentDealerId;
+    myInfo = state.viewer.player;
+    isSpectator = state.viewer.role !== 'player';
+    window.isRerollMode = false;
+
+    ui.renderSyncState(state, sendSkillChoice);
+}
+
+// 別のタブから戻った時は、裏で止まっていた演出の分だけ表示がずれていることがあるので取り直す
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible' && roomInfo && socket.connected) {
+        requestSyncState();
+    }
+});
+
+/**
+ * ルームを抜けた後、タイトル画面に戻す
+ */
+function resetToTitle() {
+    storeSession(null);
+    myInfo = null;
+    roomInfo = null;
+    isSpectator = false;
+    ui.setSpectatorMode(false);
+    ui.setPaused(false);
+    ui.updateHostControls([], null, getMyPlayerId());
+    ui.showScreen('title');
+    subscribeRoomList();
+    loadReplayList();
+}
+
+/**
+ * ゲーム画面のホスト操作パネルを現在のルーム情報で更新
+ */
+function refreshHostControls() {
+    if (roomInfo) {
+        ui.updateHostControls(roomInfo.players, roomInfo.hostId, getMyPlayerId());
+    }
+}
+
+// 観戦をやめる
+ui.gameElements.stopSpectatingBtn.addEventListener('click', () => {
+    socket.emit('leave_room', {}, resetToTitle);
+});
+
 // ===== ロビー画面イベント =====
 
 // ルームIDコピー
@@ -155,21 +505,158 @@ ui.lobbyElements.startGameBtn.addEventListener('click', () => {
     });
 });
 
+// ルーム設定の保存（ホストのみ）
+ui.lobbyElements.saveSettingsBtn.addEventListener('click', () => {
+    socket.emit('update_settings', { settings: ui.getRoomSettings() }, (response) => {
+        if (!response.success) {
+            ui.showToast(response.error, 'error');
+            // 入力欄を現在の設定に戻す
+            if (roomInfo) {
+                ui.setRoomSettings(roomInfo.settings, roomInfo.settingsBounds, roomInfo.hostId === getMyPlayerId());
+            }
+        }
+    });
+});
+
+// ルーム設定の変更
+socket.on('settings_updated', (data) => {
+    console.log('[Lobby] Settings updated:', data);
+    if (!roomInfo) return;
+
+    roomInfo.settings = data.settings;
+    ui.setRoomSettings(roomInfo.settings, roomInfo.settingsBounds, roomInfo.hostId === getMyPlayerId());
+    ui.updateLobbyPlayerList(roomInfo.players, roomInfo.hostId, getMyPlayerId());
+    ui.showToast('ルーム設定が変更されました', 'info');
+});
+
+// Bot を追加（ホストのみ）
+ui.lobbyElements.addBotBtn.addEventListener('click', () => {
+    socket.emit('add_bot', { personality: ui.lobbyElements.botPersonalitySelect.value }, (response) => {
+        if (!response.success) {
+            ui.showToast(response.error, 'error');
+        }
+    });
+});
+
 // 退出
 ui.lobbyElements.leaveRoomBtn.addEventListener('click', () => {
-    socket.emit('leave_room', {}, () => {
-        myInfo = null;
-        roomInfo = null;
-        ui.showScreen('title');
+    socket.emit('leave_room', {}, resetToTitle);
+});
+
+// ===== ホスト操作 =====
+
+/**
+ * ホスト操作を送信（追放・再参加禁止・ホスト譲渡・Botを外す）
+ * @param {'kick'|'ban'|'transfer'|'remove_bot'} action
+ * @param {string} playerId
+ */
+function sendHostAction(action, playerId) {
+    const player = (roomInfo?.players || []).find(p => p.id === playerId);
+    if (!player) return;
+
+    const confirmText = {
+        kick: `${player.name} を追放しますか？`,
+        ban: `${player.name} を追放し、このルームへの再参加を禁止しますか？\n` +
+            '（同じ端末のセッションと同じ接続元IPアドレスからの参加・観戦を断ります。回線を変えた参加までは防げません）',
+        transfer: `${player.name} にホストを譲りますか？`,
+        remove_bot: `${player.name} を外しますか？`
+    };
+    if (!confirm(confirmText[action])) return;
+
+    const requests = {
+        kick: ['kick_player', { playerId, ban: false }],
+        ban: ['kick_player', { playerId, ban: true }],
+        transfer: ['transfer_host', { playerId }],
+        remove_bot: ['remove_bot', { playerId }]
+    };
+    const [event, data] = requests[action];
+
+    socket.emit(event, data, (response) => {
+        if (!response.success) {
+            ui.showToast(response.error, 'error');
+        }
+    });
+}
+
+// ロビーのプレイヤー一覧のボタン
+ui.lobbyElements.playerList.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (button) {
+        sendHostAction(button.dataset.action, button.dataset.id);
+    }
+});
+
+// ゲーム画面のホスト操作パネル
+ui.gameElements.kickPlayerBtn.addEventListener('click', () => {
+    sendHostAction('kick', ui.gameElements.hostTargetSelect.value);
+});
+
+ui.gameElements.banPlayerBtn.addEventListener('click', () => {
+    sendHostAction('ban', ui.gameElements.hostTargetSelect.value);
+});
+
+ui.gameElements.transferHostBtn.addEventListener('click', () => {
+    sendHostAction('transfer', ui.gameElements.hostTargetSelect.value);
+});
+
+ui.gameElements.pauseGameBtn.addEventListener('click', () => {
+    const event = ui.screens.game.classList.contains('paused') ? 'resume_game' : 'pause_game';
+    socket.emit(event, {}, (response) => {
+        if (!response.success) {
+            ui.showToast(response.error, 'error');
+        }
     });
 });
 
+// 追放
+socket.on('player_kicked', (data) => {
+    console.log('[Game] Player kicked:', data);
+
+    if (data.playerId === getMyPlayerId()) {
+        resetToTitle();
+        ui.showToast(data.banned ? 'ホストに追放されました（このルームには再参加できません）' : 'ホストに追放されました', 'error', 5000);
+        return;
+    }
+
+    ui.logMessage(`${data.playerName} がホストに追放されました${data.banned ? '（再参加禁止）' : ''}`, 'important');
+});
+
+// ホスト変更
+socket.on('host_changed', (data) => {
+    console.log('[Game] Host changed:', data);
+    if (!roomInfo) return;
+
+    roomInfo.hostId = data.hostId;
+    ui.setRoomSettings(roomInfo.settings, roomInfo.settingsBounds, roomInfo.hostId === getMyPlayerId());
+    ui.updateLobbyPlayerList(roomInfo.players, roomInfo.hostId, getMyPlayerId());
+    ui.setStartGameEnabled(roomInfo.hostId === getMyPlayerId() && roomInfo.players.length >= 2);
+    refreshHostControls();
+
+    ui.logMessage(`${data.hostName} が新しいホストになりました`, 'important');
+    if (data.hostId === getMyPlayerId()) {
+        ui.showToast('ホストになりました', 'success');
+    }
+});
+
+// 一時停止・再開
+socket.on('game_paused', () => {
+    ui.setPaused(true);
+    ui.setDeadline(null);
+    ui.logMessage('⏸ ホストがゲームを一時停止しました', 'important');
+});
+
+socket.on('game_resumed', (data) => {
+    ui.setPaused(false);
+    ui.setDeadline(data.deadline, data.serverTime);
+    ui.logMessage('▶ ゲームが再開されました', 'important');
+});
+
 // プレイヤー参加
 socket.on('player_joined', (data) => {
     if (roomInfo) {
         roomInfo.players = [...roomInfo.players.filter(p => p.id !== data.player.id), data.player];
-        ui.updateLobbyPlayerList(roomInfo.players, roomInfo.hostId);
-        ui.setStartGameEnabled(roomInfo.hostId === socket.id && roomInfo.players.length >= 2);
+        ui.updateLobbyPlayerList(roomInfo.players, roomInfo.hostId, getMyPlayerId());
+        ui.setStartGameEnabled(roomInfo.hostId === getMyPlayerId() && roomInfo.players.length >= 2);
     }
     ui.showToast(`${data.player.name} が参加しました`, 'info');
 });
@@ -179,8 +666,109 @@ socket.on('player_left', (data) => {
     if (roomInfo) {
         roomInfo.players = roomInfo.players.filter(p => p.id !== data.playerId);
         roomInfo.hostId = data.newHostId;
-        ui.updateLobbyPlayerList(roomInfo.players, roomInfo.hostId);
-        ui.setStartGameEnabled(roomInfo.hostId === socket.id && roomInfo.players.length >= 2);
+        ui.setRoomSettings(roomInfo.settings, roomInfo.settingsBounds, roomInfo.hostId === getMyPlayerId());
+        if (data.waitingQueue) {
+            roomInfo.waitingQueue = data.waitingQueue;
+            ui.updateQueueList(roomInfo.waitingQueue);
+        }
+        ui.updateLobbyPlayerList(roomInfo.players, roomInfo.hostId, getMyPlayerId());
+        ui.setStartGameEnabled(roomInfo.hostId === getMyPlayerId() && roomInfo.players.length >= 2);
+        refreshHostControls();
+    }
+});
+
+// 途中参加の待ち行列
+socket.on('player_queued', (data) => {
+    if (roomInfo) {
+        roomInfo.waitingQueue = data.waitingQueue;
+        ui.updateQueueList(roomInfo.waitingQueue);
+    }
+    ui.logMessage(`${data.player.name} が参加待ちに入りました（次のセットから参加）`, 'normal');
+});
+
+// 参加待ちのプレイヤーが着席
+socket.on('players_seated', (data) => {
+    console.log('[Game] Players seated:', data);
+    if (!roomInfo) return;
+
+    roomInfo.players = data.players;
+    roomInfo.waitingQueue = data.waitingQueue;
+    ui.updateQueueList(roomInfo.waitingQueue);
+    ui.updateLobbyPlayerList(roomInfo.players, roomInfo.hostId, getMyPlayerId());
+
+    data.playerIds.forEach(id => {
+        const player = data.players.find(p => p.id === id);
+        if (player) {
+            ui.logMessage(`${player.name} が着席しました`, 'important');
+        }
+    });
+
+    // 自分が着席したら操作できるようにする
+    if (data.playerIds.includes(getMyPlayerId())) {
+        const me = data.players.find(p => p.id === getMyPlayerId());
+        myInfo = { ...myInfo, ...me };
+        isSpectator = false;
+        ui.setSpectatorMode(false);
+        ui.setMyInfo(me);
+        ui.showToast('着席しました！次のラウンドから参加します', 'success');
+    }
+
+    ui.updateOtherPlayers(data.players.filter(p => p.id !== getMyPlayerId()));
+    refreshHostControls();
+});
+
+// ゲーム中の退出
+const FORFEIT_TEXT = {
+    refunded: 'ベットは取り消されました',
+    forfeited: 'ベットは没収されました',
+    none: ''
+};
+
+socket.on('player_forfeited', (data) => {
+    console.log('[Game] Player forfeited:', data);
+    if (!roomInfo) return;
+
+    roomInfo.players = data.players;
+
+    let detail = FORFEIT_TEXT[data.outcome];
+    if (data.wasDealer && data.outcome === 'forfeited') {
+        detail = `子のベット分 ${data.amount.toLocaleString()} 点が支払われました`;
+    } else if (data.wasDealer && data.outcome === 'refunded') {
+        detail = '全員のベットは取り消されました';
+    } else if (data.amount > 0) {
+        detail = `${detail}（${data.amount.toLocaleString()} 点）`;
+    }
+    ui.logMessage(`${data.playerName} がゲームから退出しました${detail ? `。${detail}` : ''}`, 'important');
+
+    const me = data.players.find(p => p.id === getMyPlayerId());
+    if (me) {
+        myInfo = { ...myInfo, ...me };
+        ui.setMyInfo(me);
+    }
+    ui.updateOtherPlayers(data.players.filter(p => p.id !== getMyPlayerId()));
+});
+
+// 親の退出でラウンド中断
+socket.on('round_aborted', (data) => {
+    console.log('[Game] Round aborted:', data);
+    window.isRerollMode = false;
+    ui.showRollControls(false);
+    ui.showToast('親が退出したため、このラウンドは中断されました', 'info');
+    ui.logMessage(`--- ラウンド${data.roundNumber} 中断（親が交代します） ---`, 'result');
+});
+
+// 観戦者の参加・退出
+socket.on('spectator_joined', (data) => {
+    if (roomInfo) {
+        roomInfo.spectators = [...(roomInfo.spectators || []).filter(s => s.id !== data.spectator.id), data.spectator];
+        ui.updateSpectatorList(roomInfo.spectators);
+    }
+});
+
+socket.on('spectator_left', (data) => {
+    if (roomInfo) {
+        roomInfo.spectators = (roomInfo.spectators || []).filter(s => s.id !== data.spectatorId);
+        ui.updateSpectatorList(roomInfo.spectators);
     }
 });
 
@@ -192,20 +780,22 @@ socket.on('game_started', (data) => {
 
     ui.showScreen('game');
     ui.clearLog();
+    ui.clearFairness();
     ui.logMessage('ゲーム開始！', 'important');
 
     // 自分の情報を更新
-    const me = data.players.find(p => p.id === socket.id);
+    const me = data.players.find(p => p.id === getMyPlayerId());
     if (me) {
         ui.setMyInfo(me);
     }
 
     // 他プレイヤーを更新
-    const others = data.players.filter(p => p.id !== socket.id);
+    const others = data.players.filter(p => p.id !== getMyPlayerId());
     ui.updateOtherPlayers(others);
 
     // スキルなしモード: スキルコントロールを非表示
     ui.gameElements.skillControls.classList.add('hidden');
+    refreshHostControls();
 });
 
 // スキル配布
@@ -227,8 +817,13 @@ socket.on('round_started', (data) => {
     roomInfo.dealerId = data.dealerId; // 親IDを保存
 
     ui.setRoundNumber(data.roundNumber);
+    ui.setDeadline(data.deadline, data.serverTime);
     ui.logMessage(`ラウンド ${data.roundNumber} 開始`, 'important');
 
+    // 公平性: コミットを表示し、新しいクライアントシードを用意（検証不可のダイスではコミットなし）
+    ui.setFairnessCommit(data.fairness ? data.fairness.serverSeedHash : null);
+    ui.setClientSeed(generateClientSeed());
+
     // 親情報を設定
     const dealer = data.players.find(p => p.id === data.dealerId);
     if (dealer) {
@@ -237,24 +832,29 @@ socket.on('round_started', (data) => {
     }
 
     // 自分の情報を更新
-    const me = data.players.find(p => p.id === socket.id);
+    const me = data.players.find(p => p.id === getMyPlayerId());
     if (me) {
         myInfo = { ...myInfo, ...me };
         ui.setMyInfo(me);
     }
 
     // 他プレイヤーを更新
-    const others = data.players.filter(p => p.id !== socket.id);
+    const others = data.players.filter(p => p.id !== getMyPlayerId());
     ui.updateOtherPlayers(others);
 
     // 現在プレイヤー表示をリセット
     ui.setCurrentPlayerInfo('-');
 
-    // 通常のチンチロ: 子のみがベットする
-    const isDealer = data.dealerId === socket.id;
-    if (isDealer) {
+    // 通常のチンチロ: 子のみがベットする（観戦者は何もしない）
+    const isDealer = data.dealerId === getMyPlayerId();
+    if (isSpectator) {
+        ui.showBetControls(false);
+    } else if (isDealer) {
         ui.showBetControls(false);
         ui.logMessage('あなたは親です。子プレイヤーのベットを待っています...', 'normal');
+
+        // 親はベットしないので、シードだけ先に登録
+        socket.emit('submit_client_seed', { seed: ui.getClientSeed() });
     } else {
         ui.showBetControls(true);
         ui.logMessage('ベット額を選択してください', 'normal');
@@ -267,6 +867,7 @@ socket.on('state_changed', (data) => {
 
     // コントロール表示をリセット（ただし振り直しモード中はロールコントロールを保護）
     ui.showBetControls(false);
+    ui.showPassDealerControls(false);
     // 振り直しモード中は showRollControls(false) をスキップ
     if (!window.isRerollMode) {
         ui.showRollControls(false);
@@ -276,9 +877,9 @@ socket.on('state_changed', (data) => {
 
 // ベッティングフェーズ
 socket.on('state_changed', (data) => {
-    if (data.currentState === 'betting') {
+    if (data.currentState === 'betting' && !isSpectator) {
         // dealerIdを使って親かどうか判定（より確実）
-        const isDealer = roomInfo?.dealerId === socket.id || myInfo?.isDealer;
+        const isDealer = roomInfo?.dealerId === getMyPlayerId() || myInfo?.isDealer;
 
         if (!isDealer) {
             // 子プレイヤー: ベットコントロールを表示
@@ -292,6 +893,61 @@ socket.on('state_changed', (data) => {
     }
 });
 
+// 時間切れ → 自動ベット・自動ロール
+socket.on('turn_timeout', (data) => {
+    console.log('[Game] Turn timeout:', data);
+    data.playerIds.forEach(playerId => {
+        const player = (roomInfo.players || []).find(p => p.id === playerId);
+        const action = data.phase === 'betting' ? '自動ベット' : '自動ロール';
+        ui.logMessage(`${player ? player.name : '???'}: 時間切れのため${action}`, 'normal');
+    });
+    if (data.playerIds.includes(getMyPlayerId())) {
+        ui.showToast('時間切れです', 'error');
+    }
+});
+
+// 離席・復帰
+socket.on('player_away', (data) => {
+    const player = (roomInfo.players || []).find(p => p.id === data.playerId);
+    const reason = data.reason === 'disconnected' ? '切断中のため' : '';
+    ui.logMessage(`${player ? player.name : '???'} は${reason}離席中です（自動操作）`, 'important');
+});
+
+socket.on('player_returned', (data) => {
+    const player = (roomInfo.players || []).find(p => p.id === data.playerId);
+    ui.logMessage(`${player ? player.name : '???'} が復帰しました`, 'normal');
+});
+
+// 結果表示中: 連荘ありのルームでは親が「親を降りる」を選べる
+socket.on('state_changed', (data) => {
+    if (data.currentState === 'result' && roomInfo?.dealerContinuation && roomInfo?.dealerId === getMyPlayerId()) {
+        ui.showPassDealerControls(true);
+    }
+});
+
+// 親を降りるボタン
+ui.gameElements.passDealerBtn.addEventListener('click', () => {
+    socket.emit('pass_dealer', {}, (response) => {
+        if (response.success) {
+            ui.showPassDealerControls(false);
+        }
+    });
+});
+
+// 連荘
+socket.on('dealer_continued', (data) => {
+    console.log('[Game] Dealer continued:', data);
+    const dealer = (roomInfo.players || []).find(p => p.id === data.dealerId);
+    ui.logMessage(`${dealer ? dealer.name : '親'} が連荘！（${data.streak}連荘）`, 'important');
+});
+
+// 親を降りた
+socket.on('dealer_passed', (data) => {
+    console.log('[Game] Dealer passed:', data);
+    const dealer = (roomInfo.players || []).find(p => p.id === data.playerId);
+    ui.logMessage(`${dealer ? dealer.name : '親'} が親を降りました`, 'important');
+});
+
 // ベット確定ボタン
 ui.gameElements.confirmBetBtn.addEventListener('click', () => {
     const amount = ui.getBetAmount();
@@ -300,7 +956,7 @@ ui.gameElements.confirmBetBtn.addEventListener('click', () => {
         return;
     }
 
-    socket.emit('place_bet', { amount }, (response) => {
+    socket.emit('place_bet', { amount, clientSeed: ui.getClientSeed() || undefined }, (response) => {
         if (response.success) {
             ui.showBetControls(false);
             ui.logMessage(`${amount} チップをベット`, 'normal');
@@ -310,7 +966,7 @@ ui.gameElements.confirmBetBtn.addEventListener('click', () => {
 
 // ベット完了通知
 socket.on('bet_placed', (data) => {
-    if (data.playerId !== socket.id) {
+    if (data.playerId !== getMyPlayerId()) {
         const player = roomInfo.players.find(p => p.id === data.playerId);
         if (player) {
             ui.logMessage(`${player.name} が ${data.amount} チップをベット`, 'normal');
@@ -321,8 +977,9 @@ socket.on('bet_placed', (data) => {
 // 親のターン
 socket.on('dealer_turn', (data) => {
     console.log('[Game] Dealer turn:', data);
+    ui.setDeadline(data.deadline, data.serverTime);
 
-    if (data.dealerId === socket.id) {
+    if (data.dealerId === getMyPlayerId()) {
         ui.showRollControls(true);
         ui.logMessage('あなたのターンです。ダイスを振ってください！', 'important');
     } else {
@@ -333,13 +990,14 @@ socket.on('dealer_turn', (data) => {
 // 子のターン
 socket.on('player_turn', (data) => {
     console.log('[Game] Player turn:', data);
+    ui.setDeadline(data.deadline, data.serverTime);
 
     const player = roomInfo.players.find(p => p.id === data.playerId);
     if (player) {
         ui.setCurrentPlayerInfo(player.name);
     }
 
-    if (data.playerId === socket.id) {
+    if (data.playerId === getMyPlayerId()) {
         ui.showRollControls(true);
         ui.logMessage('あなたのターンです。ダイスを振ってください！', 'important');
     } else if (player) {
@@ -347,7 +1005,7 @@ socket.on('player_turn', (data) => {
     }
 
     // 他プレイヤー表示を更新（アクティブ表示）
-    const others = roomInfo.players.filter(p => p.id !== socket.id);
+    const others = roomInfo.players.filter(p => p.id !== getMyPlayerId());
     ui.updateOtherPlayers(others, data.playerId);
 });
 
@@ -357,7 +1015,7 @@ ui.gameElements.rollDiceBtn.addEventListener('click', () => {
     window.isRerollMode = false;
 
     // ローリングアニメーション開始
-    const me = roomInfo.players.find(p => p.id === socket.id);
+    const me = roomInfo.players.find(p => p.id === getMyPlayerId());
     if (me && me.isDealer) {
         ui.startDiceRolling(ui.gameElements.dealerDice);
     } else {
@@ -386,7 +1044,7 @@ socket.on('rolling_started', (data) => {
     if (!player) return;
 
     // 自分がロールした場合は既にアニメーション開始済みなのでスキップ
-    if (data.playerId === socket.id) return;
+    if (data.playerId === getMyPlayerId()) return;
 
     // 該当プレイヤーが親か子かで表示先を決定
     if (player.isDealer) {
@@ -402,6 +1060,9 @@ socket.on('rolling_started', (data) => {
 socket.on('dice_rolled', (data) => {
     console.log('[Game] Dice rolled:', data);
 
+    // 目なしの振り直しは新しい締め切り、それ以外は締め切り解除
+    ui.setDeadline(data.canReroll ? data.deadline : null, data.serverTime);
+
     // ★演出のために1.2秒待機してから結果を表示する（グリグリ回転を見せる）
     setTimeout(() => {
         const player = roomInfo.players.find(p => p.id === data.playerId);
@@ -437,8 +1098,8 @@ socket.on('dice_rolled', (data) => {
         }
 
         // 振り直し可能な場合（目なし）
-        console.log('[Debug] canReroll check:', data.canReroll, 'playerId:', data.playerId, 'socket.id:', socket.id, 'myInfo.id:', myInfo?.id);
-        if (data.canReroll && (data.playerId === socket.id || data.playerId === myInfo?.id)) {
+        console.log('[Debug] canReroll check:', data.canReroll, 'playerId:', data.playerId, 'myInfo.id:', myInfo?.id);
+        if (data.canReroll && data.playerId === getMyPlayerId()) {
             // 振り直しモードをON
             window.isRerollMode = true;
 
@@ -456,21 +1117,63 @@ socket.on('dice_rolled', (data) => {
     }, 1200); // 1200ミリ秒 = 1.2秒間グリグリ回るのを見せる
 });
 
+// 胴元モード: 親のチップで受けられなかったベット
+socket.on('bets_covered', (data) => {
+    console.log('[Game] Bets covered:', data);
+
+    data.coverage.forEach(entry => {
+        if (entry.status === 'covered') return;
+
+        const player = (roomInfo.players || []).find(p => p.id === entry.playerId);
+        const name = player ? player.name : '???';
+        if (entry.status === 'partial') {
+            ui.logMessage(`${name}: 親の残高不足でベットを ${entry.accepted} に減額`, 'normal');
+        } else {
+            ui.logMessage(`${name}: 親の残高不足でベットを受け付けられませんでした`, 'normal');
+        }
+    });
+});
+
+// ===== 公平性検証 =====
+
+// ベット締め切り → クライアントシード確定
+socket.on('client_seed_locked', (data) => {
+    console.log('[Fairness] Client seed locked:', data);
+});
+
+// ラウンド終了 → サーバーシード公開
+socket.on('fairness_revealed', (record) => {
+    console.log('[Fairness] Revealed:', record);
+    ui.addFairnessRecord(record, verifyRound);
+});
+
+// ダイスソース変更（デバッグ用）
+socket.on('dice_source_changed', (data) => {
+    console.log('[Fairness] Dice source changed:', data);
+    ui.logMessage(`ダイス: ${data.name}${data.isVerifiable ? '' : '（検証対象外）'}`, 'important');
+});
+
 // ===== 非同期スキルアクション =====
 
 
 socket.on('waiting_for_action', (data) => {
     console.log('[Game] Waiting for action:', data);
 
-    ui.showSkillActionModal(data.actionData, (choice) => {
-        socket.emit('skill_action', { choice }, (response) => {
-            if (!response.success) {
-                ui.showToast(response.error || 'アクションに失敗しました', 'error');
-            }
-        });
-    });
+    ui.showSkillActionModal(data.actionData, sendSkillChoice);
 });
 
+/**
+ * スキルの選択肢で選んだ値を送る
+ * @param {*} choice
+ */
+function sendSkillChoice(choice) {
+    socket.emit('skill_action', { choice }, (response) => {
+        if (!response.success) {
+            ui.showToast(response.error || 'アクションに失敗しました', 'error');
+        }
+    });
+}
+
 socket.on('player_deciding', (data) => {
     const player = roomInfo.players.find(p => p.id === data.playerId);
     if (player) {
@@ -497,7 +1200,7 @@ socket.on('skill_visual_effect', (data) => {
     console.log('[Game] Skill visual effect:', data);
 
     // 自分が対象でなければログに表示
-    if (!data.targetPlayerIds.includes(socket.id)) {
+    if (!data.targetPlayerIds.includes(getMyPlayerId())) {
         ui.logMessage(`${data.type}スキルが発動！`, 'important');
     }
 });
@@ -521,7 +1224,7 @@ socket.on('dice_updated', (data) => {
     }
 
     // 他プレイヤー表示を更新
-    const others = roomInfo.players.filter(p => p.id !== socket.id);
+    const others = roomInfo.players.filter(p => p.id !== getMyPlayerId());
     ui.updateOtherPlayers(others);
 
     // エフェクト表示
@@ -560,7 +1263,7 @@ socket.on('round_result', (data) => {
         roomInfo.players = data.players;
 
         // 自分の更新
-        const me = roomInfo.players.find(p => p.id === socket.id);
+        const me = roomInfo.players.find(p => p.id === getMyPlayerId());
         if (me) {
             myInfo = { ...myInfo, ...me };
             // ui.setMyInfo(me) だとアニメーションする前のsetChipsとかが走るかもしれないので、
@@ -570,23 +1273,12 @@ socket.on('round_result', (data) => {
         }
 
         // 他プレイヤー表示を更新
-        const others = roomInfo.players.filter(p => p.id !== socket.id);
+        const others = roomInfo.players.filter(p => p.id !== getMyPlayerId());
         ui.updateOtherPlayers(others);
     }, 1500);
 
     // 結果をログに表示
-    data.results.forEach(result => {
-        const player = (roomInfo.players || []).find(p => p.id === result.playerId) ||
-            (data.players || []).find(p => p.id === result.playerId);
-
-        if (player) {
-            const sign = result.winner === 'player' ? '+' : '-';
-            ui.logMessage(
-                `${player.name}: ${result.playerHand.displayName} vs 親 → ${result.winner === 'player' ? '勝ち' : '負け'} (${sign}${result.chipTransfer})`,
-                result.winner === 'player' ? 'result' : 'normal'
-            );
-        }
-    });
+    ui.logRoundResults(data.results, [...(roomInfo.players || []), ...(data.players || [])]);
 
 
 
@@ -594,18 +1286,20 @@ socket.on('round_result', (data) => {
 
 // ===== ゲーム終了 =====
 
+// 最終ラウンド予告
+socket.on('final_round', (data) => {
+    console.log('[Game] Final round:', data);
+    ui.showToast(`ラウンド ${data.roundNumber} が最終ラウンドです！`, 'info', 5000);
+    ui.logMessage(`⚠ ラウンド ${data.roundNumber} が最終ラウンドです`, 'important');
+});
+
 socket.on('game_ended', (data) => {
     console.log('[Game] Game ended:', data);
+    ui.setPaused(false);
 
-    let rankingHtml = '<ol>';
-    data.ranking.forEach((r, index) => {
-        const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : '';
-        rankingHtml += `<li>${medal} ${r.name}: ${r.chips} チップ</li>`;
-    });
-    rankingHtml += '</ol>';
-
-    ui.showResultOverlay('ゲーム終了！', rankingHtml, 0);
-    ui.logMessage('ゲーム終了！', 'important');
+    const reasonText = GameUI.describeEndReason(data.reason);
+    ui.showResultOverlay('ゲーム終了！', `<p class="end-reason">${reasonText}</p>${ui.formatRankingHtml(data.ranking)}`, 0);
+    ui.logMessage(`ゲーム終了！ ${reasonText}`, 'important');
 
     // アクションボタンを表示
     const resultActions = document.getElementById('result-actions');
@@ -622,16 +1316,39 @@ socket.on('set_completed', (data) => {
     ui.logMessage(`セット${data.setNumber}終了！全員に ${data.bonusAmount.toLocaleString()} 点加算`, 'important');
 
     // 自分のチップを更新
-    const me = data.players.find(p => p.id === socket.id);
+    const me = data.players.find(p => p.id === getMyPlayerId());
     if (me) {
         ui.setMyInfo(me);
     }
 
     // 他プレイヤーを更新
-    const others = data.players.filter(p => p.id !== socket.id);
+    const others = data.players.filter(p => p.id !== getMyPlayerId());
     ui.updateOtherPlayers(others);
 });
 
+// 借入の台帳更新（自分宛て）
+const LOAN_ENTRY_TEXT = {
+    borrow: '借入',
+    interest: '利息',
+    repay: '返済'
+};
+
+socket.on('loan_updated', (data) => {
+    console.log('[Game] Loan updated:', data);
+
+    if (myInfo) {
+        myInfo.loan = data.loan;
+    }
+    ui.setDebt(data.loan.balance, data.loan);
+
+    data.entries.forEach(entry => {
+        ui.logMessage(
+            `💳 ${LOAN_ENTRY_TEXT[entry.type]} ${entry.amount.toLocaleString()}（借入残高 ${entry.balance.toLocaleString()} / 枠 ${data.loan.creditLimit.toLocaleString()}）`,
+            entry.type === 'repay' ? 'result' : 'normal'
+        );
+    });
+});
+
 // ゲームリセット（再戦）
 socket.on('game_reset', (data) => {
     console.log('[Game] Game reset:', data);
@@ -656,10 +1373,10 @@ socket.on('returned_to_lobby', (data) => {
 
     if (roomInfo) {
         roomInfo.players = data.players; // プレイヤー情報を更新
-        ui.updateLobbyPlayerList(roomInfo.players, roomInfo.hostId);
+        ui.updateLobbyPlayerList(roomInfo.players, roomInfo.hostId, getMyPlayerId());
 
         // ホストならゲーム開始ボタンの状態を更新
-        if (roomInfo.hostId === socket.id) {
+        if (roomInfo.hostId === getMyPlayerId()) {
             ui.setStartGameEnabled(roomInfo.players.length >= 2);
         }
     }
@@ -700,7 +1417,11 @@ document.getElementById('btn-back-to-lobby')?.addEventListener('click', () => {
 // ===== 切断/再接続 =====
 
 socket.on('player_disconnected', (data) => {
-    ui.logMessage(`${data.playerName} が切断しました`, 'warning');
+    ui.logMessage(
+        `${data.playerName} が切断しました（${Math.round(data.graceMs / 1000)}秒後から自動操作、` +
+        `${Math.round(data.dropMs / 1000)}秒後に退出）`,
+        'warning'
+    );
     ui.showToast(`${data.playerName} が切断しました`, 'error');
 });
 
@@ -19,16 +19,50 @@ export class GameUI {
         this.titleElements = {
             playerNameInput: document.getElementById('input-player-name'),
             roomIdInput: document.getElementById('input-room-id'),
+            ruleSetSelect: document.getElementById('select-rule-set'),
+            roundFlowSelect: document.getElementById('select-round-flow'),
+            bankerModeSelect: document.getElementById('select-banker-mode'),
+            dealerContinuationSelect: document.getElementById('select-dealer-continuation'),
+            turnTimeSelect: document.getElementById('select-turn-time'),
+            endConditionSelect: document.getElementById('select-end-condition'),
+            catchUpSelect: document.getElementById('select-catch-up'),
+            visibilitySelect: document.getElementById('select-visibility'),
+            passwordInput: document.getElementById('input-room-password'),
             createRoomBtn: document.getElementById('btn-create-room'),
-            joinRoomBtn: document.getElementById('btn-join-room')
+            joinRoomBtn: document.getElementById('btn-join-room'),
+            spectateRoomBtn: document.getElementById('btn-spectate-room'),
+            quickMatchBtn: document.getElementById('btn-quick-match'),
+            cancelQuickMatchBtn: document.getElementById('btn-cancel-quick-match'),
+            quickMatchStatus: document.getElementById('quick-match-status'),
+            roomBrowserList: document.getElementById('room-browser-list'),
+            roomBrowserEmpty: document.getElementById('room-browser-empty'),
+            replayList: document.getElementById('replay-list'),
+            replayListEmpty: document.getElementById('replay-list-empty'),
+            refreshReplaysBtn: document.getElementById('btn-refresh-replays')
         };
 
         // ロビー画面要素
         this.lobbyElements = {
             roomIdDisplay: document.getElementById('display-room-id'),
+            roomAccess: document.getElementById('display-room-access'),
+            ruleSetName: document.getElementById('display-rule-set'),
+            ruleSetDesc: document.getElementById('display-rule-set-desc'),
+            roundFlowName: document.getElementById('display-round-flow'),
+            bankerModeName: document.getElementById('display-banker-mode'),
+            dealerContinuationName: document.getElementById('display-dealer-continuation'),
+            endConditionName: document.getElementById('display-end-condition'),
             copyRoomIdBtn: document.getElementById('btn-copy-room-id'),
             playerList: document.getElementById('lobby-player-list'),
             playerCount: document.getElementById('player-count'),
+            botControls: document.getElementById('bot-controls'),
+            botPersonalitySelect: document.getElementById('select-bot-personality'),
+            addBotBtn: document.getElementById('btn-add-bot'),
+            queueList: document.getElementById('lobby-queue-list'),
+            queueCount: document.getElementById('queue-count'),
+            spectatorList: document.getElementById('lobby-spectator-list'),
+            spectatorCount: document.getElementById('spectator-count'),
+            settingsForm: document.getElementById('room-settings-form'),
+            saveSettingsBtn: document.getElementById('btn-save-settings'),
             message: document.getElementById('lobby-message'),
             startGameBtn: document.getElementById('btn-start-game'),
             leaveRoomBtn: document.getElementById('btn-leave-room')
@@ -38,10 +72,35 @@ export class GameUI {
         this.gameElements = {
             // ログ
             log: document.getElementById('game-log'),
+            // 公平性検証
+            fairnessCommit: document.getElementById('fairness-commit'),
+            clientSeedInput: document.getElementById('input-client-seed'),
+            fairnessRounds: document.getElementById('fairness-rounds'),
             // 他プレイヤー
             otherPlayers: document.getElementById('other-players'),
             // ラウンド情報
             roundNumber: document.getElementById('round-number'),
+            turnTimer: document.getElementById('turn-timer'),
+            spectatorCount: document.getElementById('game-spectator-count'),
+            queueCount: document.getElementById('game-queue-count'),
+            // 観戦
+            spectatorLabel: document.getElementById('spectator-label'),
+            stopSpectatingBtn: document.getElementById('btn-stop-spectating'),
+            // リプレイ
+            replayLabel: document.getElementById('replay-label'),
+            replayToggleBtn: document.getElementById('btn-replay-toggle'),
+            replayStepBtn: document.getElementById('btn-replay-step'),
+            replaySpeedSelect: document.getElementById('select-replay-speed'),
+            replayProgress: document.getElementById('replay-progress'),
+            replayCloseBtn: document.getElementById('btn-replay-close'),
+            // ホスト操作
+            hostControls: document.getElementById('host-controls'),
+            pauseGameBtn: document.getElementById('btn-pause-game'),
+            hostTargetSelect: document.getElementById('select-host-target'),
+            kickPlayerBtn: document.getElementById('btn-kick-player'),
+            banPlayerBtn: document.getElementById('btn-ban-player'),
+            transferHostBtn: document.getElementById('btn-transfer-host'),
+            pauseBanner: document.getElementById('pause-banner'),
             // 親エリア
             dealerName: document.getElementById('dealer-name'),
             dealerDice: document.getElementById('dealer-dice'),
@@ -54,17 +113,20 @@ export class GameUI {
             myName: document.getElementById('my-name'),
             myRoleBadge: document.getElementById('my-role-badge'),
             myChips: document.getElementById('my-chips'),
+            myDebt: document.getElementById('my-debt'),
             mySkillName: document.getElementById('my-skill-name'),
             mySkillDesc: document.getElementById('my-skill-desc'),
             // コントロール
             betControls: document.getElementById('bet-controls'),
             rollControls: document.getElementById('roll-controls'),
+            passDealerControls: document.getElementById('pass-dealer-controls'),
             skillControls: document.getElementById('skill-controls'),
             doubtControls: document.getElementById('doubt-controls'),
             // ボタン
             betAmount: document.getElementById('bet-amount'),
             confirmBetBtn: document.getElementById('btn-confirm-bet'),
             rollDiceBtn: document.getElementById('btn-roll-dice'),
+            passDealerBtn: document.getElementById('btn-pass-dealer'),
             useSkillBtn: document.getElementById('btn-use-skill'),
             doubtBtn: document.getElementById('btn-doubt'),
             doubtTimerBar: document.getElementById('doubt-timer-bar'),
@@ -86,6 +148,13 @@ export class GameUI {
         // 現在のベット額
         this.currentBet = 0;
 
+        // 借入枠の残り（ベット上限の計算用）
+        this.creditLimit = 50000;
+        this.availableCredit = 50000;
+
+        // ルームの最大人数（ロビーの人数表示用）
+        this.maxPlayers = 8;
+
         // ベットボタンのイベント設定
         this.setupBetButtons();
     }
@@ -123,14 +192,207 @@ export class GameUI {
         this.lobbyElements.roomIdDisplay.textContent = roomId;
     }
 
+    /**
+     * ルームの公開設定・パスワードの有無を表示
+     * @param {string} visibility - 'public' | 'private'
+     * @param {boolean} hasPassword
+     */
+    setRoomAccessInfo(visibility, hasPassword) {
+        const labels = [visibility === 'private' ? '非公開' : '公開'];
+        if (hasPassword) {
+            labels.push('🔒 パスワードあり');
+        }
+        this.lobbyElements.roomAccess.textContent = labels.join(' / ');
+    }
+
+    /**
+     * ハウスルールの選択肢を設定（タイトル画面）
+     * @param {Object[]} ruleSets
+     */
+    setRuleSetOptions(ruleSets) {
+        const select = this.titleElements.ruleSetSelect;
+        select.innerHTML = '';
+
+        ruleSets.forEach(ruleSet => {
+            const option = document.createElement('option');
+            option.value = ruleSet.id;
+            option.textContent = ruleSet.name;
+            option.title = ruleSet.description;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * 公開ルーム一覧を更新（タイトル画面）
+     * @param {Object[]} rooms - サーバーの getListing() の配列
+     */
+    updateRoomBrowser(rooms) {
+        const list = this.titleElements.roomBrowserList;
+        list.innerHTML = '';
+
+        rooms.forEach(room => {
+            const li = document.createElement('li');
+            li.className = 'room-browser-item';
+            li.innerHTML = `
+        <span class="room-code">${this.escapeHtml(room.id)}${room.hasPassword ? ' 🔒' : ''}</span>
+        <span class="room-summary">
+          <span class="name">${this.escapeHtml(room.hostName || '')} のルーム</span>
+          <span class="detail">${this.escapeHtml(room.ruleSet.name)}／最低ベット ${room.minBet.toLocaleString()}／${GameUI.describeEndCondition(room.endCondition)}</span>
+        </span>
+        <span class="room-state ${room.isPlaying ? 'playing' : ''}">${room.isPlaying ? 'ゲーム中' : '募集中'}</span>
+        <span class="room-count">${room.playerCount + room.queuedCount}/${room.maxPlayers}</span>
+        <button class="icon-button" data-action="join" data-id="${room.id}" data-password="${room.hasPassword}" title="参加">🚪</button>
+        <button class="icon-button" data-action="spectate" data-id="${room.id}" data-password="${room.hasPassword}" title="観戦">👁</button>
+      `;
+            list.appendChild(li);
+        });
+
+        this.titleElements.roomBrowserEmpty.classList.toggle('hidden', rooms.length > 0);
+    }
+
+    /**
+     * 保存されたリプレイの一覧を更新（タイトル画面）
+     * @param {Object[]} replays - /api/replays の結果
+     */
+    updateReplayList(replays) {
+        const list = this.titleElements.replayList;
+        list.innerHTML = '';
+
+        replays.forEach(replay => {
+            const li = document.createElement('li');
+            li.className = 'room-browser-item';
+            const names = replay.players.map(p => this.escapeHtml(p.name)).join('・');
+            const result = replay.completed
+                ? `🥇 ${this.escapeHtml(replay.winner || '-')}`
+                : '途中終了';
+            li.innerHTML = `
+        <span class="room-code">${this.escapeHtml(replay.roomId)}</span>
+        <span class="room-summary">
+          <span class="name">${names}</span>
+          <span class="detail">${new Date(replay.endedAt).toLocaleString()}／${replay.rounds}ラウンド／${this.escapeHtml(replay.ruleSetName)}</span>
+        </span>
+        <span class="room-state">${result}</span>
+        <button class="icon-button" data-action="play" data-id="${replay.id}" title="再生">▶</button>
+      `;
+            list.appendChild(li);
+        });
+
+        this.titleElements.replayListEmpty.classList.toggle('hidden', replays.length > 0);
+    }
+
+    /**
+     * クイックマッチの待機表示を切り替える
+     * @param {boolean} waiting
+     * @param {string} [message]
+     */
+    setQuickMatchWaiting(waiting, message = '') {
+        this.titleElements.quickMatchBtn.classList.toggle('hidden', waiting);
+        this.titleElements.cancelQuickMatchBtn.classList.toggle('hidden', !waiting);
+        this.titleElements.quickMatchStatus.textContent = message;
+    }
+
+    /**
+     * 適用中のハウスルールを表示（ロビー）
+     * @param {Object} ruleSet
+     */
+    setRuleSetInfo(ruleSet) {
+        if (!ruleSet) return;
+        this.lobbyElements.ruleSetName.textContent = ruleSet.name;
+        this.lobbyElements.ruleSetDesc.textContent = ruleSet.description || '';
+    }
+
+    /**
+     * ラウンドの進行順を表示（ロビー）
+     * @param {string} roundFlow - 'child_first' | 'dealer_first'
+     */
+    setRoundFlowInfo(roundFlow) {
+        this.lobbyElements.roundFlowName.textContent = roundFlow === 'dealer_first' ? '／親先行' : '／子先行';
+    }
+
+    /**
+     * 胴元モードかどうかを表示（ロビー）
+     * @param {boolean} bankerMode
+     */
+    setBankerModeInfo(bankerMode) {
+        this.lobbyElements.bankerModeName.textContent = bankerMode ? '／胴元モード' : '';
+    }
+
+    /**
+     * 連荘ルールを表示（ロビー）
+     * @param {boolean} dealerContinuation
+     * @param {number|null} maxDealerStreak
+     */
+    setDealerContinuationInfo(dealerContinuation, maxDealerStreak) {
+        let text = '';
+        if (dealerContinuation) {
+            text = maxDealerStreak ? `／連荘${maxDealerStreak}回まで` : '／連荘あり';
+        }
+        this.lobbyElements.dealerContinuationName.textContent = text;
+    }
+
+    /**
+     * 終了条件を表示（ロビー）
+     * @param {{ type: string, value: number|null }} endCondition
+     */
+    setEndConditionInfo(endCondition) {
+        this.lobbyElements.endConditionName.textContent = `／${GameUI.describeEndCondition(endCondition)}`;
+    }
+
+    /**
+     * 終了条件の説明文
+     * @param {{ type: string, value: number|null }} endCondition
+     * @returns {string}
+     */
+    static describeEndCondition(endCondition) {
+        const { type, value } = endCondition || {};
+        switch (type) {
+            case 'sets': return `${value}セットで終了`;
+            case 'rounds': return `${value}ラウンドで終了`;
+            case 'time_limit': return `${Math.round(value / 60000)}分で終了`;
+            case 'chip_target': return `${value.toLocaleString()}点到達で終了`;
+            default: return '最後の1人まで';
+        }
+    }
+
+    /**
+     * ゲーム終了の理由の説明文
+     * @param {string} reason - GameEndCondition
+     * @returns {string}
+     */
+    static describeEndReason(reason) {
+        switch (reason) {
+            case 'last_standing': return '残り1人になりました';
+            case 'sets': return '規定のセット数を終えました';
+            case 'rounds': return '規定のラウンド数を終えました';
+            case 'time_limit': return '制限時間に達しました';
+            case 'chip_target': return '目標チップに到達したプレイヤーが出ました';
+            default: return '';
+        }
+    }
+
+    /**
+     * 最終順位の表示（ゲーム終了のオーバーレイ用）
+     * @param {Object[]} ranking - game_ended の ranking
+     * @returns {string} HTML
+     */
+    formatRankingHtml(ranking) {
+        const items = ranking.map((r, index) => {
+            const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : '';
+            const debtNote = r.debt > 0 ? `（所持 ${r.chips} / 借入 ${r.debt}）` : '';
+            return `<li>${medal} ${this.escapeHtml(r.name)}: 純資産 ${r.netWorth} チップ${debtNote}</li>`;
+        });
+        return `<ol>${items.join('')}</ol>`;
+    }
+
     /**
      * プレイヤーリストを更新（ロビー）
      * @param {Object[]} players 
      * @param {string} hostId 
      */
-    updateLobbyPlayerList(players, hostId) {
+    updateLobbyPlayerList(players, hostId, myId = null) {
         const list = this.lobbyElements.playerList;
         list.innerHTML = '';
+        const isHost = myId !== null && myId === hostId;
 
         players.forEach(player => {
             const li = document.createElement('li');
@@ -138,16 +400,201 @@ export class GameUI {
             if (player.id === hostId) {
                 li.classList.add('host');
             }
+            if (player.isBot) {
+                li.classList.add('bot');
+            }
+
+            // ホストには他のプレイヤーへの操作ボタンを表示（Bot は外すだけ）
+            let hostActions = '';
+            if (isHost && player.isBot) {
+                hostActions = `
+        <span class="host-actions">
+          <button class="icon-button" data-action="remove_bot" data-id="${player.id}" title="Botを外す">✖</button>
+        </span>`;
+            } else if (isHost && player.id !== myId) {
+                hostActions = `
+        <span class="host-actions">
+          <button class="icon-button" data-action="transfer" data-id="${player.id}" title="ホストを譲る">👑</button>
+          <button class="icon-button" data-action="kick" data-id="${player.id}" title="追放">👢</button>
+          <button class="icon-button" data-action="ban" data-id="${player.id}" title="追放して再参加を禁止（同じセッション・同じ接続元IPアドレスからの参加を断る）">⛔</button>
+        </span>`;
+            }
+
+            const status = player.isBot
+                ? `🤖 ${this.escapeHtml(player.personalityLabel)}`
+                : (player.isConnected ? '接続中' : '切断');
 
             li.innerHTML = `
         <span class="name">${this.escapeHtml(player.name)}</span>
-        <span class="status">${player.isConnected ? '接続中' : '切断'}</span>
+        <span class="status">${status}</span>${hostActions}
       `;
 
             list.appendChild(li);
         });
 
-        this.lobbyElements.playerCount.textContent = `(${players.length}/8)`;
+        this.lobbyElements.playerCount.textContent = `(${players.length}/${this.maxPlayers})`;
+        this.lobbyElements.botControls.classList.toggle('hidden', !isHost);
+    }
+
+    /**
+     * ルーム設定の入力欄を更新（ホスト以外は閲覧のみ）
+     * 秒単位で表示する項目は data-scale で換算する。
+     * @param {Object} settings - 現在の設定
+     * @param {Object<string, { min: number, max: number }>} bounds - 項目ごとの範囲
+     * @param {boolean} editable
+     */
+    setRoomSettings(settings, bounds, editable) {
+        this.maxPlayers = settings.maxPlayers;
+
+        this.lobbyElements.settingsForm.querySelectorAll('input[name]').forEach(input => {
+            const scale = Number(input.dataset.scale || 1);
+            const range = bounds[input.name];
+            input.value = settings[input.name] / scale;
+            input.min = range.min / scale;
+            input.max = range.max / scale;
+            input.disabled = !editable;
+        });
+
+        this.lobbyElements.saveSettingsBtn.classList.toggle('hidden', !editable);
+    }
+
+    /**
+     * 入力欄のルーム設定を取得（サーバーに送る単位に戻す）
+     * @returns {Object}
+     */
+    getRoomSettings() {
+        const settings = {};
+        this.lobbyElements.settingsForm.querySelectorAll('input[name]').forEach(input => {
+            const scale = Number(input.dataset.scale || 1);
+            settings[input.name] = Math.round(Number(input.value) * scale);
+        });
+        return settings;
+    }
+
+    /**
+     * 観戦者リストを更新（ロビー一覧とゲーム画面の人数表示）
+     * @param {Object[]} spectators
+     */
+    updateSpectatorList(spectators) {
+        const list = this.lobbyElements.spectatorList;
+        list.innerHTML = '';
+
+        spectators.forEach(spectator => {
+            const li = document.createElement('li');
+            li.className = 'player-list-item';
+            li.innerHTML = `<span class="name">${this.escapeHtml(spectator.name)}</span>`;
+            list.appendChild(li);
+        });
+
+        this.lobbyElements.spectatorCount.textContent = `(${spectators.length})`;
+        this.gameElements.spectatorCount.textContent = spectators.length > 0 ? `👁 ${spectators.length}` : '';
+    }
+
+    /**
+     * 途中参加の待ち行列を更新（ロビー一覧とゲーム画面の人数表示）
+     * @param {Object[]} queue
+     */
+    updateQueueList(queue) {
+        const list = this.lobbyElements.queueList;
+        list.innerHTML = '';
+
+        queue.forEach(player => {
+            const li = document.createElement('li');
+            li.className = 'player-list-item';
+            li.innerHTML = `<span class="name">${this.escapeHtml(player.name)}</span>`;
+            list.appendChild(li);
+        });
+
+        this.lobbyElements.queueCount.textContent = `(${queue.length})`;
+        this.gameElements.queueCount.textContent = queue.length > 0 ? `⏳ 参加待ち ${queue.length}` : '';
+    }
+
+    /**
+     * ロビーのルーム情報表示をまとめて更新
+     * @param {Object} room - サーバーの room.toJSON() 相当
+     * @param {string|null} myId - 自分のプレイヤーID（観戦者は null）
+     */
+    renderRoomInfo(room, myId) {
+        this.setRoomId(room.id);
+        this.setRoomAccessInfo(room.visibility, room.hasPassword);
+        this.setRuleSetInfo(room.ruleSet);
+        this.setRoundFlowInfo(room.roundFlow);
+        this.setBankerModeInfo(room.bankerMode);
+        this.setDealerContinuationInfo(room.dealerContinuation, room.maxDealerStreak);
+        this.setEndConditionInfo(room.endCondition);
+        this.setRoomSettings(room.settings, room.settingsBounds, room.hostId === myId);
+        this.updateLobbyPlayerList(room.players, room.hostId, myId);
+        this.updateQueueList(room.waitingQueue || []);
+        this.updateSpectatorList(room.spectators || []);
+    }
+
+    /**
+     * 観戦モードの切り替え（操作パネルを隠す）
+     * @param {boolean} spectating
+     * @param {string} [label] - 観戦バーの表示
+     */
+    setSpectatorMode(spectating, label = '👁 観戦中') {
+        this.screens.game.classList.toggle('spectating', spectating);
+        this.gameElements.spectatorLabel.textContent = label;
+    }
+
+    /**
+     * リプレイ再生モードの切り替え（操作パネル・ホスト操作を隠し、再生バーを出す）
+     * @param {boolean} replaying
+     * @param {string} [label] - 再生バーの表示
+     */
+    setReplayMode(replaying, label = '') {
+        this.screens.game.classList.toggle('replaying', replaying);
+        this.gameElements.replayLabel.textContent = label;
+    }
+
+    /**
+     * リプレイの再生位置を表示
+     * @param {number} position - 流したイベント数
+     * @param {number} total - 全イベント数
+     * @param {boolean} playing - 自動再生中か
+     */
+    setReplayProgress(position, total, playing) {
+        this.gameElements.replayProgress.textContent = `${position} / ${total}`;
+        this.gameElements.replayToggleBtn.textContent = playing ? '⏸' : '▶';
+        this.gameElements.replayStepBtn.disabled = position >= total;
+    }
+
+    /**
+     * ゲーム画面のホスト操作パネルを更新（ホスト以外には表示しない）
+     * @param {Object[]} players
+     * @param {string} hostId
+     * @param {string} myId
+     */
+    updateHostControls(players, hostId, myId) {
+        const isHost = hostId === myId;
+        this.gameElements.hostControls.classList.toggle('hidden', !isHost);
+        if (!isHost) return;
+
+        const select = this.gameElements.hostTargetSelect;
+        const selected = select.value;
+        select.innerHTML = '';
+
+        players.filter(p => p.id !== myId).forEach(player => {
+            const option = document.createElement('option');
+            option.value = player.id;
+            option.textContent = player.name;
+            select.appendChild(option);
+        });
+
+        if (players.some(p => p.id === selected)) {
+            select.value = selected;
+        }
+    }
+
+    /**
+     * 一時停止の表示を切り替え
+     * @param {boolean} paused
+     */
+    setPaused(paused) {
+        this.screens.game.classList.toggle('paused', paused);
+        this.gameElements.pauseBanner.classList.toggle('hidden', !paused);
+        this.gameElements.pauseGameBtn.textContent = paused ? '▶ 再開' : '⏸ 一時停止';
     }
 
     /**
@@ -184,6 +631,41 @@ export class GameUI {
         }
     }
 
+    /**
+     * 締め切りまでの残り時間を表示する
+     * serverTime との差でクライアントの時計のずれを補正する。
+     * @param {number|null} deadline - 締め切り時刻（サーバー時刻）
+     * @param {number} [serverTime] - 送信時のサーバー時刻
+     */
+    setDeadline(deadline, serverTime = Date.now()) {
+        const el = this.gameElements.turnTimer;
+
+        if (this.deadlineInterval) {
+            clearInterval(this.deadlineInterval);
+            this.deadlineInterval = null;
+        }
+
+        if (!deadline) {
+            el.classList.add('hidden');
+            return;
+        }
+
+        const offset = serverTime - Date.now();
+        const update = () => {
+            const remaining = Math.max(Math.ceil((deadline - (Date.now() + offset)) / 1000), 0);
+            el.textContent = `⏱ ${remaining}`;
+            el.classList.toggle('urgent', remaining <= 5);
+            if (remaining === 0) {
+                clearInterval(this.deadlineInterval);
+                this.deadlineInterval = null;
+            }
+        };
+
+        el.classList.remove('hidden');
+        update();
+        this.deadlineInterval = setInterval(update, 250);
+    }
+
     /**
      * 他プレイヤーの表示を更新
      * @param {Object[]} players - 自分以外のプレイヤー
@@ -214,6 +696,7 @@ export class GameUI {
             card.innerHTML = `
                 <div class="card-name">${player.isDealer ? '👑 ' : ''}${this.escapeHtml(player.name)}</div>
                 <div class="card-chips">💰 ${player.chips}</div>
+                ${player.debt > 0 ? `<div class="card-debt">借入 ${player.debt.toLocaleString()}</div>` : ''}
             `;
             card.appendChild(diceContainer);
 
@@ -328,6 +811,20 @@ export class GameUI {
         }
     }
 
+    /**
+     * 自分の借入残高を表示
+     * @param {number} debt - 借入残高
+     * @param {Object} [loan] - 台帳つきの借入情報（本人宛てのデータのみ）
+     */
+    setDebt(debt, loan = null) {
+        if (loan) {
+            this.creditLimit = loan.creditLimit;
+        }
+        this.availableCredit = Math.max(this.creditLimit - debt, 0);
+        this.gameElements.myDebt.textContent = `（借入 ${debt.toLocaleString()}）`;
+        this.gameElements.myDebt.classList.toggle('hidden', debt === 0);
+    }
+
     /**
      * 自分の情報を更新
      * @param {Object} player 
@@ -335,6 +832,7 @@ export class GameUI {
     setMyInfo(player) {
         this.gameElements.myName.textContent = player.name;
         this.gameElements.myChips.textContent = player.chips;
+        this.setDebt(player.debt || 0, player.loan);
 
         if (player.isDealer) {
             this.gameElements.myRoleBadge.textContent = '親';
@@ -387,12 +885,23 @@ export class GameUI {
         }
     }
 
+    /**
+     * 「親を降りる」ボタンを表示/非表示
+     * @param {boolean} show
+     */
+    showPassDealerControls(show) {
+        this.gameElements.passDealerControls.classList.toggle('hidden', !show);
+    }
+
     /**
      * ダウトコントロールを表示/非表示
      * @param {boolean} show 
      * @param {number} timeoutMs 
      */
     showDoubtControls(show, timeoutMs = 5000) {
+        // ダウトの操作欄がない画面（index.html には未配置）では何もしない
+        if (!this.gameElements.doubtControls) return;
+
         this.gameElements.doubtControls.classList.toggle('hidden', !show);
 
         if (show && window.gsap) {
@@ -429,8 +938,8 @@ export class GameUI {
                     const myChipsText = this.gameElements.myChips?.textContent || '0';
                     const maxChips = parseInt(myChipsText.replace(/,/g, '')) || 0;
 
-                    // ベット上限: 所持金 または 50000（借金枠）
-                    const limit = Math.max(maxChips, 50000);
+                    // ベット上限: 所持金 ＋ 借入枠の残り
+                    const limit = maxChips + this.availableCredit;
                     if (this.currentBet > limit) {
                         this.currentBet = limit;
                     }
@@ -697,6 +1206,86 @@ export class GameUI {
         this.gameElements.skillActionModal.classList.add('hidden');
     }
 
+    // ===== 状態の同期 =====
+
+    /**
+     * sync_state で受け取った状態だけから画面を作り直す（途中参加・観戦開始・再接続・表示がずれた時）
+     * 流れてきたイベントを知らなくても、ロビー／ゲーム画面・ダイス・手番・ベット・締め切り・
+     * スキルの選択待ち・このラウンドの結果が今の状態になる。
+     * @param {Object} state - サーバーの getSyncState() の結果
+     * @param {Function} onSkillChoice - スキルの選択肢を出し直した時に、選んだ値を受け取る
+     */
+    renderSyncState(state, onSkillChoice) {
+        const { viewer } = state;
+        const me = viewer.role === 'player' ? viewer.player : null;
+        const myId = me ? me.id : null;
+        const findName = (playerId) => state.players.find(p => p.id === playerId)?.name ?? '???';
+
+        this.setSpectatorMode(!me, viewer.role === 'queued' ? '⏳ 参加待ち（次のセットから参加します）' : undefined);
+        this.renderRoomInfo(state, myId);
+        this.updateHostControls(state.players, state.hostId, myId);
+        this.setPaused(state.isPaused);
+        this.hideSkillActionModal();
+        this.showDoubtControls(false);
+
+        if (state.state === 'waiting') {
+            this.setStartGameEnabled(myId !== null && state.hostId === myId && state.players.length >= 2);
+            this.setDeadline(null);
+            this.showScreen('lobby');
+            return;
+        }
+
+        this.setStartGameEnabled(false);
+        this.showScreen('game');
+        this.clearLog();
+        this.clearFairness();
+        this.gameElements.skillControls.classList.add('hidden');
+        this.setRoundNumber(state.roundNumber);
+        this.setDeadline(state.deadline, state.serverTime);
+
+        // 卓の表示（ダイス・役・手番）
+        const dealer = state.players.find(p => p.id === state.currentDealerId);
+        this.setDealerInfo(dealer ? dealer.name : '-', dealer?.currentDice, dealer?.currentHand?.displayName);
+        const current = state.players.find(p => p.id === state.currentPlayerId);
+        this.setCurrentPlayerInfo(current ? current.name : '-', current?.currentDice, current?.currentHand?.displayName);
+        this.updateOtherPlayers(state.players.filter(p => p.id !== myId), state.currentPlayerId);
+
+        // 自分の席と、今のフェーズで自分が操作できるもの
+        if (me) {
+            this.setMyInfo(me);
+            this.setMySkill(me.skill);
+
+            const myRollTurn = (state.state === 'dealer_roll' && me.isDealer)
+                || (state.state === 'player_roll' && state.currentPlayerId === myId);
+            this.showBetControls(state.state === 'betting' && !me.isDealer && me.currentBet === 0);
+            this.showRollControls(myRollTurn && !me.hasRolled);
+            this.showPassDealerControls(state.state === 'result' && state.dealerContinuation && me.isDealer);
+        } else {
+            this.showBetControls(false);
+            this.showRollControls(false);
+            this.showPassDealerControls(false);
+        }
+
+        // ログ: ベット・保留中の操作・このラウンドの結果
+        this.logMessage(me ? `ラウンド ${state.roundNumber} に復帰しました` : `ラウンド ${state.roundNumber} から観戦を開始しました`, 'important');
+        state.players.filter(p => p.currentBet > 0).forEach(p => {
+            this.logMessage(`${p.id === myId ? 'あなた' : p.name} が ${p.currentBet} チップをベット済み`, 'normal');
+        });
+        if (state.interruptWindow) {
+            this.logMessage(`${findName(state.interruptWindow.targetPlayerId)} のダイスにダウト受付中`, 'normal');
+        }
+        if (state.pendingAction) {
+            if (state.pendingAction.prompt) {
+                this.showSkillActionModal(state.pendingAction.prompt.actionData, onSkillChoice);
+            } else {
+                this.logMessage(`${findName(state.pendingAction.playerId)} が「${state.pendingAction.skillName}」を発動中...`, 'important');
+            }
+        }
+        if (state.roundResults.length > 0) {
+            this.logRoundResults(state.roundResults, state.players);
+        }
+    }
+
     // ===== ビジュアルエフェクト =====
 
     /**
@@ -835,6 +1424,110 @@ export class GameUI {
         this.gameElements.log.innerHTML = '';
     }
 
+    /**
+     * ラウンドの勝敗をログに出す
+     * @param {Object[]} results - round_result の results
+     * @param {Object[]} players - 名前を引くためのプレイヤー一覧
+     */
+    logRoundResults(results, players) {
+        results.forEach(result => {
+            const player = players.find(p => p.id === result.playerId);
+            if (!player) return;
+
+            // 親先行の即決着では子は振っていない
+            const handName = result.instant ? '（即決着）' : result.playerHand.displayName;
+
+            // winner が null の場合は同点流し（引き分け）
+            if (!result.winner) {
+                this.logMessage(`${player.name}: ${handName} vs 親 → 引き分け (±0)`, 'normal');
+                return;
+            }
+            const sign = result.winner === 'player' ? '+' : '-';
+
+            // 胴元モードで親のチップが尽きた場合（頭ハネ）
+            let payoutNote = '';
+            if (result.payoutStatus === 'partial') {
+                payoutNote = ` ※頭ハネ: ${result.owed}のうち一部のみ`;
+            } else if (result.payoutStatus === 'refused') {
+                payoutNote = ' ※頭ハネ: 支払いなし';
+            }
+
+            this.logMessage(
+                `${player.name}: ${handName} vs 親 → ${result.winner === 'player' ? '勝ち' : '負け'} (${sign}${result.chipTransfer})${payoutNote}`,
+                result.winner === 'player' ? 'result' : 'normal'
+            );
+        });
+    }
+
+    // ===== 公平性検証 =====
+
+    /**
+     * ラウンドのコミット（サーバーシードのハッシュ）を表示
+     * @param {string|null} serverSeedHash
+     */
+    setFairnessCommit(serverSeedHash) {
+        const el = this.gameElements.fairnessCommit;
+        el.textContent = serverSeedHash ? `${serverSeedHash.slice(0, 16)}…` : '-';
+        el.title = serverSeedHash || '';
+    }
+
+    /**
+     * クライアントシード入力欄の値を取得
+     * @returns {string}
+     */
+    getClientSeed() {
+        return this.gameElements.clientSeedInput.value.trim();
+    }
+
+    /**
+     * クライアントシード入力欄に値を設定
+     * @param {string} seed
+     */
+    setClientSeed(seed) {
+        this.gameElements.clientSeedInput.value = seed;
+    }
+
+    /**
+     * リビールされたラウンドを一覧に追加
+     * @param {Object} record - fairness_revealed の記録
+     * @param {Function} onVerify - 検証ボタン押下時のコールバック（Promise<検証結果>を返す）
+     */
+    addFairnessRecord(record, onVerify) {
+        const entry = document.createElement('div');
+        entry.className = 'fairness-round';
+        entry.innerHTML = `
+            <div class="fairness-round-header">
+                <span>R${record.roundNumber}（${record.rolls.length}回）</span>
+                <button class="fairness-verify-btn">検証</button>
+            </div>
+            <div class="fairness-round-result"></div>
+        `;
+
+        const resultEl = entry.querySelector('.fairness-round-result');
+        entry.querySelector('.fairness-verify-btn').addEventListener('click', async () => {
+            resultEl.textContent = '検証中...';
+            const verification = await onVerify(record);
+            resultEl.innerHTML = verification.rolls.map(roll =>
+                `<div class="${roll.match ? 'ok' : 'ng'}">${roll.match ? '✔' : '✖'} #${roll.nonce}: ${roll.dice.join('-')}</div>`
+            ).join('');
+            entry.classList.add(verification.valid ? 'valid' : 'invalid');
+            if (!verification.hashMatches) {
+                resultEl.insertAdjacentHTML('afterbegin', '<div class="ng">✖ シードがコミットと一致しません</div>');
+            }
+        });
+
+        const container = this.gameElements.fairnessRounds;
+        container.prepend(entry);
+    }
+
+    /**
+     * 公平性検証パネルをクリア
+     */
+    clearFairness() {
+        this.setFairnessCommit(null);
+        this.gameElements.fairnessRounds.innerHTML = '';
+    }
+
     // ===== トースト =====
 
     /**
@@ -144,6 +144,29 @@ export class CheatTracker {
         this.cheatLog = [];
         this.currentRound = 0;
     }
+
+    /**
+     * 保存用の状態
+     * @returns {Object}
+     */
+    toSnapshot() {
+        return {
+            cheatLog: this.cheatLog,
+            currentRound: this.currentRound
+        };
+    }
+
+    /**
+     * 保存した状態から作り直す
+     * @param {Object} snapshot - toSnapshot の結果
+     * @returns {CheatTracker}
+     */
+    static fromSnapshot(snapshot) {
+        const tracker = new CheatTracker();
+        tracker.cheatLog = snapshot.cheatLog.map(entry => ({ ...entry }));
+        tracker.currentRound = snapshot.currentRound;
+        return tracker;
+    }
 }
 
 /**
@@ -0,0 +1,154 @@
+/**
+ * DeadlineTimer - 締め切り付きタイマー
+ *
+ * setTimeout を包み、締め切りをサーバー時刻（ミリ秒のタイムスタンプ）で保持する。
+ * クライアントには締め切り時刻をそのまま送り、残り時間の表示に使ってもらう。
+ * 一時停止中は残り時間だけを保持し、再開時にその時間で締め切りを取り直す。
+ * 締め切り時に呼ぶ関数は保存できないので、復元時は持ち主が label から関数を決め直して渡す。
+ */
+
+export class DeadlineTimer {
+    constructor() {
+        /** @type {number|null} setTimeout のID */
+        this.timerId = null;
+
+        /** @type {number|null} 締め切り時刻（Date.now() 基準） */
+        this.deadline = null;
+
+        /** @type {string|null} 何の締め切りか（ログ・通知用） */
+        this.label = null;
+
+        /** @type {Function|null} 締め切り時に呼ぶ関数（一時停止からの再開用） */
+        this.callback = null;
+
+        /** @type {number|null} 一時停止中の残り時間 */
+        this.pausedRemaining = null;
+    }
+
+    /**
+     * タイマーを開始（既存のタイマーは破棄）
+     * @param {number} ms - 締め切りまでの時間
+     * @param {Function} callback - 締め切り時に呼ぶ関数
+     * @param {string|null} [label]
+     * @returns {number} 締め切り時刻
+     */
+    start(ms, callback, label = null) {
+        this.clear();
+
+        this.label = label;
+        this.callback = callback;
+        this.deadline = Date.now() + ms;
+        this.timerId = setTimeout(() => {
+            this.timerId = null;
+            this.deadline = null;
+            this.label = null;
+            this.callback = null;
+            callback();
+        }, ms);
+
+        return this.deadline;
+    }
+
+    /**
+     * タイマーを一時停止（残り時間を保持する）
+     * @returns {boolean} 停止したか（動いていなければ false）
+     */
+    pause() {
+        if (!this.isActive()) return false;
+
+        clearTimeout(this.timerId);
+        this.timerId = null;
+        this.pausedRemaining = this.getRemaining();
+        this.deadline = null;
+        return true;
+    }
+
+    /**
+     * 一時停止したタイマーを残り時間で再開
+     * @returns {number|null} 新しい締め切り時刻（一時停止していなければ null）
+     */
+    resume() {
+        if (!this.isPaused()) return null;
+
+        const remaining = this.pausedRemaining;
+        this.pausedRemaining = null;
+        return this.start(remaining, this.callback, this.label);
+    }
+
+    /**
+     * 一時停止中か
+     * @returns {boolean}
+     */
+    isPaused() {
+        return this.pausedRemaining !== null;
+    }
+
+    /**
+     * タイマーを止める
+     */
+    clear() {
+        if (this.timerId) {
+            clearTimeout(this.timerId);
+        }
+        this.timerId = null;
+        this.deadline = null;
+        this.label = null;
+        this.callback = null;
+        this.pausedRemaining = null;
+    }
+
+    /**
+     * タイマーが動いているか
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.timerId !== null;
+    }
+
+    /**
+     * 締め切りまでの残り時間
+     * @returns {number} ミリ秒（タイマー停止中は0）
+     */
+    getRemaining() {
+        return this.deadline ? Math.max(this.deadline - Date.now(), 0) : 0;
+    }
+
+    // ===== 保存・復元 =====
+
+    /**
+     * 保存用の状態（動いていなければ null）
+     * @returns {{ label: string|null, deadline: number|null, pausedRemaining: number|null }|null}
+     */
+    toSnapshot() {
+        if (!this.isActive() && !this.isPaused()) return null;
+
+        return {
+            label: this.label,
+            deadline: this.deadline,
+            pausedRemaining: this.pausedRemaining
+        };
+    }
+
+    /**
+     * 保存した締め切りでタイマーを掛け直す（一時停止中だったものは止めたまま戻す）
+     * @param {Object|null} snapshot - toSnapshot の結果
+     * @param {Function} callback - 締め切り時に呼ぶ関数
+     * @param {number} [minMs=0] - 締め切りまで最低限残す時間（停止中に過ぎた締め切りもこの時間は待つ）
+     * @returns {number|null} 締め切り時刻（一時停止中・保存がなければ null）
+     */
+    restoreSnapshot(snapshot, callback, minMs = 0) {
+        this.clear();
+        if (!snapshot) return null;
+
+        if (snapshot.pausedRemaining !== null) {
+            this.label = snapshot.label;
+            this.callback = callback;
+            this.pausedRemaining = Math.max(snapshot.pausedRemaining, minMs);
+            return null;
+        }
+
+        return this.start(Math.max(snapshot.deadline - Date.now(), minMs), callback, snapshot.label);
+    }
+}
+
+export default DeadlineTimer;
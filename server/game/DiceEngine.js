@@ -8,6 +8,8 @@
  * 4. 通常の目 (2つ同じで残り1つが目) - 等倍、目の数字で勝負
  * 5. 目なし (ションベン) - 振り直し、3回で負け
  * 6. ヒフミ (1,2,3) - 即負け
+ *
+ * 上記は標準ルール。ハウスルールは RuleSet（rules/RuleSet.js）で差し替える。
  */
 
 // 役の種類
@@ -21,7 +23,7 @@ export const HandType = {
 };
 
 // 役の強さランク（高いほど強い）
-const HandRank = {
+export const HandRank = {
     [HandType.PINZORO]: 100,
     [HandType.ARASHI]: 80,    // + ゾロ目の数値
     [HandType.SHIGORO]: 70,
@@ -40,30 +42,41 @@ export const Multiplier = {
     [HandType.HIFUMI]: { dealer: 2, player: 2 } // ヒフミは2倍付け/2倍払い
 };
 
-export class DiceEngine {
-    // テストモード: true にするとピンゾロとアラシが出やすくなる
-    static TEST_MODE = false;
+// 同点時の扱い
+export const TieRule = {
+    DEALER: 'dealer',   // 親の勝ち
+    PUSH: 'push'        // 引き分け（チップ移動なし）
+};
 
+/**
+ * 標準ルールの定義
+ * RuleSet を渡さずに判定した場合はこの定義が使われる。
+ * @type {RuleDefinition}
+ */
+export const STANDARD_RULES = {
+    id: 'standard',
+    name: '標準ルール',
+    description: 'ピンゾロ親5倍/子3倍、アラシ3倍、シゴロ2倍、ヒフミ2倍払い。同点は親の勝ち。',
+    handRank: HandRank,
+    multiplier: Multiplier,
+    tieRule: TieRule.DEALER,
+    enabledHands: {
+        [HandType.PINZORO]: true,
+        [HandType.ARASHI]: true,
+        [HandType.SHIGORO]: true,
+        [HandType.HIFUMI]: true
+    },
+    arashiValueRanked: true
+};
+
+export class DiceEngine {
     /**
-     * サイコロを振る
+     * サイコロを振る（一様乱数）
+     * ルーム内のロールは GameRoom のダイスソース（dice/）を通すこと。
      * @param {number} count - 振るサイコロの数（デフォルト3）
      * @returns {number[]} 出目の配列
      */
     static roll(count = 3) {
-        // テストモード: 50%の確率でピンゾロまたはアラシを返す
-        if (DiceEngine.TEST_MODE && count === 3) {
-            const rand = Math.random();
-            if (rand < 0.25) {
-                // 25%でピンゾロ
-                return [1, 1, 1];
-            } else if (rand < 0.50) {
-                // 25%でアラシ（2〜6のゾロ目）
-                const value = Math.floor(Math.random() * 5) + 2;
-                return [value, value, value];
-            }
-            // 残り50%は通常ロール
-        }
-
         const dice = [];
         for (let i = 0; i < count; i++) {
             dice.push(Math.floor(Math.random() * 6) + 1);
@@ -75,55 +88,59 @@ export class DiceEngine {
     /**
      * 出目から役を判定する
      * @param {number[]} dice - 3つのサイコロの出目
+     * @param {RuleDefinition} [rules] - 適用するルール（省略時は標準ルール）
      * @returns {HandResult} 役の判定結果
      */
-    static evaluateHand(dice) {
+    static evaluateHand(dice, rules = STANDARD_RULES) {
         if (dice.length !== 3) {
             throw new Error('チンチロリンは3つのサイコロが必要です');
         }
 
         const sorted = [...dice].sort((a, b) => a - b);
         const [d1, d2, d3] = sorted;
+        const { handRank, enabledHands } = rules;
 
         // ヒフミ (1,2,3) - 即負け
-        if (d1 === 1 && d2 === 2 && d3 === 3) {
+        if (enabledHands[HandType.HIFUMI] && d1 === 1 && d2 === 2 && d3 === 3) {
             return {
                 type: HandType.HIFUMI,
                 value: 0,
-                rank: HandRank[HandType.HIFUMI],
+                rank: handRank[HandType.HIFUMI],
                 dice: sorted,
                 displayName: 'ヒフミ'
             };
         }
 
         // シゴロ (4,5,6) - 高配当役
-        if (d1 === 4 && d2 === 5 && d3 === 6) {
+        if (enabledHands[HandType.SHIGORO] && d1 === 4 && d2 === 5 && d3 === 6) {
             return {
                 type: HandType.SHIGORO,
                 value: 0,
-                rank: HandRank[HandType.SHIGORO],
+                rank: handRank[HandType.SHIGORO],
                 dice: sorted,
                 displayName: 'シゴロ'
             };
         }
 
         // ピンゾロ (1,1,1)
-        if (d1 === 1 && d2 === 1 && d3 === 1) {
+        if (enabledHands[HandType.PINZORO] && d1 === 1 && d2 === 1 && d3 === 1) {
             return {
                 type: HandType.PINZORO,
                 value: 1,
-                rank: HandRank[HandType.PINZORO],
+                rank: handRank[HandType.PINZORO],
                 dice: sorted,
                 displayName: 'ピンゾロ'
             };
         }
 
         // アラシ (ゾロ目)
-        if (d1 === d2 && d2 === d3) {
+        // 無効なルールでは下の「通常の目」に落ちる（X,X,X → Xの目）
+        if (enabledHands[HandType.ARASHI] && d1 === d2 && d2 === d3) {
             return {
                 type: HandType.ARASHI,
                 value: d1,
-                rank: HandRank[HandType.ARASHI] + d1, // 目の大きさで強弱あり？通常はアラシ同士は引き分けだが、ここでは数値も加味
+                // arashiValueRanked が false ならアラシ同士は同ランク
+                rank: handRank[HandType.ARASHI] + (rules.arashiValueRanked ? d1 : 0),
                 dice: sorted,
                 displayName: `アラシ(${d1})`
             };
@@ -134,7 +151,7 @@ export class DiceEngine {
             return {
                 type: HandType.NORMAL,
                 value: d3,
-                rank: HandRank[HandType.NORMAL] + d3,
+                rank: handRank[HandType.NORMAL] + d3,
                 dice: sorted,
                 displayName: `${d3}の目`
             };
@@ -143,7 +160,7 @@ export class DiceEngine {
             return {
                 type: HandType.NORMAL,
                 value: d1,
-                rank: HandRank[HandType.NORMAL] + d1,
+                rank: handRank[HandType.NORMAL] + d1,
                 dice: sorted,
                 displayName: `${d1}の目`
             };
@@ -152,7 +169,7 @@ export class DiceEngine {
             return {
                 type: HandType.NORMAL,
                 value: d2,
-                rank: HandRank[HandType.NORMAL] + d2,
+                rank: handRank[HandType.NORMAL] + d2,
                 dice: sorted,
                 displayName: `${d2}の目`
             };
@@ -162,7 +179,7 @@ export class DiceEngine {
         return {
             type: HandType.MENASHI,
             value: 0,
-            rank: HandRank[HandType.MENASHI],
+            rank: handRank[HandType.MENASHI],
             dice: sorted,
             displayName: '目なし'
         };
@@ -173,9 +190,10 @@ export class DiceEngine {
      * @param {HandResult} hand1 - 親の役
      * @param {HandResult} hand2 - 子の役
      * @param {boolean} forceResolution - trueの場合、目なしでも勝敗を強制決定する（デフォルトfalse）
+     * @param {RuleDefinition} [rules] - 適用するルール（省略時は標準ルール）
      * @returns {CompareResult} 比較結果
      */
-    static compareHands(hand1, hand2, forceResolution = false) {
+    static compareHands(hand1, hand2, forceResolution = false, rules = STANDARD_RULES) {
         // 目なしの場合は特別処理（振り直し扱い）
         // forceResolution が true の場合は無視してランク比較へ
         if (!forceResolution && (hand1.type === HandType.MENASHI || hand2.type === HandType.MENASHI)) {
@@ -201,7 +219,15 @@ export class DiceEngine {
             };
         }
 
-        // 同ランクの場合は引き分け（親の勝ち）
+        // 同ランク: ルールにより引き分け（流し）または親の勝ち
+        if (rules.tieRule === TieRule.PUSH) {
+            return {
+                winner: null,
+                reason: '同点（引き分け）',
+                margin: 0
+            };
+        }
+
         return {
             winner: 'dealer',
             reason: '同点（親勝ち）',
@@ -213,13 +239,47 @@ export class DiceEngine {
      * 配当倍率を取得
      * @param {HandResult} hand - 役
      * @param {boolean} isDealer - 親かどうか
+     * @param {RuleDefinition} [rules] - 適用するルール（省略時は標準ルール）
      * @returns {number} 配当倍率
      */
-    static getMultiplier(hand, isDealer) {
-        const mult = Multiplier[hand.type];
+    static getMultiplier(hand, isDealer, rules = STANDARD_RULES) {
+        const mult = rules.multiplier[hand.type];
         return isDealer ? mult.dealer : mult.player;
     }
 
+    /**
+     * 親子の勝負で動くチップの倍率（親の倍率 × 子の倍率）
+     * @param {HandResult} dealerHand - 親の役
+     * @param {HandResult} playerHand - 子の役
+     * @param {RuleDefinition} [rules] - 適用するルール（省略時は標準ルール）
+     * @returns {number}
+     */
+    static getPayoutMultiplier(dealerHand, playerHand, rules = STANDARD_RULES) {
+        return DiceEngine.getMultiplier(dealerHand, true, rules) *
+            DiceEngine.getMultiplier(playerHand, false, rules);
+    }
+
+    /**
+     * 親先行ルールで、親の役だけで勝負が決まるかを判定する
+     * シゴロ・ピンゾロ・アラシは親の総取り、ヒフミと目なし（振り直し上限）は親の総払い。
+     * 無効化された役は evaluateHand の時点で別の役になっているので考慮不要。
+     * @param {HandResult} dealerHand - 親の確定した役
+     * @returns {'dealer'|'player'|null} 即決着の勝者（子が振る必要がある場合はnull）
+     */
+    static getInstantWinner(dealerHand) {
+        switch (dealerHand.type) {
+            case HandType.PINZORO:
+            case HandType.ARASHI:
+            case HandType.SHIGORO:
+                return 'dealer';
+            case HandType.HIFUMI:
+            case HandType.MENASHI:
+                return 'player';
+            default:
+                return null;
+        }
+    }
+
     /**
      * 役の日本語名を取得
      * @param {HandType} type - 役の種類
@@ -254,3 +314,15 @@ export class DiceEngine {
  * @property {number} [margin] - ランク差
  * @property {'dealer'|'player'} [needsReroll] - 振り直しが必要なプレイヤー
  */
+
+/**
+ * @typedef {Object} RuleDefinition
+ * @property {string} id - ルールID
+ * @property {string} name - 表示名
+ * @property {string} [description] - 説明
+ * @property {Object<HandType, number>} handRank - 役の強さランク
+ * @property {Object<HandType, {dealer: number, player: number}>} multiplier - 配当倍率
+ * @property {TieRule} tieRule - 同点時の扱い
+ * @property {Object<HandType, boolean>} enabledHands - 有効な役（ピンゾロ/アラシ/シゴロ/ヒフミ）
+ * @property {boolean} arashiValueRanked - アラシの目の大きさで強弱をつけるか
+ */
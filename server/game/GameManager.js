@@ -5,26 +5,113 @@
  * プレイヤーの接続・切断・再接続を処理する。
  */
 
+import { v4 as uuidv4 } from 'uuid';
 import { GameRoom } from './GameRoom.js';
 import { Player } from './Player.js';
-import { GameConfig } from './GameState.js';
+import { Spectator } from './Spectator.js';
+import { RoomSettings } from './RoomSettings.js';
+import { RoomCodeAllocator } from './RoomCodeAllocator.js';
+import { SessionTokens } from './SessionTokens.js';
+import { GameState, GameConfig, GameEvent, RoundFlow, AutoBetMode, RoomVisibility, GameEndCondition } from './GameState.js';
+import { RuleSetRegistry } from './rules/RuleSetRegistry.js';
+import { DiceSourceRegistry } from './dice/DiceSourceRegistry.js';
+
+// ホストが設定できる持ち時間の範囲（ミリ秒）
+const MIN_TIMEOUT_MS = 5000;
+const MAX_TIMEOUT_MS = 300000;
+
+// 途中参加者に渡せるチップの上限
+const MAX_CATCH_UP_CHIPS = 1000000;
+
+// ルーム一覧を受け取るクライアントの Socket.io ルーム名（ルームIDは英大文字・数字のみなので重ならない）
+const LOBBY_CHANNEL = 'lobby';
+
+// 終了条件ごとの値の範囲（CHIP_TARGET の下限はルームの初期チップ+1）
+const END_CONDITION_RANGES = {
+    [GameEndCondition.SETS]: [1, 20],
+    [GameEndCondition.ROUNDS]: [1, 500],
+    [GameEndCondition.TIME_LIMIT]: [60000, 3 * 60 * 60 * 1000],
+    [GameEndCondition.CHIP_TARGET]: [GameConfig.INITIAL_CHIPS + 1, 100000000]
+};
 
 export class GameManager {
     /**
      * @param {Object} io - Socket.ioサーバーインスタンス
+     * @param {Object} [options]
+     * @param {{ length?: number, alphabet?: string }} [options.roomCode] - ルームIDの桁数・文字
+     *   （省略時は環境変数 ROOM_CODE_LENGTH・ROOM_CODE_ALPHABET、なければ GameConfig の値）
+     * @param {ReplayStore} [options.replayStore] - ゲームの記録の保存先（省略時は記録しない）
+     * @param {RoomSnapshotStore} [options.snapshotStore] - ルームの状態の保存先（省略時は保存しない）
+     * @param {SessionTokens} [options.sessionTokens] - 再接続用トークンの発行・検証
+     *   （省略時はその場で作った鍵を使うので、再起動すると以前のトークンは使えなくなる）
+     * @param {{ graceMs?: number, dropMs?: number }} [options.disconnect] - ゲーム中に切断したプレイヤーを
+     *   自動操作に切り替えるまで・退出させるまでの時間
+     *   （省略時は環境変数 DISCONNECT_GRACE_MS・DISCONNECT_DROP_MS、なければ GameConfig の値）
+     * @param {boolean} [options.trustProxy] - 接続元アドレスを X-Forwarded-For から取るか
+     *   （リバースプロキシの後ろで動かす時だけ有効にする。省略時は環境変数 TRUST_PROXY === 'true'）
      */
-    constructor(io) {
+    constructor(io, options = {}) {
         /** @type {Object} Socket.ioインスタンス */
         this.io = io;
 
         /** @type {Map<string, GameRoom>} ルームID → GameRoom */
         this.rooms = new Map();
 
+        /** @type {RoomCodeAllocator} ルームIDの払い出し */
+        this.roomCodes = new RoomCodeAllocator({
+            length: options.roomCode?.length ?? (Number(process.env.ROOM_CODE_LENGTH) || undefined),
+            alphabet: options.roomCode?.alphabet ?? process.env.ROOM_CODE_ALPHABET
+        });
+
         /** @type {Map<string, string>} SocketID → RoomID */
         this.socketToRoom = new Map();
 
         /** @type {Map<string, string>} SocketID → PlayerID */
         this.socketToPlayer = new Map();
+
+        /** @type {Map<string, string>} 観戦者のSocketID → RoomID */
+        this.spectatorToRoom = new Map();
+
+        /** @type {{ socketId: string, playerName: string, sessionToken?: string }[]} クイックマッチの待ち行列（先着順） */
+        this.quickMatchQueue = [];
+
+        /** @type {NodeJS.Timeout|null} ルーム一覧の配信待ちタイマー */
+        this.roomListTimer = null;
+
+        /** @type {string|null} 最後に配信したルーム一覧（変化がなければ配信しない） */
+        this.lastRoomListJson = null;
+
+        /** @type {ReplayStore|null} ゲームの記録の保存先 */
+        this.replayStore = options.replayStore || null;
+
+        /** @type {RoomSnapshotStore|null} ルームの状態の保存先（再起動時の復元に使う） */
+        this.snapshotStore = options.snapshotStore || null;
+
+        /** @type {SessionTokens} 再接続用トークンの発行・検証 */
+        this.sessionTokens = options.sessionTokens || SessionTokens.createEphemeral();
+
+        /** @type {{ graceMs: number, dropMs: number }} ゲーム中に切断したプレイヤーの扱い */
+        this.disconnectPolicy = {
+            graceMs: options.disconnect?.graceMs ??
+                (Number(process.env.DISCONNECT_GRACE_MS) || GameConfig.DISCONNECT_GRACE_MS),
+            dropMs: options.disconnect?.dropMs ??
+                (Number(process.env.DISCONNECT_DROP_MS) || GameConfig.DISCONNECT_DROP_MS)
+        };
+
+        /** @type {boolean} 接続元アドレスを X-Forwarded-For から取るか */
+        this.trustProxy = options.trustProxy ?? process.env.TRUST_PROXY === 'true';
+
+        /** @type {Map<string, { graceTimer: NodeJS.Timeout, dropTimer: NodeJS.Timeout }>} 切断中のプレイヤーID → 猶予タイマー */
+        this.disconnectTimers = new Map();
+
+        /** @type {RuleSetRegistry} ハウスルール登録 */
+        this.ruleSetRegistry = new RuleSetRegistry();
+
+        /** @type {DiceSourceRegistry} ダイスソース登録 */
+        this.diceSourceRegistry = new DiceSourceRegistry();
+
+        /** @type {boolean} デバッグ用のダイスソース切り替えを許可するか */
+        this.diceDebugEnabled = process.env.ENABLE_DICE_DEBUG === 'true';
     }
 
     // ===== ルーム管理 =====
@@ -33,14 +120,106 @@ export class GameManager {
      * 新しいルームを作成
      * @param {string} hostSocketId - ホストのSocket ID
      * @param {string} hostName - ホストの表示名
-     * @returns {Object} 結果
+     * @param {Object} [options] - ルーム作成オプション
+     * @param {string} [options.ruleSetId] - 登録済みルールのID
+     * @param {Object} [options.customRules] - 標準ルールへの上書き（カスタムルール）
+     * @param {RoundFlow} [options.roundFlow] - ラウンドの進行順
+     * @param {boolean} [options.bankerMode] - 胴元モード
+     * @param {boolean} [options.dealerContinuation] - 連荘
+     * @param {number|null} [options.maxDealerStreak] - 連荘の上限回数
+     * @param {{ betMs?: number, rollMs?: number }} [options.timeouts] - フェーズごとの持ち時間
+     * @param {AutoBetMode} [options.autoBet] - 時間切れ時の自動ベット額
+     * @param {{ type: GameEndCondition, value?: number }} [options.endCondition] - ゲームの終了条件
+     * @param {number|null} [options.catchUpChips] - 途中参加者の初期チップ
+     * @param {Object} [options.settings] - ルームごとの設定（RoomSettings の項目）
+     * @param {RoomVisibility} [options.visibility] - 公開設定
+     * @param {string} [options.password] - 参加パスワード（空文字ならなし）
+     * @param {string} [options.sessionToken] - 以前に受け取ったセッショントークン（あれば同じセッションを使い続ける）
+     * @returns {Object} 結果（sessionToken: 再接続に使うトークン。本人にだけ返す）
      */
-    createRoom(hostSocketId, hostName) {
+    createRoom(hostSocketId, hostName, options = {}) {
+        // ハウスルールを決定
+        const ruleSetResult = this.resolveRuleSet(options);
+        if (!ruleSetResult.success) {
+            return ruleSetResult;
+        }
+
+        const roundFlow = options.roundFlow || RoundFlow.CHILD_FIRST;
+        if (!Object.values(RoundFlow).includes(roundFlow)) {
+            return { success: false, error: '進行順の指定が不正です' };
+        }
+
+        const maxDealerStreak = options.maxDealerStreak ?? null;
+        if (maxDealerStreak !== null && !(Number.isInteger(maxDealerStreak) && maxDealerStreak >= 1)) {
+            return { success: false, error: '連荘の上限回数は1以上の整数で指定してください' };
+        }
+
+        const timeoutError = this.validateTimeouts(options.timeouts);
+        if (timeoutError) {
+            return { success: false, error: timeoutError };
+        }
+        if (options.autoBet !== undefined && !Object.values(AutoBetMode).includes(options.autoBet)) {
+            return { success: false, error: '自動ベットの設定が不正です' };
+        }
+
+        if (options.settings !== undefined) {
+            const settingsError = RoomSettings.validate(options.settings);
+            if (settingsError) {
+                return { success: false, error: settingsError };
+            }
+        }
+        const settings = new RoomSettings(options.settings);
+
+        const endConditionError = this.validateEndCondition(options.endCondition, settings.initialChips);
+        if (endConditionError) {
+            return { success: false, error: endConditionError };
+        }
+
+        const catchUpChips = options.catchUpChips ?? null;
+        if (catchUpChips !== null
+            && !(Number.isInteger(catchUpChips) && catchUpChips >= settings.minBet && catchUpChips <= MAX_CATCH_UP_CHIPS)) {
+            return { success: false, error: `途中参加のチップは${settings.minBet}〜${MAX_CATCH_UP_CHIPS}で指定してください` };
+        }
+
+        const visibility = options.visibility ?? RoomVisibility.PUBLIC;
+        if (!Object.values(RoomVisibility).includes(visibility)) {
+            return { success: false, error: '公開設定が不正です' };
+        }
+        const password = options.password || null;
+        if (password !== null && (typeof password !== 'string' || password.length > GameConfig.ROOM_PASSWORD_MAX_LENGTH)) {
+            return { success: false, error: `パスワードは${GameConfig.ROOM_PASSWORD_MAX_LENGTH}文字以内にしてください` };
+        }
+
+        const roomId = this.roomCodes.allocate();
+        if (!roomId) {
+            return { success: false, error: 'ルームIDの空きがありません。しばらくしてからお試しください' };
+        }
+
         // プレイヤーを作成
-        const player = new Player(hostSocketId, hostName, hostSocketId);
+        const session = this.startSession(options.sessionToken);
+        const player = new Player(uuidv4(), hostName, hostSocketId);
+        player.sessionId = session.sessionId;
+        player.clientAddress = this.getClientAddress(hostSocketId);
 
         // ルームを作成
-        const room = new GameRoom(hostSocketId, this.io);
+        const room = new GameRoom(player.id, this.io, {
+            id: roomId,
+            visibility,
+            password,
+            ruleSet: ruleSetResult.ruleSet,
+            roundFlow,
+            bankerMode: options.bankerMode === true,
+            dealerContinuation: options.dealerContinuation === true,
+            maxDealerStreak,
+            timeouts: options.timeouts,
+            autoBet: options.autoBet,
+            endCondition: options.endCondition,
+            catchUpChips,
+            settings,
+            onListingChanged: () => this.scheduleRoomListUpdate(),
+            replayStore: this.replayStore,
+            snapshotStore: this.snapshotStore
+        });
         room.addPlayer(player);
 
         // 管理用マップに登録
@@ -58,32 +237,147 @@ export class GameManager {
             success: true,
             roomId: room.id,
             room: room.toJSON(),
-            player: player.toPrivateJSON()
+            player: player.toPrivateJSON(),
+            sessionToken: session.token
         };
     }
 
     /**
-     * ルームに参加
+     * ルーム作成オプションからハウスルールを決定
+     * @param {Object} options
+     * @returns {Object} 結果 { success, ruleSet } または { success: false, error }
+     */
+    resolveRuleSet(options) {
+        const { ruleSetId, customRules } = options;
+
+        if (customRules) {
+            const error = this.ruleSetRegistry.validateOverrides(customRules);
+            if (error) {
+                return { success: false, error };
+            }
+            return { success: true, ruleSet: this.ruleSetRegistry.createCustom(customRules) };
+        }
+
+        if (ruleSetId) {
+            const ruleSet = this.ruleSetRegistry.get(ruleSetId);
+            if (!ruleSet) {
+                return { success: false, error: 'ルールが見つかりません' };
+            }
+            return { success: true, ruleSet };
+        }
+
+        return { success: true, ruleSet: this.ruleSetRegistry.getDefault() };
+    }
+
+    /**
+     * 持ち時間の設定を検証
+     * @param {Object} [timeouts]
+     * @returns {string|null} エラーメッセージ（問題なければnull）
+     */
+    validateTimeouts(timeouts) {
+        if (timeouts === undefined) return null;
+        if (!timeouts || typeof timeouts !== 'object') {
+            return '持ち時間の設定が不正です';
+        }
+
+        for (const key of ['betMs', 'rollMs']) {
+            const ms = timeouts[key];
+            if (ms === undefined || ms === 0) continue;
+            if (!Number.isInteger(ms) || ms < MIN_TIMEOUT_MS || ms > MAX_TIMEOUT_MS) {
+                return `持ち時間は${MIN_TIMEOUT_MS / 1000}〜${MAX_TIMEOUT_MS / 1000}秒（または0で無制限）で指定してください`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * ゲームの終了条件を検証
+     * @param {Object} [endCondition]
+     * @param {number} [initialChips] - ルームの初期チップ（目標チップはこれより多くする）
+     * @returns {string|null} エラーメッセージ（問題なければnull）
+     */
+    validateEndCondition(endCondition, initialChips = GameConfig.INITIAL_CHIPS) {
+        if (endCondition === undefined) return null;
+        if (!endCondition || !Object.values(GameEndCondition).includes(endCondition.type)) {
+            return '終了条件の指定が不正です';
+        }
+        if (endCondition.type === GameEndCondition.LAST_STANDING) return null;
+
+        let [min, max] = END_CONDITION_RANGES[endCondition.type];
+        if (endCondition.type === GameEndCondition.CHIP_TARGET) {
+            min = initialChips + 1;
+        }
+        const { value } = endCondition;
+        if (!Number.isInteger(value) || value < min || value > max) {
+            return `終了条件の値は${min}〜${max}で指定してください`;
+        }
+        return null;
+    }
+
+    /**
+     * ルームのダイスソースを差し替える（デバッグ用）
+     * @param {GameRoom} room
+     * @param {string} type - ダイスソースの種類
+     * @param {Object} [options] - ソースごとのオプション（seed, rolls, pinzoroRate など）
+     * @returns {Object} 結果
+     */
+    setRoomDiceSource(room, type, options = {}) {
+        if (!this.diceDebugEnabled) {
+            return { success: false, error: 'ダイスのデバッグ機能は無効です' };
+        }
+
+        let diceSource;
+        try {
+            diceSource = this.diceSourceRegistry.createFromRequest(type, options);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+        if (!diceSource) {
+            return { success: false, error: 'ダイスソースが見つかりません' };
+        }
+
+        room.setDiceSource(diceSource);
+        console.log(`[ダイスソース変更] ルーム${room.id}: ${type}`);
+
+        return { success: true, diceSource: diceSource.toJSON() };
+    }
+
+    /**
+     * ルームに参加（ゲーム中なら参加待ちの列に入り、次のセットから着席）
      * @param {string} roomId - ルームID
      * @param {string} socketId - 参加者のSocket ID
      * @param {string} playerName - 参加者の表示名
-     * @returns {Object} 結果
+     * @param {string} [password] - 参加パスワード（設定されているルームのみ）
+     * @param {string} [sessionToken] - 以前に受け取ったセッショントークン（あれば同じセッションを使い続ける）
+     * @returns {Object} 結果（queued: 参加待ちになったか、sessionToken: 再接続に使うトークン）
      */
-    joinRoom(roomId, socketId, playerName) {
-        const room = this.rooms.get(roomId.toUpperCase());
+    joinRoom(roomId, socketId, playerName, password, sessionToken) {
+        const room = this.getRoom(roomId);
 
         if (!room) {
             return { success: false, error: 'ルームが見つかりません' };
         }
+        if (!room.checkPassword(password)) {
+            return { success: false, error: 'パスワードが違います' };
+        }
+
+        if (this.isBannedFrom(room, socketId, sessionToken)) {
+            return { success: false, error: 'このルームには参加できません' };
+        }
 
-        if (room.players.size >= GameConfig.MAX_PLAYERS) {
+        if (!room.hasOpenSeat()) {
             return { success: false, error: 'ルームが満員です' };
         }
 
         // プレイヤーを作成して追加
-        const player = new Player(socketId, playerName, socketId);
+        const session = this.startSession(sessionToken);
+        const player = new Player(uuidv4(), playerName, socketId);
+        player.sessionId = session.sessionId;
+        player.clientAddress = this.getClientAddress(socketId);
+        const queued = room.state !== GameState.WAITING;
 
-        if (!room.addPlayer(player)) {
+        const added = queued ? room.queuePlayer(player) : room.addPlayer(player);
+        if (!added) {
             return { success: false, error: 'ルームに参加できませんでした' };
         }
 
@@ -100,17 +394,96 @@ export class GameManager {
         return {
             success: true,
             roomId: room.id,
-            room: room.toJSON(),
-            player: player.toPrivateJSON()
+            queued,
+            room: queued ? room.getSyncState(player.id) : room.toJSON(),
+            player: player.toPrivateJSON(),
+            sessionToken: session.token
+        };
+    }
+
+    /**
+     * ルームを観戦（進行中のルームにも参加できる）
+     * 観戦者はプレイヤーとして登録しないので、ゲーム操作のイベントは全て拒否される。
+     * @param {string} roomId - ルームID
+     * @param {string} socketId - 観戦者のSocket ID
+     * @param {string} spectatorName - 観戦者の表示名
+     * @param {string} [password] - 参加パスワード（設定されているルームのみ）
+     * @param {string} [sessionToken] - セッショントークン（追放されたセッションの観戦を断るのに使う）
+     * @returns {Object} 結果
+     */
+    spectateRoom(roomId, socketId, spectatorName, password, sessionToken) {
+        const room = this.getRoom(roomId);
+
+        if (!room) {
+            return { success: false, error: 'ルームが見つかりません' };
+        }
+        if (!room.checkPassword(password)) {
+            return { success: false, error: 'パスワードが違います' };
+        }
+        if (this.socketToRoom.has(socketId) || this.spectatorToRoom.has(socketId)) {
+            return { success: false, error: '既にルームに参加しています' };
+        }
+        if (this.isBannedFrom(room, socketId, sessionToken)) {
+            return { success: false, error: 'このルームには参加できません' };
+        }
+
+        const spectator = new Spectator(uuidv4(), spectatorName, socketId);
+        if (!room.addSpectator(spectator)) {
+            return { success: false, error: '観戦者が満員です' };
+        }
+
+        this.spectatorToRoom.set(socketId, room.id);
+
+        // Socket.ioルームに参加（公開イベントを受け取る）
+        const socket = this.io.sockets.sockets.get(socketId);
+        if (socket) {
+            socket.join(room.id);
+        }
+
+        return {
+            success: true,
+            roomId: room.id,
+            room: room.getSyncState(),
+            spectator: spectator.toPublicJSON()
         };
     }
 
+    /**
+     * 観戦をやめる
+     * @param {string} socketId
+     * @returns {Object} 結果
+     */
+    stopSpectating(socketId) {
+        const roomId = this.spectatorToRoom.get(socketId);
+        if (!roomId) {
+            return { success: false, error: '観戦中のルームがありません' };
+        }
+
+        const room = this.rooms.get(roomId);
+        const spectator = room?.getSpectatorBySocket(socketId);
+        if (spectator) {
+            room.removeSpectator(spectator.id);
+        }
+        this.spectatorToRoom.delete(socketId);
+
+        const socket = this.io.sockets.sockets.get(socketId);
+        if (socket) {
+            socket.leave(roomId);
+        }
+
+        return { success: true };
+    }
+
     /**
      * ルームから退出
      * @param {string} socketId 
      * @returns {Object} 結果
      */
     leaveRoom(socketId) {
+        if (this.spectatorToRoom.has(socketId)) {
+            return this.stopSpectating(socketId);
+        }
+
         const roomId = this.socketToRoom.get(socketId);
         const playerId = this.socketToPlayer.get(socketId);
 
@@ -118,13 +491,18 @@ export class GameManager {
             return { success: false, error: '参加中のルームがありません' };
         }
 
+        this.clearDisconnectTimers(playerId);
+
         const room = this.rooms.get(roomId);
         if (room) {
             room.removePlayer(playerId);
 
-            // ルームが空になったら削除
-            if (room.players.size === 0) {
+            // 人間のプレイヤーがいなくなったら削除（残っていた Bot・観戦者も外す）
+            if (!room.hasHumanPlayers()) {
+                room.close();
+                room.spectators.forEach(spectator => this.stopSpectating(spectator.socketId));
                 this.rooms.delete(roomId);
+                this.roomCodes.release(roomId);
             }
         }
 
@@ -141,13 +519,91 @@ export class GameManager {
         return { success: true };
     }
 
+    /**
+     * プレイヤーをルームから追放する（ホストのみ）
+     * 着席中のプレイヤーは途中退出と同じ扱い（ベット精算・親の交代）になる。
+     * @param {string} hostSocketId - ホストのSocket ID
+     * @param {string} targetId - 追放するプレイヤーのID（参加待ちも可）
+     * @param {boolean} [ban=false] - このルームへの再参加を禁止するか
+     * @returns {Object} 結果
+     */
+    kickPlayer(hostSocketId, targetId, ban = false) {
+        const room = this.getRoomBySocket(hostSocketId);
+        const hostId = this.getPlayerIdBySocket(hostSocketId);
+
+        if (!room || !hostId) {
+            return { success: false, error: 'ルームに参加していません' };
+        }
+        if (room.hostId !== hostId) {
+            return { success: false, error: 'ホストのみが追放できます' };
+        }
+        if (targetId === hostId) {
+            return { success: false, error: '自分自身は追放できません' };
+        }
+
+        const target = room.getPlayer(targetId) || room.getQueuedPlayer(targetId);
+        if (!target) {
+            return { success: false, error: 'プレイヤーが見つかりません' };
+        }
+
+        // Bot はソケットを持たないので、その場で席から外す
+        if (target.isBot) {
+            return room.removeBot(target.id);
+        }
+
+        if (ban) {
+            room.banPlayer(target);
+        }
+
+        // 本人にも届くよう、ルームから外す前に通知する
+        room.broadcast(GameEvent.PLAYER_KICKED, {
+            playerId: target.id,
+            playerName: target.name,
+            banned: ban
+        });
+
+        this.leaveRoom(target.socketId);
+
+        return { success: true };
+    }
+
+    /**
+     * ソケットの接続元アドレスを取得する
+     * @param {string} socketId
+     * @returns {string|null} 分からなければ null
+     */
+    getClientAddress(socketId) {
+        const handshake = this.io.sockets.sockets.get(socketId)?.handshake;
+        if (!handshake) return null;
+
+        if (this.trustProxy) {
+            const forwarded = handshake.headers?.['x-forwarded-for'];
+            if (typeof forwarded === 'string' && forwarded.trim()) {
+                return forwarded.split(',')[0].trim();
+            }
+        }
+        return handshake.address || null;
+    }
+
+    /**
+     * ルームへの再参加を禁止されているか（セッション・接続元アドレスのどちらかが一致すれば断る）
+     * トークンを送らなくても、同じ接続元からは参加できない。
+     * @param {GameRoom} room
+     * @param {string} socketId
+     * @param {string} [sessionToken]
+     * @returns {boolean}
+     */
+    isBannedFrom(room, socketId, sessionToken) {
+        return room.isBanned(this.sessionTokens.verify(sessionToken), this.getClientAddress(socketId));
+    }
+
     /**
      * ルームを取得
      * @param {string} roomId 
      * @returns {GameRoom|undefined}
      */
     getRoom(roomId) {
-        return this.rooms.get(roomId.toUpperCase());
+        return this.rooms.get(String(roomId).trim().toUpperCase());
     }
 
     /**
@@ -169,6 +625,203 @@ export class GameManager {
         return this.socketToPlayer.get(socketId);
     }
 
+    // ===== ロビー一覧 =====
+
+    /**
+     * ロビーに表示するルーム一覧（公開かつ空きのあるルーム。待機中・人数の多い順）
+     * @returns {Object[]}
+     */
+    getPublicRooms() {
+        return Array.from(this.rooms.values())
+            .filter(room => room.visibility === RoomVisibility.PUBLIC && room.hasOpenSeat())
+            .sort((a, b) =>
+                (a.state === GameState.WAITING ? 0 : 1) - (b.state === GameState.WAITING ? 0 : 1)
+                || b.players.size - a.players.size
+                || a.createdAt - b.createdAt)
+            .map(room => room.getListing());
+    }
+
+    /**
+     * ルーム一覧の配信を受け取る
+     * @param {string} socketId
+     * @returns {Object[]} 現在のルーム一覧
+     */
+    subscribeRoomList(socketId) {
+        const socket = this.io.sockets.sockets.get(socketId);
+        if (socket) {
+            socket.join(LOBBY_CHANNEL);
+        }
+        return this.getPublicRooms();
+    }
+
+    /**
+     * ルーム一覧の配信を止める
+     * @param {string} socketId
+     */
+    unsubscribeRoomList(socketId) {
+        const socket = this.io.sockets.sockets.get(socketId);
+        if (socket) {
+            socket.leave(LOBBY_CHANNEL);
+        }
+    }
+
+    /**
+     * ルーム一覧の配信を予約する（短時間の変化はまとめて1回にする）
+     * 空きができたルームにクイックマッチの待ち行列を入れるのもこのタイミングで行う。
+     */
+    scheduleRoomListUpdate() {
+        if (this.roomListTimer) return;
+
+        this.roomListTimer = setTimeout(() => {
+            this.roomListTimer = null;
+            this.processQuickMatch();
+            this.publishRoomList();
+        }, GameConfig.ROOM_LIST_UPDATE_DELAY_MS);
+    }
+
+    /**
+     * ルーム一覧が前回から変わっていれば配信する
+     */
+    publishRoomList() {
+        const rooms = this.getPublicRooms();
+        const json = JSON.stringify(rooms);
+        if (json === this.lastRoomListJson) return;
+
+        this.lastRoomListJson = json;
+        this.io.to(LOBBY_CHANNEL).emit(GameEvent.ROOM_LIST_UPDATED, { rooms });
+    }
+
+    // ===== クイックマッチ =====
+
+    /**
+     * クイックマッチの待ち行列に入る
+     * 空きのある公開ルームがあればすぐに参加し、なければ人数が揃うまで待つ。
+     * @param {string} socketId
+     * @param {string} playerName
+     * @param {string} [sessionToken] - 以前に受け取ったセッショントークン
+     * @returns {Object} 結果（参加先は QUICK_MATCH_FOUND で通知する）
+     */
+    joinQuickMatch(socketId, playerName, sessionToken) {
+        if (this.socketToRoom.has(socketId) || this.spectatorToRoom.has(socketId)) {
+            return { success: false, error: '既にルームに参加しています' };
+        }
+        if (this.isInQuickMatch(socketId)) {
+            return { success: false, error: '既にクイックマッチの待ち行列に入っています' };
+        }
+
+        this.quickMatchQueue.push({ socketId, playerName, sessionToken });
+        this.processQuickMatch();
+
+        return { success: true, matched: !this.isInQuickMatch(socketId) };
+    }
+
+    /**
+     * クイックマッチの待ち行列から抜ける
+     * @param {string} socketId
+     * @returns {Object} 結果
+     */
+    leaveQuickMatch(socketId) {
+        if (!this.isInQuickMatch(socketId)) {
+            return { success: false, error: 'クイックマッチの待ち行列に入っていません' };
+        }
+
+        this.quickMatchQueue = this.quickMatchQueue.filter(entry => entry.socketId !== socketId);
+        this.notifyQuickMatchStatus();
+        return { success: true };
+    }
+
+    /**
+     * クイックマッチの待ち行列に入っているか
+     * @param {string} socketId
+     * @returns {boolean}
+     */
+    isInQuickMatch(socketId) {
+        return this.quickMatchQueue.some(entry => entry.socketId === socketId);
+    }
+
+    /**
+     * 待ち行列のプレイヤーを、空きのある公開ルームに入れる。
+     * 入れるルームがなく、待ち人数が揃っていれば新しいルームを作る。
+     */
+    processQuickMatch() {
+        if (this.quickMatchQueue.length === 0) return;
+
+        do {
+            for (const entry of [...this.quickMatchQueue]) {
+                const room = this.findQuickMatchRoom(entry.sessionToken, entry.socketId);
+                if (!room) continue;
+
+                const result = this.joinRoom(room.id, entry.socketId, entry.playerName, undefined, entry.sessionToken);
+                if (result.success) {
+                    this.completeQuickMatch(entry, result);
+                }
+            }
+        } while (this.quickMatchQueue.length >= GameConfig.QUICK_MATCH_MIN_PLAYERS && this.createQuickMatchRoom());
+
+        this.notifyQuickMatchStatus();
+    }
+
+    /**
+     * クイックマッチで入れるルームを探す（人数の多いルームから埋める）
+     * パスワード付き・ゲーム中（次のセットまで待たされる）のルームには入れない。
+     * @param {string} [sessionToken] - 追放されたルームを除くのに使う
+     * @param {string} [socketId] - 追放されたルームを除くのに使う（接続元アドレスで判定）
+     * @returns {GameRoom|null}
+     */
+    findQuickMatchRoom(sessionToken, socketId) {
+        const sessionId = this.sessionTokens.verify(sessionToken);
+        const clientAddress = socketId ? this.getClientAddress(socketId) : null;
+        let best = null;
+        for (const room of this.rooms.values()) {
+            if (room.visibility !== RoomVisibility.PUBLIC || room.hasPassword()) continue;
+            if (room.state !== GameState.WAITING || !room.hasOpenSeat() || room.isBanned(sessionId, clientAddress)) continue;
+            if (!best || room.players.size > best.players.size) {
+                best = room;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * 待ち行列の先頭のプレイヤーをホストにして、標準設定の公開ルームを作る
+     * @returns {boolean} 作れたか
+     */
+    createQuickMatchRoom() {
+        const host = this.quickMatchQueue[0];
+        const result = this.createRoom(host.socketId, host.playerName, { sessionToken: host.sessionToken });
+        if (!result.success) {
+            console.warn(`[クイックマッチ] ルームを作れませんでした: ${result.error}`);
+            return false;
+        }
+
+        console.log(`[クイックマッチ] ルーム作成 ${result.roomId} by ${host.playerName}`);
+        this.completeQuickMatch(host, result);
+        return true;
+    }
+
+    /**
+     * 参加先が決まったプレイヤーを待ち行列から外し、本人に通知する
+     * @param {{ socketId: string, playerName: string, sessionToken?: string }} entry
+     * @param {Object} result - createRoom / joinRoom の結果
+     */
+    completeQuickMatch(entry, result) {
+        this.quickMatchQueue = this.quickMatchQueue.filter(queued => queued.socketId !== entry.socketId);
+        this.io.to(entry.socketId).emit(GameEvent.QUICK_MATCH_FOUND, result);
+    }
+
+    /**
+     * 待ち行列の全員に、順番と待ち人数を通知する
+     */
+    notifyQuickMatchStatus() {
+        this.quickMatchQueue.forEach((entry, index) => {
+            this.io.to(entry.socketId).emit(GameEvent.QUICK_MATCH_STATUS, {
+                position: index + 1,
+                waitingCount: this.quickMatchQueue.length,
+                requiredCount: GameConfig.QUICK_MATCH_MIN_PLAYERS
+            });
+        });
+    }
+
     // ===== 接続管理 =====
 
     /**
@@ -176,6 +829,16 @@ export class GameManager {
      * @param {string} socketId 
      */
     handleDisconnect(socketId) {
+        if (this.isInQuickMatch(socketId)) {
+            this.leaveQuickMatch(socketId);
+            return;
+        }
+
+        if (this.spectatorToRoom.has(socketId)) {
+            this.stopSpectating(socketId);
+            return;
+        }
+
         const roomId = this.socketToRoom.get(socketId);
         const playerId = this.socketToPlayer.get(socketId);
 
@@ -184,16 +847,25 @@ export class GameManager {
         const room = this.rooms.get(roomId);
         if (!room) return;
 
+        // 参加待ちのまま切断したら列から外す
+        if (room.getQueuedPlayer(playerId)) {
+            this.leaveRoom(socketId);
+            return;
+        }
+
         const player = room.getPlayer(playerId);
         if (player) {
             player.disconnect();
 
-            // ゲーム中なら切断を通知（削除はしない）
+            // ゲーム中なら切断を通知し、戻ってくるのを待つ（削除はしない）
             if (room.state !== 'waiting') {
                 room.broadcast('player_disconnected', {
                     playerId,
-                    playerName: player.name
+                    playerName: player.name,
+                    graceMs: this.disconnectPolicy.graceMs,
+                    dropMs: this.disconnectPolicy.dropMs
                 });
+                this.startDisconnectTimers(room.id, player);
             } else {
                 // 待機中なら完全に削除
                 this.leaveRoom(socketId);
@@ -201,72 +873,249 @@ export class GameManager {
         }
     }
 
+    /**
+     * 切断したプレイヤーの猶予タイマーを始める
+     * 猶予を過ぎたら自動操作に切り替え、さらに待っても戻らなければ途中退出させる。
+     * @param {string} roomId
+     * @param {Player} player
+     */
+    startDisconnectTimers(roomId, player) {
+        this.clearDisconnectTimers(player.id);
+
+        const { graceMs, dropMs } = this.disconnectPolicy;
+        const isStillAbsent = () => {
+            const room = this.rooms.get(roomId);
+            return room?.getPlayer(player.id) === player && !player.isConnected ? room : null;
+        };
+
+        this.disconnectTimers.set(player.id, {
+            graceTimer: setTimeout(() => {
+                isStillAbsent()?.startAutopilot(player.id);
+            }, graceMs),
+            dropTimer: setTimeout(() => {
+                this.disconnectTimers.delete(player.id);
+                if (isStillAbsent()) {
+                    console.log(`[切断] 戻ってこなかったため退出させます: ${player.name} (${roomId})`);
+                    this.leaveRoom(player.socketId);
+                }
+            }, dropMs)
+        });
+    }
+
+    /**
+     * 切断したプレイヤーの猶予タイマーを止める
+     * @param {string} playerId
+     */
+    clearDisconnectTimers(playerId) {
+        const timers = this.disconnectTimers.get(playerId);
+        if (!timers) return;
+
+        clearTimeout(timers.graceTimer);
+        clearTimeout(timers.dropTimer);
+        this.disconnectTimers.delete(playerId);
+    }
+
     /**
      * 再接続時の処理
-     * @param {string} oldSocketId 
-     * @param {string} newSocketId 
-     * @param {string} playerId 
-     * @returns {Object}
+     * セッショントークンを検証し、同じセッションの席（着席中・参加待ち）を新しいソケットに付け替える。
+     * 古いソケットがまだ繋がっていても、以降の操作は新しいソケットからしか受け付けない。
+     * @param {string} newSocketId
+     * @param {string} sessionToken - 作成・参加・前回の再接続で受け取ったトークン
+     * 進行中の状態（締め切り・スキルの選択待ちなど）は、続けて getSyncState で取得する。
+     * @returns {Object} 結果（sessionToken: 期限を延ばした新しいトークン）
      */
-    handleReconnect(oldSocketId, newSocketId, playerId) {
-        // 古いマッピングを探す（playerId から逆引き）
-        let targetRoomId = null;
-
-        for (const [sockId, pId] of this.socketToPlayer.entries()) {
-            if (pId === playerId) {
-                targetRoomId = this.socketToRoom.get(sockId);
-                // 古いマッピングを削除
-                this.socketToRoom.delete(sockId);
-                this.socketToPlayer.delete(sockId);
-                break;
-            }
+    handleReconnect(newSocketId, sessionToken) {
+        const sessionId = this.sessionTokens.verify(sessionToken);
+        if (!sessionId) {
+            return { success: false, error: 'セッションが無効です。もう一度ルームに参加してください' };
         }
 
-        if (!targetRoomId) {
+        const seat = this.findSession(sessionId);
+        if (!seat) {
             return { success: false, error: '再接続先が見つかりません' };
         }
+        const { room, player } = seat;
 
-        const room = this.rooms.get(targetRoomId);
-        if (!room) {
-            return { success: false, error: 'ルームが存在しません' };
+        const currentRoomId = this.socketToRoom.get(newSocketId);
+        if ((currentRoomId && currentRoomId !== room.id) || this.spectatorToRoom.has(newSocketId)) {
+            return { success: false, error: '既に別のルームに参加しています' };
         }
 
-        const player = room.getPlayer(playerId);
-        if (!player) {
-            return { success: false, error: 'プレイヤーが見つかりません' };
+        // 古いソケットの登録を外す
+        if (player.socketId !== newSocketId) {
+            this.socketToRoom.delete(player.socketId);
+            this.socketToPlayer.delete(player.socketId);
+            const oldSocket = this.io.sockets.sockets.get(player.socketId);
+            if (oldSocket) {
+                oldSocket.leave(room.id);
+            }
         }
 
-        // 再接続処理
+        // 再接続処理（自動操作に切り替わっていれば操作を戻す）
+        this.clearDisconnectTimers(player.id);
         player.reconnect(newSocketId);
-        this.socketToRoom.set(newSocketId, targetRoomId);
-        this.socketToPlayer.set(newSocketId, playerId);
+        player.clientAddress = this.getClientAddress(newSocketId) ?? player.clientAddress;
+        room.stopAutopilot(player.id);
+        this.socketToRoom.set(newSocketId, room.id);
+        this.socketToPlayer.set(newSocketId, player.id);
 
         // Socket.ioルームに再参加
         const socket = this.io.sockets.sockets.get(newSocketId);
         if (socket) {
-            socket.join(targetRoomId);
+            socket.join(room.id);
         }
 
         room.broadcast('player_reconnected', {
-            playerId,
+            playerId: player.id,
             playerName: player.name
         });
 
         return {
             success: true,
+            roomId: room.id,
             room: room.toJSON(),
-            player: player.toPrivateJSON()
+            player: player.toPrivateJSON(),
+            sessionToken: this.sessionTokens.issue(sessionId).token
         };
     }
 
+    /**
+     * 画面を作り直すための状態を取得（参加者には本人用の情報を含める）
+     * @param {string} socketId
+     * @returns {Object} 結果（state: GameRoom#getSyncState の結果）
+     */
+    getSyncState(socketId) {
+        const spectatingRoomId = this.spectatorToRoom.get(socketId);
+        const room = spectatingRoomId ? this.rooms.get(spectatingRoomId) : this.getRoomBySocket(socketId);
+        if (!room) {
+            return { success: false, error: 'ルームに参加していません' };
+        }
+
+        const playerId = spectatingRoomId ? null : this.getPlayerIdBySocket(socketId);
+        return { success: true, roomId: room.id, state: room.getSyncState(playerId) };
+    }
+
+    /**
+     * セッションの席を探す（着席中・参加待ちの両方）
+     * @param {string} sessionId
+     * @returns {{ room: GameRoom, player: Player }|null}
+     */
+    findSession(sessionId) {
+        for (const room of this.rooms.values()) {
+            const player = [...room.getPlayersArray(), ...room.waitingQueue]
+                .find(p => !p.isBot && p.sessionId === sessionId);
+            if (player) {
+                return { room, player };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 新しく席に着くプレイヤーのセッションを決める
+     * 有効なトークンが送られてきて、そのセッションがどの席にも着いていなければ同じセッションを使い続ける
+     * （ルームの追放がトークンを持ち直すだけで解けないように）。それ以外は新しいセッションを払い出す。
+     * @param {string} [sessionToken]
+     * @returns {{ sessionId: string, token: string }}
+     */
+    startSession(sessionToken) {
+        const sessionId = this.sessionTokens.verify(sessionToken);
+        if (sessionId && !this.findSession(sessionId)) {
+            return this.sessionTokens.issue(sessionId);
+        }
+        return this.sessionTokens.issue();
+    }
+
+    // ===== 再起動からの復元 =====
+
+    /**
+     * 保存したルームを読み込んで作り直す（サーバー起動時に、接続を受け付ける前に呼ぶ）
+     * プレイヤーは切断中として復元し、以前のセッショントークンでの再接続（handleReconnect）を待つ。
+     * @returns {Promise<number>} 復元したルーム数
+     */
+    async restoreRooms() {
+        if (!this.snapshotStore) return 0;
+
+        const snapshots = await this.snapshotStore.loadAll();
+        let restored = 0;
+
+        for (const snapshot of snapshots) {
+            if (!this.roomCodes.reserve(snapshot.id)) {
+                console.warn(`[Restore] ルームIDが重複しているため飛ばします: ${snapshot.id}`);
+                continue;
+            }
+
+            let room;
+            try {
+                room = GameRoom.fromSnapshot(snapshot, this.io, {
+                    diceSource: this.diceSourceRegistry.restore(snapshot.diceSource) || undefined,
+                    onListingChanged: () => this.scheduleRoomListUpdate(),
+                    replayStore: this.replayStore,
+                    snapshotStore: this.snapshotStore
+                });
+            } catch (error) {
+                console.warn(`[Restore] ルームを復元できませんでした: ${snapshot.id}`, error);
+                this.roomCodes.release(snapshot.id);
+                continue;
+            }
+
+            // 戻ってこなかった時に退出させられるよう、以前のソケットIDで登録しておく
+            [...room.getPlayersArray(), ...room.waitingQueue]
+                .filter(player => !player.isBot)
+                .forEach(player => {
+                    this.socketToRoom.set(player.socketId, room.id);
+                    this.socketToPlayer.set(player.socketId, player.id);
+                });
+
+            this.rooms.set(room.id, room);
+            setTimeout(() => this.dropAbsentPlayers(room.id), GameConfig.RESTORE_RECONNECT_GRACE_MS);
+            restored++;
+        }
+
+        return restored;
+    }
+
+    /**
+     * 復元したルームに戻ってこなかったプレイヤーを、切断したのと同じ扱いにする
+     * 誰も戻ってこなかったルームは閉じる。
+     * @param {string} roomId
+     */
+    dropAbsentPlayers(roomId) {
+        const room = this.rooms.get(roomId);
+        if (!room) return;
+
+        const humans = [...room.getPlayersArray(), ...room.waitingQueue].filter(player => !player.isBot);
+        const absent = humans.filter(player => !player.isConnected);
+        if (absent.length === 0) return;
+
+        if (absent.length === humans.length) {
+            console.log(`[Restore] 誰も再接続しなかったルームを閉じます: ${roomId}`);
+            absent.forEach(player => this.leaveRoom(player.socketId));
+            return;
+        }
+
+        absent.forEach(player => this.handleDisconnect(player.socketId));
+    }
+
     // ===== ユーティリティ =====
 
     /**
-     * 全ルームの情報を取得（デバッグ用）
+     * 公開ルームの情報を取得（デバッグ用）
+     * 非公開ルームはルームIDが参加の鍵になるので、一覧には出さない。
      * @returns {Object[]}
      */
     getAllRooms() {
-        return Array.from(this.rooms.values()).map(room => room.toJSON());
+        return Array.from(this.rooms.values())
+            .filter(room => room.visibility === RoomVisibility.PUBLIC)
+            .map(room => room.toJSON());
+    }
+
+    /**
+     * 選択可能なハウスルール一覧を取得
+     * @returns {Object[]}
+     */
+    getRuleSets() {
+        return this.ruleSetRegistry.getAllRuleSetInfo();
     }
 
     /**
@@ -282,6 +1131,8 @@ export class GameManager {
         return {
             roomCount: this.rooms.size,
             playerCount: totalPlayers,
+            spectatorCount: this.spectatorToRoom.size,
+            quickMatchCount: this.quickMatchQueue.length,
             connectionCount: this.socketToRoom.size
         };
     }
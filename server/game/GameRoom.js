@@ -5,31 +5,108 @@
  * 非同期スキル処理、ダウト受付ウィンドウ、ターン進行を制御。
  */
 
+import { randomBytes, scryptSync, timingSafeEqual } from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
-import { DiceEngine, HandType } from './DiceEngine.js';
+import { DiceEngine, HandType, STANDARD_RULES } from './DiceEngine.js';
 import { CheatTracker } from './CheatTracker.js';
 import { SkillRegistry } from './skills/SkillRegistry.js';
-import { GameState, GameConfig, GameEvent, isValidTransition } from './GameState.js';
+import { RuleSet } from './rules/RuleSet.js';
+import { FairDiceSource } from './dice/FairDiceSource.js';
+import {
+    GameState, GameConfig, GameEvent, RoundFlow, BetCoverage, PayoutStatus, AutoBetMode, RoomVisibility,
+    BotPersonality, ForfeitOutcome, GameEndCondition, isValidTransition
+} from './GameState.js';
 import { Player } from './Player.js';
+import { BotPlayer, BOT_PROFILES } from './bots/BotPlayer.js';
+import { Spectator } from './Spectator.js';
+import { DeadlineTimer } from './DeadlineTimer.js';
+import { RoomSettings } from './RoomSettings.js';
+import { GameRecorder } from './replay/GameRecorder.js';
+import { SNAPSHOT_VERSION } from './persistence/RoomSnapshotStore.js';
+
+/**
+ * ロビーのルーム一覧の表示（人数・状態・設定）が変わるイベント
+ */
+const LISTING_EVENTS = new Set([
+    GameEvent.PLAYER_JOINED,
+    GameEvent.PLAYER_LEFT,
+    GameEvent.PLAYER_QUEUED,
+    GameEvent.PLAYERS_SEATED,
+    GameEvent.HOST_CHANGED,
+    GameEvent.SETTINGS_UPDATED,
+    GameEvent.STATE_CHANGED,
+    'game_reset',
+    'returned_to_lobby'
+]);
+
+/**
+ * ルームの状態を保存するイベント（フェーズの切り替わり・参加者や設定の変更）
+ */
+const SNAPSHOT_EVENTS = new Set([
+    ...LISTING_EVENTS,
+    GameEvent.GAME_PAUSED,
+    GameEvent.GAME_RESUMED,
+    GameEvent.DICE_SOURCE_CHANGED
+]);
 
 export class GameRoom {
     /**
      * @param {string} hostId - ホストプレイヤーのID
      * @param {Object} io - Socket.ioサーバーインスタンス
+     * @param {Object} [options] - ルームオプション
+     * @param {RuleSet} [options.ruleSet] - 適用するハウスルール（省略時は標準ルール）
+     * @param {BaseDiceSource} [options.diceSource] - 出目の生成元（省略時は検証可能ダイス）
+     * @param {RoundFlow} [options.roundFlow] - ラウンドの進行順（省略時は子先行）
+     * @param {boolean} [options.bankerMode] - 胴元モード（省略時は無効）
+     * @param {boolean} [options.dealerContinuation] - 連荘（親が勝てば親を続ける、省略時は無効）
+     * @param {number|null} [options.maxDealerStreak] - 連荘の上限回数（省略時は無制限）
+     * @param {{ betMs?: number, rollMs?: number }} [options.timeouts] - フェーズごとの持ち時間（0 = 無制限）
+     * @param {AutoBetMode} [options.autoBet] - 時間切れ時の自動ベット額
+     * @param {{ type: GameEndCondition, value?: number }} [options.endCondition] - ゲームの終了条件
+     * @param {number|null} [options.catchUpChips] - 途中参加者の初期チップ（省略時はルーム設定の初期チップ）
+     * @param {RoomSettings} [options.settings] - ルームごとの設定（省略時は GameConfig の値）
+     * @param {string} options.id - ルームID（GameManager が重複しないように払い出す）
+     * @param {RoomVisibility} [options.visibility] - 公開設定（省略時は公開）
+     * @param {string|null} [options.password] - 参加パスワード（省略時はなし）
+     * @param {Function} [options.onListingChanged] - ロビー一覧の表示が変わった時に呼ぶ（GameManager が一覧の配信に使う）
+     * @param {string[]|null} [options.skillPool] - 配布するスキルIDの候補（省略時はスキルなしモード）
+     * @param {ReplayStore|null} [options.replayStore] - ゲームの記録の保存先（省略時は記録しない）
+     * @param {RoomSnapshotStore|null} [options.snapshotStore] - ルームの状態の保存先（省略時は保存しない）
      */
-    constructor(hostId, io) {
-        /** @type {string} ルームID (3桁の数字) */
-        this.id = String(Math.floor(100 + Math.random() * 900));
+    constructor(hostId, io, options = {}) {
+        /** @type {string} ルームID */
+        this.id = options.id;
+
+        /** @type {RoomVisibility} 公開設定 */
+        this.visibility = options.visibility || RoomVisibility.PUBLIC;
+
+        /** @type {string|null} 参加パスワードのハッシュ（"salt:hash"、平文は保持しない） */
+        this.passwordHash = options.password ? GameRoom.hashPassword(options.password) : null;
 
         /** @type {Object} Socket.ioインスタンス */
         this.io = io;
 
+        /** @type {Function|null} ロビー一覧の表示が変わった時の通知先 */
+        this.onListingChanged = options.onListingChanged || null;
+
         /** @type {string} ホストプレイヤーID */
         this.hostId = hostId;
 
         /** @type {Map<string, Player>} プレイヤー一覧 */
         this.players = new Map();
 
+        /** @type {Map<string, Spectator>} 観戦者一覧 */
+        this.spectators = new Map();
+
+        /** @type {Player[]} 途中参加の待ち行列（次のセットの区切りで着席） */
+        this.waitingQueue = [];
+
+        /** @type {RoomSettings} ルームごとの設定（ロビーでホストが変更できる） */
+        this.settings = options.settings || new RoomSettings();
+
+        /** @type {number|null} 途中参加者の初期チップ（null = ルーム設定の初期チップ） */
+        this.catchUpChips = options.catchUpChips ?? null;
+
         /** @type {GameState} 現在のゲーム状態 */
         this.state = GameState.WAITING;
 
@@ -45,17 +122,85 @@ export class GameRoom {
         /** @type {number} 親の順番インデックス */
         this.dealerIndex = 0;
 
+        /** @type {RuleSet} 適用中のハウスルール */
+        this.ruleSet = options.ruleSet || new RuleSet(STANDARD_RULES);
+
+        /** @type {RoundFlow} ラウンドの進行順 */
+        this.roundFlow = options.roundFlow || RoundFlow.CHILD_FIRST;
+
+        /** @type {boolean} 胴元モード（ベット総額と支払いを親のチップまでに制限する） */
+        this.bankerMode = options.bankerMode === true;
+
+        /** @type {boolean} 連荘（親が勝ったラウンドの後は親を続ける） */
+        this.dealerContinuation = options.dealerContinuation === true;
+
+        /** @type {number|null} 連荘の上限回数（null = 無制限） */
+        this.maxDealerStreak = options.maxDealerStreak ?? null;
+
+        /** @type {number} 現在の親の連荘回数 */
+        this.dealerStreak = 0;
+
+        /** @type {boolean} 現在の親が親を降りる申告をしたか */
+        this.dealerPassRequested = false;
+
+        /** @type {{ betMs: number, rollMs: number }} フェーズごとの持ち時間（0 = 無制限） */
+        this.timeouts = {
+            betMs: options.timeouts?.betMs ?? GameConfig.BET_TIMEOUT_MS,
+            rollMs: options.timeouts?.rollMs ?? GameConfig.ROLL_TIMEOUT_MS
+        };
+
+        /** @type {AutoBetMode} 時間切れ時の自動ベット額 */
+        this.autoBet = options.autoBet || AutoBetMode.LAST;
+
+        /** @type {DeadlineTimer} ベット・ロールの締め切りタイマー */
+        this.turnTimer = new DeadlineTimer();
+
+        /** @type {DeadlineTimer} 結果表示・ラウンド間の待ち時間タイマー */
+        this.phaseTimer = new DeadlineTimer();
+
+        /** @type {{ type: GameEndCondition, value: number|null }} ゲームの終了条件 */
+        this.endCondition = options.endCondition
+            ? { type: options.endCondition.type, value: options.endCondition.value ?? null }
+            : GameRoom.getDefaultEndCondition();
+
+        /** @type {DeadlineTimer} 制限時間タイマー（TIME_LIMIT のみ） */
+        this.gameTimer = new DeadlineTimer();
+
+        /** @type {boolean} 現在（または次）のラウンドが最終ラウンドか */
+        this.isFinalRound = false;
+
         /** @type {SkillRegistry} スキル登録 */
         this.skillRegistry = new SkillRegistry();
 
+        /** @type {string[]|null} 配布するスキルIDの候補（null = スキルなしモード） */
+        this.skillPool = options.skillPool || null;
+
+        /** @type {ReplayStore|null} ゲームの記録の保存先 */
+        this.replayStore = options.replayStore || null;
+
+        /** @type {GameRecorder|null} 進行中のゲームの記録 */
+        this.recorder = null;
+
+        /** @type {RoomSnapshotStore|null} ルームの状態の保存先（閉じたら null） */
+        this.snapshotStore = options.snapshotStore || null;
+
+        /** @type {boolean} 状態の保存を予約済みか */
+        this.snapshotScheduled = false;
+
         /** @type {CheatTracker} イカサマ追跡 */
         this.cheatTracker = new CheatTracker();
 
-        /** @type {number|null} 割り込みウィンドウのタイマーID */
-        this.interruptTimer = null;
+        /** @type {BaseDiceSource} ダイスの出目の生成元 */
+        this.diceSource = options.diceSource || new FairDiceSource();
+
+        /** @type {DeadlineTimer} 割り込みウィンドウのタイマー */
+        this.interruptTimer = new DeadlineTimer();
+
+        /** @type {string|null} 割り込みウィンドウの対象（直前にダイスを振ったプレイヤー） */
+        this.interruptTargetId = null;
 
-        /** @type {number|null} アクション待ちタイマーID */
-        this.actionTimer = null;
+        /** @type {DeadlineTimer} アクション待ちタイマー */
+        this.actionTimer = new DeadlineTimer();
 
         /** @type {Object|null} 保留中の非同期アクション */
         this.pendingAction = null;
@@ -75,6 +220,18 @@ export class GameRoom {
         /** @type {number} セット開始時の親インデックス */
         this.setStartDealerIndex = 0;
 
+        /** @type {{ seat: number, wasSetStart: boolean }|null} 親が退出して空いた席（次の親の決定に使う） */
+        this.vacatedDealerSeat = null;
+
+        /** @type {boolean} ホストが一時停止中か（締め切りを止め、操作を受け付けない） */
+        this.isPaused = false;
+
+        /** @type {Set<string>} このルームへの再参加を禁止したセッションID */
+        this.bannedSessionIds = new Set();
+
+        /** @type {Set<string>} このルームへの再参加を禁止した接続元アドレス */
+        this.bannedAddresses = new Set();
+
         /** @type {Date} ルーム作成日時 */
         this.createdAt = new Date();
     }
@@ -87,13 +244,14 @@ export class GameRoom {
      * @returns {boolean}
      */
     addPlayer(player) {
-        if (this.players.size >= GameConfig.MAX_PLAYERS) {
+        if (this.players.size >= this.settings.maxPlayers) {
             return false;
         }
         if (this.state !== GameState.WAITING) {
             return false;
         }
 
+        player.applyRoomSettings(this.settings);
         this.players.set(player.id, player);
         this.broadcast(GameEvent.PLAYER_JOINED, {
             player: player.toPublicJSON(),
@@ -104,18 +262,27 @@ export class GameRoom {
     }
 
     /**
-     * プレイヤーを削除
+     * プレイヤーを削除（参加待ちのプレイヤーは待ち行列から外す）
+     * ゲーム中の退出は、ベットを精算して親の順番から外し、残りのプレイヤーで進行を続ける。
      * @param {string} playerId 
      */
     removePlayer(playerId) {
+        if (this.dequeuePlayer(playerId)) return;
+
         const player = this.players.get(playerId);
         if (!player) return;
 
+        const midGame = this.isGameInProgress();
+        const forfeit = midGame ? this.forfeitPlayer(player) : null;
+
         this.players.delete(playerId);
+        if (midGame) {
+            this.removeFromRotation(playerId);
+        }
 
-        // ホストが抜けた場合、次のプレイヤーをホストに
-        if (playerId === this.hostId && this.players.size > 0) {
-            this.hostId = this.players.keys().next().value;
+        // ホストが抜けた場合、次のプレイヤーをホストに（Bot はホストにしない）
+        if (playerId === this.hostId && this.hasHumanPlayers()) {
+            this.hostId = this.getPlayersArray().find(p => !p.isBot).id;
         }
 
         this.broadcast(GameEvent.PLAYER_LEFT, {
@@ -123,8 +290,638 @@ export class GameRoom {
             newHostId: this.hostId,
             playerCount: this.players.size
         });
+
+        if (midGame) {
+            this.resumeAfterLeave(player, forfeit);
+
+            // 一時停止中に進行が動いた場合（親の交代など）は、新しい締め切りも止めておく
+            if (this.isPaused) {
+                this.getTimers().forEach(timer => timer.pause());
+            }
+        }
+    }
+
+    // ===== 途中退出 =====
+
+    /**
+     * ゲームが進行中か（ロビー待機中・ゲーム終了後以外）
+     * @returns {boolean}
+     */
+    isGameInProgress() {
+        return this.state !== GameState.WAITING && this.state !== GameState.GAME_END;
+    }
+
+    /**
+     * 退出するプレイヤーのベットを精算する
+     * ベット締め切り前なら取り消し、締め切り後なら没収（親が抜けた場合は子のベット分を子に支払う）。
+     * 結果表示以降は精算済みなので何もしない。
+     * @param {Player} player
+     * @returns {Object} 退出時の情報（resumeAfterLeave に渡す）
+     */
+    forfeitPlayer(player) {
+        const seat = this.playerOrder.indexOf(player.id);
+        const wasDealer = player.id === this.currentDealerId;
+        const betLocked = [
+            GameState.DEALER_ROLL, GameState.PLAYER_ROLL, GameState.INTERRUPT_WINDOW, GameState.WAITING_FOR_ACTION
+        ].includes(this.state);
+        const roundLive = betLocked || this.state === GameState.BETTING;
+
+        const forfeit = {
+            seat,
+            wasDealer,
+            holdsDealerSeat: seat === this.dealerIndex,
+            wasSetStart: seat === this.setStartDealerIndex,
+            rollPosition: this.getParticipatingChildren().indexOf(player),
+            phase: this.state,
+            outcome: ForfeitOutcome.NONE,
+            amount: 0,
+            transfers: []
+        };
+
+        const loansBefore = this.getLoanLedgerSizes();
+
+        if (wasDealer && roundLive) {
+            // 親の退出: 締め切り後なら受けたベット分を子に支払う
+            const children = this.getParticipatingChildren();
+            forfeit.amount = children.reduce((sum, child) => sum + child.currentBet, 0);
+            forfeit.outcome = betLocked ? ForfeitOutcome.FORFEITED : ForfeitOutcome.REFUNDED;
+
+            if (betLocked) {
+                children.forEach(child => {
+                    const paid = player.removeChips(child.currentBet);
+                    child.addChips(paid);
+                    forfeit.transfers.push({ from: player.id, to: child.id, amount: paid });
+                });
+            }
+        } else if (!wasDealer && roundLive && player.currentBet > 0) {
+            // 子の退出: 締め切り後ならベットを親に没収
+            forfeit.amount = player.currentBet;
+            forfeit.outcome = betLocked ? ForfeitOutcome.FORFEITED : ForfeitOutcome.REFUNDED;
+
+            if (betLocked) {
+                const dealer = this.getDealer();
+                const paid = player.removeChips(player.currentBet);
+                dealer.addChips(paid);
+                forfeit.transfers.push({ from: player.id, to: dealer.id, amount: paid });
+            }
+        }
+
+        player.currentBet = 0;
+        this.broadcastLoanUpdates(loansBefore);
+
+        return forfeit;
+    }
+
+    /**
+     * 親の順番から外す（親・セット開始の席がずれないようにインデックスを詰める）
+     * 抜けた席には次の席が詰めてくるので、親の席だった場合はそのまま次の親の候補になる。
+     * @param {string} playerId
+     */
+    removeFromRotation(playerId) {
+        const seat = this.playerOrder.indexOf(playerId);
+        if (seat === -1) return;
+
+        this.playerOrder.splice(seat, 1);
+        if (seat < this.dealerIndex) this.dealerIndex--;
+        if (seat < this.setStartDealerIndex) this.setStartDealerIndex--;
+
+        const seats = this.playerOrder.length;
+        if (seats > 0) {
+            this.dealerIndex %= seats;
+            this.setStartDealerIndex %= seats;
+        }
+    }
+
+    /**
+     * 退出後に進行を立て直す
+     * @param {Player} player - 退出したプレイヤー
+     * @param {Object} forfeit - forfeitPlayer の結果
+     */
+    resumeAfterLeave(player, forfeit) {
+        this.broadcast(GameEvent.PLAYER_FORFEITED, {
+            playerId: player.id,
+            playerName: player.name,
+            wasDealer: forfeit.wasDealer,
+            phase: forfeit.phase,
+            outcome: forfeit.outcome,
+            amount: forfeit.amount,
+            transfers: forfeit.transfers,
+            players: this.getPublicPlayersData()
+        });
+
+        // 続けられる人数が残っていなければ終了
+        const activePlayers = this.getPlayersArray().filter(p => !p.isBankrupt());
+        if (this.players.size < GameConfig.MIN_PLAYERS || activePlayers.length <= 1) {
+            this.endGame(GameEndCondition.LAST_STANDING);
+            return;
+        }
+
+        const vacated = { seat: forfeit.seat, wasSetStart: forfeit.wasSetStart };
+
+        switch (this.state) {
+            case GameState.BETTING:
+            case GameState.DEALER_ROLL:
+            case GameState.PLAYER_ROLL:
+            case GameState.INTERRUPT_WINDOW:
+            case GameState.WAITING_FOR_ACTION:
+                if (forfeit.wasDealer) {
+                    this.vacatedDealerSeat = vacated;
+                    this.abortRound();
+                } else {
+                    this.skipLeavingChild(player, forfeit.rollPosition);
+                }
+                break;
+            case GameState.RESULT:
+                // 精算済み。親が抜けた場合は endRound で次の親を決める
+                if (forfeit.wasDealer) {
+                    this.vacatedDealerSeat = vacated;
+                }
+                break;
+            case GameState.ROUND_END:
+                // 次のラウンドの親が抜けた場合は、ここで次の親を決め直す
+                if (forfeit.holdsDealerSeat) {
+                    this.vacatedDealerSeat = vacated;
+                    this.rotateDealer();
+                }
+                break;
+        }
+    }
+
+    /**
+     * ラウンド途中で子が抜けた場合、その子を飛ばして進行を続ける
+     * @param {Player} player - 退出した子
+     * @param {number} rollPosition - ロール順での位置（参加していなければ -1）
+     */
+    skipLeavingChild(player, rollPosition) {
+        if (this.state === GameState.BETTING) {
+            // 残りの子が全員ベット済みなら締め切る
+            const children = this.getNonDealers();
+            if (children.length > 0 && children.every(p => p.currentBet > 0)) {
+                this.closeBetting();
+            }
+            return;
+        }
+
+        if (rollPosition === -1) return;
+
+        // ロール順が詰まるので、現在位置を合わせる
+        if (rollPosition <= this.currentPlayerIndex) {
+            this.currentPlayerIndex--;
+        }
+
+        // 手番中に抜けた場合は次の子へ（ロール済みなら割り込みウィンドウの終了後に進む）
+        const onTurn = this.currentPlayerId === player.id &&
+            (this.state === GameState.PLAYER_ROLL || this.state === GameState.WAITING_FOR_ACTION);
+        if (onTurn) {
+            this.turnTimer.clear();
+            this.clearActionTimer();
+            this.nextPlayerRoll();
+        }
     }
 
+    /**
+     * 親の退出でラウンドを中断する（ベットは forfeitPlayer で精算済み）
+     */
+    abortRound() {
+        this.turnTimer.clear();
+        this.clearInterruptTimer();
+        this.clearActionTimer();
+
+        this.players.forEach(player => {
+            player.currentBet = 0;
+            player.isDealer = false;
+            player.isWaitingForReroll = false;
+        });
+
+        this.changeState(GameState.ROUND_END);
+        this.revealFairness();
+        this.broadcast(GameEvent.ROUND_ABORTED, {
+            roundNumber: this.roundNumber,
+            reason: 'dealer_left'
+        });
+
+        this.rotateDealer();
+        this.scheduleNextRound();
+    }
+
+    // ===== ホスト操作 =====
+
+    /**
+     * ホストを譲る
+     * @param {string} newHostId - 新しいホスト（着席しているプレイヤー）
+     * @returns {{ success: boolean, error?: string }}
+     */
+    transferHost(newHostId) {
+        if (newHostId === this.hostId) {
+            return { success: false, error: '既にホストです' };
+        }
+        const newHost = this.getPlayer(newHostId);
+        if (!newHost) {
+            return { success: false, error: 'プレイヤーが見つかりません' };
+        }
+        if (newHost.isBot) {
+            return { success: false, error: 'Botにはホストを譲れません' };
+        }
+
+        const previousHostId = this.hostId;
+        this.hostId = newHostId;
+
+        this.broadcast(GameEvent.HOST_CHANGED, {
+            hostId: newHostId,
+            hostName: newHost.name,
+            previousHostId
+        });
+
+        return { success: true };
+    }
+
+    /**
+     * このルームへの再参加を禁止する
+     * プレイヤーIDは参加のたびに変わるので、セッションと接続元アドレスの両方で覚える
+     * （セッションはトークンを捨てれば作り直せるため、アドレスでも断る）。
+     * @param {Player} player
+     */
+    banPlayer(player) {
+        if (player.sessionId) {
+            this.bannedSessionIds.add(player.sessionId);
+        }
+        if (player.clientAddress) {
+            this.bannedAddresses.add(player.clientAddress);
+        }
+    }
+
+    /**
+     * 再参加を禁止されているか
+     * @param {string|null} sessionId - セッションを持たない（トークンなしの）参加者は null
+     * @param {string|null} [clientAddress] - 接続元アドレス（分からなければ null）
+     * @returns {boolean}
+     */
+    isBanned(sessionId, clientAddress = null) {
+        return (sessionId !== null && this.bannedSessionIds.has(sessionId)) ||
+            (clientAddress !== null && this.bannedAddresses.has(clientAddress));
+    }
+
+    /**
+     * 止められる締め切りタイマーの一覧
+     * @returns {DeadlineTimer[]}
+     */
+    getTimers() {
+        return [
+            this.turnTimer, this.interruptTimer, this.actionTimer, this.phaseTimer, this.gameTimer,
+            ...this.getBots().map(bot => bot.thinkTimer)
+        ];
+    }
+
+    /**
+     * ゲームを一時停止する（全ての締め切りを止め、再開まで操作を受け付けない）
+     * @returns {{ success: boolean, error?: string }}
+     */
+    pauseGame() {
+        if (!this.isGameInProgress()) {
+            return { success: false, error: 'ゲーム中のみ一時停止できます' };
+        }
+        if (this.isPaused) {
+            return { success: false, error: '既に一時停止中です' };
+        }
+
+        this.isPaused = true;
+        this.getTimers().forEach(timer => timer.pause());
+
+        this.broadcast(GameEvent.GAME_PAUSED, {
+            state: this.state,
+            pausedAt: Date.now()
+        });
+
+        return { success: true };
+    }
+
+    /**
+     * 一時停止を解除する（止めた締め切りは残り時間で再開）
+     * @returns {{ success: boolean, error?: string }}
+     */
+    resumeGame() {
+        if (!this.isPaused) {
+            return { success: false, error: '一時停止していません' };
+        }
+
+        this.isPaused = false;
+        this.getTimers().forEach(timer => timer.resume());
+
+        // 一時停止中に自動操作へ切り替わったプレイヤーの手番を引き取る
+        this.getPlayersArray()
+            .filter(player => player.isAway && !player.isConnected)
+            .forEach(player => this.takeOverTurn(player));
+
+        this.broadcast(GameEvent.GAME_RESUMED, {
+            state: this.state,
+            ...this.getDeadlinePayload(this.turnTimer.deadline)
+        });
+
+        return { success: true };
+    }
+
+    // ===== Bot =====
+
+    /**
+     * Bot を着席させる（ロビーでのみ）
+     * @param {BotPersonality} personality - 性格
+     * @returns {{ success: boolean, error?: string, bot?: Object }}
+     */
+    addBot(personality) {
+        if (!Object.values(BotPersonality).includes(personality)) {
+            return { success: false, error: 'Botの性格の指定が不正です' };
+        }
+        if (this.state !== GameState.WAITING) {
+            return { success: false, error: 'Botはゲーム開始前のみ追加できます' };
+        }
+        if (!this.hasOpenSeat()) {
+            return { success: false, error: 'ルームが満員です' };
+        }
+
+        const number = this.getBots().filter(bot => bot.personality === personality).length + 1;
+        const bot = new BotPlayer(`bot-${uuidv4()}`, `${BOT_PROFILES[personality].label}Bot ${number}`, personality);
+        if (!this.addPlayer(bot)) {
+            return { success: false, error: 'Botを追加できませんでした' };
+        }
+
+        return { success: true, bot: bot.toPublicJSON() };
+    }
+
+    /**
+     * Bot を外す（ゲーム中は途中退出と同じ扱い）
+     * @param {string} botId
+     * @returns {{ success: boolean, error?: string }}
+     */
+    removeBot(botId) {
+        const bot = this.getPlayer(botId);
+        if (!bot?.isBot) {
+            return { success: false, error: 'Botが見つかりません' };
+        }
+
+        bot.thinkTimer.clear();
+        this.removePlayer(botId);
+        return { success: true };
+    }
+
+    /**
+     * 着席中の Bot
+     * @returns {BotPlayer[]}
+     */
+    getBots() {
+        return this.getPlayersArray().filter(player => player.isBot);
+    }
+
+    /**
+     * Bot 以外のプレイヤーが着席しているか
+     * @returns {boolean}
+     */
+    hasHumanPlayers() {
+        return this.getPlayersArray().some(player => !player.isBot);
+    }
+
+    /**
+     * ルームを閉じる（人間が誰もいなくなった時。Bot だけで進行し続けないよう全てのタイマーを止める）
+     * 保存した状態も消し、再起動しても戻らないようにする。
+     */
+    close() {
+        this.finishRecording(null, null);
+        this.getTimers().forEach(timer => timer.clear());
+        this.pendingAction = null;
+        this.players.clear();
+
+        this.snapshotStore?.remove(this.id);
+        this.snapshotStore = null;
+    }
+
+    // ===== 参加パスワード =====
+
+    /**
+     * パスワードをハッシュ化（scrypt・ソルト付き）
+     * @param {string} password
+     * @returns {string} "salt:hash"
+     */
+    static hashPassword(password) {
+        const salt = randomBytes(16).toString('hex');
+        const hash = scryptSync(password, salt, 32).toString('hex');
+        return `${salt}:${hash}`;
+    }
+
+    /**
+     * 参加パスワードが設定されているか
+     * @returns {boolean}
+     */
+    hasPassword() {
+        return this.passwordHash !== null;
+    }
+
+    /**
+     * 参加パスワードを照合（設定されていなければ常に通す）
+     * @param {string|undefined} password
+     * @returns {boolean}
+     */
+    checkPassword(password) {
+        if (!this.hasPassword()) return true;
+        if (typeof password !== 'string') return false;
+
+        const [salt, hash] = this.passwordHash.split(':');
+        const expected = Buffer.from(hash, 'hex');
+        const actual = scryptSync(password, salt, expected.length);
+        return timingSafeEqual(expected, actual);
+    }
+
+    // ===== ルーム設定 =====
+
+    /**
+     * ルーム設定を変更する（ロビーでのみ・ホストの確認は呼び出し側で行う）
+     * @param {Object} changes - 変更する項目と値
+     * @returns {{ success: boolean, error?: string }}
+     */
+    updateSettings(changes) {
+        if (this.state !== GameState.WAITING) {
+            return { success: false, error: 'ゲーム開始後は設定を変更できません' };
+        }
+
+        const error = RoomSettings.validate(changes, this.settings);
+        if (error) {
+            return { success: false, error };
+        }
+
+        const settings = this.settings.with(changes);
+        if (settings.maxPlayers < this.players.size + this.waitingQueue.length) {
+            return { success: false, error: '最大人数は現在の参加者数以上にしてください' };
+        }
+        if (this.catchUpChips !== null && this.catchUpChips < settings.minBet) {
+            return { success: false, error: '最低ベットは途中参加のチップ以下にしてください' };
+        }
+        if (this.endCondition.type === GameEndCondition.CHIP_TARGET && this.endCondition.value <= settings.initialChips) {
+            return { success: false, error: '初期チップは目標チップより少なくしてください' };
+        }
+
+        this.settings = settings;
+        this.players.forEach(player => player.applyRoomSettings(settings));
+        this.waitingQueue.forEach(player => player.applyRoomSettings(settings));
+
+        this.broadcast(GameEvent.SETTINGS_UPDATED, {
+            settings: settings.toJSON()
+        });
+
+        return { success: true, settings: settings.toJSON() };
+    }
+
+    // ===== 途中参加 =====
+
+    /**
+     * ゲーム中に来たプレイヤーを待ち行列に入れる（次のセットの区切りで着席）
+     * @param {Player} player
+     * @returns {boolean}
+     */
+    queuePlayer(player) {
+        if (this.state === GameState.WAITING) {
+            return false;
+        }
+        if (this.players.size + this.waitingQueue.length >= this.settings.maxPlayers) {
+            return false;
+        }
+        if (this.players.has(player.id) || this.getQueuedPlayer(player.id)) {
+            return false;
+        }
+
+        player.applyRoomSettings(this.settings);
+        this.waitingQueue.push(player);
+        this.broadcast(GameEvent.PLAYER_QUEUED, {
+            player: player.toPublicJSON(),
+            waitingQueue: this.getPublicQueueData()
+        });
+
+        return true;
+    }
+
+    /**
+     * 待ち行列から外す
+     * @param {string} playerId
+     * @returns {boolean} 待ち行列にいたか
+     */
+    dequeuePlayer(playerId) {
+        const index = this.waitingQueue.findIndex(p => p.id === playerId);
+        if (index === -1) return false;
+
+        this.waitingQueue.splice(index, 1);
+        this.broadcast(GameEvent.PLAYER_LEFT, {
+            playerId,
+            newHostId: this.hostId,
+            playerCount: this.players.size,
+            waitingQueue: this.getPublicQueueData()
+        });
+
+        return true;
+    }
+
+    /**
+     * 参加待ちのプレイヤーを取得
+     * @param {string} playerId
+     * @returns {Player|undefined}
+     */
+    getQueuedPlayer(playerId) {
+        return this.waitingQueue.find(p => p.id === playerId);
+    }
+
+    /**
+     * 参加待ちのプレイヤーを着席させる
+     * ゲーム中はセット開始時の親の直前に入れ、新しいセットでは最後に親が回ってくるようにする
+     * （全員が1セットに1回ずつ親をする公平さを保つ）。
+     */
+    seatQueuedPlayers() {
+        if (this.waitingQueue.length === 0) return;
+
+        const seated = this.waitingQueue.splice(0);
+        const inGame = this.state !== GameState.WAITING && this.state !== GameState.GAME_END;
+
+        seated.forEach(player => {
+            player.resetForGame(this.catchUpChips ?? this.settings.initialChips);
+            this.players.set(player.id, player);
+        });
+
+        if (inGame) {
+            const insertAt = this.setStartDealerIndex;
+            this.playerOrder.splice(insertAt, 0, ...seated.map(p => p.id));
+            this.setStartDealerIndex += seated.length;
+            if (this.dealerIndex >= insertAt) {
+                this.dealerIndex += seated.length;
+            }
+        }
+
+        this.broadcast(GameEvent.PLAYERS_SEATED, {
+            playerIds: seated.map(p => p.id),
+            players: this.getPublicPlayersData(),
+            playerOrder: this.playerOrder,
+            waitingQueue: this.getPublicQueueData()
+        });
+    }
+
+    /**
+     * 公開用の待ち行列データを取得
+     * @returns {Object[]}
+     */
+    getPublicQueueData() {
+        return this.waitingQueue.map(p => p.toPublicJSON());
+    }
+
+    // ===== 観戦者管理 =====
+
+    /**
+     * 観戦者を追加（ゲームの進行状態に関係なく参加できる）
+     * @param {Spectator} spectator
+     * @returns {boolean}
+     */
+    addSpectator(spectator) {
+        if (this.spectators.size >= GameConfig.MAX_SPECTATORS) {
+            return false;
+        }
+        if (this.players.has(spectator.id)) {
+            return false;
+        }
+
+        this.spectators.set(spectator.id, spectator);
+        this.broadcast(GameEvent.SPECTATOR_JOINED, {
+            spectator: spectator.toPublicJSON(),
+            spectatorCount: this.spectators.size
+        });
+
+        return true;
+    }
+
+    /**
+     * 観戦者を削除
+     * @param {string} spectatorId
+     */
+    removeSpectator(spectatorId) {
+        if (!this.spectators.delete(spectatorId)) return;
+
+        this.broadcast(GameEvent.SPECTATOR_LEFT, {
+            spectatorId,
+            spectatorCount: this.spectators.size
+        });
+    }
+
+    /**
+     * ソケットIDから観戦者を探す
+     * @param {string} socketId
+     * @returns {Spectator|undefined}
+     */
+    getSpectatorBySocket(socketId) {
+        return Array.from(this.spectators.values()).find(spectator => spectator.socketId === socketId);
+    }
+
+    /**
+     * 公開用の観戦者データを取得
+     * @returns {Object[]}
+     */
+    getPublicSpectatorsData() {
+        return Array.from(this.spectators.values()).map(s => s.toPublicJSON());
+    }
+
+    // ===== プレイヤー参照 =====
+
     /**
      * プレイヤーを取得
      * @param {string} playerId 
@@ -158,6 +955,30 @@ export class GameRoom {
         return this.getPlayersArray().filter(p => p.id !== this.currentDealerId);
     }
 
+    /**
+     * 子プレイヤーを親の左隣から席順で取得
+     * @returns {Player[]}
+     */
+    getChildrenInSeatOrder() {
+        const dealerSeat = this.playerOrder.indexOf(this.currentDealerId);
+        const seats = [
+            ...this.playerOrder.slice(dealerSeat + 1),
+            ...this.playerOrder.slice(0, Math.max(dealerSeat, 0))
+        ];
+        return seats
+            .filter(id => id !== this.currentDealerId)
+            .map(id => this.getPlayer(id))
+            .filter(Boolean);
+    }
+
+    /**
+     * このラウンドの勝負に参加している子（ベットが受け付けられた子）を席順で取得
+     * @returns {Player[]}
+     */
+    getParticipatingChildren() {
+        return this.getChildrenInSeatOrder().filter(p => p.currentBet > 0);
+    }
+
     // ===== ゲーム進行 =====
 
     /**
@@ -178,8 +999,23 @@ export class GameRoom {
 
         // 全プレイヤーをリセット
         this.players.forEach(player => {
-            player.resetForGame(GameConfig.INITIAL_CHIPS);
+            player.resetForGame(this.settings.initialChips);
         });
+        this.diceSource.reset();
+        this.dealerStreak = 0;
+        this.dealerPassRequested = false;
+        this.roundNumber = 0;
+        this.currentSet = 1;
+        this.setStartDealerIndex = this.dealerIndex;
+        this.isFinalRound = false;
+
+        // 制限時間つきのゲームは時間切れで最終ラウンドを予告
+        if (this.endCondition.type === GameEndCondition.TIME_LIMIT) {
+            this.gameTimer.start(this.endCondition.value, () => this.announceFinalRound(), 'game');
+        }
+
+        // ここから終了までのイベントを記録
+        this.startRecording();
 
         // スキル配布フェーズへ
         this.changeState(GameState.SKILL_DISTRIBUTION);
@@ -189,32 +1025,36 @@ export class GameRoom {
     }
 
     /**
-     * スキルを配布（現在は無効化）
+     * スキルを配布（skillPool の指定がなければスキルなしモード）
+     * 候補が人数より少ない時は、ロール順で後ろの席がスキルなしになる（ロール順は毎ゲームシャッフル）。
      */
     distributeSkills() {
-        // スキルなしモード: スキル配布をスキップ
-        // TODO: スキル有りモードを実装する場合はここを復活
-        /*
-        const skills = this.skillRegistry.getRandomSkills(
-            this.players.size,
-            { allowDuplicates: false }
-        );
-
-        let index = 0;
-        this.players.forEach(player => {
-            const skill = skills[index++];
-            player.setSkill(skill);
+        if (this.skillPool) {
+            const excludeIds = this.skillRegistry.getSkillIds().filter(id => !this.skillPool.includes(id));
+            const skills = this.skillRegistry.getRandomSkills(
+                Math.min(this.players.size, this.skillPool.length),
+                { allowDuplicates: false, excludeIds }
+            );
+
+            this.playerOrder.forEach((playerId, index) => {
+                const player = this.getPlayer(playerId);
+                const skill = skills[index] || null;
+                player.setSkill(skill);
 
-            this.emitToPlayer(player.id, GameEvent.SKILL_ASSIGNED, {
-                skill: skill.toJSON()
+                if (skill) {
+                    this.emitToPlayer(player.id, GameEvent.SKILL_ASSIGNED, {
+                        skill: skill.toJSON()
+                    });
+                }
             });
-        });
-        */
+        }
 
         // 全員への通知
         this.broadcast(GameEvent.GAME_STARTED, {
             playerOrder: this.playerOrder,
-            players: this.getPublicPlayersData()
+            players: this.getPublicPlayersData(),
+            endCondition: this.endCondition,
+            ...this.getDeadlinePayload(this.gameTimer.deadline)
         });
 
         // 次のフェーズへ
@@ -229,6 +1069,9 @@ export class GameRoom {
         this.cheatTracker.startRound(this.roundNumber);
         this.roundResults = [];
 
+        // サーバーシードをコミット（ハッシュのみ公開、検証不可のソースではnull）
+        const fairness = this.diceSource.startRound(this.roundNumber);
+
         // 親を決定
         this.currentDealerId = this.playerOrder[this.dealerIndex];
         const dealer = this.getDealer();
@@ -258,21 +1101,49 @@ export class GameRoom {
 
         // ベッティングフェーズへ
         this.changeState(GameState.BETTING);
+        const deadline = this.startBetDeadline();
         this.broadcast('round_started', {
             roundNumber: this.roundNumber,
             dealerId: this.currentDealerId,
-            players: this.getPublicPlayersData()
+            players: this.getPublicPlayersData(),
+            fairness,
+            ...this.getDeadlinePayload(deadline)
         });
+
+        // ラウンド数で終わるゲームの最終ラウンド予告
+        if (this.endCondition.type === GameEndCondition.ROUNDS && this.roundNumber >= this.endCondition.value) {
+            this.announceFinalRound();
+        }
+
+        // 離席中の子はすぐに自動ベット
+        this.getNonDealers()
+            .filter(player => player.isAway)
+            .forEach(player => this.placeAutoBet(player));
+    }
+
+    /**
+     * クライアントシードを受け付ける（ベット締め切りまで）
+     * @param {string} playerId 
+     * @param {string} seed 
+     * @returns {boolean}
+     */
+    submitClientSeed(playerId, seed) {
+        if (this.state !== GameState.BETTING || this.isPaused) return false;
+        if (!this.getPlayer(playerId)) return false;
+
+        return this.diceSource.addClientSeed(playerId, seed);
     }
 
     /**
      * ベットを受け付ける
      * @param {string} playerId 
      * @param {number} amount 
+     * @param {string|null} [clientSeed] - 同時に登録するクライアントシード
+     * @param {boolean} [auto=false] - 時間切れによる自動ベットか
      * @returns {boolean}
      */
-    placeBet(playerId, amount) {
-        if (this.state !== GameState.BETTING) return false;
+    placeBet(playerId, amount, clientSeed = null, auto = false) {
+        if (this.state !== GameState.BETTING || this.isPaused) return false;
 
         const player = this.getPlayer(playerId);
         if (!player) return false;
@@ -282,7 +1153,7 @@ export class GameRoom {
             return false;
         }
 
-        if (amount < GameConfig.MIN_BET || amount > GameConfig.MAX_BET) {
+        if (amount < this.settings.minBet || amount > GameConfig.MAX_BET) {
             return false;
         }
 
@@ -290,6 +1161,14 @@ export class GameRoom {
             return false;
         }
 
+        if (clientSeed) {
+            this.diceSource.addClientSeed(playerId, clientSeed);
+        }
+
+        if (!auto) {
+            this.markPlayerActive(player);
+        }
+
         // 残りベット待ちプレイヤー数（子のみ対象）
         const nonDealers = this.getNonDealers();
         const remainingCount = nonDealers.filter(p => p.currentBet === 0).length;
@@ -297,39 +1176,80 @@ export class GameRoom {
         this.broadcast('bet_placed', {
             playerId,
             amount,
+            auto,
             remainingPlayers: remainingCount
         });
 
         // 子全員がベットしたか確認
         const allNonDealersBetted = nonDealers.every(p => p.currentBet > 0);
         if (allNonDealersBetted) {
-            // ★変更: 子が先にロール、親は最後
-            this.startPlayerRolls();
+            this.closeBetting();
         }
 
         return true;
     }
 
     /**
-     * 子プレイヤーのロール開始（子→親の順番）
+     * ベットを締め切ってロールへ進む
      */
-    startPlayerRolls() {
-        this.changeState(GameState.PLAYER_ROLL);
-        this.currentPlayerIndex = 0;
+    closeBetting() {
+        this.turnTimer.clear();
 
-        const nonDealers = this.getNonDealers();
-        if (nonDealers.length === 0) {
-            // 子がいない場合は親のロールへ
-            this.startDealerRoll();
-            return;
+        // 胴元モード: 親のチップで受けられる分だけ席順にベットを受け付ける
+        if (this.bankerMode) {
+            this.coverBets();
         }
 
-        this.currentPlayerId = nonDealers[0].id;
-        this.broadcast('player_turn', {
-            playerId: this.currentPlayerId,
-            playerIndex: 0,
-            totalPlayers: nonDealers.length
+        // ベット締め切り → クライアントシードを確定
+        this.broadcast(GameEvent.CLIENT_SEED_LOCKED, {
+            roundNumber: this.roundNumber,
+            clientSeed: this.diceSource.lock()
         });
+
+        this.startRollPhase();
+    }
+
+    /**
+     * 親のチップを上限に、親の左隣から席順でベットを受け付ける（胴元モード）
+     * 受けきれない分はベット額を減らし、全く受けられない子はこのラウンドに参加しない。
+     */
+    coverBets() {
+        const dealer = this.getDealer();
+        let bank = Math.max(dealer.chips, 0);
+
+        const coverage = this.getChildrenInSeatOrder().map(player => {
+            const requested = player.currentBet;
+            const accepted = Math.min(requested, bank);
+            bank -= accepted;
+            player.currentBet = accepted;
+
+            let status = BetCoverage.COVERED;
+            if (accepted === 0) {
+                status = BetCoverage.REFUSED;
+            } else if (accepted < requested) {
+                status = BetCoverage.PARTIAL;
+            }
+
+            return { playerId: player.id, requested, accepted, status };
+        });
+
+        this.broadcast(GameEvent.BETS_COVERED, {
+            roundNumber: this.roundNumber,
+            dealerId: dealer.id,
+            bank: Math.max(dealer.chips, 0),
+            coverage
+        });
+    }
+
+    /**
+     * ベット締め切り後、進行順に従ってロールを開始
+     */
+    startRollPhase() {
+        if (this.roundFlow === RoundFlow.DEALER_FIRST) {
+            this.startDealerRoll();
+        } else {
+            this.startPlayerRolls();
+        }
     }
 
     /**
@@ -337,17 +1257,23 @@ export class GameRoom {
      */
     startDealerRoll() {
         this.changeState(GameState.DEALER_ROLL);
+        const deadline = this.startRollDeadline(this.currentDealerId);
         this.broadcast('dealer_turn', {
-            dealerId: this.currentDealerId
+            dealerId: this.currentDealerId,
+            ...this.getDeadlinePayload(deadline)
         });
     }
 
     /**
      * ダイスを振る処理
      * @param {string} playerId 
+     * @param {Object} [options]
+     * @param {boolean} [options.auto=false] - 時間切れによる自動ロールか
      * @returns {Object}
      */
-    async rollDice(playerId) {
+    async rollDice(playerId, { auto = false } = {}) {
+        if (this.isPaused) return { success: false, error: '一時停止中です' };
+
         const player = this.getPlayer(playerId);
         if (!player) return { success: false, error: 'プレイヤーが見つかりません' };
 
@@ -371,6 +1297,12 @@ export class GameRoom {
             player.isWaitingForReroll = false;
         }
 
+        // 振ったので締め切りを解除
+        this.turnTimer.clear();
+        if (!auto) {
+            this.markPlayerActive(player);
+        }
+
         // スキルの beforeRoll フック
         let diceResult;
         let effectData = null;
@@ -386,10 +1318,10 @@ export class GameRoom {
                 diceResult = beforeResult.dice;
                 effectData = beforeResult.effectData || null;
             } else {
-                diceResult = DiceEngine.roll();
+                diceResult = this.drawDice(3, player.id);
             }
         } else {
-            diceResult = DiceEngine.roll();
+            diceResult = this.drawDice(3, player.id);
         }
 
 
@@ -415,6 +1347,31 @@ export class GameRoom {
         return this.finalizeRoll(player, diceResult, effectData);
     }
 
+    /**
+     * ダイスの出目を生成（ルームのダイスソースから取得）
+     * @param {number} [count=3] - ダイスの数
+     * @param {string|null} [playerId] - 振ったプレイヤー
+     * @returns {number[]}
+     */
+    drawDice(count = 3, playerId = null) {
+        return this.diceSource.roll(count, playerId);
+    }
+
+    /**
+     * ダイスソースを差し替える（テスト・デモ・デバッグ用）
+     * ラウンド途中で差し替えた場合は、新しいソースでそのラウンドを開始し直す。
+     * @param {BaseDiceSource} diceSource
+     */
+    setDiceSource(diceSource) {
+        this.diceSource = diceSource;
+
+        if (this.roundNumber > 0 && this.state !== GameState.ROUND_END && this.state !== GameState.GAME_END) {
+            diceSource.startRound(this.roundNumber);
+        }
+
+        this.broadcast(GameEvent.DICE_SOURCE_CHANGED, diceSource.toJSON());
+    }
+
     /**
      * 非同期スキルアクションを処理
      * @param {Player} player 
@@ -445,10 +1402,11 @@ export class GameRoom {
             skillName: player.skill.name
         });
 
-        // タイムアウト設定
-        this.actionTimer = setTimeout(() => {
+        // タイムアウト設定（離席中のプレイヤーはすぐに見送る）
+        const timeoutMs = player.isAway ? GameConfig.AWAY_ACTION_DELAY_MS : this.settings.actionTimeoutMs;
+        this.actionTimer.start(timeoutMs, () => {
             this.handleSkillActionTimeout(player.id);
-        }, GameConfig.ACTION_TIMEOUT_MS);
+        }, 'skill_action');
 
         return { success: true, waiting: true };
     }
@@ -459,6 +1417,9 @@ export class GameRoom {
      * @param {Object} response - { choice: 'keep' | 'reroll', ... }
      */
     async handleSkillAction(playerId, response) {
+        if (this.isPaused) {
+            return { success: false, error: '一時停止中です' };
+        }
         if (this.state !== GameState.WAITING_FOR_ACTION) {
             return { success: false, error: '現在アクション待ちではありません' };
         }
@@ -467,18 +1428,22 @@ export class GameRoom {
         }
 
         // タイマーをクリア
-        if (this.actionTimer) {
-            clearTimeout(this.actionTimer);
-            this.actionTimer = null;
-        }
+        this.actionTimer.clear();
 
         const player = this.getPlayer(playerId);
+        if (!player) return { success: false, error: 'プレイヤーが見つかりません' };
         const { resolve, originalDice, skillResult } = this.pendingAction;
 
+        // 再起動で復元した選択待ちは続き（resolve）を持たないので、元の出目のまま確定する
+        if (!resolve) {
+            this.pendingAction = null;
+            return this.finalizeRoll(player, originalDice, null);
+        }
+
         // 振り直しの場合は新しいダイスを振る
         let newDice = originalDice;
         if (response.choice === 'reroll') {
-            newDice = DiceEngine.roll();
+            newDice = this.drawDice(3, playerId);
         }
 
         // resolve 関数を呼び出し
@@ -487,6 +1452,14 @@ export class GameRoom {
         // 保留アクションをクリア
         this.pendingAction = null;
 
+        this.recorder?.record(GameEvent.SKILL_ACTION, {
+            playerId,
+            skillId: player.skill?.id ?? null,
+            skillName: player.skill?.name ?? null,
+            actionType: skillResult.actionType,
+            choice: response.choice ?? null
+        });
+
         // modifyOpponent 処理（スナイパー、すり替え等）
         if (result.modifyOpponent) {
             this.applyOpponentDiceModification(result.modifyOpponent, result.effectData);
@@ -523,14 +1496,14 @@ export class GameRoom {
      */
     async finalizeRoll(player, dice, effectData) {
         player.currentDice = dice;
-        player.currentHand = DiceEngine.evaluateHand(dice);
+        player.currentHand = this.ruleSet.evaluateHand(dice);
         player.hasRolled = true;
 
         // 目なしの場合
         if (player.currentHand.type === HandType.MENASHI) {
             player.rerollCount++;
 
-            if (player.rerollCount >= GameConfig.MAX_REROLL_ATTEMPTS) {
+            if (player.rerollCount >= this.settings.maxRerollAttempts) {
                 // 振り直し上限 → 自動負け
                 this.broadcast(GameEvent.DICE_ROLLED, {
                     playerId: player.id,
@@ -548,13 +1521,15 @@ export class GameRoom {
                 player.hasRolled = false;
                 player.isWaitingForReroll = true;
 
+                const deadline = this.startRollDeadline(player.id);
                 this.broadcast(GameEvent.DICE_ROLLED, {
                     playerId: player.id,
                     dice,
                     hand: player.currentHand,
                     effectData,
                     canReroll: true,
-                    rerollCount: player.rerollCount
+                    rerollCount: player.rerollCount,
+                    ...this.getDeadlinePayload(deadline)
                 });
                 // 状態はそのまま維持し、次のrollDice()を待つ
                 // ※startInterruptWindowは呼ばない
@@ -633,7 +1608,7 @@ export class GameRoom {
 
         // ダイスと役を更新
         targetPlayer.currentDice = newDice;
-        targetPlayer.currentHand = DiceEngine.evaluateHand(newDice);
+        targetPlayer.currentHand = this.ruleSet.evaluateHand(newDice);
 
         // 全員に通知
         this.broadcast('dice_updated', {
@@ -675,16 +1650,17 @@ export class GameRoom {
      */
     startInterruptWindow(rolledPlayer) {
         const previousState = this.state;
+        this.interruptTargetId = rolledPlayer.id;
         this.changeState(GameState.INTERRUPT_WINDOW);
 
         this.broadcast('interrupt_window_open', {
             targetPlayerId: rolledPlayer.id,
-            timeoutMs: GameConfig.INTERRUPT_WINDOW_MS
+            timeoutMs: this.settings.interruptWindowMs
         });
 
-        this.interruptTimer = setTimeout(() => {
+        this.interruptTimer.start(this.settings.interruptWindowMs, () => {
             this.endInterruptWindow(previousState, rolledPlayer);
-        }, GameConfig.INTERRUPT_WINDOW_MS);
+        }, 'interrupt');
     }
 
     /**
@@ -693,21 +1669,46 @@ export class GameRoom {
      * @param {Player} rolledPlayer 
      */
     endInterruptWindow(previousState, rolledPlayer) {
-        if (this.interruptTimer) {
-            clearTimeout(this.interruptTimer);
-            this.interruptTimer = null;
-        }
+        this.clearInterruptTimer();
 
         this.broadcast('interrupt_window_closed', {});
 
-        // ★変更: 子→親の順番なので
-        // 子のロール後は次の子（または親）へ、親のロール後は結果計算へ
-        if (rolledPlayer.isDealer) {
-            // 親のロールが終わったら結果計算へ
+        this.advanceAfterRoll(rolledPlayer);
+    }
+
+    /**
+     * ロール確定後（割り込みウィンドウ終了・ダウト処理後）に次の手番へ進める
+     * @param {Player} rolledPlayer - ダイスを振ったプレイヤー
+     */
+    advanceAfterRoll(rolledPlayer) {
+        if (!rolledPlayer.isDealer) {
+            this.nextPlayerRoll();
+            return;
+        }
+
+        if (this.roundFlow !== RoundFlow.DEALER_FIRST) {
+            // 子先行: 親が最後に振ったので結果計算へ
             this.calculateResults();
+            return;
+        }
+
+        // 親先行: 親の役で即決着するなら子は振らない
+        const instantWinner = DiceEngine.getInstantWinner(rolledPlayer.currentHand);
+        if (instantWinner) {
+            this.calculateResults(instantWinner);
         } else {
-            // 子のロールが終わったら次のプレイヤー（子または親）へ
-            this.nextPlayerRoll();
+            this.startPlayerRolls();
+        }
+    }
+
+    /**
+     * 子全員のロールが終わった後の処理
+     */
+    finishPlayerRolls() {
+        if (this.roundFlow === RoundFlow.DEALER_FIRST) {
+            this.calculateResults();
+        } else {
+            this.startDealerRoll();
         }
     }
 
@@ -717,22 +1718,26 @@ export class GameRoom {
      * @param {string} targetId - 対象ID
      */
     handleDoubt(accuserId, targetId) {
+        if (this.isPaused) {
+            return { success: false, error: '一時停止中です' };
+        }
         if (this.state !== GameState.INTERRUPT_WINDOW) {
             return { success: false, error: 'ダウト受付中ではありません' };
         }
 
-        // 割り込みタイマーをクリア
-        if (this.interruptTimer) {
-            clearTimeout(this.interruptTimer);
-            this.interruptTimer = null;
+        const accuser = this.getPlayer(accuserId);
+        const target = this.getPlayer(targetId);
+        if (!accuser || !target) {
+            return { success: false, error: 'プレイヤーが見つかりません' };
         }
 
-        const result = this.cheatTracker.checkDoubt(accuserId, targetId, this.roundNumber);
+        // 割り込みタイマーをクリア
+        this.clearInterruptTimer();
 
-        const accuser = this.getPlayer(accuserId);
-        const target = this.getPlayer(targetId);
+        const result = this.cheatTracker.checkDoubt(accuserId, targetId, this.roundNumber);
 
         // ペナルティ適用
+        const loansBefore = this.getLoanLedgerSizes();
         if (result.caught) {
             // イカサマ発覚 → イカサマ師にペナルティ
             target.removeChips(result.penalty.chipLoss);
@@ -741,6 +1746,7 @@ export class GameRoom {
             // 冤罪 → 告発者にペナルティ
             accuser.removeChips(result.penalty.chipLoss);
         }
+        this.broadcastLoanUpdates(loansBefore);
 
         this.broadcast(GameEvent.DOUBT_RESULT, {
             accuserId,
@@ -750,223 +1756,669 @@ export class GameRoom {
             targetChips: target.chips
         });
 
-        // ゲーム進行を再開
-        const rolledPlayer = this.getPlayer(targetId);
-        if (rolledPlayer.isDealer) {
-            this.startPlayerRolls();
-        } else {
-            this.nextPlayerRoll();
-        }
+        // ゲーム進行を再開（ダウト対象ではなく、直前にダイスを振ったプレイヤーの手番から進める）
+        const rolledPlayer = this.getPlayer(this.interruptTargetId) || target;
+        this.advanceAfterRoll(rolledPlayer);
+
+        return { success: true, result };
+    }
+
+    /**
+     * 子プレイヤーのロールを開始
+     */
+    startPlayerRolls() {
+        this.currentPlayerIndex = 0;
+
+        // 親の左隣から席順（ベットが受け付けられた子のみ）
+        const nonDealers = this.getParticipatingChildren().map(p => p.id);
+
+        // 胴元モードで全員のベットが断られた場合など、振る子がいなければ PLAYER_ROLL を飛ばす
+        if (nonDealers.length === 0) {
+            this.finishPlayerRolls();
+            return;
+        }
+
+        this.changeState(GameState.PLAYER_ROLL);
+        this.currentPlayerId = nonDealers[0];
+        const deadline = this.startRollDeadline(this.currentPlayerId);
+        this.broadcast('player_turn', {
+            playerId: this.currentPlayerId,
+            playerIndex: this.currentPlayerIndex,
+            totalPlayers: nonDealers.length,
+            ...this.getDeadlinePayload(deadline)
+        });
+    }
+
+    /**
+     * 次の子プレイヤーへ
+     */
+    nextPlayerRoll() {
+        const nonDealers = this.getParticipatingChildren().map(p => p.id);
+        this.currentPlayerIndex++;
+
+        if (this.currentPlayerIndex >= nonDealers.length) {
+            this.finishPlayerRolls();
+            return;
+        }
+
+        this.currentPlayerId = nonDealers[this.currentPlayerIndex];
+        this.changeState(GameState.PLAYER_ROLL);
+
+        const deadline = this.startRollDeadline(this.currentPlayerId);
+        this.broadcast('player_turn', {
+            playerId: this.currentPlayerId,
+            playerIndex: this.currentPlayerIndex,
+            totalPlayers: nonDealers.length,
+            ...this.getDeadlinePayload(deadline)
+        });
+    }
+
+    /**
+     * ラウンド結果を計算
+     * 負けた子からの回収を先に行い、その後で勝った子に席順で支払う。
+     * 胴元モードでは親のチップが尽きた時点で支払いを打ち切る（頭ハネ）。
+     * @param {'dealer'|'player'|null} [instantWinner] - 親先行で即決着した場合の勝者（子は振っていない）
+     */
+    calculateResults(instantWinner = null) {
+        this.turnTimer.clear();
+        this.changeState(GameState.RESULT);
+
+        const dealer = this.getDealer();
+        const loansBefore = this.getLoanLedgerSizes();
+
+        // 勝敗と移動額を計算（席順）
+        const settlements = this.getParticipatingChildren().map(player => {
+            const comparison = instantWinner
+                ? { winner: instantWinner, reason: `親の${dealer.currentHand.displayName}で即決着`, margin: 0 }
+                : this.ruleSet.compareHands(dealer.currentHand, player.currentHand, true);
+
+            let multiplier = 1;
+
+            // スキルの結果計算フック
+            if (player.skill) {
+                const skillResult = player.skill.onResultCalculation(
+                    { room: this, player, opponent: dealer },
+                    comparison
+                );
+                if (skillResult.modified) {
+                    multiplier = skillResult.multiplier;
+                }
+            }
+            if (dealer.skill) {
+                const skillResult = dealer.skill.onResultCalculation(
+                    { room: this, player: dealer, opponent: player },
+                    comparison
+                );
+                if (skillResult.modified) {
+                    multiplier *= skillResult.multiplier;
+                }
+            }
+
+            // 親と子の倍率を掛け合わせる（即決着は子が振っていないので親の倍率のみ）
+            const dealerMult = this.ruleSet.getMultiplier(dealer.currentHand, true);
+            const totalMult = instantWinner
+                ? dealerMult
+                : this.ruleSet.getPayoutMultiplier(dealer.currentHand, player.currentHand);
+            const playerLabel = player.currentHand
+                ? `${player.currentHand.displayName} x${this.ruleSet.getMultiplier(player.currentHand, false)}`
+                : '振らず';
+            console.log(`[Result] ${dealer.name}(${dealer.currentHand.displayName} x${dealerMult}) vs ${player.name}(${playerLabel}) -> x${totalMult}`);
+
+            // winner === null（同点流し）の場合はチップ移動なし
+            const owed = comparison.winner ? Math.floor(player.currentBet * totalMult * multiplier) : 0;
+
+            return { player, comparison, owed, chipTransfer: 0, payoutStatus: null };
+        });
+
+        // 負けた子から回収（足りない分は借入、借入枠を超えた分は回収できない）
+        settlements
+            .filter(entry => entry.comparison.winner === 'dealer')
+            .forEach(entry => {
+                const collected = entry.player.removeChips(entry.owed);
+                dealer.addChips(collected);
+                entry.chipTransfer = collected;
+            });
+
+        // 勝った子に席順で支払い（胴元モードは親の手持ちまで、それ以外は親の借入枠まで）
+        settlements
+            .filter(entry => entry.comparison.winner === 'player')
+            .forEach(entry => {
+                const paid = dealer.removeChips(
+                    this.bankerMode ? Math.min(entry.owed, dealer.chips) : entry.owed
+                );
+                entry.player.addChips(paid);
+                entry.chipTransfer = paid;
+                entry.payoutStatus = paid === entry.owed
+                    ? PayoutStatus.PAID
+                    : (paid > 0 ? PayoutStatus.PARTIAL : PayoutStatus.REFUSED);
+            });
+
+        // 勝ち越した分から借入を強制返済
+        this.repayLoansFromWinnings(settlements, dealer);
+        this.broadcastLoanUpdates(loansBefore);
+
+        const results = settlements.map(({ player, comparison, owed, chipTransfer, payoutStatus }) => ({
+            playerId: player.id,
+            dealerId: dealer.id,
+            playerHand: player.currentHand,
+            dealerHand: dealer.currentHand,
+            winner: comparison.winner,
+            reason: comparison.reason,
+            instant: instantWinner !== null,
+            owed,
+            chipTransfer,
+            payoutStatus,
+            playerChips: player.chips,
+            dealerChips: dealer.chips
+        }));
+
+        this.roundResults = results;
+
+        this.broadcast(GameEvent.ROUND_RESULT, {
+            roundNumber: this.roundNumber,
+            instant: instantWinner !== null,
+            results,
+            players: this.getPublicPlayersData()
+        });
+
+        // ラウンド終了処理
+        this.phaseTimer.start(3000, () => this.endRound(), 'round_end');
+    }
+
+    /**
+     * ラウンド終了
+     */
+    endRound() {
+        this.changeState(GameState.ROUND_END);
+        this.revealFairness();
+
+        // スキルのラウンド終了処理
+        this.players.forEach(player => {
+            if (player.skill) {
+                player.skill.onRoundEnd();
+            }
+            player.isDealer = false;
+        });
+        this.cheatTracker.onRoundEnd();
+
+        // 破産チェック
+        const bankruptPlayers = this.getPlayersArray().filter(p => p.isBankrupt());
+        if (bankruptPlayers.length > 0) {
+            this.broadcast('players_bankrupt', {
+                playerIds: bankruptPlayers.map(p => p.id)
+            });
+        }
+
+        // ゲーム終了チェック（どの終了条件でも、最後の1人になったら続けられない）
+        const activePlayers = this.getPlayersArray().filter(p => !p.isBankrupt());
+        if (activePlayers.length <= 1) {
+            this.endGame(GameEndCondition.LAST_STANDING);
+            return;
+        }
+
+        // 連荘なら親はそのまま、そうでなければ次の親へ
+        if (this.shouldDealerContinue()) {
+            this.dealerStreak++;
+            this.broadcast(GameEvent.DEALER_CONTINUED, {
+                dealerId: this.currentDealerId,
+                streak: this.dealerStreak
+            });
+        } else {
+            this.rotateDealer();
+        }
+
+        this.scheduleNextRound();
+    }
+
+    /**
+     * サーバーシードを公開（全ダイスを検証可能にする）
+     */
+    revealFairness() {
+        const fairnessRecord = this.diceSource.reveal();
+        if (fairnessRecord) {
+            this.broadcast(GameEvent.FAIRNESS_REVEALED, fairnessRecord);
+        }
+    }
+
+    /**
+     * 終了条件を判定し、続行なら次のラウンドを予約する
+     * セット数の条件は親の交代後に確定するので、親を決めた後に呼ぶ。
+     */
+    scheduleNextRound() {
+        const endReason = this.getGameEndReason();
+        if (endReason) {
+            this.endGame(endReason);
+            return;
+        }
+
+        this.phaseTimer.start(2000, () => this.startNewRound(), 'next_round');
+    }
+
+    /**
+     * 部屋の終了条件の指定がない時の終了条件
+     * @returns {{ type: GameEndCondition, value: number|null }}
+     */
+    static getDefaultEndCondition() {
+        if (GameConfig.ROUNDS_PER_GAME) {
+            return { type: GameEndCondition.ROUNDS, value: GameConfig.ROUNDS_PER_GAME };
+        }
+        return { type: GameEndCondition.LAST_STANDING, value: null };
+    }
+
+    /**
+     * ラウンド終了時に、終了条件を満たしたかを判定
+     * @returns {GameEndCondition|null} 満たした終了条件（続行ならnull）
+     */
+    getGameEndReason() {
+        const { type, value } = this.endCondition;
+
+        switch (type) {
+            case GameEndCondition.SETS:
+                return this.currentSet - 1 >= value ? type : null;
+            case GameEndCondition.ROUNDS:
+                return this.roundNumber >= value ? type : null;
+            case GameEndCondition.TIME_LIMIT:
+                return this.isFinalRound ? type : null;
+            case GameEndCondition.CHIP_TARGET:
+                return this.getPlayersArray().some(p => p.getNetWorth() >= value) ? type : null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * 最終ラウンドを予告する
+     * 制限時間はラウンドの途中で切れるので、進行中（ラウンドの合間なら次）のラウンドを最後にする。
+     */
+    announceFinalRound() {
+        if (this.isFinalRound || this.state === GameState.GAME_END) return;
+
+        this.isFinalRound = true;
+        this.broadcast(GameEvent.FINAL_ROUND, {
+            reason: this.endCondition.type,
+            roundNumber: this.state === GameState.ROUND_END ? this.roundNumber + 1 : this.roundNumber
+        });
+    }
+
+    /**
+     * 親が連荘するかどうか（親が勝ち越したラウンドのみ）
+     * @returns {boolean}
+     */
+    shouldDealerContinue() {
+        if (!this.dealerContinuation || this.dealerPassRequested) return false;
+        if (this.maxDealerStreak !== null && this.dealerStreak >= this.maxDealerStreak) return false;
+
+        const dealer = this.getDealer();
+        if (!dealer || dealer.isBankrupt()) return false;
+
+        // このラウンドの親の収支
+        const dealerNet = this.roundResults.reduce((sum, result) => {
+            if (result.winner === 'dealer') return sum + result.chipTransfer;
+            if (result.winner === 'player') return sum - result.chipTransfer;
+            return sum;
+        }, 0);
+
+        return dealerNet > 0;
+    }
+
+    /**
+     * 親を次のプレイヤーに回す（破産した親はスキップ）
+     * セット開始時の親の席を通過したら1巡とみなし、セット終了ボーナスを加算する。
+     * 親が退出した場合は、その席に詰めてきた次のプレイヤーから数える。
+     */
+    rotateDealer() {
+        let setCompleted = false;
+        const seats = this.playerOrder.length;
+        const vacated = this.vacatedDealerSeat;
+        this.vacatedDealerSeat = null;
+
+        if (vacated) {
+            // セットの最初の親が抜けた場合は、詰めてきた次の席からセットが続く
+            this.dealerIndex = vacated.seat % seats;
+            setCompleted = !vacated.wasSetStart && this.dealerIndex === this.setStartDealerIndex;
+        } else {
+            this.dealerIndex = (this.dealerIndex + 1) % seats;
+            setCompleted = this.dealerIndex === this.setStartDealerIndex;
+        }
+
+        while (this.getPlayer(this.playerOrder[this.dealerIndex]).isBankrupt()) {
+            this.dealerIndex = (this.dealerIndex + 1) % seats;
+            if (this.dealerIndex === this.setStartDealerIndex) {
+                setCompleted = true;
+            }
+        }
+
+        this.dealerStreak = 0;
+        this.dealerPassRequested = false;
+
+        if (setCompleted) {
+            this.completeSet();
+        }
+    }
+
+    /**
+     * セット終了（親が1巡）→ 借入に利息をつけ、全員にボーナス加算（一部は強制返済）
+     */
+    completeSet() {
+        this.currentSet++;
+
+        const loansBefore = this.getLoanLedgerSizes();
+        const bonusAmount = this.settings.setBonusChips;
+        this.getPlayersArray().forEach(player => {
+            player.loan.accrueInterest();
+            player.receiveWinnings(bonusAmount);
+        });
+        this.broadcastLoanUpdates(loansBefore);
+
+        this.broadcast('set_completed', {
+            setNumber: this.currentSet - 1,
+            bonusAmount,
+            players: this.getPublicPlayersData()
+        });
+
+        // 参加待ちのプレイヤーは新しいセットから参加
+        this.seatQueuedPlayers();
+    }
+
+    /**
+     * 親を降りる（ラウンドの結果表示中〜次のラウンド開始前のみ）
+     * @param {string} playerId
+     * @returns {Object} 結果
+     */
+    passDealer(playerId) {
+        if (this.isPaused) {
+            return { success: false, error: '一時停止中です' };
+        }
+        if (playerId !== this.currentDealerId) {
+            return { success: false, error: '親ではありません' };
+        }
+        if (this.state !== GameState.RESULT && this.state !== GameState.ROUND_END) {
+            return { success: false, error: 'ラウンドの合間のみ親を降りられます' };
+        }
+        if (this.dealerPassRequested) {
+            return { success: false, error: '既に親を降りる申告をしています' };
+        }
+
+        if (this.state === GameState.ROUND_END) {
+            // 連荘が決まった後なら、ここで親を回す
+            if (this.playerOrder[this.dealerIndex] !== this.currentDealerId) {
+                return { success: false, error: '次のラウンドで親は交代します' };
+            }
+            this.rotateDealer();
+        } else {
+            // 結果表示中なら endRound で親を回す
+            this.dealerPassRequested = true;
+        }
+
+        this.broadcast(GameEvent.DEALER_PASSED, { playerId });
+
+        return { success: true };
+    }
+
+    /**
+     * ゲーム終了
+     * @param {GameEndCondition} [reason] - 満たした終了条件
+     */
+    endGame(reason = GameEndCondition.LAST_STANDING) {
+        this.getTimers().forEach(timer => timer.clear());
+        this.pendingAction = null;
+        this.isPaused = false;
+        this.changeState(GameState.GAME_END);
+
+        // ランキング計算（純資産順）
+        const ranking = this.getPlayersArray()
+            .sort((a, b) => b.getNetWorth() - a.getNetWorth())
+            .map((player, index) => {
+                player.rank = index + 1;
+                return {
+                    rank: index + 1,
+                    playerId: player.id,
+                    name: player.name,
+                    chips: player.chips,
+                    debt: player.loan.balance,
+                    netWorth: player.getNetWorth()
+                };
+            });
+
+        this.broadcast(GameEvent.GAME_ENDED, {
+            reason,
+            endCondition: this.endCondition,
+            ranking,
+            cheatLog: this.cheatTracker.getCheatLog()
+        });
+        this.finishRecording(reason, ranking);
+    }
 
-        return { success: true, result };
+    /**
+     * 割り込みウィンドウのタイマーを止める
+     */
+    clearInterruptTimer() {
+        this.interruptTimer.clear();
     }
 
     /**
-     * 子プレイヤーのロールを開始
+     * スキル選択待ちのタイマーを止め、保留中のアクションを破棄する
      */
-    startPlayerRolls() {
-        this.changeState(GameState.PLAYER_ROLL);
-        this.currentPlayerIndex = 0;
+    clearActionTimer() {
+        this.actionTimer.clear();
+        this.pendingAction = null;
+    }
 
-        // 親以外のプレイヤー順序
-        const nonDealers = this.playerOrder.filter(id => id !== this.currentDealerId);
+    // ===== 持ち時間・離席 =====
 
-        if (nonDealers.length === 0) {
-            this.calculateResults();
-            return;
-        }
+    /**
+     * ベットの締め切りを設定
+     * @returns {number|null} 締め切り時刻（持ち時間なしの場合はnull）
+     */
+    startBetDeadline() {
+        if (!this.timeouts.betMs) return null;
+        return this.turnTimer.start(this.timeouts.betMs, () => this.handleBetTimeout(), 'bet');
+    }
 
-        this.currentPlayerId = nonDealers[0];
-        this.broadcast('player_turn', {
-            playerId: this.currentPlayerId,
-            playerIndex: this.currentPlayerIndex,
-            totalPlayers: nonDealers.length
-        });
+    /**
+     * ロールの締め切りを設定（離席中のプレイヤーはすぐに自動ロール）
+     * @param {string} playerId
+     * @returns {number|null} 締め切り時刻（持ち時間なしの場合はnull）
+     */
+    startRollDeadline(playerId) {
+        const player = this.getPlayer(playerId);
+        const ms = player?.isAway ? GameConfig.AWAY_ACTION_DELAY_MS : this.timeouts.rollMs;
+        if (!ms) return null;
+        return this.turnTimer.start(ms, () => this.handleRollTimeout(playerId), 'roll');
     }
 
     /**
-     * 次の子プレイヤーへ
+     * 締め切りをクライアント送信用の形式にする
+     * serverTime を併せて送り、クライアント側で時計のずれを補正できるようにする。
+     * @param {number|null} deadline
+     * @returns {{ deadline: number|null, serverTime: number }}
      */
-    nextPlayerRoll() {
-        const nonDealers = this.playerOrder.filter(id => id !== this.currentDealerId);
-        this.currentPlayerIndex++;
+    getDeadlinePayload(deadline) {
+        return { deadline, serverTime: Date.now() };
+    }
 
-        if (this.currentPlayerIndex >= nonDealers.length) {
-            // ★子全員ロール完了 → 親のロールへ
-            this.startDealerRoll();
-            return;
-        }
+    /**
+     * ベットの時間切れ → 未ベットの子に自動ベット
+     */
+    handleBetTimeout() {
+        if (this.state !== GameState.BETTING) return;
 
-        this.currentPlayerId = nonDealers[this.currentPlayerIndex];
-        this.changeState(GameState.PLAYER_ROLL);
+        const idlePlayers = this.getNonDealers().filter(p => p.currentBet === 0);
+        this.broadcast(GameEvent.TURN_TIMEOUT, {
+            phase: GameState.BETTING,
+            playerIds: idlePlayers.map(p => p.id)
+        });
 
-        this.broadcast('player_turn', {
-            playerId: this.currentPlayerId,
-            playerIndex: this.currentPlayerIndex,
-            totalPlayers: nonDealers.length
+        idlePlayers.forEach(player => {
+            this.registerIdle(player);
+            this.placeAutoBet(player);
         });
     }
 
     /**
-     * ラウンド結果を計算
+     * ロールの時間切れ → 自動ロール
+     * @param {string} playerId
      */
-    calculateResults() {
-        this.changeState(GameState.RESULT);
-
-        const dealer = this.getDealer();
-        const results = [];
-
-        this.getNonDealers().forEach(player => {
-            const comparison = DiceEngine.compareHands(dealer.currentHand, player.currentHand, true);
-
-            let chipTransfer = 0;
-            let multiplier = 1;
+    handleRollTimeout(playerId) {
+        const player = this.getPlayer(playerId);
+        if (!player || !this.isRollTurn(player)) return;
 
-            // スキルの結果計算フック
-            if (player.skill) {
-                const skillResult = player.skill.onResultCalculation(
-                    { room: this, player, opponent: dealer },
-                    comparison
-                );
-                if (skillResult.modified) {
-                    multiplier = skillResult.multiplier;
-                }
-            }
-            if (dealer.skill) {
-                const skillResult = dealer.skill.onResultCalculation(
-                    { room: this, player: dealer, opponent: player },
-                    comparison
-                );
-                if (skillResult.modified) {
-                    multiplier *= skillResult.multiplier;
-                }
-            }
+        // 離席中のプレイヤーは自動ロールが前提なので記録しない
+        if (!player.isAway) {
+            this.broadcast(GameEvent.TURN_TIMEOUT, {
+                phase: this.state,
+                playerIds: [playerId]
+            });
+            this.registerIdle(player);
+        }
 
-            // チップ移動計算
-            const baseBet = player.currentBet;
-
-            // 親と子の倍率を掛け合わせる
-            const dealerMult = DiceEngine.getMultiplier(dealer.currentHand, true);
-            const playerMult = DiceEngine.getMultiplier(player.currentHand, false);
-            const totalMult = dealerMult * playerMult;
-            console.log(`[Result] ${dealer.name}(${dealer.currentHand.displayName} x${dealerMult}) vs ${player.name}(${player.currentHand.displayName} x${playerMult}) -> x${totalMult}`);
-
-            if (comparison.winner === 'dealer') {
-                chipTransfer = Math.floor(baseBet * totalMult * multiplier);
-                player.removeChips(chipTransfer);
-                dealer.addChips(chipTransfer);
-            } else if (comparison.winner === 'player') {
-                chipTransfer = Math.floor(baseBet * totalMult * multiplier);
-                dealer.removeChips(chipTransfer);
-                player.addChips(chipTransfer);
-            }
+        this.rollDice(playerId, { auto: true });
+    }
 
-            results.push({
-                playerId: player.id,
-                dealerId: dealer.id,
-                playerHand: player.currentHand,
-                dealerHand: dealer.currentHand,
-                winner: comparison.winner,
-                reason: comparison.reason,
-                chipTransfer,
-                playerChips: player.chips,
-                dealerChips: dealer.chips
-            });
-        });
+    /**
+     * ダイスを振る番か（振り直し待ちを含む）
+     * @param {Player} player
+     * @returns {boolean}
+     */
+    isRollTurn(player) {
+        return player.isWaitingForReroll ||
+            (this.state === GameState.DEALER_ROLL && player.id === this.currentDealerId) ||
+            (this.state === GameState.PLAYER_ROLL && player.id === this.currentPlayerId);
+    }
 
-        this.roundResults = results;
+    /**
+     * 自動ベット（直前のベット額または最低ベット額。切断中のプレイヤーは最低ベット額）
+     * @param {Player} player
+     */
+    placeAutoBet(player) {
+        const { minBet } = this.settings;
+        const useLast = this.autoBet === AutoBetMode.LAST && player.lastBet >= minBet && player.isConnected;
+        const amount = useLast ? player.lastBet : minBet;
 
-        this.broadcast(GameEvent.ROUND_RESULT, {
-            roundNumber: this.roundNumber,
-            results,
-            players: this.getPublicPlayersData()
-        });
+        if (!this.placeBet(player.id, amount, null, true) && amount !== minBet) {
+            this.placeBet(player.id, minBet, null, true);
+        }
+    }
 
-        // ラウンド終了処理
-        setTimeout(() => this.endRound(), 3000);
+    /**
+     * 時間切れを記録し、回数が上限に達したら離席扱いにする
+     * @param {Player} player
+     */
+    registerIdle(player) {
+        if (player.addIdleStrike(GameConfig.MAX_IDLE_STRIKES)) {
+            this.broadcast(GameEvent.PLAYER_AWAY, { playerId: player.id });
+        }
     }
 
     /**
-     * ラウンド終了
+     * 自分で操作したプレイヤーの時間切れ記録を消す
+     * @param {Player} player
      */
-    endRound() {
-        this.changeState(GameState.ROUND_END);
+    markPlayerActive(player) {
+        if (player.markActive()) {
+            this.broadcast(GameEvent.PLAYER_RETURNED, { playerId: player.id });
+        }
+    }
 
-        // スキルのラウンド終了処理
-        this.players.forEach(player => {
-            if (player.skill) {
-                player.skill.onRoundEnd();
-            }
-            player.isDealer = false;
-        });
-        this.cheatTracker.onRoundEnd();
+    /**
+     * 切断したまま猶予を過ぎたプレイヤーを自動操作に切り替える
+     * 以降は最低額でベットし、手番が来たらすぐに振り、スキルの選択は見送る。
+     * @param {string} playerId
+     */
+    startAutopilot(playerId) {
+        const player = this.getPlayer(playerId);
+        if (!player || player.isConnected) return;
 
-        // 破産チェック
-        const bankruptPlayers = this.getPlayersArray().filter(p => p.isBankrupt());
-        if (bankruptPlayers.length > 0) {
-            this.broadcast('players_bankrupt', {
-                playerIds: bankruptPlayers.map(p => p.id)
-            });
+        if (player.markAway()) {
+            this.broadcast(GameEvent.PLAYER_AWAY, { playerId: player.id, reason: 'disconnected' });
         }
+        this.takeOverTurn(player);
+    }
 
-        // ゲーム終了チェック
-        const activePlayers = this.getPlayersArray().filter(p => !p.isBankrupt());
-        if (activePlayers.length <= 1) {
-            this.endGame();
-            return;
+    /**
+     * 自動操作に切り替えたプレイヤーの、今待っている操作を引き取る
+     * @param {Player} player
+     */
+    takeOverTurn(player) {
+        if (this.isPaused) return;
+
+        if (this.state === GameState.BETTING && !player.isDealer && player.currentBet === 0) {
+            this.placeAutoBet(player);
+        } else if (this.isRollTurn(player)) {
+            this.startRollDeadline(player.id);
+        } else if (this.pendingAction?.playerId === player.id) {
+            this.actionTimer.start(GameConfig.AWAY_ACTION_DELAY_MS, () => {
+                this.handleSkillActionTimeout(player.id);
+            }, 'skill_action');
         }
+    }
 
-        // 次の親へ
-        this.dealerIndex = (this.dealerIndex + 1) % this.playerOrder.length;
-
-        // 破産した親はスキップ
-        while (this.getPlayer(this.playerOrder[this.dealerIndex]).isBankrupt()) {
-            this.dealerIndex = (this.dealerIndex + 1) % this.playerOrder.length;
+    /**
+     * 再接続したプレイヤーに操作を戻す（手番中なら持ち時間を通常に戻す）
+     * @param {string} playerId
+     */
+    stopAutopilot(playerId) {
+        const player = this.getPlayer(playerId);
+        if (!player?.isAway) return;
+
+        this.markPlayerActive(player);
+        if (this.isPaused) return;
+
+        if (this.isRollTurn(player)) {
+            this.turnTimer.clear();
+            this.startRollDeadline(player.id);
+        } else if (this.pendingAction?.playerId === player.id) {
+            this.actionTimer.start(this.settings.actionTimeoutMs, () => {
+                this.handleSkillActionTimeout(player.id);
+            }, 'skill_action');
         }
+    }
 
-        // ★セット終了判定: 親が1巡したらボーナス加算
-        if (this.dealerIndex === this.setStartDealerIndex) {
-            this.currentSet++;
+    // ===== 借入 =====
 
-            // 全員に10万点加算
-            const bonusAmount = GameConfig.SET_BONUS_CHIPS;
-            this.getPlayersArray().forEach(player => {
-                player.addChips(bonusAmount);
-            });
+    /**
+     * ラウンドで勝ち越したプレイヤーの借入を、勝ち分から強制返済する
+     * @param {Object[]} settlements - calculateResults の精算結果
+     * @param {Player} dealer
+     */
+    repayLoansFromWinnings(settlements, dealer) {
+        let dealerNet = 0;
+
+        settlements.forEach(({ player, comparison, chipTransfer }) => {
+            if (comparison.winner === 'player') {
+                player.repayFromIncome(chipTransfer);
+                dealerNet -= chipTransfer;
+            } else if (comparison.winner === 'dealer') {
+                dealerNet += chipTransfer;
+            }
+        });
 
-            this.broadcast('set_completed', {
-                setNumber: this.currentSet - 1,
-                bonusAmount,
-                players: this.getPublicPlayersData()
-            });
+        if (dealerNet > 0) {
+            dealer.repayFromIncome(dealerNet);
         }
-
-        // 次のラウンドへ
-        setTimeout(() => this.startNewRound(), 2000);
     }
 
     /**
-     * ゲーム終了
+     * 台帳の件数を記録（借入の変化を検出するため）
+     * @returns {Map<string, number>}
      */
-    endGame() {
-        this.changeState(GameState.GAME_END);
+    getLoanLedgerSizes() {
+        return new Map(this.getPlayersArray().map(p => [p.id, p.loan.ledger.length]));
+    }
 
-        // ランキング計算
-        const ranking = this.getPlayersArray()
-            .sort((a, b) => b.chips - a.chips)
-            .map((player, index) => {
-                player.rank = index + 1;
-                return {
-                    rank: index + 1,
-                    playerId: player.id,
-                    name: player.name,
-                    chips: player.chips
-                };
+    /**
+     * 借入に変化があったプレイヤーに台帳を送る
+     * @param {Map<string, number>} before - getLoanLedgerSizes の結果
+     */
+    broadcastLoanUpdates(before) {
+        this.getPlayersArray().forEach(player => {
+            const previousSize = before.get(player.id) ?? 0;
+            if (player.loan.ledger.length === previousSize) return;
+
+            this.emitToPlayer(player.id, GameEvent.LOAN_UPDATED, {
+                entries: player.loan.ledger.slice(previousSize),
+                loan: player.loan.toJSON()
             });
-
-        this.broadcast(GameEvent.GAME_ENDED, {
-            ranking,
-            cheatLog: this.cheatTracker.getCheatLog()
         });
     }
 
@@ -999,20 +2451,34 @@ export class GameRoom {
      */
     broadcast(event, data) {
         this.io.to(this.id).emit(event, data);
+        this.recorder?.record(event, data);
+        this.getBots().forEach(bot => bot.handleEvent(this, event, data));
+
+        if (SNAPSHOT_EVENTS.has(event)) {
+            this.scheduleSnapshot();
+        }
+
+        if (this.onListingChanged && LISTING_EVENTS.has(event)) {
+            this.onListingChanged(this);
+        }
     }
 
     /**
-     * 特定プレイヤー以外にブロードキャスト
+     * 特定プレイヤー以外にブロードキャスト（観戦者を含む）
      * @param {string} excludePlayerId 
      * @param {string} event 
      * @param {Object} data 
      */
     broadcastExcept(excludePlayerId, event, data) {
+        this.recorder?.record(event, data);
         this.players.forEach(player => {
             if (player.id !== excludePlayerId) {
-                this.io.to(player.socketId).emit(event, data);
+                this.sendToPlayer(player, event, data);
             }
         });
+        this.spectators.forEach(spectator => {
+            this.io.to(spectator.socketId).emit(event, data);
+        });
     }
 
     /**
@@ -1024,10 +2490,231 @@ export class GameRoom {
     emitToPlayer(playerId, event, data) {
         const player = this.getPlayer(playerId);
         if (player) {
+            this.sendToPlayer(player, event, data);
+        }
+    }
+
+    /**
+     * プレイヤーに送信（Bot はソケットを持たないので直接渡す）
+     * @param {Player} player
+     * @param {string} event
+     * @param {Object} data
+     */
+    sendToPlayer(player, event, data) {
+        if (player.isBot) {
+            player.handleEvent(this, event, data);
+        } else {
             this.io.to(player.socketId).emit(event, data);
         }
     }
 
+    // ===== リプレイ =====
+
+    /**
+     * ゲームの記録を始める（保存先がなければ記録しない）
+     */
+    startRecording() {
+        this.recorder = this.replayStore ? new GameRecorder(this) : null;
+    }
+
+    /**
+     * ゲームの記録を終えて保存する（保存の失敗はゲームの進行に影響させない）
+     * @param {GameEndCondition|null} reason - 終了理由（途中で閉じたルームは null）
+     * @param {Object[]|null} ranking - 最終順位
+     */
+    finishRecording(reason, ranking) {
+        if (!this.recorder) return;
+
+        const replay = this.recorder.finish(reason, ranking, this.roundNumber);
+        this.recorder = null;
+        this.replayStore.save(replay).catch(error => {
+            console.error(`[Replay] 保存に失敗しました: ${replay.id}`, error);
+        });
+    }
+
+    // ===== 保存・復元 =====
+
+    /**
+     * ルームの状態の保存を予約する
+     * 1つの操作で複数回フェーズが進むことがあるので、操作が一段落した時点の状態を1回だけ保存する。
+     */
+    scheduleSnapshot() {
+        if (!this.snapshotStore || this.snapshotScheduled) return;
+
+        this.snapshotScheduled = true;
+        setImmediate(() => {
+            this.snapshotScheduled = false;
+            if (!this.snapshotStore) return;
+
+            this.snapshotStore.save(this.toSnapshot()).catch(error => {
+                console.error(`[Snapshot] 保存に失敗しました: ${this.id}`, error);
+            });
+        });
+    }
+
+    /**
+     * 保存用の状態（プレイヤー・スキルの使用状況・イカサマの記録・ダイスのシード・締め切りを含む）
+     * 観戦者とゲームの記録（リプレイ）は保存しない。
+     * @returns {Object}
+     */
+    toSnapshot() {
+        return {
+            version: SNAPSHOT_VERSION,
+            savedAt: Date.now(),
+            id: this.id,
+            visibility: this.visibility,
+            passwordHash: this.passwordHash,
+            hostId: this.hostId,
+            createdAt: this.createdAt.getTime(),
+            settings: this.settings.toJSON(),
+            catchUpChips: this.catchUpChips,
+            ruleSet: this.ruleSet.toJSON(),
+            roundFlow: this.roundFlow,
+            bankerMode: this.bankerMode,
+            dealerContinuation: this.dealerContinuation,
+            maxDealerStreak: this.maxDealerStreak,
+            timeouts: this.timeouts,
+            autoBet: this.autoBet,
+            endCondition: this.endCondition,
+            skillPool: this.skillPool,
+            state: this.state,
+            roundNumber: this.roundNumber,
+            currentSet: this.currentSet,
+            isFinalRound: this.isFinalRound,
+            dealerIndex: this.dealerIndex,
+            setStartDealerIndex: this.setStartDealerIndex,
+            dealerStreak: this.dealerStreak,
+            dealerPassRequested: this.dealerPassRequested,
+            vacatedDealerSeat: this.vacatedDealerSeat,
+            currentDealerId: this.currentDealerId,
+            currentPlayerId: this.currentPlayerId,
+            currentPlayerIndex: this.currentPlayerIndex,
+            interruptTargetId: this.interruptTargetId,
+            playerOrder: this.playerOrder,
+            roundResults: this.roundResults,
+            isPaused: this.isPaused,
+            bannedSessionIds: Array.from(this.bannedSessionIds),
+            bannedAddresses: Array.from(this.bannedAddresses),
+            players: this.getPlayersArray().map(player => player.toSnapshot()),
+            waitingQueue: this.waitingQueue.map(player => player.toSnapshot()),
+            cheatTracker: this.cheatTracker.toSnapshot(),
+            diceSource: this.diceSource.toSnapshot(),
+            pendingAction: this.pendingAction
+                ? { playerId: this.pendingAction.playerId, originalDice: this.pendingAction.originalDice }
+                : null,
+            timers: {
+                turn: this.turnTimer.toSnapshot(),
+                interrupt: this.interruptTimer.toSnapshot(),
+                action: this.actionTimer.toSnapshot(),
+                phase: this.phaseTimer.toSnapshot(),
+                game: this.gameTimer.toSnapshot()
+            }
+        };
+    }
+
+    /**
+     * 保存した状態からルームを作り直す（サーバーの再起動時）
+     * @param {Object} snapshot - toSnapshot の結果
+     * @param {Object} io - Socket.ioサーバーインスタンス
+     * @param {Object} [options] - 保存しないオプション（diceSource・onListingChanged・保存先など）
+     * @returns {GameRoom}
+     */
+    static fromSnapshot(snapshot, io, options = {}) {
+        const room = new GameRoom(snapshot.hostId, io, {
+            ...options,
+            id: snapshot.id,
+            visibility: snapshot.visibility,
+            ruleSet: new RuleSet(snapshot.ruleSet),
+            roundFlow: snapshot.roundFlow,
+            bankerMode: snapshot.bankerMode,
+            dealerContinuation: snapshot.dealerContinuation,
+            maxDealerStreak: snapshot.maxDealerStreak,
+            timeouts: snapshot.timeouts,
+            autoBet: snapshot.autoBet,
+            endCondition: snapshot.endCondition,
+            catchUpChips: snapshot.catchUpChips,
+            settings: new RoomSettings(snapshot.settings),
+            skillPool: snapshot.skillPool
+        });
+        room.restoreSnapshot(snapshot);
+        return room;
+    }
+
+    /**
+     * 保存した進行状態を戻し、締め切りを掛け直す
+     * 人間のプレイヤーは再接続するまで切断中になる。復元したゲームは記録（リプレイ）を取らない。
+     * @param {Object} snapshot - toSnapshot の結果
+     */
+    restoreSnapshot(snapshot) {
+        this.passwordHash = snapshot.passwordHash;
+        this.createdAt = new Date(snapshot.createdAt);
+        this.state = snapshot.state;
+        this.roundNumber = snapshot.roundNumber;
+        this.currentSet = snapshot.currentSet;
+        this.isFinalRound = snapshot.isFinalRound;
+        this.dealerIndex = snapshot.dealerIndex;
+        this.setStartDealerIndex = snapshot.setStartDealerIndex;
+        this.dealerStreak = snapshot.dealerStreak;
+        this.dealerPassRequested = snapshot.dealerPassRequested;
+        this.vacatedDealerSeat = snapshot.vacatedDealerSeat;
+        this.currentDealerId = snapshot.currentDealerId;
+        this.currentPlayerId = snapshot.currentPlayerId;
+        this.currentPlayerIndex = snapshot.currentPlayerIndex;
+        this.interruptTargetId = snapshot.interruptTargetId;
+        this.playerOrder = [...snapshot.playerOrder];
+        this.roundResults = snapshot.roundResults;
+        this.isPaused = snapshot.isPaused;
+        this.bannedSessionIds = new Set(snapshot.bannedSessionIds);
+        this.bannedAddresses = new Set(snapshot.bannedAddresses ?? []);
+        this.cheatTracker = CheatTracker.fromSnapshot(snapshot.cheatTracker);
+
+        const restorePlayer = data => (data.isBot ? BotPlayer : Player).fromSnapshot(data, this.skillRegistry);
+        snapshot.players.forEach(data => {
+            const player = restorePlayer(data);
+            this.players.set(player.id, player);
+        });
+        this.waitingQueue = snapshot.waitingQueue.map(restorePlayer);
+
+        this.restoreTimers(snapshot.timers, snapshot.pendingAction);
+        this.getBots().forEach(bot => {
+            bot.resume(this);
+            if (this.isPaused) bot.thinkTimer.pause();
+        });
+    }
+
+    /**
+     * 保存した締め切りでタイマーを掛け直す
+     * 停止中に過ぎた締め切りも、再接続を待つために RESTORE_MIN_DEADLINE_MS は待つ（ゲームの制限時間は除く）。
+     * @param {Object} timers - toSnapshot の timers
+     * @param {{ playerId: string, originalDice: number[] }|null} pendingAction - 保存したスキルの選択待ち
+     */
+    restoreTimers(timers, pendingAction) {
+        const minMs = GameConfig.RESTORE_MIN_DEADLINE_MS;
+        const rollingPlayerId = this.state === GameState.DEALER_ROLL ? this.currentDealerId : this.currentPlayerId;
+
+        this.turnTimer.restoreSnapshot(timers.turn, timers.turn?.label === 'bet'
+            ? () => this.handleBetTimeout()
+            : () => this.handleRollTimeout(rollingPlayerId), minMs);
+        this.interruptTimer.restoreSnapshot(timers.interrupt,
+            () => this.endInterruptWindow(null, this.getPlayer(this.interruptTargetId)), minMs);
+        this.phaseTimer.restoreSnapshot(timers.phase, timers.phase?.label === 'round_end'
+            ? () => this.endRound()
+            : () => this.startNewRound(), minMs);
+        this.gameTimer.restoreSnapshot(timers.game, () => this.announceFinalRound());
+
+        // スキルの選択の続き（resolve）は保存できないので、応答か締め切りで元の出目のまま確定する
+        if (pendingAction) {
+            this.pendingAction = {
+                playerId: pendingAction.playerId,
+                originalDice: pendingAction.originalDice,
+                skillResult: null,
+                resolve: null
+            };
+            this.actionTimer.restoreSnapshot(timers.action,
+                () => this.handleSkillActionTimeout(pendingAction.playerId), minMs);
+        }
+    }
+
     // ===== ユーティリティ =====
 
     /**
@@ -1059,11 +2746,14 @@ export class GameRoom {
         this.currentDealerId = null;
         this.currentPlayerId = null;
         this.roundResults = [];
+
+        // 参加待ちのプレイヤーも次のゲームから参加
+        this.seatQueuedPlayers();
         this.cheatTracker = new CheatTracker();
 
         // プレイヤーの状態をリセット（チップは初期値に戻す）
         this.players.forEach(player => {
-            player.resetForGame(GameConfig.INITIAL_CHIPS);
+            player.resetForGame(this.settings.initialChips);
             player.isReady = false; // 準備完了状態もリセット
         });
 
@@ -1090,6 +2780,9 @@ export class GameRoom {
         this.currentPlayerId = null;
         this.roundResults = [];
 
+        // 参加待ちのプレイヤーも次のゲームから参加
+        this.seatQueuedPlayers();
+
         this.players.forEach(player => {
             // チップ等はそのまま残るかもしれないが、再ゲーム時にリセットされるのでOK
             // 準備完了状態は解除
@@ -1101,6 +2794,90 @@ export class GameRoom {
         });
     }
 
+    /**
+     * 画面を作り直すための完全な状態（途中から観戦・参加した時、再接続した時、表示がずれた時）
+     * 本人にだけ見せる情報（所持スキル・借入の台帳・スキルの選択肢）は viewerId のプレイヤーの分だけ入れる。
+     * @param {string|null} [viewerId=null] - 見るプレイヤーのID（観戦者は null）
+     * @returns {Object}
+     */
+    getSyncState(viewerId = null) {
+        const seated = viewerId ? this.getPlayer(viewerId) : undefined;
+        const viewer = seated || (viewerId ? this.getQueuedPlayer(viewerId) : undefined);
+
+        return {
+            ...this.toJSON(),
+            currentSet: this.currentSet,
+            isFinalRound: this.isFinalRound,
+            roundResults: this.roundResults,
+            ...this.getDeadlinePayload(this.getPhaseDeadline()),
+            viewer: {
+                role: seated ? 'player' : viewer ? 'queued' : 'spectator',
+                player: viewer ? viewer.toPrivateJSON() : null
+            },
+            pendingAction: this.pendingAction ? {
+                playerId: this.pendingAction.playerId,
+                skillName: this.getPlayer(this.pendingAction.playerId)?.skill?.name ?? null,
+                deadline: this.actionTimer.deadline,
+                // 選択肢は本人にだけ（再起動で復元した選択待ちは選択肢を持たない）
+                prompt: this.pendingAction.playerId === viewerId && this.pendingAction.skillResult ? {
+                    actionType: this.pendingAction.skillResult.actionType,
+                    actionData: this.pendingAction.skillResult.actionData
+                } : null
+            } : null,
+            interruptWindow: this.state === GameState.INTERRUPT_WINDOW ? {
+                targetPlayerId: this.interruptTargetId,
+                deadline: this.interruptTimer.deadline
+            } : null
+        };
+    }
+
+    /**
+     * 今のフェーズの締め切り（ダウト受付・スキルの選択待ちは、手番の持ち時間とは別のタイマー）
+     * @returns {number|null}
+     */
+    getPhaseDeadline() {
+        switch (this.state) {
+            case GameState.INTERRUPT_WINDOW:
+                return this.interruptTimer.deadline;
+            case GameState.WAITING_FOR_ACTION:
+                return this.actionTimer.deadline;
+            default:
+                return this.turnTimer.deadline;
+        }
+    }
+
+    /**
+     * ロビーの参加者数（参加待ちを含む）に空きがあるか
+     * @returns {boolean}
+     */
+    hasOpenSeat() {
+        return this.players.size + this.waitingQueue.length < this.settings.maxPlayers;
+    }
+
+    /**
+     * ロビーのルーム一覧用の概要（公開ルームのみ一覧に載る）
+     * @returns {Object}
+     */
+    getListing() {
+        return {
+            id: this.id,
+            hostName: this.players.get(this.hostId)?.name ?? null,
+            isPlaying: this.state !== GameState.WAITING,
+            playerCount: this.players.size,
+            botCount: this.getBots().length,
+            queuedCount: this.waitingQueue.length,
+            maxPlayers: this.settings.maxPlayers,
+            spectatorCount: this.spectators.size,
+            hasPassword: this.hasPassword(),
+            ruleSet: { id: this.ruleSet.id, name: this.ruleSet.name },
+            minBet: this.settings.minBet,
+            initialChips: this.settings.initialChips,
+            bankerMode: this.bankerMode,
+            endCondition: this.endCondition,
+            createdAt: this.createdAt
+        };
+    }
+
     /**
      * ルーム情報をJSON形式で返す
      * @returns {Object}
@@ -1108,13 +2885,32 @@ export class GameRoom {
     toJSON() {
         return {
             id: this.id,
+            visibility: this.visibility,
+            hasPassword: this.hasPassword(),
             hostId: this.hostId,
             state: this.state,
             roundNumber: this.roundNumber,
             currentDealerId: this.currentDealerId,
             currentPlayerId: this.currentPlayerId,
+            isPaused: this.isPaused,
             playerCount: this.players.size,
             players: this.getPublicPlayersData(),
+            waitingQueue: this.getPublicQueueData(),
+            catchUpChips: this.catchUpChips,
+            settings: this.settings.toJSON(),
+            settingsBounds: RoomSettings.getBounds(),
+            spectatorCount: this.spectators.size,
+            spectators: this.getPublicSpectatorsData(),
+            ruleSet: this.ruleSet.toJSON(),
+            roundFlow: this.roundFlow,
+            bankerMode: this.bankerMode,
+            dealerContinuation: this.dealerContinuation,
+            maxDealerStreak: this.maxDealerStreak,
+            dealerStreak: this.dealerStreak,
+            timeouts: this.timeouts,
+            autoBet: this.autoBet,
+            endCondition: this.endCondition,
+            diceSource: this.diceSource.toJSON(),
             createdAt: this.createdAt
         };
     }
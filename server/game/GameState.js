@@ -27,18 +27,94 @@ export const GameState = {
     GAME_END: 'game_end'                      // ゲーム終了
 };
 
+/**
+ * ラウンドの進行順
+ */
+export const RoundFlow = {
+    CHILD_FIRST: 'child_first',   // 子が先に振り、親が最後に振る
+    DEALER_FIRST: 'dealer_first'  // 親が先に振る（伝統ルール、親の役次第で即決着）
+};
+
+/**
+ * 胴元モードでのベットの受け付け状況
+ */
+export const BetCoverage = {
+    COVERED: 'covered',   // 全額受け付け
+    PARTIAL: 'partial',   // 一部のみ受け付け（親のチップ不足）
+    REFUSED: 'refused'    // 受け付けられず、このラウンドは不参加
+};
+
+/**
+ * 勝った子への支払い状況（胴元モードでは親のチップが尽きると頭ハネ）
+ */
+export const PayoutStatus = {
+    PAID: 'paid',         // 全額支払い
+    PARTIAL: 'partial',   // 一部のみ支払い
+    REFUSED: 'refused'    // 支払いなし
+};
+
+/**
+ * 時間切れ時の自動ベット額
+ */
+export const AutoBetMode = {
+    LAST: 'last',         // 直前のベット額（初回は最低ベット額）
+    MINIMUM: 'minimum'    // 最低ベット額
+};
+
+/**
+ * ルームの公開設定
+ */
+export const RoomVisibility = {
+    PUBLIC: 'public',     // ロビーの一覧に表示する
+    PRIVATE: 'private'    // ルームIDを知っている人だけが参加できる
+};
+
+/**
+ * Bot の性格
+ */
+export const BotPersonality = {
+    CAUTIOUS: 'cautious',     // 慎重派（小さく賭け、めったに疑わない）
+    AGGRESSIVE: 'aggressive', // 強気（大きく賭け、イカサマもためらわない）
+    PARANOID: 'paranoid'      // 疑り深い（強い役を見るとすぐダウトする）
+};
+
+/**
+ * ゲーム中に退出したプレイヤーのベットの扱い
+ */
+export const ForfeitOutcome = {
+    NONE: 'none',             // 精算済み・ベットなし
+    REFUNDED: 'refunded',     // ベット締め切り前なので取り消し
+    FORFEITED: 'forfeited'    // ベット締め切り後なので没収（親が抜けた場合は子に支払う）
+};
+
+/**
+ * ゲームの終了条件
+ * value の単位: SETS・ROUNDS は回数、TIME_LIMIT はミリ秒、CHIP_TARGET はチップ数
+ */
+export const GameEndCondition = {
+    LAST_STANDING: 'last_standing',   // 破産していないプレイヤーが1人になるまで
+    SETS: 'sets',                     // 指定セット数（親が指定回数巡）を終えたら
+    ROUNDS: 'rounds',                 // 指定ラウンド数を終えたら
+    TIME_LIMIT: 'time_limit',         // 制限時間を過ぎたら、そのラウンドで終了
+    CHIP_TARGET: 'chip_target'        // 誰かが目標チップに達したら
+};
+
 /**
  * ゲームフェーズの遷移ルール
+ * 子先行: BETTING → PLAYER_ROLL → … → DEALER_ROLL → RESULT
+ * 親先行: BETTING → DEALER_ROLL → (即決着なら RESULT) → PLAYER_ROLL → … → RESULT
+ * 親がラウンド途中で退出した場合は、どのフェーズからでも ROUND_END へ（ラウンド中断）
+ * 退出で続けられる人数を割った場合は、どのフェーズからでも GAME_END へ
  */
 export const StateTransitions = {
     [GameState.WAITING]: [GameState.SKILL_DISTRIBUTION],
     [GameState.SKILL_DISTRIBUTION]: [GameState.BETTING],
-    [GameState.BETTING]: [GameState.DEALER_ROLL],
-    [GameState.DEALER_ROLL]: [GameState.INTERRUPT_WINDOW, GameState.WAITING_FOR_ACTION, GameState.DEALER_ROLL],
-    [GameState.INTERRUPT_WINDOW]: [GameState.PLAYER_ROLL, GameState.RESULT, GameState.INTERRUPT_WINDOW],
-    [GameState.WAITING_FOR_ACTION]: [GameState.INTERRUPT_WINDOW, GameState.DEALER_ROLL, GameState.PLAYER_ROLL, GameState.WAITING_FOR_ACTION],
-    [GameState.PLAYER_ROLL]: [GameState.INTERRUPT_WINDOW, GameState.WAITING_FOR_ACTION, GameState.PLAYER_ROLL],
-    [GameState.RESULT]: [GameState.ROUND_END],
+    [GameState.BETTING]: [GameState.DEALER_ROLL, GameState.PLAYER_ROLL, GameState.ROUND_END, GameState.GAME_END],
+    [GameState.DEALER_ROLL]: [GameState.INTERRUPT_WINDOW, GameState.WAITING_FOR_ACTION, GameState.DEALER_ROLL, GameState.ROUND_END, GameState.GAME_END],
+    [GameState.INTERRUPT_WINDOW]: [GameState.PLAYER_ROLL, GameState.DEALER_ROLL, GameState.RESULT, GameState.INTERRUPT_WINDOW, GameState.ROUND_END, GameState.GAME_END],
+    [GameState.WAITING_FOR_ACTION]: [GameState.INTERRUPT_WINDOW, GameState.DEALER_ROLL, GameState.PLAYER_ROLL, GameState.WAITING_FOR_ACTION, GameState.ROUND_END, GameState.GAME_END],
+    [GameState.PLAYER_ROLL]: [GameState.INTERRUPT_WINDOW, GameState.WAITING_FOR_ACTION, GameState.PLAYER_ROLL, GameState.ROUND_END, GameState.GAME_END],
+    [GameState.RESULT]: [GameState.ROUND_END, GameState.GAME_END],
     [GameState.ROUND_END]: [GameState.BETTING, GameState.GAME_END],
     [GameState.GAME_END]: [GameState.WAITING]
 };
@@ -60,14 +136,35 @@ export function isValidTransition(from, to) {
 export const GameConfig = {
     MIN_PLAYERS: 2,  // テスト用に2人から開始可能
     MAX_PLAYERS: 8,
+    MAX_SPECTATORS: 20,
     INITIAL_CHIPS: 50000,
     MIN_BET: 1000,
     MAX_BET: Infinity,  // 上限なし（所持チップまでベット可能）
     MAX_REROLL_ATTEMPTS: 3,      // 目なし時の最大振り直し回数
     INTERRUPT_WINDOW_MS: 5000,   // ダウト受付時間（ミリ秒）
     ACTION_TIMEOUT_MS: 15000,    // スキル選択タイムアウト（ミリ秒）
-    ROUNDS_PER_GAME: null,       // null = 無制限（チップが尽きるまで）
-    SET_BONUS_CHIPS: 100000      // 1セット（親1巡）終了時に全員に加算
+    BET_TIMEOUT_MS: 30000,       // ベットの持ち時間（ミリ秒、0 = 無制限）
+    ROLL_TIMEOUT_MS: 20000,      // ロールの持ち時間（ミリ秒、0 = 無制限）
+    MAX_IDLE_STRIKES: 2,         // 連続で時間切れになると離席扱いになる回数
+    AWAY_ACTION_DELAY_MS: 1500,  // 離席中のプレイヤーを自動操作するまでの時間（ミリ秒）
+    ROUNDS_PER_GAME: null,       // 終了条件の指定がない時のラウンド数（null = 最後の1人になるまで）
+    SET_BONUS_CHIPS: 100000,     // 1セット（親1巡）終了時に全員に加算
+    LOAN_CREDIT_LIMIT: 50000,    // 胴元からの借入枠
+    LOAN_INTEREST_RATE: 0.1,     // 借入残高にセットごとにつく利率
+    LOAN_REPAYMENT_RATE: 0.5,    // 勝ち分・セットボーナスのうち強制的に返済に回す割合
+    ROOM_CODE_LENGTH: 4,         // ルームIDの桁数
+    ROOM_CODE_ALPHABET: '23456789ABCDEFGHJKLMNPQRSTUVWXYZ',  // ルームIDに使う文字（0/O・1/I は除く）
+    ROOM_PASSWORD_MAX_LENGTH: 32, // 参加パスワードの最大長
+    QUICK_MATCH_MIN_PLAYERS: 2,  // クイックマッチで新しいルームを作る待ち人数
+    ROOM_LIST_UPDATE_DELAY_MS: 500, // ルーム一覧の配信をまとめる間隔（ミリ秒）
+    BOT_THINK_MIN_MS: 800,       // Bot が操作するまでの最短時間（ミリ秒）
+    BOT_THINK_MAX_MS: 2000,      // Bot が操作するまでの最長時間（ミリ秒）
+    MAX_REPLAYS: 500,            // 保存しておくリプレイの数（超えたら古いものから削除）
+    RESTORE_MIN_DEADLINE_MS: 15000,     // 再起動で復元したルームの締め切りまで最低限残す時間（ミリ秒）
+    RESTORE_RECONNECT_GRACE_MS: 120000, // 復元したルームに戻ってこないプレイヤーを待つ時間（ミリ秒）
+    DISCONNECT_GRACE_MS: 20000,  // ゲーム中に切断したプレイヤーを自動操作に切り替えるまでの時間（ミリ秒）
+    DISCONNECT_DROP_MS: 180000,  // ゲーム中に切断したプレイヤーを退出させるまでの時間（ミリ秒）
+    SESSION_TOKEN_TTL_MS: 24 * 60 * 60 * 1000  // 再接続用トークンの有効期間（ミリ秒、再接続のたびに延びる）
 };
 
 
@@ -84,11 +181,42 @@ export const GameEvent = {
     ROLL_DICE: 'roll_dice',
     SKILL_ACTION: 'skill_action',
     DOUBT: 'doubt',
+    GET_RULE_SETS: 'get_rule_sets',
+    SUBMIT_CLIENT_SEED: 'submit_client_seed',
+    PASS_DEALER: 'pass_dealer',
+    SPECTATE_ROOM: 'spectate_room',
+    KICK_PLAYER: 'kick_player',               // ホストのみ
+    TRANSFER_HOST: 'transfer_host',           // ホストのみ
+    PAUSE_GAME: 'pause_game',                 // ホストのみ
+    RESUME_GAME: 'resume_game',               // ホストのみ
+    UPDATE_SETTINGS: 'update_settings',       // ホストのみ・ロビーでのみ
+    SUBSCRIBE_ROOM_LIST: 'subscribe_room_list',
+    UNSUBSCRIBE_ROOM_LIST: 'unsubscribe_room_list',
+    QUICK_MATCH: 'quick_match',
+    CANCEL_QUICK_MATCH: 'cancel_quick_match',
+    ADD_BOT: 'add_bot',                       // ホストのみ・ロビーでのみ
+    REMOVE_BOT: 'remove_bot',                 // ホストのみ
+    SET_DICE_SOURCE: 'set_dice_source',       // デバッグ用（ENABLE_DICE_DEBUG=true の時のみ）
+    SYNC_STATE: 'sync_state',                 // 画面を作り直すための状態を取得（再接続した時・表示がずれた時）
 
     // サーバー → クライアント
     ROOM_CREATED: 'room_created',
     PLAYER_JOINED: 'player_joined',
     PLAYER_LEFT: 'player_left',
+    PLAYER_QUEUED: 'player_queued',
+    PLAYERS_SEATED: 'players_seated',
+    PLAYER_FORFEITED: 'player_forfeited',
+    ROUND_ABORTED: 'round_aborted',
+    PLAYER_KICKED: 'player_kicked',
+    HOST_CHANGED: 'host_changed',
+    GAME_PAUSED: 'game_paused',
+    GAME_RESUMED: 'game_resumed',
+    SETTINGS_UPDATED: 'settings_updated',
+    ROOM_LIST_UPDATED: 'room_list_updated',
+    QUICK_MATCH_STATUS: 'quick_match_status',
+    QUICK_MATCH_FOUND: 'quick_match_found',
+    SPECTATOR_JOINED: 'spectator_joined',
+    SPECTATOR_LEFT: 'spectator_left',
     GAME_STARTED: 'game_started',
     SKILL_ASSIGNED: 'skill_assigned',
     STATE_CHANGED: 'state_changed',
@@ -96,8 +224,19 @@ export const GameEvent = {
     WAITING_FOR_ACTION: 'waiting_for_action',
     DOUBT_RESULT: 'doubt_result',
     ROUND_RESULT: 'round_result',
+    BETS_COVERED: 'bets_covered',
+    DEALER_CONTINUED: 'dealer_continued',
+    DEALER_PASSED: 'dealer_passed',
+    TURN_TIMEOUT: 'turn_timeout',
+    PLAYER_AWAY: 'player_away',
+    PLAYER_RETURNED: 'player_returned',
+    FINAL_ROUND: 'final_round',
+    LOAN_UPDATED: 'loan_updated',
+    CLIENT_SEED_LOCKED: 'client_seed_locked',
+    FAIRNESS_REVEALED: 'fairness_revealed',
+    DICE_SOURCE_CHANGED: 'dice_source_changed',
     GAME_ENDED: 'game_ended',
     ERROR: 'error'
 };
 
-export default { GameState, StateTransitions, isValidTransition, GameConfig, GameEvent };
+export default { GameState, RoundFlow, BetCoverage, PayoutStatus, AutoBetMode, RoomVisibility, BotPersonality, ForfeitOutcome, GameEndCondition, StateTransitions, isValidTransition, GameConfig, GameEvent };
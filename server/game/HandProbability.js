@@ -0,0 +1,265 @@
+/**
+ * HandProbability - 役の確率・期待値計算
+ *
+ * 3つのサイコロの全216通りを列挙し、ルールセットごとに厳密な確率を計算する。
+ * 目なしの振り直し（ルーム設定の最大振り直し回数、既定は GameConfig.MAX_REROLL_ATTEMPTS 回）も考慮し、
+ * 親の役が分かっている時の子の勝率や、ベットの期待値を求める。
+ * Bot の判断・オッズ表示・バランス調整はこのモジュールを唯一の基準にする。
+ */
+
+import { HandType, STANDARD_RULES } from './DiceEngine.js';
+import { GameConfig } from './GameState.js';
+import { RuleSet } from './rules/RuleSet.js';
+
+// 3つのサイコロの全組み合わせ数
+const TOTAL_OUTCOMES = 6 * 6 * 6;
+
+// ルールセットごとの計算結果キャッシュ
+const cache = new WeakMap();
+
+export class HandProbability {
+    /**
+     * @param {RuleSet} [ruleSet] - 適用するルール（省略時は標準ルール）
+     * @param {number} [maxRerolls] - 目なしで振れる最大回数
+     */
+    constructor(ruleSet = new RuleSet(STANDARD_RULES), maxRerolls = GameConfig.MAX_REROLL_ATTEMPTS) {
+        /** @type {RuleSet} 適用するルール */
+        this.ruleSet = ruleSet;
+
+        /** @type {number} 目なしで振れる最大回数 */
+        this.maxRerolls = maxRerolls;
+
+        /** @type {HandOutcome[]} 1回振った時の役ごとの確率（強い順） */
+        this.singleRoll = this.enumerate();
+
+        /** @type {HandOutcome[]} 振り直しを含めた最終的な役ごとの確率（強い順） */
+        this.finalRoll = this.applyRerollChain();
+    }
+
+    /**
+     * ルールセットに対応する計算結果を取得（キャッシュ付き）
+     * @param {RuleSet} ruleSet
+     * @param {number} [maxRerolls] - 目なしで振れる最大回数
+     * @returns {HandProbability}
+     */
+    static forRuleSet(ruleSet, maxRerolls = GameConfig.MAX_REROLL_ATTEMPTS) {
+        let probability = cache.get(ruleSet);
+        if (!probability || probability.maxRerolls !== maxRerolls) {
+            probability = new HandProbability(ruleSet, maxRerolls);
+            cache.set(ruleSet, probability);
+        }
+        return probability;
+    }
+
+    // ===== 分布の計算 =====
+
+    /**
+     * 全216通りを列挙して役ごとにまとめる
+     * @returns {HandOutcome[]}
+     */
+    enumerate() {
+        const outcomes = new Map();
+
+        for (let d1 = 1; d1 <= 6; d1++) {
+            for (let d2 = 1; d2 <= 6; d2++) {
+                for (let d3 = 1; d3 <= 6; d3++) {
+                    const hand = this.ruleSet.evaluateHand([d1, d2, d3]);
+                    const key = `${hand.type}:${hand.value}`;
+
+                    if (!outcomes.has(key)) {
+                        outcomes.set(key, { hand, count: 0, probability: 0 });
+                    }
+                    outcomes.get(key).count++;
+                }
+            }
+        }
+
+        return Array.from(outcomes.values())
+            .map(outcome => ({ ...outcome, probability: outcome.count / TOTAL_OUTCOMES }))
+            .sort((a, b) => b.hand.rank - a.hand.rank);
+    }
+
+    /**
+     * 目なしの振り直しを反映した最終分布を求める
+     * 目なし以外の役は (1 + p + … + p^(n-1)) 倍、目なしのまま終わる確率は p^n。
+     * @returns {HandOutcome[]}
+     */
+    applyRerollChain() {
+        const menashi = this.getMenashiProbability();
+        const resolvedFactor = this.getResolvedProbability() / (1 - menashi || 1);
+
+        return this.singleRoll.map(outcome => ({
+            ...outcome,
+            probability: outcome.hand.type === HandType.MENASHI
+                ? this.getAutoLossProbability()
+                : outcome.probability * resolvedFactor
+        }));
+    }
+
+    // ===== 1回のロール =====
+
+    /**
+     * 1回振った時の役の種類ごとの確率
+     * @returns {Object<HandType, number>}
+     */
+    getHandTypeProbabilities() {
+        return HandProbability.sumByType(this.singleRoll);
+    }
+
+    /**
+     * 1回振って目なしになる確率
+     * @returns {number}
+     */
+    getMenashiProbability() {
+        return this.getHandTypeProbabilities()[HandType.MENASHI];
+    }
+
+    // ===== 振り直し =====
+
+    /**
+     * 振り直しの各段階の確率
+     * @returns {{ attempt: number, reachProbability: number, resolveProbability: number }[]}
+     *   reachProbability: その回まで振ることになる確率
+     *   resolveProbability: その回で役が決まる確率
+     */
+    getRerollChain() {
+        const menashi = this.getMenashiProbability();
+        const chain = [];
+
+        for (let attempt = 1; attempt <= this.maxRerolls; attempt++) {
+            const reachProbability = menashi ** (attempt - 1);
+            chain.push({
+                attempt,
+                reachProbability,
+                resolveProbability: reachProbability * (1 - menashi)
+            });
+        }
+
+        return chain;
+    }
+
+    /**
+     * 最大回数まで振っても役が決まる確率
+     * @returns {number}
+     */
+    getResolvedProbability() {
+        return 1 - this.getAutoLossProbability();
+    }
+
+    /**
+     * 全て目なしで自動負けになる確率
+     * @returns {number}
+     */
+    getAutoLossProbability() {
+        return this.getMenashiProbability() ** this.maxRerolls;
+    }
+
+    /**
+     * 振り直しを含めた最終的な役の種類ごとの確率
+     * @returns {Object<HandType, number>}
+     */
+    getFinalHandTypeProbabilities() {
+        return HandProbability.sumByType(this.finalRoll);
+    }
+
+    // ===== 勝率・期待値 =====
+
+    /**
+     * 親の役が分かっている時の子の勝率
+     * 目なしは振り直し後の最終分布を使い、判定は精算時と同じく強制決着で行う。
+     * @param {HandResult} dealerHand - 親の役
+     * @returns {{ win: number, lose: number, push: number }}
+     */
+    getChildWinProbability(dealerHand) {
+        const result = { win: 0, lose: 0, push: 0 };
+
+        this.finalRoll.forEach(({ hand, probability }) => {
+            const { winner } = this.ruleSet.compareHands(dealerHand, hand, true);
+            if (winner === 'player') result.win += probability;
+            else if (winner === 'dealer') result.lose += probability;
+            else result.push += probability;
+        });
+
+        return result;
+    }
+
+    /**
+     * 役の強さ（振り直しを含めた最終分布で、この役より弱い役が出る確率。同じ強さは半分と数える）
+     * 0 に近いほど弱く、1 に近いほど強い。
+     * @param {HandResult} hand
+     * @returns {number}
+     */
+    getStrength(hand) {
+        return this.finalRoll.reduce((sum, { hand: other, probability }) => {
+            if (other.rank < hand.rank) return sum + probability;
+            if (other.rank === hand.rank) return sum + probability / 2;
+            return sum;
+        }, 0);
+    }
+
+    /**
+     * 子のベットの期待値（チップ）
+     * 親の役を省略した場合は、親も振り直しを含めた最終分布で振るものとして平均する。
+     * @param {number} bet - ベット額
+     * @param {HandResult|null} [dealerHand] - 親の役
+     * @returns {number} 子から見たチップ増減の期待値
+     */
+    getExpectedValue(bet, dealerHand = null) {
+        if (!dealerHand) {
+            return this.finalRoll.reduce(
+                (sum, dealer) => sum + dealer.probability * this.getExpectedValue(bet, dealer.hand),
+                0
+            );
+        }
+
+        return this.finalRoll.reduce((sum, { hand, probability }) => {
+            const { winner } = this.ruleSet.compareHands(dealerHand, hand, true);
+            if (winner === null) return sum;
+
+            const transfer = Math.floor(bet * this.ruleSet.getPayoutMultiplier(dealerHand, hand));
+            return sum + probability * (winner === 'player' ? transfer : -transfer);
+        }, 0);
+    }
+
+    /**
+     * クライアント送信用のJSON（オッズ表示用）
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            ruleSetId: this.ruleSet.id,
+            maxRerolls: this.maxRerolls,
+            handTypes: this.getHandTypeProbabilities(),
+            finalHandTypes: this.getFinalHandTypeProbabilities(),
+            rerollChain: this.getRerollChain(),
+            autoLoss: this.getAutoLossProbability()
+        };
+    }
+
+    // ===== ユーティリティ =====
+
+    /**
+     * 役の種類ごとに確率を合計する
+     * @param {HandOutcome[]} outcomes
+     * @returns {Object<HandType, number>}
+     */
+    static sumByType(outcomes) {
+        const result = {};
+        Object.values(HandType).forEach(type => {
+            result[type] = 0;
+        });
+        outcomes.forEach(({ hand, probability }) => {
+            result[hand.type] += probability;
+        });
+        return result;
+    }
+}
+
+/**
+ * @typedef {Object} HandOutcome
+ * @property {HandResult} hand - 役（同じ種類・目の値の代表）
+ * @property {number} count - 216通り中の出現数
+ * @property {number} probability - 確率
+ */
+
+export default HandProbability;
@@ -0,0 +1,188 @@
+/**
+ * LoanAccount - 胴元（ハウス）からの借入
+ *
+ * チップが足りない時は借入枠の範囲で自動的に借りる。
+ * 残高にはセットごとに利息がつき、勝ち分やセットボーナスの一部が強制的に返済に回る。
+ * 借入・利息・返済はすべて台帳に記録し、本人に公開する。
+ */
+
+import { GameConfig } from './GameState.js';
+
+/**
+ * 台帳の記録の種類
+ */
+export const LoanEntryType = {
+    BORROW: 'borrow',       // 借入
+    INTEREST: 'interest',   // 利息
+    REPAY: 'repay'          // 返済
+};
+
+export class LoanAccount {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.creditLimit] - 借入枠
+     * @param {number} [options.interestRate] - 1セットあたりの利率
+     * @param {number} [options.repaymentRate] - 勝ち分・ボーナスのうち返済に回す割合
+     */
+    constructor(options = {}) {
+        /** @type {number} 借入枠 */
+        this.creditLimit = options.creditLimit ?? GameConfig.LOAN_CREDIT_LIMIT;
+
+        /** @type {number} 1セットあたりの利率 */
+        this.interestRate = options.interestRate ?? GameConfig.LOAN_INTEREST_RATE;
+
+        /** @type {number} 勝ち分・ボーナスのうち返済に回す割合 */
+        this.repaymentRate = options.repaymentRate ?? GameConfig.LOAN_REPAYMENT_RATE;
+
+        /** @type {number} 借入残高（利息を含む） */
+        this.balance = 0;
+
+        /** @type {LoanEntry[]} 台帳 */
+        this.ledger = [];
+    }
+
+    // ===== 借入 =====
+
+    /**
+     * 借入枠の残り（利息で枠を超えた場合は0）
+     * @returns {number}
+     */
+    getAvailableCredit() {
+        return Math.max(this.creditLimit - this.balance, 0);
+    }
+
+    /**
+     * 借入枠を使い切ったか
+     * @returns {boolean}
+     */
+    isAtLimit() {
+        return this.getAvailableCredit() === 0;
+    }
+
+    /**
+     * 借入枠の範囲で借りる
+     * @param {number} amount - 借りたい額
+     * @returns {number} 実際に借りた額
+     */
+    borrow(amount) {
+        const borrowed = Math.min(Math.max(Math.floor(amount), 0), this.getAvailableCredit());
+        if (borrowed > 0) {
+            this.balance += borrowed;
+            this.record(LoanEntryType.BORROW, borrowed);
+        }
+        return borrowed;
+    }
+
+    /**
+     * セット終了時に利息をつける（枠を超えても加算する）
+     * @returns {number} 加算した利息
+     */
+    accrueInterest() {
+        const interest = Math.ceil(this.balance * this.interestRate);
+        if (interest > 0) {
+            this.balance += interest;
+            this.record(LoanEntryType.INTEREST, interest);
+        }
+        return interest;
+    }
+
+    // ===== 返済 =====
+
+    /**
+     * 返済する
+     * @param {number} amount - 返したい額
+     * @returns {number} 実際に返済した額
+     */
+    repay(amount) {
+        const repaid = Math.min(Math.max(Math.floor(amount), 0), this.balance);
+        if (repaid > 0) {
+            this.balance -= repaid;
+            this.record(LoanEntryType.REPAY, repaid);
+        }
+        return repaid;
+    }
+
+    /**
+     * 勝ち分・ボーナスから強制的に返済する額
+     * @param {number} income - 受け取った額
+     * @returns {number}
+     */
+    getForcedRepayment(income) {
+        return Math.min(Math.floor(income * this.repaymentRate), this.balance);
+    }
+
+    // ===== 台帳 =====
+
+    /**
+     * 台帳に記録
+     * @param {LoanEntryType} type
+     * @param {number} amount
+     */
+    record(type, amount) {
+        this.ledger.push({
+            type,
+            amount,
+            balance: this.balance,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * ゲーム開始時のリセット
+     */
+    reset() {
+        this.balance = 0;
+        this.ledger = [];
+    }
+
+    /**
+     * 保存用の状態
+     * @returns {Object}
+     */
+    toSnapshot() {
+        return {
+            creditLimit: this.creditLimit,
+            interestRate: this.interestRate,
+            repaymentRate: this.repaymentRate,
+            balance: this.balance,
+            ledger: this.ledger
+        };
+    }
+
+    /**
+     * 保存した状態から作り直す
+     * @param {Object} snapshot - toSnapshot の結果
+     * @returns {LoanAccount}
+     */
+    static fromSnapshot(snapshot) {
+        const account = new LoanAccount(snapshot);
+        account.balance = snapshot.balance;
+        account.ledger = [...snapshot.ledger];
+        return account;
+    }
+
+    /**
+     * 本人向けのJSON
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            balance: this.balance,
+            creditLimit: this.creditLimit,
+            availableCredit: this.getAvailableCredit(),
+            interestRate: this.interestRate,
+            repaymentRate: this.repaymentRate,
+            ledger: this.ledger
+        };
+    }
+}
+
+/**
+ * @typedef {Object} LoanEntry
+ * @property {LoanEntryType} type - 記録の種類
+ * @property {number} amount - 金額
+ * @property {number} balance - 記録後の借入残高
+ * @property {number} timestamp - 記録時刻
+ */
+
+export default LoanAccount;
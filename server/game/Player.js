@@ -6,10 +6,12 @@
  */
 
 import { BaseSkill } from './skills/BaseSkill.js';
+import { LoanAccount } from './LoanAccount.js';
+import { GameConfig } from './GameState.js';
 
 export class Player {
     /**
-     * @param {string} id - プレイヤーID（通常はSocket ID）
+     * @param {string} id - プレイヤーID（公開される。Socket ID とは別に払い出す）
      * @param {string} name - 表示名
      * @param {string} socketId - Socket.io接続ID
      */
@@ -23,15 +25,30 @@ export class Player {
         /** @type {string} Socket.io接続ID */
         this.socketId = socketId;
 
-        /** @type {number} 所持チップ */
+        /** @type {string|null} 再接続用のセッションID（本人のトークンにだけ入る。Bot は null） */
+        this.sessionId = null;
+
+        /** @type {string|null} 接続元のアドレス（追放時の再参加禁止に使う。公開・保存はしない） */
+        this.clientAddress = null;
+
+        /** @type {number} 所持チップ（0未満にはならない） */
         this.chips = 1000;
 
+        /** @type {LoanAccount} 胴元からの借入 */
+        this.loan = new LoanAccount();
+
+        /** @type {number} ルームの最低ベット（破産判定に使う） */
+        this.minBet = GameConfig.MIN_BET;
+
         /** @type {BaseSkill|null} 所持スキル */
         this.skill = null;
 
         /** @type {number} 現在のベット額 */
         this.currentBet = 0;
 
+        /** @type {number} 直前に自分で選んだベット額（自動ベット用） */
+        this.lastBet = 0;
+
         /** @type {number[]} 現在のダイス出目 */
         this.currentDice = [];
 
@@ -44,6 +61,15 @@ export class Player {
         /** @type {boolean} 接続中かどうか */
         this.isConnected = true;
 
+        /** @type {boolean} サーバー側で操作する Bot か（ソケットを持たない） */
+        this.isBot = false;
+
+        /** @type {number} 連続で時間切れになった回数 */
+        this.idleStrikes = 0;
+
+        /** @type {boolean} 離席中（時間切れを繰り返したため自動操作） */
+        this.isAway = false;
+
         /** @type {boolean} 現在のラウンドでロール済みか */
         this.hasRolled = false;
 
@@ -68,13 +94,38 @@ export class Player {
     }
 
     /**
-     * チップを減らす（マイナスも許可）
+     * チップを減らす（足りない分は借入枠の範囲で借りる）
      * @param {number} amount 
-     * @returns {boolean} 常にtrue（マイナスも許可）
+     * @returns {number} 実際に支払えた額（借入枠を超えた分は支払われない）
      */
     removeChips(amount) {
-        this.chips -= amount;
-        return true;
+        if (amount > this.chips) {
+            this.chips += this.loan.borrow(amount - this.chips);
+        }
+        const paid = Math.min(amount, this.chips);
+        this.chips -= paid;
+        return paid;
+    }
+
+    /**
+     * 勝ち分・ボーナスを受け取る（借入があれば一部を強制返済）
+     * @param {number} amount 
+     * @returns {number} 返済に回した額
+     */
+    receiveWinnings(amount) {
+        this.addChips(amount);
+        return this.repayFromIncome(amount);
+    }
+
+    /**
+     * 受け取った額に応じて借入を強制返済する
+     * @param {number} income - 勝ち分・ボーナスの額
+     * @returns {number} 返済に回した額
+     */
+    repayFromIncome(income) {
+        const repaid = this.loan.repay(Math.min(this.loan.getForcedRepayment(income), this.chips));
+        this.chips -= repaid;
+        return repaid;
     }
 
     /**
@@ -83,21 +134,29 @@ export class Player {
      * @returns {boolean} ベットできたかどうか
      */
     placeBet(amount) {
-        // 所持金または50000までは許可（借金ベット）
-        const limit = Math.max(this.chips, 50000);
-        if (amount > limit) {
+        // 所持金＋借入枠の残りまでは許可（負けた分は精算時に借りる）
+        if (amount > this.chips + this.loan.getAvailableCredit()) {
             return false;
         }
         this.currentBet = amount;
+        this.lastBet = amount;
         return true;
     }
 
     /**
-     * 破産しているかチェック
+     * 純資産（所持チップ − 借入残高）
+     * @returns {number}
+     */
+    getNetWorth() {
+        return this.chips - this.loan.balance;
+    }
+
+    /**
+     * 破産しているかチェック（借入枠を使い切り、最低ベット額も出せない）
      * @returns {boolean}
      */
     isBankrupt() {
-        return this.chips <= 0;
+        return this.loan.isAtLimit() && this.chips < this.minBet;
     }
 
     // ===== スキル管理 =====
@@ -137,12 +196,61 @@ export class Player {
      */
     resetForGame(initialChips = 1000) {
         this.chips = initialChips;
+        this.loan.reset();
         this.skill = null;
         this.isDealer = false;
         this.rank = 0;
+        this.lastBet = 0;
+        this.idleStrikes = 0;
+        this.isAway = false;
         this.resetForRound();
     }
 
+    /**
+     * 参加したルームの設定を反映
+     * @param {RoomSettings} settings
+     */
+    applyRoomSettings(settings) {
+        this.minBet = settings.minBet;
+    }
+
+    // ===== 離席管理 =====
+
+    /**
+     * 時間切れを記録する
+     * @param {number} maxStrikes - 離席扱いになる回数
+     * @returns {boolean} 今回で離席扱いになったか
+     */
+    addIdleStrike(maxStrikes) {
+        this.idleStrikes++;
+        if (!this.isAway && this.idleStrikes >= maxStrikes) {
+            this.isAway = true;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * 離席扱いにする（切断したまま戻ってこない時）
+     * @returns {boolean} 今回で離席扱いになったか
+     */
+    markAway() {
+        const wasAway = this.isAway;
+        this.isAway = true;
+        return !wasAway;
+    }
+
+    /**
+     * 自分で操作したので時間切れの記録を消す
+     * @returns {boolean} 離席から復帰したか
+     */
+    markActive() {
+        const wasAway = this.isAway;
+        this.idleStrikes = 0;
+        this.isAway = false;
+        return wasAway;
+    }
+
     // ===== 接続管理 =====
 
     /**
@@ -172,6 +280,8 @@ export class Player {
             id: this.id,
             name: this.name,
             chips: this.chips,
+            debt: this.loan.balance,
+            netWorth: this.getNetWorth(),
             currentBet: this.currentBet,
             currentDice: this.currentDice,
             currentHand: this.currentHand ? {
@@ -180,6 +290,8 @@ export class Player {
             } : null,
             isDealer: this.isDealer,
             isConnected: this.isConnected,
+            isBot: this.isBot,
+            isAway: this.isAway,
             hasRolled: this.hasRolled,
             // スキル名は公開（能力詳細は非公開）
             skillName: this.skill ? this.skill.name : null,
@@ -195,10 +307,79 @@ export class Player {
     toPrivateJSON() {
         return {
             ...this.toPublicJSON(),
-            skill: this.skill ? this.skill.toJSON() : null
+            skill: this.skill ? this.skill.toJSON() : null,
+            loan: this.loan.toJSON()
+        };
+    }
+
+    /**
+     * 保存用の状態（接続状態は保存しない。復元したプレイヤーは再接続するまで切断中とする）
+     * @returns {Object}
+     */
+    toSnapshot() {
+        return {
+            id: this.id,
+            name: this.name,
+            socketId: this.socketId,
+            sessionId: this.sessionId,
+            isBot: this.isBot,
+            chips: this.chips,
+            loan: this.loan.toSnapshot(),
+            minBet: this.minBet,
+            skill: this.skill ? this.skill.toSnapshot() : null,
+            currentBet: this.currentBet,
+            lastBet: this.lastBet,
+            currentDice: this.currentDice,
+            currentHand: this.currentHand,
+            isDealer: this.isDealer,
+            idleStrikes: this.idleStrikes,
+            isAway: this.isAway,
+            hasRolled: this.hasRolled,
+            rerollCount: this.rerollCount,
+            rank: this.rank,
+            teamId: this.teamId
         };
     }
 
+    /**
+     * 保存した状態から作り直す
+     * @param {Object} snapshot - toSnapshot の結果
+     * @param {SkillRegistry} skillRegistry - スキルを作り直すのに使う
+     * @returns {Player}
+     */
+    static fromSnapshot(snapshot, skillRegistry) {
+        const player = new Player(snapshot.id, snapshot.name, snapshot.socketId);
+        player.sessionId = snapshot.sessionId;
+        player.restoreSnapshot(snapshot, skillRegistry);
+        player.isConnected = false;
+        return player;
+    }
+
+    /**
+     * 保存した状態を戻す
+     * @param {Object} snapshot - toSnapshot の結果
+     * @param {SkillRegistry} skillRegistry
+     */
+    restoreSnapshot(snapshot, skillRegistry) {
+        this.chips = snapshot.chips;
+        this.loan = LoanAccount.fromSnapshot(snapshot.loan);
+        this.minBet = snapshot.minBet;
+        this.currentBet = snapshot.currentBet;
+        this.lastBet = snapshot.lastBet;
+        this.currentDice = snapshot.currentDice;
+        this.currentHand = snapshot.currentHand;
+        this.isDealer = snapshot.isDealer;
+        this.idleStrikes = snapshot.idleStrikes;
+        this.isAway = snapshot.isAway;
+        this.hasRolled = snapshot.hasRolled;
+        this.rerollCount = snapshot.rerollCount;
+        this.rank = snapshot.rank;
+        this.teamId = snapshot.teamId;
+
+        this.skill = snapshot.skill ? skillRegistry.create(snapshot.skill.id) : null;
+        this.skill?.restoreSnapshot(snapshot.skill);
+    }
+
     /**
      * サーバー内部用の完全なJSON
      * @returns {Object}
@@ -209,12 +390,15 @@ export class Player {
             name: this.name,
             socketId: this.socketId,
             chips: this.chips,
+            loan: this.loan.toJSON(),
             skill: this.skill,
             currentBet: this.currentBet,
             currentDice: this.currentDice,
             currentHand: this.currentHand,
             isDealer: this.isDealer,
             isConnected: this.isConnected,
+            idleStrikes: this.idleStrikes,
+            isAway: this.isAway,
             hasRolled: this.hasRolled,
             rerollCount: this.rerollCount,
             rank: this.rank,
@@ -0,0 +1,322 @@
+/**
+ * ProvablyFair - 検証可能なダイス生成（コミット・リビール方式）
+ *
+ * ラウンド開始時にサーバーシードのハッシュを公開（コミット）し、
+ * ダイスは「サーバーシード + クライアントシード + ノンス」から決定的に導出する。
+ * ラウンド終了時にサーバーシードを公開（リビール）するので、
+ * 誰でも全てのダイスを再計算してサーバーが改ざんしていないことを確認できる。
+ *
+ * 導出方法（クライアント側の検証コードと同一）:
+ *   HMAC-SHA256(key = サーバーシード, message = `${クライアントシード}:${ノンス}:${カーソル}`)
+ *   の各バイトを先頭から読み、252以上のバイトは捨てて (byte % 6) + 1 を出目とする。
+ *   バイトが足りなければカーソルを1つ進めて再計算する。
+ */
+
+import { createHash, createHmac, randomBytes } from 'crypto';
+
+// 出目に偏りが出ないよう、6の倍数未満のバイトだけを使う
+const BYTE_LIMIT = 252;
+
+// 保持するリビール済みラウンド数
+const HISTORY_LIMIT = 100;
+
+// クライアントシードの最大長
+const CLIENT_SEED_MAX_LENGTH = 64;
+
+export class ProvablyFair {
+    constructor() {
+        /** @type {number} 現在のラウンド番号 */
+        this.roundNumber = 0;
+
+        /** @type {string|null} 現在のサーバーシード（リビールまで非公開） */
+        this.serverSeed = null;
+
+        /** @type {string|null} サーバーシードのハッシュ（コミット） */
+        this.serverSeedHash = null;
+
+        /** @type {Map<string, string>} プレイヤーID → クライアントシード */
+        this.clientSeeds = new Map();
+
+        /** @type {string|null} 確定したクライアントシード（ロック後） */
+        this.clientSeed = null;
+
+        /** @type {number} 現在のノンス（ロールごとに加算） */
+        this.nonce = 0;
+
+        /** @type {FairRoll[]} このラウンドのロール記録 */
+        this.rolls = [];
+
+        /** @type {FairRoundRecord[]} リビール済みラウンドの履歴 */
+        this.history = [];
+    }
+
+    // ===== ラウンド管理 =====
+
+    /**
+     * 新しいラウンドのサーバーシードを生成してコミットする
+     * @param {number} roundNumber
+     * @returns {{ roundNumber: number, serverSeedHash: string }} 公開するコミット情報
+     */
+    startRound(roundNumber) {
+        this.roundNumber = roundNumber;
+        this.serverSeed = randomBytes(32).toString('hex');
+        this.serverSeedHash = ProvablyFair.hashSeed(this.serverSeed);
+        this.clientSeeds = new Map();
+        this.clientSeed = null;
+        this.nonce = 0;
+        this.rolls = [];
+
+        return this.getCommitment();
+    }
+
+    /**
+     * 現在のコミット情報
+     * @returns {{ roundNumber: number, serverSeedHash: string|null, clientSeed: string|null }}
+     */
+    getCommitment() {
+        return {
+            roundNumber: this.roundNumber,
+            serverSeedHash: this.serverSeedHash,
+            clientSeed: this.clientSeed
+        };
+    }
+
+    /**
+     * クライアントシードを登録（ロック前のみ）
+     * @param {string} playerId
+     * @param {string} seed
+     * @returns {boolean} 登録できたかどうか
+     */
+    addClientSeed(playerId, seed) {
+        if (this.isLocked()) return false;
+        if (typeof seed !== 'string' || seed.length === 0 || seed.length > CLIENT_SEED_MAX_LENGTH) {
+            return false;
+        }
+
+        this.clientSeeds.set(playerId, seed);
+        return true;
+    }
+
+    /**
+     * クライアントシードを確定する（ベット締め切り時）
+     * @returns {string} 確定したクライアントシード
+     */
+    lock() {
+        if (!this.isLocked()) {
+            this.clientSeed = ProvablyFair.combineClientSeeds(this.clientSeeds);
+        }
+        return this.clientSeed;
+    }
+
+    /**
+     * クライアントシードが確定済みか
+     * @returns {boolean}
+     */
+    isLocked() {
+        return this.clientSeed !== null;
+    }
+
+    /**
+     * ダイスを振る
+     * @param {number} count - ダイスの数
+     * @param {string|null} playerId - 振ったプレイヤー（記録用）
+     * @returns {number[]}
+     */
+    roll(count, playerId = null) {
+        this.lock();
+
+        const nonce = this.nonce++;
+        const dice = ProvablyFair.deriveDice(this.serverSeed, this.clientSeed, nonce, count);
+        this.rolls.push({ nonce, playerId, count, dice });
+
+        return dice;
+    }
+
+    /**
+     * サーバーシードを公開し、ラウンドの記録を履歴に保存する
+     * @returns {FairRoundRecord|null}
+     */
+    reveal() {
+        if (!this.serverSeed) return null;
+
+        const record = {
+            roundNumber: this.roundNumber,
+            serverSeed: this.serverSeed,
+            serverSeedHash: this.serverSeedHash,
+            clientSeed: this.lock(),
+            clientSeeds: Object.fromEntries(this.clientSeeds),
+            rolls: [...this.rolls]
+        };
+
+        this.history.push(record);
+        if (this.history.length > HISTORY_LIMIT) {
+            this.history.shift();
+        }
+
+        this.serverSeed = null;
+        return record;
+    }
+
+    /**
+     * リビール済みラウンドの記録を取得
+     * @param {number} roundNumber
+     * @returns {FairRoundRecord|undefined}
+     */
+    getRound(roundNumber) {
+        return this.history.find(record => record.roundNumber === roundNumber);
+    }
+
+    /**
+     * リセット（新しいゲーム開始時）
+     */
+    reset() {
+        this.roundNumber = 0;
+        this.serverSeed = null;
+        this.serverSeedHash = null;
+        this.clientSeeds = new Map();
+        this.clientSeed = null;
+        this.nonce = 0;
+        this.rolls = [];
+        this.history = [];
+    }
+
+    // ===== 保存・復元 =====
+
+    /**
+     * 保存用の状態（リビール前のサーバーシードを含むので、サーバーの外には出さない）
+     * @returns {Object}
+     */
+    toSnapshot() {
+        return {
+            roundNumber: this.roundNumber,
+            serverSeed: this.serverSeed,
+            serverSeedHash: this.serverSeedHash,
+            clientSeeds: Object.fromEntries(this.clientSeeds),
+            clientSeed: this.clientSeed,
+            nonce: this.nonce,
+            rolls: this.rolls,
+            history: this.history
+        };
+    }
+
+    /**
+     * 保存した状態を戻す（コミット済みのシードとノンスをそのまま引き継ぎ、検証できる状態を保つ）
+     * @param {Object} snapshot - toSnapshot の結果
+     */
+    restoreSnapshot(snapshot) {
+        this.roundNumber = snapshot.roundNumber;
+        this.serverSeed = snapshot.serverSeed;
+        this.serverSeedHash = snapshot.serverSeedHash;
+        this.clientSeeds = new Map(Object.entries(snapshot.clientSeeds));
+        this.clientSeed = snapshot.clientSeed;
+        this.nonce = snapshot.nonce;
+        this.rolls = [...snapshot.rolls];
+        this.history = [...snapshot.history];
+    }
+
+    // ===== 導出・検証 =====
+
+    /**
+     * シードのハッシュ（SHA-256, hex）
+     * @param {string} seed
+     * @returns {string}
+     */
+    static hashSeed(seed) {
+        return createHash('sha256').update(seed).digest('hex');
+    }
+
+    /**
+     * プレイヤーごとのクライアントシードを1つの文字列にまとめる
+     * プレイヤーIDの辞書順に `${id}:${seed}` を `|` で連結する。
+     * @param {Map<string, string>|Object} seeds
+     * @returns {string}
+     */
+    static combineClientSeeds(seeds) {
+        const entries = seeds instanceof Map ? Array.from(seeds.entries()) : Object.entries(seeds);
+        return entries
+            .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+            .map(([playerId, seed]) => `${playerId}:${seed}`)
+            .join('|');
+    }
+
+    /**
+     * シードとノンスからダイスを導出する
+     * @param {string} serverSeed
+     * @param {string} clientSeed
+     * @param {number} nonce
+     * @param {number} count
+     * @returns {number[]}
+     */
+    static deriveDice(serverSeed, clientSeed, nonce, count) {
+        const dice = [];
+        let cursor = 0;
+
+        while (dice.length < count) {
+            const bytes = createHmac('sha256', serverSeed)
+                .update(`${clientSeed}:${nonce}:${cursor}`)
+                .digest();
+
+            for (const byte of bytes) {
+                if (byte >= BYTE_LIMIT) continue;
+                dice.push((byte % 6) + 1);
+                if (dice.length === count) break;
+            }
+            cursor++;
+        }
+
+        return dice;
+    }
+
+    /**
+     * リビールされたラウンドを検証する
+     * @param {FairRoundRecord} record
+     * @returns {FairVerification}
+     */
+    static verify(record) {
+        const hashMatches = ProvablyFair.hashSeed(record.serverSeed) === record.serverSeedHash;
+
+        const rolls = (record.rolls || []).map(roll => {
+            const expected = ProvablyFair.deriveDice(record.serverSeed, record.clientSeed, roll.nonce, roll.count);
+            return {
+                nonce: roll.nonce,
+                playerId: roll.playerId,
+                dice: roll.dice,
+                expected,
+                match: expected.length === roll.dice.length && expected.every((d, i) => d === roll.dice[i])
+            };
+        });
+
+        return {
+            valid: hashMatches && rolls.every(roll => roll.match),
+            hashMatches,
+            rolls
+        };
+    }
+}
+
+/**
+ * @typedef {Object} FairRoll
+ * @property {number} nonce - ノンス
+ * @property {string|null} playerId - 振ったプレイヤー
+ * @property {number} count - ダイスの数
+ * @property {number[]} dice - 出目
+ */
+
+/**
+ * @typedef {Object} FairRoundRecord
+ * @property {number} roundNumber - ラウンド番号
+ * @property {string} serverSeed - 公開されたサーバーシード
+ * @property {string} serverSeedHash - ラウンド開始時にコミットしたハッシュ
+ * @property {string} clientSeed - 確定したクライアントシード
+ * @property {Object<string, string>} clientSeeds - プレイヤーごとのクライアントシード
+ * @property {FairRoll[]} rolls - ロール記録
+ */
+
+/**
+ * @typedef {Object} FairVerification
+ * @property {boolean} valid - 全て一致したか
+ * @property {boolean} hashMatches - サーバーシードがコミットと一致したか
+ * @property {Object[]} rolls - ロールごとの検証結果
+ */
+
+export default ProvablyFair;
@@ -0,0 +1,104 @@
+/**
+ * RoomCodeAllocator - ルームIDの払い出し
+ *
+ * 使用中のIDを保持し、重複しないIDだけを払い出す。
+ * ID は指定の文字種・桁数でランダムに作る（読み間違えやすい文字は既定の文字種から外している）。
+ * ルームを削除したら release() で返却する。
+ * 再起動で復元したルームのIDは reserve() で使用中にする（桁数・文字が今の設定と違っても受け付ける）。
+ */
+
+import { randomInt } from 'crypto';
+import { GameConfig } from './GameState.js';
+
+// 桁数の範囲
+const MIN_LENGTH = 3;
+const MAX_LENGTH = 8;
+
+// ランダムに引き直す回数の上限（超えたら空きなしとみなす）
+const MAX_ATTEMPTS = 100;
+
+export class RoomCodeAllocator {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.length] - 桁数
+     * @param {string} [options.alphabet] - 使う文字（大文字・数字。重複は除く）
+     */
+    constructor(options = {}) {
+        const length = options.length ?? GameConfig.ROOM_CODE_LENGTH;
+        const alphabet = [...new Set((options.alphabet ?? GameConfig.ROOM_CODE_ALPHABET).toUpperCase())].join('');
+
+        if (!Number.isInteger(length) || length < MIN_LENGTH || length > MAX_LENGTH) {
+            throw new Error(`ルームIDの桁数は${MIN_LENGTH}〜${MAX_LENGTH}で指定してください`);
+        }
+        if (alphabet.length < 2 || !/^[A-Z0-9]+$/.test(alphabet)) {
+            throw new Error('ルームIDの文字は英大文字・数字から2種類以上指定してください');
+        }
+
+        /** @type {number} 桁数 */
+        this.length = length;
+
+        /** @type {string} 使う文字 */
+        this.alphabet = alphabet;
+
+        /** @type {Set<string>} 使用中のID */
+        this.codes = new Set();
+    }
+
+    /**
+     * 払い出せるIDの総数
+     * @returns {number}
+     */
+    getCapacity() {
+        return this.alphabet.length ** this.length;
+    }
+
+    /**
+     * 未使用のIDを払い出す
+     * @returns {string|null} ID（空きがなければ null）
+     */
+    allocate() {
+        if (this.codes.size >= this.getCapacity()) return null;
+
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            const code = this.generate();
+            if (!this.codes.has(code)) {
+                this.codes.add(code);
+                return code;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 指定のIDを使用中にする（復元したルーム用）
+     * @param {string} code
+     * @returns {boolean} 使用中にできたか（既に使われていれば false）
+     */
+    reserve(code) {
+        if (this.codes.has(code)) return false;
+        this.codes.add(code);
+        return true;
+    }
+
+    /**
+     * IDを返却する
+     * @param {string} code
+     */
+    release(code) {
+        this.codes.delete(code);
+    }
+
+    /**
+     * ランダムなIDを作る
+     * @returns {string}
+     */
+    generate() {
+        let code = '';
+        for (let i = 0; i < this.length; i++) {
+            code += this.alphabet[randomInt(this.alphabet.length)];
+        }
+        return code;
+    }
+}
+
+export default RoomCodeAllocator;
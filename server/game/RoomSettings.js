@@ -0,0 +1,113 @@
+/**
+ * RoomSettings - ルームごとの設定
+ *
+ * 初期チップ・最低ベット・ダウト受付時間などの GameConfig の値を、ルーム単位で上書きする。
+ * ホストがロビーで編集し、サーバー側の範囲チェックを通った値だけを反映する。
+ * ゲーム開始後の変更はできない（GameRoom 側で拒否する）。
+ */
+
+import { GameConfig } from './GameState.js';
+
+/**
+ * 設定項目ごとの範囲（省略時の値は GameConfig から取る）
+ */
+export const SETTING_BOUNDS = {
+    initialChips: { label: '初期チップ', min: 10000, max: 1000000 },
+    minBet: { label: '最低ベット', min: 100, max: 100000 },
+    interruptWindowMs: { label: 'ダウト受付時間（ミリ秒）', min: 1000, max: 15000 },
+    actionTimeoutMs: { label: 'スキル選択の持ち時間（ミリ秒）', min: 5000, max: 60000 },
+    setBonusChips: { label: 'セット終了ボーナス', min: 0, max: 1000000 },
+    maxPlayers: { label: '最大人数', min: GameConfig.MIN_PLAYERS, max: 8 },
+    maxRerollAttempts: { label: '目なしの最大振り直し回数', min: 1, max: 5 }
+};
+
+export class RoomSettings {
+    /**
+     * @param {Object} [values] - 上書きする値（検証済みであること）
+     */
+    constructor(values = {}) {
+        /** @type {number} 初期チップ */
+        this.initialChips = values.initialChips ?? GameConfig.INITIAL_CHIPS;
+
+        /** @type {number} 最低ベット */
+        this.minBet = values.minBet ?? GameConfig.MIN_BET;
+
+        /** @type {number} ダウト受付時間（ミリ秒） */
+        this.interruptWindowMs = values.interruptWindowMs ?? GameConfig.INTERRUPT_WINDOW_MS;
+
+        /** @type {number} スキル選択の持ち時間（ミリ秒） */
+        this.actionTimeoutMs = values.actionTimeoutMs ?? GameConfig.ACTION_TIMEOUT_MS;
+
+        /** @type {number} 1セット終了時に全員に加算するチップ */
+        this.setBonusChips = values.setBonusChips ?? GameConfig.SET_BONUS_CHIPS;
+
+        /** @type {number} 最大人数（参加待ちを含む） */
+        this.maxPlayers = values.maxPlayers ?? GameConfig.MAX_PLAYERS;
+
+        /** @type {number} 目なしの最大振り直し回数 */
+        this.maxRerollAttempts = values.maxRerollAttempts ?? GameConfig.MAX_REROLL_ATTEMPTS;
+    }
+
+    /**
+     * 変更内容を検証する
+     * @param {Object} changes - 変更する項目と値
+     * @param {RoomSettings} [current] - 現在の設定（項目間の整合性チェックに使う）
+     * @returns {string|null} エラーメッセージ（問題なければnull）
+     */
+    static validate(changes, current = new RoomSettings()) {
+        if (!changes || typeof changes !== 'object') {
+            return 'ルーム設定が不正です';
+        }
+
+        for (const [key, value] of Object.entries(changes)) {
+            const bounds = SETTING_BOUNDS[key];
+            if (!bounds) {
+                return `不明な設定項目です: ${key}`;
+            }
+            if (!Number.isInteger(value) || value < bounds.min || value > bounds.max) {
+                return `${bounds.label}は${bounds.min}〜${bounds.max}の整数で指定してください`;
+            }
+        }
+
+        const merged = { ...current.toJSON(), ...changes };
+        if (merged.minBet > merged.initialChips) {
+            return '最低ベットは初期チップ以下にしてください';
+        }
+        return null;
+    }
+
+    /**
+     * 検証済みの変更を反映した新しい設定を返す
+     * @param {Object} changes
+     * @returns {RoomSettings}
+     */
+    with(changes) {
+        return new RoomSettings({ ...this.toJSON(), ...changes });
+    }
+
+    /**
+     * JSON形式で返す
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            initialChips: this.initialChips,
+            minBet: this.minBet,
+            interruptWindowMs: this.interruptWindowMs,
+            actionTimeoutMs: this.actionTimeoutMs,
+            setBonusChips: this.setBonusChips,
+            maxPlayers: this.maxPlayers,
+            maxRerollAttempts: this.maxRerollAttempts
+        };
+    }
+
+    /**
+     * 設定項目ごとの範囲（クライアントの入力欄用）
+     * @returns {Object<string, { label: string, min: number, max: number }>}
+     */
+    static getBounds() {
+        return SETTING_BOUNDS;
+    }
+}
+
+export default RoomSettings;
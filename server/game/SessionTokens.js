@@ -0,0 +1,115 @@
+/**
+ * SessionTokens - 再接続用のセッショントークン
+ *
+ * ルームの作成・参加時にセッションIDを払い出し、サーバーの秘密鍵で署名したトークンにして本人にだけ渡す。
+ * 再接続ではトークンの署名と期限を確かめてからセッションIDで席を探すので、
+ * 公開されているプレイヤーIDやソケットIDを知っていても他人の席には戻れない。
+ *
+ * 形式: base64url(JSON { sid, exp }) + '.' + base64url(HMAC-SHA256(秘密鍵, 前半部分))
+ */
+
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { GameConfig } from './GameState.js';
+
+// 秘密鍵の最短の長さ（文字数）
+const MIN_SECRET_LENGTH = 32;
+
+// 生成する秘密鍵のバイト数
+const SECRET_BYTES = 32;
+
+// トークンの最大長（これより長いものは検証せずに捨てる）
+const MAX_TOKEN_LENGTH = 512;
+
+export class SessionTokens {
+    /**
+     * @param {string} secret - 署名に使う秘密鍵
+     * @param {Object} [options]
+     * @param {number} [options.ttlMs] - トークンの有効期間（省略時は GameConfig の値）
+     */
+    constructor(secret, options = {}) {
+        if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+            throw new Error(`セッションの秘密鍵は${MIN_SECRET_LENGTH}文字以上で指定してください`);
+        }
+
+        /** @type {string} 署名に使う秘密鍵 */
+        this.secret = secret;
+
+        /** @type {number} トークンの有効期間（ミリ秒） */
+        this.ttlMs = options.ttlMs ?? GameConfig.SESSION_TOKEN_TTL_MS;
+    }
+
+    /**
+     * トークンを発行する（セッションIDを渡せば同じセッションのまま期限を延ばす）
+     * @param {string} [sessionId] - 省略時は新しいセッションIDを払い出す
+     * @returns {{ sessionId: string, token: string }}
+     */
+    issue(sessionId = randomUUID()) {
+        const payload = Buffer.from(JSON.stringify({ sid: sessionId, exp: Date.now() + this.ttlMs })).toString('base64url');
+        return { sessionId, token: `${payload}.${this.sign(payload)}` };
+    }
+
+    /**
+     * トークンを検証する
+     * @param {*} token - クライアントから送られてきた値
+     * @returns {string|null} セッションID（形式・署名・期限のどれかが不正なら null）
+     */
+    verify(token) {
+        if (typeof token !== 'string' || token.length > MAX_TOKEN_LENGTH) return null;
+
+        const [payload, signature, ...rest] = token.split('.');
+        if (!payload || !signature || rest.length > 0) return null;
+
+        const expected = Buffer.from(this.sign(payload));
+        const actual = Buffer.from(signature);
+        if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+
+        try {
+            const { sid, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            if (typeof sid !== 'string' || !Number.isFinite(exp) || exp < Date.now()) return null;
+            return sid;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * 署名
+     * @param {string} payload
+     * @returns {string}
+     */
+    sign(payload) {
+        return createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+
+    /**
+     * ファイルから秘密鍵を読む（なければ作って保存する）
+     * 再起動で復元したルームに同じトークンで戻れるよう、鍵はプロセスをまたいで使い続ける。
+     * @param {string} filePath
+     * @returns {Promise<string>}
+     */
+    static async loadOrCreateSecret(filePath) {
+        try {
+            const secret = (await readFile(filePath, 'utf8')).trim();
+            if (secret.length >= MIN_SECRET_LENGTH) return secret;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const secret = randomBytes(SECRET_BYTES).toString('hex');
+        await mkdir(path.dirname(filePath), { recursive: true });
+        await writeFile(filePath, secret, { mode: 0o600 });
+        return secret;
+    }
+
+    /**
+     * その場で作った秘密鍵を使う（保存しないので、再起動すると以前のトークンは使えなくなる）
+     * @returns {SessionTokens}
+     */
+    static createEphemeral() {
+        return new SessionTokens(randomBytes(SECRET_BYTES).toString('hex'));
+    }
+}
+
+export default SessionTokens;
@@ -0,0 +1,40 @@
+/**
+ * Spectator - 観戦者クラス
+ *
+ * 進行中のルームを観戦する参加者。
+ * 公開イベントだけを受け取り、ベット・ロール・ダウトはできず、スキルなどの非公開情報も受け取らない。
+ */
+
+export class Spectator {
+    /**
+     * @param {string} id - 観戦者ID（公開される。Socket ID とは別に払い出す）
+     * @param {string} name - 表示名
+     * @param {string} socketId - Socket.io接続ID
+     */
+    constructor(id, name, socketId) {
+        /** @type {string} 観戦者ID */
+        this.id = id;
+
+        /** @type {string} 表示名 */
+        this.name = name;
+
+        /** @type {string} Socket.io接続ID */
+        this.socketId = socketId;
+
+        /** @type {Date} 観戦開始日時 */
+        this.joinedAt = new Date();
+    }
+
+    /**
+     * 公開情報をJSON形式で返す
+     * @returns {Object}
+     */
+    toPublicJSON() {
+        return {
+            id: this.id,
+            name: this.name
+        };
+    }
+}
+
+export default Spectator;
@@ -0,0 +1,151 @@
+/**
+ * DeadlineTimer - 締め切り・一時停止・保存と復元のテスト
+ */
+
+import { jest } from '@jest/globals';
+import { DeadlineTimer } from '../DeadlineTimer.js';
+
+describe('DeadlineTimer', () => {
+    let timer;
+    let callback;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: 1_000_000 });
+        timer = new DeadlineTimer();
+        callback = jest.fn();
+    });
+
+    afterEach(() => {
+        timer.clear();
+        jest.useRealTimers();
+    });
+
+    // ===== 開始・停止 =====
+
+    test('締め切り時刻を返し、締め切りで一度だけ呼ぶ', () => {
+        expect(timer.start(5000, callback, 'bet')).toBe(1_005_000);
+        expect(timer.isActive()).toBe(true);
+
+        jest.advanceTimersByTime(4999);
+        expect(callback).not.toHaveBeenCalled();
+        expect(timer.getRemaining()).toBe(1);
+
+        jest.advanceTimersByTime(1);
+        expect(callback).toHaveBeenCalledTimes(1);
+        expect(timer.isActive()).toBe(false);
+        expect(timer.label).toBeNull();
+        expect(timer.getRemaining()).toBe(0);
+    });
+
+    test('開始し直すと前のタイマーは破棄される', () => {
+        const first = jest.fn();
+        timer.start(1000, first, 'bet');
+        timer.start(3000, callback, 'roll');
+
+        jest.advanceTimersByTime(3000);
+        expect(first).not.toHaveBeenCalled();
+        expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('clear で止めると呼ばれない', () => {
+        timer.start(1000, callback);
+        timer.clear();
+
+        jest.advanceTimersByTime(1000);
+        expect(callback).not.toHaveBeenCalled();
+        expect(timer.toSnapshot()).toBeNull();
+    });
+
+    // ===== 一時停止・再開 =====
+
+    test('一時停止中は進まず、再開すると残り時間で締め切りを取り直す', () => {
+        timer.start(5000, callback, 'roll');
+        jest.advanceTimersByTime(2000);
+
+        expect(timer.pause()).toBe(true);
+        expect(timer.isPaused()).toBe(true);
+        expect(timer.isActive()).toBe(false);
+
+        jest.advanceTimersByTime(60000);
+        expect(callback).not.toHaveBeenCalled();
+
+        expect(timer.resume()).toBe(Date.now() + 3000);
+        expect(timer.label).toBe('roll');
+
+        jest.advanceTimersByTime(2999);
+        expect(callback).not.toHaveBeenCalled();
+        jest.advanceTimersByTime(1);
+        expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('動いていないタイマーは一時停止・再開できない', () => {
+        expect(timer.pause()).toBe(false);
+        expect(timer.resume()).toBeNull();
+    });
+
+    test('一時停止中に clear すると再開できない', () => {
+        timer.start(5000, callback);
+        timer.pause();
+        timer.clear();
+
+        expect(timer.isPaused()).toBe(false);
+        expect(timer.resume()).toBeNull();
+    });
+
+    // ===== 保存・復元 =====
+
+    test('動いているタイマーは締め切り時刻のまま復元される', () => {
+        timer.start(5000, jest.fn(), 'bet');
+        jest.advanceTimersByTime(1000);
+        const snapshot = timer.toSnapshot();
+        expect(snapshot).toEqual({ label: 'bet', deadline: 1_005_000, pausedRemaining: null });
+
+        const restored = new DeadlineTimer();
+        expect(restored.restoreSnapshot(snapshot, callback)).toBe(1_005_000);
+        expect(restored.label).toBe('bet');
+
+        jest.advanceTimersByTime(4000);
+        expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('停止中に過ぎた締め切りは最低限の時間だけ待ってから呼ぶ', () => {
+        timer.start(5000, jest.fn(), 'bet');
+        const snapshot = timer.toSnapshot();
+        timer.clear();
+        jest.advanceTimersByTime(10000);
+
+        const restored = new DeadlineTimer();
+        expect(restored.restoreSnapshot(snapshot, callback, 3000)).toBe(Date.now() + 3000);
+
+        jest.advanceTimersByTime(2999);
+        expect(callback).not.toHaveBeenCalled();
+        jest.advanceTimersByTime(1);
+        expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('一時停止中だったタイマーは止めたまま復元され、再開で残り時間から動く', () => {
+        timer.start(5000, jest.fn(), 'action');
+        jest.advanceTimersByTime(4000);
+        timer.pause();
+        const snapshot = timer.toSnapshot();
+        expect(snapshot).toEqual({ label: 'action', deadline: null, pausedRemaining: 1000 });
+
+        const restored = new DeadlineTimer();
+        expect(restored.restoreSnapshot(snapshot, callback, 2000)).toBeNull();
+        expect(restored.isPaused()).toBe(true);
+
+        jest.advanceTimersByTime(60000);
+        expect(callback).not.toHaveBeenCalled();
+
+        restored.resume();
+        jest.advanceTimersByTime(2000);
+        expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('保存がなければ何もしない', () => {
+        timer.start(5000, jest.fn());
+
+        expect(timer.restoreSnapshot(null, callback)).toBeNull();
+        expect(timer.isActive()).toBe(false);
+    });
+});
@@ -0,0 +1,169 @@
+/**
+ * GameRoom - 胴元モード（ベットの受け付け・頭ハネ）のテスト
+ */
+
+import { jest } from '@jest/globals';
+import { GameRoom } from '../GameRoom.js';
+import { Player } from '../Player.js';
+import { GameState, RoundFlow, GameEvent, BetCoverage, PayoutStatus } from '../GameState.js';
+import { ScriptedDiceSource } from '../dice/ScriptedDiceSource.js';
+
+/**
+ * 3人の胴元モードのルームを作り、最初のラウンドのベット受付まで進める
+ * @param {Object} [options] - GameRoom のオプション
+ * @returns {{ room: GameRoom, dealer: Player, children: Player[], dice: ScriptedDiceSource, events: Array }}
+ */
+function startBankerRoom(options = {}) {
+    const events = [];
+    const io = { to: () => ({ emit: (event, data) => events.push({ event, data }) }) };
+    const dice = new ScriptedDiceSource();
+    const room = new GameRoom('a', io, { id: 'TEST', bankerMode: true, diceSource: dice, ...options });
+    ['a', 'b', 'c'].forEach(id => room.addPlayer(new Player(id, id.toUpperCase(), `socket-${id}`)));
+    room.startGame();
+
+    return { room, dealer: room.getDealer(), children: room.getChildrenInSeatOrder(), dice, events };
+}
+
+/**
+ * 子先行で子→親の順に振り、精算まで進める
+ * @param {GameRoom} room
+ * @param {ScriptedDiceSource} dice
+ * @param {Array<[Player, number[]]>} rolls - 振る順の [プレイヤー, 出目]
+ */
+async function playRolls(room, dice, rolls) {
+    for (const [player, values] of rolls) {
+        dice.enqueue(values);
+        await room.rollDice(player.id);
+        jest.advanceTimersByTime(room.settings.interruptWindowMs);
+    }
+}
+
+describe('GameRoom 胴元モード', () => {
+    let warn;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('親のチップが0で全員のベットを断った場合、子先行は子のロールを飛ばして親のロールへ', () => {
+        const { room, dealer, children } = startBankerRoom();
+        dealer.chips = 0;
+
+        children.forEach(child => room.placeBet(child.id, 1000));
+
+        expect(room.getParticipatingChildren()).toHaveLength(0);
+        expect(room.state).toBe(GameState.DEALER_ROLL);
+        expect(warn).not.toHaveBeenCalled();
+    });
+
+    test('親のチップが0で全員のベットを断った場合、親先行は親のロール後そのまま精算へ', async () => {
+        const { room, dealer, children, dice } = startBankerRoom({ roundFlow: RoundFlow.DEALER_FIRST });
+        dealer.chips = 0;
+        dice.enqueue([2, 2, 3]);
+
+        children.forEach(child => room.placeBet(child.id, 1000));
+        await room.rollDice(dealer.id);
+        jest.advanceTimersByTime(room.settings.interruptWindowMs);
+
+        expect(room.state).toBe(GameState.RESULT);
+        expect(warn).not.toHaveBeenCalled();
+    });
+
+    // ===== ベットの受け付け =====
+
+    test('親のチップを上限に席順でベットを受け付け、受けきれない分を減らす', () => {
+        const { room, dealer, children, events } = startBankerRoom();
+        const [first, second] = children;
+        dealer.chips = 1500;
+
+        room.placeBet(first.id, 1000);
+        room.placeBet(second.id, 1000);
+
+        expect(first.currentBet).toBe(1000);
+        expect(second.currentBet).toBe(500);
+        expect(events.find(e => e.event === GameEvent.BETS_COVERED).data).toEqual({
+            roundNumber: 1,
+            dealerId: dealer.id,
+            bank: 1500,
+            coverage: [
+                { playerId: first.id, requested: 1000, accepted: 1000, status: BetCoverage.COVERED },
+                { playerId: second.id, requested: 1000, accepted: 500, status: BetCoverage.PARTIAL }
+            ]
+        });
+        expect(room.state).toBe(GameState.PLAYER_ROLL);
+        expect(room.currentPlayerId).toBe(first.id);
+    });
+
+    test('全く受けられない子はラウンドに参加しない', () => {
+        const { room, dealer, children, events } = startBankerRoom();
+        const [first, second] = children;
+        dealer.chips = 1000;
+
+        room.placeBet(first.id, 1000);
+        room.placeBet(second.id, 1000);
+
+        const { coverage } = events.find(e => e.event === GameEvent.BETS_COVERED).data;
+        expect(coverage.map(c => c.status)).toEqual([BetCoverage.COVERED, BetCoverage.REFUSED]);
+        expect(second.currentBet).toBe(0);
+        expect(room.getParticipatingChildren()).toEqual([first]);
+    });
+
+    // ===== 精算 =====
+
+    test('負けた子から先に回収し、その分も勝った子への支払いに回す', async () => {
+        const { room, dealer, children, dice } = startBankerRoom();
+        const [loser, winner] = children;
+        dealer.chips = 2000;
+
+        room.placeBet(loser.id, 1000);
+        room.placeBet(winner.id, 1000);
+        await playRolls(room, dice, [[loser, [1, 2, 3]], [winner, [3, 3, 3]], [dealer, [2, 2, 3]]]);
+
+        expect(room.state).toBe(GameState.RESULT);
+        const [lost, won] = room.roundResults;
+        expect(lost).toMatchObject({ playerId: loser.id, winner: 'dealer', owed: 2000, chipTransfer: 2000, payoutStatus: null });
+        expect(won).toMatchObject({ playerId: winner.id, winner: 'player', owed: 3000, chipTransfer: 3000, payoutStatus: PayoutStatus.PAID });
+        expect(dealer.chips).toBe(1000);
+        expect(loser.chips).toBe(48000);
+        expect(winner.chips).toBe(53000);
+    });
+
+    test('親のチップが尽きたら席順で支払いを打ち切る（頭ハネ）', async () => {
+        const { room, dealer, children, dice } = startBankerRoom();
+        const [first, second] = children;
+        dealer.chips = 2500;
+
+        room.placeBet(first.id, 1000);
+        room.placeBet(second.id, 1000);
+        await playRolls(room, dice, [[first, [4, 5, 6]], [second, [6, 6, 5]], [dealer, [2, 2, 3]]]);
+
+        const [head, cut] = room.roundResults;
+        expect(head).toMatchObject({ owed: 2000, chipTransfer: 2000, payoutStatus: PayoutStatus.PAID });
+        expect(cut).toMatchObject({ owed: 1000, chipTransfer: 500, payoutStatus: PayoutStatus.PARTIAL });
+        expect(dealer.chips).toBe(0);
+        expect(dealer.loan.balance).toBe(0);
+    });
+
+    test('支払いに回せるチップがなければ払われない', async () => {
+        const { room, dealer, children, dice } = startBankerRoom();
+        const [first, second] = children;
+        dealer.chips = 2000;
+
+        room.placeBet(first.id, 1000);
+        room.placeBet(second.id, 1000);
+        await playRolls(room, dice, [[first, [3, 3, 3]], [second, [6, 6, 5]], [dealer, [2, 2, 3]]]);
+
+        const [head, cut] = room.roundResults;
+        expect(head).toMatchObject({ owed: 3000, chipTransfer: 2000, payoutStatus: PayoutStatus.PARTIAL });
+        expect(cut).toMatchObject({ owed: 1000, chipTransfer: 0, payoutStatus: PayoutStatus.REFUSED });
+        expect(second.chips).toBe(50000);
+    });
+});
@@ -0,0 +1,199 @@
+/**
+ * GameRoom - 保存（toSnapshot）と復元（fromSnapshot）のテスト
+ */
+
+import { jest } from '@jest/globals';
+import { GameRoom } from '../GameRoom.js';
+import { Player } from '../Player.js';
+import { GameState, GameConfig } from '../GameState.js';
+import { ScriptedDiceSource } from '../dice/ScriptedDiceSource.js';
+import { DiceSourceRegistry } from '../dice/DiceSourceRegistry.js';
+import { Flipper } from '../skills/Flipper.js';
+
+const io = { to: () => ({ emit: () => {} }) };
+
+/**
+ * 3人のルームを作り、最初のラウンドのベット受付まで進める
+ * @returns {{ room: GameRoom, dealer: Player, children: Player[], dice: ScriptedDiceSource }}
+ */
+function startRoom() {
+    const dice = new ScriptedDiceSource();
+    const room = new GameRoom('a', io, { id: 'TEST', diceSource: dice });
+    ['a', 'b', 'c'].forEach(id => room.addPlayer(new Player(id, id.toUpperCase(), `socket-${id}`)));
+    room.startGame();
+
+    return { room, dealer: room.getDealer(), children: room.getChildrenInSeatOrder(), dice };
+}
+
+/**
+ * ディスクを経由した時と同じように JSON にしてから作り直す（GameManager.restoreRooms と同じ手順）
+ * @param {GameRoom} room
+ * @returns {GameRoom}
+ */
+function reload(room) {
+    const snapshot = JSON.parse(JSON.stringify(room.toSnapshot()));
+    return GameRoom.fromSnapshot(snapshot, io, {
+        diceSource: new DiceSourceRegistry().restore(snapshot.diceSource) || undefined
+    });
+}
+
+describe('GameRoom 保存と復元', () => {
+    const rooms = [];
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: 1_000_000 });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        rooms.splice(0).forEach(room => room.getTimers().forEach(timer => timer.clear()));
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('復元したルームは同じ状態を保存する', () => {
+        const { room, children } = startRoom();
+        room.placeBet(children[0].id, 2000);
+        children[1].loan.borrow(3000);
+        room.banPlayer(new Player('x', 'X', 'socket-x'));
+        rooms.push(room);
+
+        const restored = reload(room);
+        rooms.push(restored);
+
+        expect(restored.toSnapshot()).toEqual(JSON.parse(JSON.stringify(room.toSnapshot())));
+    });
+
+    test('人間のプレイヤーは切断中として戻り、締め切りは保存した時刻のまま', () => {
+        const { room, children } = startRoom();
+        room.placeBet(children[0].id, 2000);
+        const deadline = room.turnTimer.deadline;
+        rooms.push(room);
+
+        const restored = reload(room);
+        rooms.push(restored);
+
+        expect(restored.state).toBe(GameState.BETTING);
+        expect(restored.getPlayersArray().every(p => !p.isConnected)).toBe(true);
+        expect(restored.getPlayer(children[0].id).currentBet).toBe(2000);
+        expect(restored.turnTimer.label).toBe('bet');
+        expect(restored.turnTimer.deadline).toBe(deadline);
+    });
+
+    test('停止中に過ぎた締め切りは再接続を待つ時間だけ延ばす', () => {
+        const { room } = startRoom();
+        const snapshot = JSON.parse(JSON.stringify(room.toSnapshot()));
+        rooms.push(room);
+
+        jest.setSystemTime(room.turnTimer.deadline + 60000);
+        const restored = GameRoom.fromSnapshot(snapshot, io, { diceSource: new ScriptedDiceSource() });
+        rooms.push(restored);
+
+        expect(restored.turnTimer.getRemaining()).toBe(GameConfig.RESTORE_MIN_DEADLINE_MS);
+    });
+
+    test('ロール中に保存したルームは復元後もそのまま精算まで進む', async () => {
+        const { room, dealer, children, dice } = startRoom();
+        children.forEach(child => room.placeBet(child.id, 1000));
+        dice.enqueue([6, 6, 5], [2, 2, 3], [3, 3, 4]);
+        await room.rollDice(children[0].id);
+        jest.advanceTimersByTime(room.settings.interruptWindowMs);
+        rooms.push(room);
+
+        const restored = reload(room);
+        rooms.push(restored);
+        expect(restored.state).toBe(GameState.PLAYER_ROLL);
+        expect(restored.currentPlayerId).toBe(children[1].id);
+        expect(restored.getPlayer(children[0].id).currentDice).toEqual([6, 6, 5]);
+
+        for (const id of [children[1].id, dealer.id]) {
+            await restored.rollDice(id);
+            jest.advanceTimersByTime(restored.settings.interruptWindowMs);
+        }
+
+        expect(restored.state).toBe(GameState.RESULT);
+        expect(restored.roundResults.map(r => [r.playerId, r.winner])).toEqual([
+            [children[0].id, 'player'],
+            [children[1].id, 'dealer']
+        ]);
+    });
+
+    test('一時停止中のルームは止まったまま戻り、再開で残り時間から動く', () => {
+        const { room } = startRoom();
+        jest.advanceTimersByTime(1000);
+        room.pauseGame();
+        const remaining = room.turnTimer.pausedRemaining;
+        rooms.push(room);
+
+        const restored = reload(room);
+        rooms.push(restored);
+
+        expect(restored.isPaused).toBe(true);
+        expect(restored.turnTimer.isPaused()).toBe(true);
+        expect(restored.turnTimer.pausedRemaining).toBe(Math.max(remaining, GameConfig.RESTORE_MIN_DEADLINE_MS));
+
+        restored.resumeGame();
+        expect(restored.turnTimer.isActive()).toBe(true);
+    });
+
+    // ===== スキルの選択待ち =====
+
+    /**
+     * 裏返す者を持った子が振り、スキルの選択待ちになった状態で保存・復元する
+     * @returns {Promise<{ restored: GameRoom, child: Player }>}
+     */
+    async function reloadWaitingForAction() {
+        const { room, children, dice } = startRoom();
+        const [child] = children;
+        child.setSkill(new Flipper());
+        children.forEach(c => room.placeBet(c.id, 1000));
+        dice.enqueue([6, 6, 5]);
+        await room.rollDice(child.id);
+        expect(room.state).toBe(GameState.WAITING_FOR_ACTION);
+        rooms.push(room);
+
+        const restored = reload(room);
+        rooms.push(restored);
+        return { restored, child: restored.getPlayer(child.id) };
+    }
+
+    test('スキルの選択待ちは選択肢なしの選択待ちとして戻る', async () => {
+        const { restored, child } = await reloadWaitingForAction();
+
+        expect(restored.state).toBe(GameState.WAITING_FOR_ACTION);
+        expect(restored.pendingAction).toEqual({
+            playerId: child.id,
+            originalDice: [6, 6, 5],
+            skillResult: null,
+            resolve: null
+        });
+        expect(restored.getSyncState(child.id).pendingAction).toMatchObject({
+            playerId: child.id,
+            skillName: child.skill.name,
+            prompt: null
+        });
+    });
+
+    test('復元した選択待ちに応答すると元の出目のまま確定する', async () => {
+        const { restored, child } = await reloadWaitingForAction();
+
+        const result = await restored.handleSkillAction(child.id, { choice: '0' });
+
+        expect(result).toMatchObject({ success: true });
+        expect(child.currentDice).toEqual([6, 6, 5]);
+        expect(restored.pendingAction).toBeNull();
+        expect(restored.actionTimer.isActive()).toBe(false);
+        expect(restored.state).toBe(GameState.INTERRUPT_WINDOW);
+    });
+
+    test('復元した選択待ちは締め切りで元の出目のまま確定する', async () => {
+        const { restored, child } = await reloadWaitingForAction();
+
+        jest.advanceTimersByTime(restored.actionTimer.getRemaining());
+
+        expect(child.currentDice).toEqual([6, 6, 5]);
+        expect(restored.pendingAction).toBeNull();
+        expect(restored.state).toBe(GameState.INTERRUPT_WINDOW);
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * HandProbability - 確率分布のテスト
+ */
+
+import { HandProbability } from '../HandProbability.js';
+import { HandType, STANDARD_RULES, TieRule } from '../DiceEngine.js';
+import { RuleSet } from '../rules/RuleSet.js';
+
+/**
+ * 確率の合計
+ * @param {Object<string, number>|Object[]} values
+ * @returns {number}
+ */
+function sum(values) {
+    return Object.values(values).reduce((total, value) => total + (value.probability ?? value), 0);
+}
+
+describe('HandProbability', () => {
+    const standard = new HandProbability();
+
+    test('1回のロールは216通りを漏れなく数える', () => {
+        const counts = standard.singleRoll.reduce((total, outcome) => total + outcome.count, 0);
+
+        expect(counts).toBe(216);
+        expect(sum(standard.singleRoll)).toBeCloseTo(1, 12);
+        expect(sum(standard.getHandTypeProbabilities())).toBeCloseTo(1, 12);
+    });
+
+    test('役ごとの出現数が組み合わせ通り', () => {
+        const types = standard.getHandTypeProbabilities();
+
+        expect(types[HandType.PINZORO]).toBeCloseTo(1 / 216, 12);
+        expect(types[HandType.ARASHI]).toBeCloseTo(5 / 216, 12);
+        expect(types[HandType.SHIGORO]).toBeCloseTo(6 / 216, 12);
+        expect(types[HandType.HIFUMI]).toBeCloseTo(6 / 216, 12);
+        expect(types[HandType.NORMAL]).toBeCloseTo(90 / 216, 12);
+        expect(types[HandType.MENASHI]).toBeCloseTo(108 / 216, 12);
+    });
+
+    test('振り直しを含めた最終分布も合計が1', () => {
+        expect(sum(standard.finalRoll)).toBeCloseTo(1, 12);
+        expect(sum(standard.getFinalHandTypeProbabilities())).toBeCloseTo(1, 12);
+        expect(standard.getAutoLossProbability()).toBeCloseTo(0.5 ** standard.maxRerolls, 12);
+    });
+
+    test('役を無効にしたルールでも合計が1', () => {
+        const ruleSet = RuleSet.fromOverrides({
+            enabledHands: { [HandType.ARASHI]: false, [HandType.HIFUMI]: false },
+            arashiValueRanked: false
+        });
+        const probability = new HandProbability(ruleSet, 1);
+
+        expect(sum(probability.singleRoll)).toBeCloseTo(1, 12);
+        expect(sum(probability.finalRoll)).toBeCloseTo(1, 12);
+        expect(probability.getHandTypeProbabilities()[HandType.ARASHI]).toBe(0);
+    });
+
+    test('子の勝ち・負け・引き分けの合計は1', () => {
+        const pushRules = new HandProbability(RuleSet.fromOverrides({ tieRule: TieRule.PUSH }));
+
+        [standard, pushRules].forEach(probability => {
+            probability.finalRoll.forEach(({ hand }) => {
+                const { win, lose, push } = probability.getChildWinProbability(hand);
+                expect(win + lose + push).toBeCloseTo(1, 12);
+            });
+        });
+    });
+
+    test('ピンゾロの親には子は勝てない', () => {
+        const pinzoro = new RuleSet(STANDARD_RULES).evaluateHand([1, 1, 1]);
+
+        expect(standard.getChildWinProbability(pinzoro).win).toBe(0);
+    });
+});
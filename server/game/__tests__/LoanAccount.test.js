@@ -0,0 +1,157 @@
+/**
+ * LoanAccount - 借入・利息・強制返済のテスト
+ */
+
+import { jest } from '@jest/globals';
+import { LoanAccount, LoanEntryType } from '../LoanAccount.js';
+import { GameRoom } from '../GameRoom.js';
+import { Player } from '../Player.js';
+import { ScriptedDiceSource } from '../dice/ScriptedDiceSource.js';
+
+describe('LoanAccount', () => {
+    // ===== 借入 =====
+
+    test('借入枠の範囲でだけ借りられる', () => {
+        const loan = new LoanAccount({ creditLimit: 10000 });
+
+        expect(loan.borrow(6000)).toBe(6000);
+        expect(loan.borrow(6000)).toBe(4000);
+        expect(loan.borrow(1000)).toBe(0);
+        expect(loan.balance).toBe(10000);
+        expect(loan.isAtLimit()).toBe(true);
+        expect(loan.ledger.map(e => [e.type, e.amount, e.balance])).toEqual([
+            [LoanEntryType.BORROW, 6000, 6000],
+            [LoanEntryType.BORROW, 4000, 10000]
+        ]);
+    });
+
+    test('負の額や端数は借りない・切り捨てる', () => {
+        const loan = new LoanAccount({ creditLimit: 10000 });
+
+        expect(loan.borrow(-500)).toBe(0);
+        expect(loan.borrow(1234.9)).toBe(1234);
+        expect(loan.ledger).toHaveLength(1);
+    });
+
+    // ===== 利息 =====
+
+    test('利息は切り上げで残高に加算され、枠を超えてもつく', () => {
+        const loan = new LoanAccount({ creditLimit: 10000, interestRate: 0.1 });
+        loan.borrow(10000);
+
+        expect(loan.accrueInterest()).toBe(1000);
+        expect(loan.balance).toBe(11000);
+        expect(loan.getAvailableCredit()).toBe(0);
+
+        loan.repay(10995);
+        expect(loan.accrueInterest()).toBe(1);
+        expect(loan.ledger.at(-1)).toMatchObject({ type: LoanEntryType.INTEREST, amount: 1, balance: 6 });
+    });
+
+    test('残高がなければ利息はつかず台帳にも残らない', () => {
+        const loan = new LoanAccount();
+
+        expect(loan.accrueInterest()).toBe(0);
+        expect(loan.ledger).toHaveLength(0);
+    });
+
+    // ===== 返済 =====
+
+    test('返済は残高までで、強制返済は収入の一定割合', () => {
+        const loan = new LoanAccount({ creditLimit: 10000, repaymentRate: 0.5 });
+        loan.borrow(3000);
+
+        expect(loan.getForcedRepayment(1000)).toBe(500);
+        expect(loan.getForcedRepayment(10000)).toBe(3000);
+        expect(loan.repay(5000)).toBe(3000);
+        expect(loan.balance).toBe(0);
+        expect(loan.ledger.at(-1)).toMatchObject({ type: LoanEntryType.REPAY, amount: 3000, balance: 0 });
+    });
+
+    test('スナップショットから残高と台帳を復元できる', () => {
+        const loan = new LoanAccount({ creditLimit: 20000, interestRate: 0.2, repaymentRate: 0.3 });
+        loan.borrow(5000);
+        loan.accrueInterest();
+
+        const restored = LoanAccount.fromSnapshot(JSON.parse(JSON.stringify(loan.toSnapshot())));
+
+        expect(restored.toJSON()).toEqual(loan.toJSON());
+    });
+});
+
+describe('Player の借入', () => {
+    test('足りない分は自動で借り、借入枠を超えた分は支払わない', () => {
+        const player = new Player('a', 'A', 'socket-a');
+        player.chips = 1000;
+        player.loan = new LoanAccount({ creditLimit: 2000 });
+
+        expect(player.removeChips(2500)).toBe(2500);
+        expect(player.chips).toBe(0);
+        expect(player.loan.balance).toBe(1500);
+
+        expect(player.removeChips(1000)).toBe(500);
+        expect(player.loan.isAtLimit()).toBe(true);
+    });
+
+    test('勝ち分を受け取ると一部が強制返済される', () => {
+        const player = new Player('a', 'A', 'socket-a');
+        player.chips = 0;
+        player.loan = new LoanAccount({ creditLimit: 10000, repaymentRate: 0.5 });
+        player.loan.borrow(3000);
+
+        expect(player.receiveWinnings(4000)).toBe(2000);
+        expect(player.chips).toBe(2000);
+        expect(player.loan.balance).toBe(1000);
+        expect(player.getNetWorth()).toBe(1000);
+    });
+
+    test('借入枠を使い切り最低ベットも出せなければ破産', () => {
+        const player = new Player('a', 'A', 'socket-a');
+        player.loan = new LoanAccount({ creditLimit: 1000 });
+        player.chips = player.minBet - 1;
+
+        expect(player.isBankrupt()).toBe(false);
+        player.loan.borrow(1000);
+        expect(player.isBankrupt()).toBe(true);
+    });
+});
+
+describe('GameRoom の精算と借入', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('負けた子は足りない分を借りて払い、勝った親の借入は勝ち分から強制返済される', async () => {
+        const io = { to: () => ({ emit: () => {} }) };
+        const dice = new ScriptedDiceSource();
+        const room = new GameRoom('a', io, { id: 'TEST', diceSource: dice });
+        ['a', 'b'].forEach(id => room.addPlayer(new Player(id, id.toUpperCase(), `socket-${id}`)));
+        room.startGame();
+
+        const dealer = room.getDealer();
+        const [child] = room.getChildrenInSeatOrder();
+        dealer.loan.borrow(4000);
+
+        child.chips = 10000;
+        room.placeBet(child.id, 30000);
+        for (const [player, values] of [[child, [1, 2, 3]], [dealer, [2, 2, 3]]]) {
+            dice.enqueue(values);
+            await room.rollDice(player.id);
+            jest.advanceTimersByTime(room.settings.interruptWindowMs);
+        }
+
+        const [result] = room.roundResults;
+        expect(result).toMatchObject({ winner: 'dealer', owed: 60000, chipTransfer: 60000 });
+        expect(child.chips).toBe(0);
+        expect(child.loan.balance).toBe(50000);
+        expect(dealer.loan.balance).toBe(0);
+        expect(dealer.chips).toBe(50000 + 60000 - 4000);
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * ProvablyFair - コミット・リビールと導出のテスト
+ */
+
+import { ProvablyFair } from '../ProvablyFair.js';
+
+/**
+ * 1ラウンド分を振ってリビールする
+ * @param {number} rollCount
+ * @returns {{ commitment: Object, record: Object }}
+ */
+function playRound(rollCount = 4) {
+    const fair = new ProvablyFair();
+    const commitment = fair.startRound(1);
+    fair.addClientSeed('p2', 'seed-b');
+    fair.addClientSeed('p1', 'seed-a');
+
+    for (let i = 0; i < rollCount; i++) {
+        fair.roll(3, i % 2 === 0 ? 'p1' : 'p2');
+    }
+    return { commitment, record: fair.reveal() };
+}
+
+describe('ProvablyFair', () => {
+    test('コミットしたハッシュはリビールしたサーバーシードのハッシュと一致する', () => {
+        const { commitment, record } = playRound();
+
+        expect(commitment.serverSeedHash).toBe(record.serverSeedHash);
+        expect(ProvablyFair.hashSeed(record.serverSeed)).toBe(commitment.serverSeedHash);
+    });
+
+    test('導出は決定的で、出目は1〜6', () => {
+        const first = ProvablyFair.deriveDice('server', 'client', 0, 50);
+        const second = ProvablyFair.deriveDice('server', 'client', 0, 50);
+
+        expect(first).toEqual(second);
+        expect(first).toHaveLength(50);
+        first.forEach(d => {
+            expect(Number.isInteger(d)).toBe(true);
+            expect(d).toBeGreaterThanOrEqual(1);
+            expect(d).toBeLessThanOrEqual(6);
+        });
+    });
+
+    test('ノンス・クライアントシードが変われば出目も変わる', () => {
+        const base = ProvablyFair.deriveDice('server', 'client', 0, 20);
+
+        expect(ProvablyFair.deriveDice('server', 'client', 1, 20)).not.toEqual(base);
+        expect(ProvablyFair.deriveDice('server', 'other', 0, 20)).not.toEqual(base);
+    });
+
+    test('クライアントシードはプレイヤーID順にまとめる（登録順に依存しない）', () => {
+        const combined = ProvablyFair.combineClientSeeds(new Map([['p2', 'seed-b'], ['p1', 'seed-a']]));
+
+        expect(combined).toBe('p1:seed-a|p2:seed-b');
+        expect(ProvablyFair.combineClientSeeds({ p1: 'seed-a', p2: 'seed-b' })).toBe(combined);
+    });
+
+    test('ロック後はクライアントシードを受け付けない', () => {
+        const fair = new ProvablyFair();
+        fair.startRound(1);
+        fair.lock();
+
+        expect(fair.addClientSeed('p1', 'late')).toBe(false);
+    });
+
+    test('リビールした記録はそのまま検証を通る', () => {
+        const { record } = playRound();
+        const verification = ProvablyFair.verify(record);
+
+        expect(verification.valid).toBe(true);
+        expect(verification.hashMatches).toBe(true);
+        expect(verification.rolls).toHaveLength(4);
+        verification.rolls.forEach(roll => expect(roll.match).toBe(true));
+    });
+
+    test('出目を書き換えた記録は検証で弾かれる', () => {
+        const { record } = playRound();
+        const [first, ...rest] = record.rolls;
+        const forged = { ...first, dice: first.dice.map(d => (d % 6) + 1) };
+        const verification = ProvablyFair.verify({ ...record, rolls: [forged, ...rest] });
+
+        expect(verification.valid).toBe(false);
+        expect(verification.rolls[0].match).toBe(false);
+    });
+
+    test('コミットと違うサーバーシードは検証で弾かれる', () => {
+        const { record } = playRound();
+        const verification = ProvablyFair.verify({ ...record, serverSeed: 'f'.repeat(64) });
+
+        expect(verification.valid).toBe(false);
+        expect(verification.hashMatches).toBe(false);
+    });
+
+    test('保存・復元してもコミットしたシードで振り続けられる', () => {
+        const fair = new ProvablyFair();
+        fair.startRound(1);
+        fair.addClientSeed('p1', 'seed-a');
+        fair.roll(3, 'p1');
+
+        const restored = new ProvablyFair();
+        restored.restoreSnapshot(JSON.parse(JSON.stringify(fair.toSnapshot())));
+
+        expect(restored.roll(3, 'p1')).toEqual(fair.roll(3, 'p1'));
+        expect(ProvablyFair.verify(restored.reveal()).valid).toBe(true);
+    });
+});
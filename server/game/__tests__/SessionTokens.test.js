@@ -0,0 +1,94 @@
+/**
+ * SessionTokens - 署名・期限・改ざん検知のテスト
+ */
+
+import { SessionTokens } from '../SessionTokens.js';
+
+const SECRET = 'a'.repeat(64);
+
+/**
+ * トークンのペイロード部分を書き換える（署名はそのまま）
+ * @param {string} token
+ * @param {Object} changes
+ * @returns {string}
+ */
+function tamperPayload(token, changes) {
+    const [payload, signature] = token.split('.');
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const forged = Buffer.from(JSON.stringify({ ...data, ...changes })).toString('base64url');
+    return `${forged}.${signature}`;
+}
+
+describe('SessionTokens', () => {
+    test('短い秘密鍵は受け付けない', () => {
+        expect(() => new SessionTokens('short')).toThrow();
+        expect(() => new SessionTokens(undefined)).toThrow();
+    });
+
+    test('発行したトークンからセッションIDを取り出せる', () => {
+        const tokens = new SessionTokens(SECRET);
+        const { sessionId, token } = tokens.issue();
+
+        expect(typeof sessionId).toBe('string');
+        expect(tokens.verify(token)).toBe(sessionId);
+    });
+
+    test('同じセッションIDで発行し直せる', () => {
+        const tokens = new SessionTokens(SECRET);
+        const { token } = tokens.issue('session-1');
+
+        expect(tokens.verify(token)).toBe('session-1');
+    });
+
+    test('期限切れのトークンは無効', () => {
+        const expired = new SessionTokens(SECRET, { ttlMs: -1000 });
+        const { token } = expired.issue('session-1');
+
+        expect(expired.verify(token)).toBeNull();
+    });
+
+    test('ペイロードを書き換えたトークンは無効', () => {
+        const tokens = new SessionTokens(SECRET);
+        const { token } = tokens.issue('session-1');
+
+        expect(tokens.verify(tamperPayload(token, { sid: 'session-2' }))).toBeNull();
+        expect(tokens.verify(tamperPayload(token, { exp: Date.now() + 10 ** 12 }))).toBeNull();
+    });
+
+    test('署名を書き換えたトークンは無効', () => {
+        const tokens = new SessionTokens(SECRET);
+        const { token } = tokens.issue('session-1');
+        const [payload, signature] = token.split('.');
+        const flipped = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+
+        expect(tokens.verify(`${payload}.${flipped}`)).toBeNull();
+        expect(tokens.verify(`${payload}.`)).toBeNull();
+        expect(tokens.verify(`${payload}.${signature}.extra`)).toBeNull();
+    });
+
+    test('別の秘密鍵で署名したトークンは無効', () => {
+        const other = new SessionTokens('b'.repeat(64));
+        const { token } = other.issue('session-1');
+
+        expect(new SessionTokens(SECRET).verify(token)).toBeNull();
+    });
+
+    test('文字列以外・長すぎる値・壊れた値は無効', () => {
+        const tokens = new SessionTokens(SECRET);
+        const garbage = 'x'.repeat(20);
+
+        expect(tokens.verify(undefined)).toBeNull();
+        expect(tokens.verify(12345)).toBeNull();
+        expect(tokens.verify({})).toBeNull();
+        expect(tokens.verify('')).toBeNull();
+        expect(tokens.verify('x'.repeat(1000))).toBeNull();
+        expect(tokens.verify(`${garbage}.${tokens.sign(garbage)}`)).toBeNull();
+    });
+
+    test('署名が正しくても中身の型が違えば無効', () => {
+        const tokens = new SessionTokens(SECRET);
+        const payload = Buffer.from(JSON.stringify({ sid: 1, exp: Date.now() + 60000 })).toString('base64url');
+
+        expect(tokens.verify(`${payload}.${tokens.sign(payload)}`)).toBeNull();
+    });
+});
@@ -0,0 +1,422 @@
+/**
+ * BotPlayer - サーバー側で操作する AI プレイヤー
+ *
+ * ソケットを持たない Player として GameRoom に着席し、クライアントと同じイベントを受け取って
+ * ベット・ロール・スキルの選択・ダウトを行う（操作は GameRoom の公開メソッドを通す）。
+ * 判断の基準は HandProbability の確率で、性格ごとの傾向は BOT_PROFILES で調整する。
+ */
+
+import { Player } from '../Player.js';
+import { DeadlineTimer } from '../DeadlineTimer.js';
+import { HandProbability } from '../HandProbability.js';
+import { AsyncActionType } from '../skills/BaseSkill.js';
+import { GameState, GameConfig, GameEvent, BotPersonality } from '../GameState.js';
+
+/**
+ * 性格ごとの判断の傾向
+ * betRatio: 所持チップに対する基本のベット割合、maxBetRatio: ベットの上限割合
+ * useCredit: 借入枠まで使って賭けるか、historyWeight: 親の勝率をベット額にどれだけ反映するか
+ * doubtThreshold: ダウトする疑いの強さ（0〜1）、cheatRate: イカサマスキルを使う確率
+ * rerollBelow: 振り直しを選ぶ役の強さ（HandProbability.getStrength）
+ */
+export const BOT_PROFILES = {
+    [BotPersonality.CAUTIOUS]: {
+        label: '慎重派',
+        betRatio: 0.02,
+        maxBetRatio: 0.05,
+        useCredit: false,
+        historyWeight: 1.0,
+        doubtThreshold: 0.9,
+        cheatRate: 0,
+        rerollBelow: 0.35
+    },
+    [BotPersonality.AGGRESSIVE]: {
+        label: '強気',
+        betRatio: 0.1,
+        maxBetRatio: 0.3,
+        useCredit: true,
+        historyWeight: 0.4,
+        doubtThreshold: 0.75,
+        cheatRate: 0.8,
+        rerollBelow: 0.55
+    },
+    [BotPersonality.PARANOID]: {
+        label: '疑り深い',
+        betRatio: 0.04,
+        maxBetRatio: 0.1,
+        useCredit: false,
+        historyWeight: 0.8,
+        doubtThreshold: 0.35,
+        cheatRate: 0.2,
+        rerollBelow: 0.45
+    }
+};
+
+// スキルの効果が付いたロールに上乗せする疑いの強さ
+const SKILL_EFFECT_SUSPICION = 0.3;
+
+// ダウトの判断に加える揺らぎの幅
+const DOUBT_JITTER = 0.1;
+
+// ダウトは受付時間のこの割合までに済ませる
+const DOUBT_WINDOW_RATIO = 0.6;
+
+export class BotPlayer extends Player {
+    /**
+     * @param {string} id - プレイヤーID
+     * @param {string} name - 表示名
+     * @param {BotPersonality} personality - 性格
+     */
+    constructor(id, name, personality) {
+        super(id, name, null);
+
+        this.isBot = true;
+
+        /** @type {BotPersonality} 性格 */
+        this.personality = personality;
+
+        /** @type {DeadlineTimer} 操作までの待ち時間（ルームの一時停止に合わせて止まる） */
+        this.thinkTimer = new DeadlineTimer();
+
+        /** @type {Map<string, { rounds: number, wins: number }>} 親ごとの対戦成績（親が勝った回数） */
+        this.dealerRecords = new Map();
+
+        /** @type {Set<string>} このラウンドでスキルの効果が付いたプレイヤー */
+        this.skillEffectPlayerIds = new Set();
+    }
+
+    /**
+     * 性格ごとの判断の傾向
+     * @returns {Object}
+     */
+    getProfile() {
+        return BOT_PROFILES[this.personality];
+    }
+
+    // ===== イベント =====
+
+    /**
+     * ルームからのイベントを受け取る（クライアントが受け取るものと同じ）
+     * その場では操作せず、待ち時間の後に操作する。
+     * @param {GameRoom} room
+     * @param {string} event
+     * @param {Object} data
+     */
+    handleEvent(room, event, data) {
+        switch (event) {
+            case 'round_started':
+                this.skillEffectPlayerIds.clear();
+                if (data.dealerId !== this.id) {
+                    this.think(() => this.bet(room));
+                }
+                break;
+            case 'dealer_turn':
+                if (data.dealerId === this.id) {
+                    this.think(() => this.roll(room));
+                }
+                break;
+            case 'player_turn':
+                if (data.playerId === this.id) {
+                    this.think(() => this.roll(room));
+                }
+                break;
+            case GameEvent.DICE_ROLLED:
+                if (data.effectData) {
+                    this.skillEffectPlayerIds.add(data.playerId);
+                }
+                if (data.playerId === this.id && data.canReroll) {
+                    this.think(() => this.roll(room));
+                }
+                break;
+            case 'dice_updated':
+                this.skillEffectPlayerIds.add(data.playerId);
+                break;
+            case GameEvent.WAITING_FOR_ACTION:
+                this.think(() => room.handleSkillAction(this.id, {
+                    choice: this.decideSkillAction(room, data.actionType, data.actionData)
+                }));
+                break;
+            case 'interrupt_window_open':
+                if (data.targetPlayerId !== this.id) {
+                    const delay = Math.min(this.getThinkTime(), data.timeoutMs * DOUBT_WINDOW_RATIO);
+                    this.think(() => this.considerDoubt(room, data.targetPlayerId), delay);
+                }
+                break;
+            case GameEvent.ROUND_RESULT:
+                this.recordDealerResults(data.results);
+                break;
+            case GameEvent.GAME_ENDED:
+                this.thinkTimer.clear();
+                break;
+        }
+    }
+
+    /**
+     * 待ち時間の後に操作する（前の予定は取り消す）
+     * @param {Function} action
+     * @param {number} [delay]
+     */
+    think(action, delay = this.getThinkTime()) {
+        this.thinkTimer.start(delay, action, 'bot');
+    }
+
+    /**
+     * 人間らしく見えるよう、操作までの時間をばらつかせる
+     * @returns {number} ミリ秒
+     */
+    getThinkTime() {
+        const { BOT_THINK_MIN_MS, BOT_THINK_MAX_MS } = GameConfig;
+        return BOT_THINK_MIN_MS + Math.floor(Math.random() * (BOT_THINK_MAX_MS - BOT_THINK_MIN_MS));
+    }
+
+    // ===== ベット =====
+
+    /**
+     * ベットする
+     * @param {GameRoom} room
+     */
+    bet(room) {
+        if (room.state !== GameState.BETTING || this.currentBet > 0) return;
+        room.placeBet(this.id, this.decideBet(room));
+    }
+
+    /**
+     * ベット額を決める
+     * 所持チップの一定割合を基本に、今の親がよく勝っていれば減らし、負けていれば増やす。
+     * @param {GameRoom} room
+     * @returns {number}
+     */
+    decideBet(room) {
+        const { minBet } = room.settings;
+        const profile = this.getProfile();
+
+        const dealerWinRate = this.getDealerWinRate(room.currentDealerId);
+        const historyFactor = 1 + (0.5 - dealerWinRate) * 2 * profile.historyWeight;
+        const target = this.chips * profile.betRatio * historyFactor;
+
+        const budget = profile.useCredit ? this.chips + this.loan.getAvailableCredit() : this.chips;
+        const cap = Math.min(this.chips * profile.maxBetRatio, budget);
+        const amount = Math.floor(Math.min(target, cap) / minBet) * minBet;
+
+        return Math.max(amount, minBet);
+    }
+
+    /**
+     * 親ごとの対戦成績を記録する
+     * @param {Object[]} results - ROUND_RESULT の results
+     */
+    recordDealerResults(results) {
+        results.forEach(({ dealerId, winner }) => {
+            const record = this.dealerRecords.get(dealerId) || { rounds: 0, wins: 0 };
+            record.rounds++;
+            if (winner === 'dealer') record.wins++;
+            this.dealerRecords.set(dealerId, record);
+        });
+    }
+
+    /**
+     * 親の勝率（記録が少ないうちは 0.5 に寄せる）
+     * @param {string} dealerId
+     * @returns {number}
+     */
+    getDealerWinRate(dealerId) {
+        const record = this.dealerRecords.get(dealerId) || { rounds: 0, wins: 0 };
+        return (record.wins + 1) / (record.rounds + 2);
+    }
+
+    // ===== ロール =====
+
+    /**
+     * ダイスを振る（クライアントと同じく振り始めを通知してから）
+     * @param {GameRoom} room
+     */
+    roll(room) {
+        room.broadcast('rolling_started', { playerId: this.id });
+        room.rollDice(this.id);
+    }
+
+    // ===== スキル =====
+
+    /**
+     * スキルの選択を決める
+     * @param {GameRoom} room
+     * @param {AsyncActionType} actionType
+     * @param {Object} actionData
+     * @returns {*} handleSkillAction に渡す choice
+     */
+    decideSkillAction(room, actionType, actionData) {
+        const evaluate = dice => room.ruleSet.evaluateHand(dice);
+
+        switch (actionType) {
+            case AsyncActionType.REROLL_DECISION: {
+                const strength = this.getHandProbability(room).getStrength(evaluate(actionData.currentDice));
+                return strength < this.getProfile().rerollBelow ? 'reroll' : 'keep';
+            }
+            case AsyncActionType.DICE_SELECT: {
+                // 自分のダイスを1つ裏返す: 一番強くなる目を選ぶ
+                const current = evaluate(actionData.dice).rank;
+                const best = this.pickBest(actionData.dice.map((value, index) => {
+                    const dice = [...actionData.dice];
+                    dice[index] = 7 - value;
+                    return { choice: index, score: evaluate(dice).rank };
+                }));
+                return best && best.score > current ? best.choice : 'skip';
+            }
+            case AsyncActionType.DICE_SELECT_MULTI: {
+                // 4つから3つ選ぶ: 外す1つを総当たり
+                const best = this.pickBest(actionData.dice.map((_, skip) => {
+                    const indices = actionData.dice.map((__, i) => i).filter(i => i !== skip);
+                    return { choice: indices, score: evaluate(indices.map(i => actionData.dice[i])).rank };
+                }));
+                return best.choice;
+            }
+            case AsyncActionType.TARGET_DICE_SELECT: {
+                // 相手のダイスを1つ「1」にする: 相手が一番弱くなる目を選ぶ
+                const current = evaluate(actionData.dice).rank;
+                const best = this.pickBest(actionData.dice.map((_, index) => {
+                    const dice = [...actionData.dice];
+                    dice[index] = 1;
+                    return { choice: index, score: -evaluate(dice).rank };
+                }));
+                const canSkip = actionData.options.some(option => option.id === 'skip');
+                return canSkip && -best.score >= current ? 'skip' : best.choice;
+            }
+            case AsyncActionType.SWAP_SELECT: {
+                // すり替え（イカサマ）: 性格によっては使わない
+                if (Math.random() >= this.getProfile().cheatRate) return 'skip';
+
+                const { myDice, opponentDice } = actionData;
+                const current = evaluate(myDice).rank - evaluate(opponentDice).rank;
+                const swaps = [];
+                myDice.forEach((mine, myDiceIndex) => {
+                    opponentDice.forEach((theirs, opponentDiceIndex) => {
+                        const newMine = [...myDice];
+                        const newTheirs = [...opponentDice];
+                        newMine[myDiceIndex] = theirs;
+                        newTheirs[opponentDiceIndex] = mine;
+                        swaps.push({
+                            choice: { myDiceIndex, opponentDiceIndex },
+                            score: evaluate(newMine).rank - evaluate(newTheirs).rank
+                        });
+                    });
+                });
+                const best = this.pickBest(swaps);
+                return best.score > current ? best.choice : 'skip';
+            }
+            case AsyncActionType.TARGET_SELECT: {
+                const targets = actionData.targets || [];
+                return (targets.find(target => target.id === 'all') || targets[0])?.id;
+            }
+            default:
+                return actionData.options?.[0]?.id ?? 'keep';
+        }
+    }
+
+    /**
+     * 候補から score の一番高いものを選ぶ
+     * @param {{ choice: *, score: number }[]} candidates
+     * @returns {{ choice: *, score: number }|null}
+     */
+    pickBest(candidates) {
+        return candidates.reduce((best, candidate) => (!best || candidate.score > best.score ? candidate : best), null);
+    }
+
+    // ===== ダウト =====
+
+    /**
+     * 直前に振ったプレイヤーを疑うか決め、疑わしければダウトする
+     * 強すぎる役ほど、スキルの効果が付いたロールほど疑う。
+     * @param {GameRoom} room
+     * @param {string} targetId
+     */
+    considerDoubt(room, targetId) {
+        if (room.state !== GameState.INTERRUPT_WINDOW || room.interruptTargetId !== targetId) return;
+
+        const target = room.getPlayer(targetId);
+        if (!target?.currentHand) return;
+
+        const strength = this.getHandProbability(room).getStrength(target.currentHand);
+        const effectBonus = this.skillEffectPlayerIds.has(targetId) ? SKILL_EFFECT_SUSPICION : 0;
+        const jitter = (Math.random() * 2 - 1) * DOUBT_JITTER;
+
+        if (strength ** 2 + effectBonus + jitter >= this.getProfile().doubtThreshold) {
+            room.handleDoubt(this.id, targetId);
+        }
+    }
+
+    // ===== 保存・復元 =====
+
+    /**
+     * 保存用の状態（性格と親ごとの対戦成績を含む）
+     * @returns {Object}
+     */
+    toSnapshot() {
+        return {
+            ...super.toSnapshot(),
+            personality: this.personality,
+            dealerRecords: Object.fromEntries(this.dealerRecords)
+        };
+    }
+
+    /**
+     * 保存した状態から作り直す
+     * @param {Object} snapshot - toSnapshot の結果
+     * @param {SkillRegistry} skillRegistry
+     * @returns {BotPlayer}
+     */
+    static fromSnapshot(snapshot, skillRegistry) {
+        const bot = new BotPlayer(snapshot.id, snapshot.name, snapshot.personality);
+        bot.restoreSnapshot(snapshot, skillRegistry);
+        bot.dealerRecords = new Map(Object.entries(snapshot.dealerRecords));
+        return bot;
+    }
+
+    /**
+     * 復元したルームで、自分の番なら操作を予約し直す（待ち時間のタイマーは保存しない）
+     * @param {GameRoom} room
+     */
+    resume(room) {
+        switch (room.state) {
+            case GameState.BETTING:
+                if (room.currentDealerId !== this.id && this.currentBet === 0) {
+                    this.think(() => this.bet(room));
+                }
+                break;
+            case GameState.DEALER_ROLL:
+                if (room.currentDealerId === this.id) {
+                    this.think(() => this.roll(room));
+                }
+                break;
+            case GameState.PLAYER_ROLL:
+                if (room.currentPlayerId === this.id) {
+                    this.think(() => this.roll(room));
+                }
+                break;
+        }
+    }
+
+    // ===== ユーティリティ =====
+
+    /**
+     * ルームのルールでの役の確率
+     * @param {GameRoom} room
+     * @returns {HandProbability}
+     */
+    getHandProbability(room) {
+        return HandProbability.forRuleSet(room.ruleSet, room.settings.maxRerollAttempts);
+    }
+
+    /**
+     * 公開情報（性格を含む）
+     * @returns {Object}
+     */
+    toPublicJSON() {
+        return {
+            ...super.toPublicJSON(),
+            personality: this.personality,
+            personalityLabel: this.getProfile().label
+        };
+    }
+}
+
+export default BotPlayer;
@@ -0,0 +1,131 @@
+/**
+ * BaseDiceSource - ダイスの出目生成の基底クラス
+ *
+ * GameRoom は1つのダイスソースを持ち、全ての出目（スキルによる追加ロールを含む）をここから得る。
+ * ルームごとに差し替えられるので、テストやデモで特定のルームだけ出目を固定できる。
+ */
+
+/**
+ * ダイスソースの種類
+ */
+export const DiceSourceType = {
+    FAIR: 'fair',             // 検証可能（コミット・リビール）※デフォルト
+    UNIFORM: 'uniform',       // 一様乱数（Math.random）
+    SEEDED: 'seeded',         // シード付き擬似乱数（再現可能）
+    SCRIPTED: 'scripted',     // 事前に決めた出目を順番に返す
+    WEIGHTED: 'weighted'      // イベントモード（ピンゾロ・アラシが出やすい）
+};
+
+export class BaseDiceSource {
+    constructor() {
+        /** @type {DiceSourceType} ソースの種類 */
+        this.type = 'base';
+
+        /** @type {string} 表示名 */
+        this.name = 'ベースソース';
+
+        /** @type {boolean} 出目を第三者が検証できるか */
+        this.isVerifiable = false;
+    }
+
+    /**
+     * ダイスを振る（サブクラスで実装）
+     * @param {number} count - ダイスの数
+     * @param {string|null} playerId - 振ったプレイヤー
+     * @returns {number[]}
+     */
+    roll(count, playerId = null) {
+        throw new Error('roll() はサブクラスで実装してください');
+    }
+
+    // ===== ラウンドフック（検証可能なソースのみ使用） =====
+
+    /**
+     * ラウンド開始時に呼ばれる
+     * @param {number} roundNumber
+     * @returns {Object|null} 公開するコミット情報（検証不可のソースはnull）
+     */
+    startRound(roundNumber) {
+        return null;
+    }
+
+    /**
+     * クライアントシードを登録
+     * @param {string} playerId
+     * @param {string} seed
+     * @returns {boolean}
+     */
+    addClientSeed(playerId, seed) {
+        return false;
+    }
+
+    /**
+     * ベット締め切り時に呼ばれる
+     * @returns {string|null} 確定したクライアントシード
+     */
+    lock() {
+        return null;
+    }
+
+    /**
+     * ラウンド終了時に呼ばれる
+     * @returns {Object|null} 公開する検証用の記録
+     */
+    reveal() {
+        return null;
+    }
+
+    /**
+     * 検証用の記録一覧
+     * @returns {Object[]}
+     */
+    getHistory() {
+        return [];
+    }
+
+    /**
+     * 特定ラウンドの検証用記録
+     * @param {number} roundNumber
+     * @returns {Object|undefined}
+     */
+    getRound(roundNumber) {
+        return undefined;
+    }
+
+    /**
+     * リセット（新しいゲーム開始時）
+     */
+    reset() {
+    }
+
+    /**
+     * ソース情報をJSON形式で返す
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            type: this.type,
+            name: this.name,
+            isVerifiable: this.isVerifiable
+        };
+    }
+
+    // ===== 保存・復元 =====
+
+    /**
+     * 保存用の状態（DiceSourceRegistry#create のオプションとしても使える形にする）
+     * @returns {Object}
+     */
+    toSnapshot() {
+        return this.toJSON();
+    }
+
+    /**
+     * 保存した内部状態を戻す（生成時のオプションで足りないものだけ）
+     * @param {Object} snapshot - toSnapshot の結果
+     */
+    restoreSnapshot(snapshot) {
+    }
+}
+
+export default BaseDiceSource;
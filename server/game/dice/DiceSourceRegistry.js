@@ -0,0 +1,110 @@
+/**
+ * DiceSourceRegistry - ダイスソース登録・生成
+ *
+ * 種類名からダイスソースを生成する。デバッグ用のソース切り替えで使う。
+ */
+
+import { DiceSourceType } from './BaseDiceSource.js';
+import { FairDiceSource } from './FairDiceSource.js';
+import { UniformDiceSource } from './UniformDiceSource.js';
+import { SeededDiceSource } from './SeededDiceSource.js';
+import { ScriptedDiceSource } from './ScriptedDiceSource.js';
+import { WeightedDiceSource } from './WeightedDiceSource.js';
+
+// クライアントから指定できるオプション（種類ごと）。fallback・base などのソース本体は受け付けない
+const REQUEST_OPTION_TYPES = {
+    [DiceSourceType.SEEDED]: { seed: 'number' },
+    [DiceSourceType.SCRIPTED]: { rolls: 'array' },
+    [DiceSourceType.WEIGHTED]: { pinzoroRate: 'number', arashiRate: 'number' }
+};
+
+export class DiceSourceRegistry {
+    constructor() {
+        /** @type {Map<string, typeof BaseDiceSource>} */
+        this.sources = new Map();
+
+        this.registerDefaults();
+    }
+
+    /**
+     * デフォルトのダイスソースを登録
+     */
+    registerDefaults() {
+        this.register(DiceSourceType.FAIR, FairDiceSource);
+        this.register(DiceSourceType.UNIFORM, UniformDiceSource);
+        this.register(DiceSourceType.SEEDED, SeededDiceSource);
+        this.register(DiceSourceType.SCRIPTED, ScriptedDiceSource);
+        this.register(DiceSourceType.WEIGHTED, WeightedDiceSource);
+    }
+
+    /**
+     * ダイスソースを登録
+     * @param {string} type
+     * @param {typeof BaseDiceSource} SourceClass
+     */
+    register(type, SourceClass) {
+        this.sources.set(type, SourceClass);
+    }
+
+    /**
+     * 種類名からダイスソースを生成
+     * @param {string} type
+     * @param {Object} [options] - ソースごとのオプション
+     * @returns {BaseDiceSource|null}
+     */
+    create(type, options = {}) {
+        const SourceClass = this.sources.get(type);
+        if (!SourceClass) {
+            console.warn(`ダイスソースが見つかりません: ${type}`);
+            return null;
+        }
+        return new SourceClass(options);
+    }
+
+    /**
+     * クライアントから送られたオプションでダイスソースを生成
+     * 種類ごとに決めた項目だけを取り出し、それ以外は無視する。
+     * @param {string} type
+     * @param {Object} [options]
+     * @returns {BaseDiceSource|null}
+     * @throws {Error} オプションの型が不正な場合
+     */
+    createFromRequest(type, options = {}) {
+        const allowed = REQUEST_OPTION_TYPES[type] || {};
+        const picked = {};
+
+        for (const [key, kind] of Object.entries(allowed)) {
+            const value = options?.[key];
+            if (value === undefined) continue;
+
+            const valid = kind === 'array' ? Array.isArray(value) : Number.isFinite(value);
+            if (!valid) {
+                throw new Error(`ダイスソースのオプションが不正です: ${key}`);
+            }
+            picked[key] = value;
+        }
+
+        return this.create(type, picked);
+    }
+
+    /**
+     * 保存した状態からダイスソースを作り直す
+     * @param {Object} snapshot - BaseDiceSource#toSnapshot の結果
+     * @returns {BaseDiceSource|null}
+     */
+    restore(snapshot) {
+        const source = this.create(snapshot.type, snapshot);
+        source?.restoreSnapshot(snapshot);
+        return source;
+    }
+
+    /**
+     * 登録されている種類の一覧
+     * @returns {string[]}
+     */
+    getTypes() {
+        return Array.from(this.sources.keys());
+    }
+}
+
+export default DiceSourceRegistry;
@@ -0,0 +1,62 @@
+/**
+ * FairDiceSource - 検証可能なダイスソース（デフォルト）
+ *
+ * ProvablyFair のコミット・リビール方式で出目を生成する。
+ */
+
+import { BaseDiceSource, DiceSourceType } from './BaseDiceSource.js';
+import { ProvablyFair } from '../ProvablyFair.js';
+
+export class FairDiceSource extends BaseDiceSource {
+    constructor() {
+        super();
+        this.type = DiceSourceType.FAIR;
+        this.name = '検証可能ダイス';
+        this.isVerifiable = true;
+
+        /** @type {ProvablyFair} */
+        this.provablyFair = new ProvablyFair();
+    }
+
+    roll(count, playerId = null) {
+        return this.provablyFair.roll(count, playerId);
+    }
+
+    startRound(roundNumber) {
+        return this.provablyFair.startRound(roundNumber);
+    }
+
+    addClientSeed(playerId, seed) {
+        return this.provablyFair.addClientSeed(playerId, seed);
+    }
+
+    lock() {
+        return this.provablyFair.lock();
+    }
+
+    reveal() {
+        return this.provablyFair.reveal();
+    }
+
+    getHistory() {
+        return this.provablyFair.history;
+    }
+
+    getRound(roundNumber) {
+        return this.provablyFair.getRound(roundNumber);
+    }
+
+    reset() {
+        this.provablyFair.reset();
+    }
+
+    toSnapshot() {
+        return { ...super.toSnapshot(), provablyFair: this.provablyFair.toSnapshot() };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.provablyFair.restoreSnapshot(snapshot.provablyFair);
+    }
+}
+
+export default FairDiceSource;
@@ -0,0 +1,77 @@
+/**
+ * ScriptedDiceSource - 事前に決めた出目を返すダイスソース
+ *
+ * キューに積んだ出目を1ロールずつ順番に返す。
+ * キューが空になったら（または個数が足りなければ）フォールバックのソースで補う。
+ */
+
+import { BaseDiceSource, DiceSourceType } from './BaseDiceSource.js';
+import { UniformDiceSource } from './UniformDiceSource.js';
+
+export class ScriptedDiceSource extends BaseDiceSource {
+    /**
+     * @param {Object} [options]
+     * @param {number[][]} [options.rolls] - 最初に積む出目の列（例: [[1,1,1], [4,5,6]]）
+     * @param {BaseDiceSource} [options.fallback] - キューが空の時に使うソース
+     */
+    constructor(options = {}) {
+        super();
+        this.type = DiceSourceType.SCRIPTED;
+        this.name = '固定ダイス';
+
+        /** @type {number[][]} 出目のキュー */
+        this.queue = [];
+
+        /** @type {BaseDiceSource} キューが空の時に使うソース */
+        this.fallback = options.fallback || new UniformDiceSource();
+
+        if (options.rolls) {
+            this.enqueue(...options.rolls);
+        }
+    }
+
+    /**
+     * 出目をキューに積む
+     * @param {...number[]} rolls - 1ロール分の出目（1〜6）
+     */
+    enqueue(...rolls) {
+        rolls.forEach(roll => {
+            if (!Array.isArray(roll) || roll.some(d => !Number.isInteger(d) || d < 1 || d > 6)) {
+                throw new Error(`不正な出目です: ${JSON.stringify(roll)}`);
+            }
+            this.queue.push([...roll]);
+        });
+    }
+
+    roll(count, playerId = null) {
+        const scripted = this.queue.shift();
+        if (!scripted) {
+            return this.fallback.roll(count, playerId);
+        }
+
+        // 個数が合わない場合は切り詰める／フォールバックで補う
+        const dice = scripted.slice(0, count);
+        if (dice.length < count) {
+            dice.push(...this.fallback.roll(count - dice.length, playerId));
+        }
+        return dice;
+    }
+
+    /**
+     * 残りのキュー数
+     * @returns {number}
+     */
+    remaining() {
+        return this.queue.length;
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), remaining: this.queue.length };
+    }
+
+    toSnapshot() {
+        return { ...super.toSnapshot(), rolls: this.queue };
+    }
+}
+
+export default ScriptedDiceSource;
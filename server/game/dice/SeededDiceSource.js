@@ -0,0 +1,67 @@
+/**
+ * SeededDiceSource - シード付き擬似乱数のダイスソース
+ *
+ * 同じシードからは常に同じ出目の列が得られる（mulberry32）。
+ * バグの再現やデモに使う。
+ */
+
+import { BaseDiceSource, DiceSourceType } from './BaseDiceSource.js';
+
+export class SeededDiceSource extends BaseDiceSource {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.seed] - シード値（32bit整数、省略時はランダム）
+     */
+    constructor(options = {}) {
+        super();
+        this.type = DiceSourceType.SEEDED;
+        this.name = 'シード付き乱数';
+
+        /** @type {number} 初期シード */
+        this.seed = Number.isInteger(options.seed) ? options.seed >>> 0 : Math.floor(Math.random() * 2 ** 32);
+
+        /** @type {number} 内部状態 */
+        this.state = this.seed;
+    }
+
+    /**
+     * 0以上1未満の擬似乱数を返す（mulberry32）
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    roll(count) {
+        const dice = [];
+        for (let i = 0; i < count; i++) {
+            dice.push(Math.floor(this.next() * 6) + 1);
+        }
+        return dice;
+    }
+
+    /**
+     * 初期シードから出目の列をやり直す
+     */
+    reset() {
+        this.state = this.seed;
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), seed: this.seed };
+    }
+
+    toSnapshot() {
+        return { ...super.toSnapshot(), state: this.state };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.state = snapshot.state;
+    }
+}
+
+export default SeededDiceSource;
@@ -0,0 +1,22 @@
+/**
+ * UniformDiceSource - 一様乱数のダイスソース
+ *
+ * Math.random による通常のロール。検証用の記録は残らない。
+ */
+
+import { BaseDiceSource, DiceSourceType } from './BaseDiceSource.js';
+import { DiceEngine } from '../DiceEngine.js';
+
+export class UniformDiceSource extends BaseDiceSource {
+    constructor() {
+        super();
+        this.type = DiceSourceType.UNIFORM;
+        this.name = '一様乱数';
+    }
+
+    roll(count) {
+        return DiceEngine.roll(count);
+    }
+}
+
+export default UniformDiceSource;
@@ -0,0 +1,57 @@
+/**
+ * WeightedDiceSource - イベントモードのダイスソース
+ *
+ * 3つ振りの時、一定確率でピンゾロやアラシを強制的に出す（旧 TEST_MODE）。
+ * 演出の確認やお祭りイベント用。
+ */
+
+import { BaseDiceSource, DiceSourceType } from './BaseDiceSource.js';
+import { UniformDiceSource } from './UniformDiceSource.js';
+
+export class WeightedDiceSource extends BaseDiceSource {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.pinzoroRate=0.25] - ピンゾロが出る確率
+     * @param {number} [options.arashiRate=0.25] - アラシ（2〜6）が出る確率
+     * @param {BaseDiceSource} [options.base] - それ以外の時に使うソース
+     */
+    constructor(options = {}) {
+        super();
+        this.type = DiceSourceType.WEIGHTED;
+        this.name = 'イベントモード';
+
+        /** @type {number} ピンゾロ確率 */
+        this.pinzoroRate = options.pinzoroRate ?? 0.25;
+
+        /** @type {number} アラシ確率 */
+        this.arashiRate = options.arashiRate ?? 0.25;
+
+        /** @type {BaseDiceSource} 通常ロールに使うソース */
+        this.base = options.base || new UniformDiceSource();
+
+        if (this.pinzoroRate < 0 || this.arashiRate < 0 || this.pinzoroRate + this.arashiRate > 1) {
+            throw new Error('確率の合計は0〜1にしてください');
+        }
+    }
+
+    roll(count, playerId = null) {
+        if (count === 3) {
+            const rand = Math.random();
+            if (rand < this.pinzoroRate) {
+                return [1, 1, 1];
+            }
+            if (rand < this.pinzoroRate + this.arashiRate) {
+                const value = Math.floor(Math.random() * 5) + 2;
+                return [value, value, value];
+            }
+        }
+
+        return this.base.roll(count, playerId);
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), pinzoroRate: this.pinzoroRate, arashiRate: this.arashiRate };
+    }
+}
+
+export default WeightedDiceSource;
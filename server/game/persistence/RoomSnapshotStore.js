@@ -0,0 +1,130 @@
+/**
+ * RoomSnapshotStore - 進行中のルームの保存先
+ *
+ * 1ルーム1ファイル（<ルームID>.json）でディスクに保存し、サーバーの再起動時に読み込んでルームを作り直す。
+ * 書きかけのファイルが残らないよう一時ファイルに書いてから置き換え、
+ * 同じルームへの書き込み・削除は呼ばれた順に1つずつ行う（古い状態で上書きしないため）。
+ */
+
+import { mkdir, readdir, readFile, writeFile, rename, unlink } from 'fs/promises';
+import path from 'path';
+
+// 保存形式のバージョン（形式を変えたら上げる。違うバージョンのファイルは読み込まない）
+export const SNAPSHOT_VERSION = 2;
+
+// ルームID の形式。ファイル名に使うので、これ以外は受け付けない
+const ROOM_ID_PATTERN = /^[A-Z0-9]+$/;
+
+export class RoomSnapshotStore {
+    /**
+     * @param {string} directory - 保存先ディレクトリ（なければ作る）
+     */
+    constructor(directory) {
+        /** @type {string} 保存先ディレクトリ */
+        this.directory = directory;
+
+        /** @type {Map<string, Promise<void>>} ルームID → 最後に予約した書き込み・削除 */
+        this.writes = new Map();
+
+        /** @type {Promise<void>|null} ディレクトリの作成（最初の書き込み前に1回だけ） */
+        this.ready = null;
+    }
+
+    /**
+     * ルームの状態を保存する
+     * @param {Object} snapshot - GameRoom#toSnapshot の結果
+     * @returns {Promise<void>}
+     */
+    save(snapshot) {
+        const filePath = this.getFilePath(snapshot.id);
+        const json = JSON.stringify(snapshot);
+
+        return this.enqueue(snapshot.id, async () => {
+            await this.ensureDirectory();
+            await writeFile(`${filePath}.tmp`, json);
+            await rename(`${filePath}.tmp`, filePath);
+        });
+    }
+
+    /**
+     * ルームの保存を消す（ルームを閉じた時）
+     * @param {string} roomId
+     * @returns {Promise<void>}
+     */
+    remove(roomId) {
+        return this.enqueue(roomId, () => unlink(this.getFilePath(roomId)).catch(() => {}));
+    }
+
+    /**
+     * 保存されている全ルームの状態を読み込む（読めないファイル・古い形式は飛ばす）
+     * @returns {Promise<Object[]>}
+     */
+    async loadAll() {
+        await this.ensureDirectory();
+
+        const snapshots = [];
+        const files = (await readdir(this.directory)).filter(file => file.endsWith('.json'));
+        for (const file of files) {
+            try {
+                const snapshot = JSON.parse(await readFile(path.join(this.directory, file), 'utf8'));
+                if (snapshot.version !== SNAPSHOT_VERSION) {
+                    console.warn(`[Restore] 保存形式が違うファイルを飛ばします: ${file}`);
+                    continue;
+                }
+                snapshots.push(snapshot);
+            } catch (error) {
+                console.warn(`[Restore] 読み込めないファイルを飛ばします: ${file}`, error.message);
+            }
+        }
+        return snapshots;
+    }
+
+    /**
+     * 同じルームの前の書き込みが終わってから実行する（失敗しても後の書き込みは続ける）
+     * @param {string} roomId
+     * @param {Function} task
+     * @returns {Promise<void>}
+     */
+    enqueue(roomId, task) {
+        const previous = this.writes.get(roomId) || Promise.resolve();
+        const current = previous.then(task);
+        const settled = current.catch(() => {});
+
+        this.writes.set(roomId, settled);
+        settled.then(() => {
+            if (this.writes.get(roomId) === settled) {
+                this.writes.delete(roomId);
+            }
+        });
+
+        return current;
+    }
+
+    /**
+     * 保存先ディレクトリを作る
+     * @returns {Promise<void>}
+     */
+    ensureDirectory() {
+        if (!this.ready) {
+            this.ready = mkdir(this.directory, { recursive: true }).then(() => {}, error => {
+                this.ready = null;
+                throw error;
+            });
+        }
+        return this.ready;
+    }
+
+    /**
+     * ルームのファイルパス
+     * @param {string} roomId
+     * @returns {string}
+     */
+    getFilePath(roomId) {
+        if (!ROOM_ID_PATTERN.test(roomId)) {
+            throw new Error(`不正なルームIDです: ${roomId}`);
+        }
+        return path.join(this.directory, `${roomId}.json`);
+    }
+}
+
+export default RoomSnapshotStore;
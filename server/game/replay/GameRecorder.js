@@ -0,0 +1,89 @@
+/**
+ * GameRecorder - ゲームの記録
+ *
+ * ゲーム開始から終了までにルーム全体へ送ったイベントを、送った順にそのまま記録する。
+ * 状態遷移・ベット・ロール（スキルの演出データを含む）・スキルの選択・ダウト・精算がすべて入るので、
+ * クライアントは観戦者と同じ順でイベントを受け取り直すだけでゲームを再生できる。
+ * 本人にだけ送るイベント（配られたスキル・選択肢など）は記録しない。
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { GameEvent } from '../GameState.js';
+
+// 記録しないイベント（ゲームの進行に関係しないもの）
+const IGNORED_EVENTS = new Set([
+    GameEvent.SPECTATOR_JOINED,
+    GameEvent.SPECTATOR_LEFT
+]);
+
+export class GameRecorder {
+    /**
+     * @param {GameRoom} room - 記録するルーム（ゲーム開始時点の設定・参加者を控える）
+     */
+    constructor(room) {
+        /** @type {string} リプレイID */
+        this.id = uuidv4();
+
+        /** @type {string} ルームID */
+        this.roomId = room.id;
+
+        /** @type {number} 記録開始時刻 */
+        this.startedAt = Date.now();
+
+        /** @type {Object} ゲーム開始時点のルーム設定 */
+        this.room = {
+            visibility: room.visibility,
+            ruleSet: room.ruleSet.toJSON(),
+            settings: room.settings.toJSON(),
+            roundFlow: room.roundFlow,
+            bankerMode: room.bankerMode,
+            dealerContinuation: room.dealerContinuation,
+            endCondition: room.endCondition
+        };
+
+        /** @type {Object[]} ゲーム開始時点の参加者 */
+        this.players = room.getPublicPlayersData();
+
+        /** @type {{ at: number, event: string, data: Object }[]} 記録したイベント（at は開始からの経過ミリ秒） */
+        this.events = [];
+    }
+
+    /**
+     * イベントを記録する（後から書き換えられないよう複製して持つ）
+     * @param {string} event
+     * @param {Object} data
+     */
+    record(event, data) {
+        if (IGNORED_EVENTS.has(event)) return;
+
+        this.events.push({
+            at: Date.now() - this.startedAt,
+            event,
+            data: data === undefined ? null : JSON.parse(JSON.stringify(data))
+        });
+    }
+
+    /**
+     * 記録を終えてリプレイにまとめる
+     * @param {GameEndCondition|null} reason - 終了理由（途中で閉じたルームは null）
+     * @param {Object[]|null} ranking - 最終順位
+     * @param {number} rounds - 遊んだラウンド数
+     * @returns {Object} リプレイ
+     */
+    finish(reason, ranking, rounds) {
+        return {
+            id: this.id,
+            roomId: this.roomId,
+            startedAt: this.startedAt,
+            endedAt: Date.now(),
+            endReason: reason,
+            rounds,
+            room: this.room,
+            players: this.players,
+            ranking,
+            events: this.events
+        };
+    }
+}
+
+export default GameRecorder;
@@ -0,0 +1,174 @@
+/**
+ * ReplayStore - リプレイの保存先
+ *
+ * 1ゲーム1ファイル（<リプレイID>.json）でディスクに保存する。
+ * 一覧表示用の概要はメモリに持ち、最初に使う時にディレクトリを読み込んで作る。
+ * 保存数が上限を超えたら、終わった時刻の古いものから削除する。
+ */
+
+import { mkdir, readdir, readFile, writeFile, rename, unlink } from 'fs/promises';
+import path from 'path';
+import { GameConfig, RoomVisibility } from '../GameState.js';
+
+// リプレイID（uuid v4）の形式。ファイル名に使うので、これ以外は受け付けない
+const REPLAY_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+export class ReplayStore {
+    /**
+     * @param {string} directory - 保存先ディレクトリ（なければ作る）
+     * @param {Object} [options]
+     * @param {number} [options.maxReplays] - 保存しておく数（省略時は GameConfig の値）
+     */
+    constructor(directory, options = {}) {
+        /** @type {string} 保存先ディレクトリ */
+        this.directory = directory;
+
+        /** @type {number} 保存しておく数 */
+        this.maxReplays = options.maxReplays ?? GameConfig.MAX_REPLAYS;
+
+        /** @type {Map<string, Object>} リプレイID → 概要 */
+        this.summaries = new Map();
+
+        /** @type {Promise<void>|null} 概要の読み込み（最初に使う時に1回だけ） */
+        this.loading = null;
+    }
+
+    /**
+     * 保存済みのリプレイの概要を読み込む
+     * @returns {Promise<void>}
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = this.loadSummaries();
+        }
+        return this.loading;
+    }
+
+    /**
+     * ディレクトリ内のリプレイを読んで概要を作る（読めないファイルは飛ばす）
+     * @returns {Promise<void>}
+     */
+    async loadSummaries() {
+        await mkdir(this.directory, { recursive: true });
+
+        const files = (await readdir(this.directory)).filter(file => file.endsWith('.json'));
+        for (const file of files) {
+            try {
+                const replay = JSON.parse(await readFile(path.join(this.directory, file), 'utf8'));
+                this.summaries.set(replay.id, ReplayStore.summarize(replay));
+            } catch (error) {
+                console.warn(`[Replay] 読み込めないファイルを飛ばします: ${file}`, error.message);
+            }
+        }
+    }
+
+    /**
+     * リプレイを保存する（書きかけのファイルが残らないよう、一時ファイルに書いてから置き換える）
+     * @param {Object} replay - GameRecorder#finish の結果
+     * @returns {Promise<Object>} 概要
+     */
+    async save(replay) {
+        await this.load();
+
+        const filePath = this.getFilePath(replay.id);
+        await writeFile(`${filePath}.tmp`, JSON.stringify(replay));
+        await rename(`${filePath}.tmp`, filePath);
+
+        const summary = ReplayStore.summarize(replay);
+        this.summaries.set(replay.id, summary);
+        await this.prune();
+
+        return summary;
+    }
+
+    /**
+     * 上限を超えた分を古いものから削除する
+     * @returns {Promise<void>}
+     */
+    async prune() {
+        const excess = this.summaries.size - this.maxReplays;
+        if (excess <= 0) return;
+
+        const oldest = Array.from(this.summaries.values())
+            .sort((a, b) => a.endedAt - b.endedAt)
+            .slice(0, excess);
+
+        for (const { id } of oldest) {
+            this.summaries.delete(id);
+            await unlink(this.getFilePath(id)).catch(() => {});
+        }
+    }
+
+    /**
+     * リプレイの概要一覧（新しい順）
+     * @param {Object} [filter]
+     * @param {string} [filter.roomId] - ルームIDで絞り込む
+     * @param {RoomVisibility} [filter.visibility] - ルームの公開設定で絞り込む
+     * @returns {Promise<Object[]>}
+     */
+    async list(filter = {}) {
+        await this.load();
+
+        return Array.from(this.summaries.values())
+            .filter(summary => !filter.roomId || summary.roomId === filter.roomId)
+            .filter(summary => !filter.visibility || summary.visibility === filter.visibility)
+            .sort((a, b) => b.endedAt - a.endedAt);
+    }
+
+    /**
+     * リプレイを取得する
+     * @param {string} replayId
+     * @returns {Promise<Object|null>} 見つからなければ null
+     */
+    async get(replayId) {
+        await this.load();
+
+        if (!REPLAY_ID_PATTERN.test(replayId) || !this.summaries.has(replayId)) {
+            return null;
+        }
+        return JSON.parse(await readFile(this.getFilePath(replayId), 'utf8'));
+    }
+
+    /**
+     * リプレイのファイルパス
+     * @param {string} replayId
+     * @returns {string}
+     */
+    getFilePath(replayId) {
+        return path.join(this.directory, `${replayId}.json`);
+    }
+
+    /**
+     * リプレイを記録したルームの公開設定
+     * 公開設定を記録する前のリプレイは、非公開ルームのものかもしれないので非公開として扱う。
+     * @param {Object} replay
+     * @returns {RoomVisibility}
+     */
+    static getVisibility(replay) {
+        return replay.room.visibility ?? RoomVisibility.PRIVATE;
+    }
+
+    /**
+     * 一覧表示用の概要
+     * @param {Object} replay
+     * @returns {Object}
+     */
+    static summarize(replay) {
+        return {
+            id: replay.id,
+            roomId: replay.roomId,
+            visibility: ReplayStore.getVisibility(replay),
+            startedAt: replay.startedAt,
+            endedAt: replay.endedAt,
+            endReason: replay.endReason,
+            completed: replay.endReason !== null,
+            rounds: replay.rounds,
+            ruleSetName: replay.room.ruleSet.name,
+            players: replay.players.map(({ id, name, isBot }) => ({ id, name, isBot })),
+            winner: replay.ranking?.[0]?.name ?? null,
+            eventCount: replay.events.length
+        };
+    }
+}
+
+export default ReplayStore;
@@ -0,0 +1,156 @@
+/**
+ * RuleSet - ハウスルール
+ *
+ * 役の強さ・配当倍率・同点時の扱い・有効な役をまとめたルール定義。
+ * GameRoom は1つの RuleSet を持ち、役判定・勝敗比較・配当計算は全てこれを通す。
+ */
+
+import { DiceEngine, HandType, TieRule, STANDARD_RULES } from '../DiceEngine.js';
+
+export class RuleSet {
+    /**
+     * @param {RuleDefinition} definition - ルール定義
+     */
+    constructor(definition) {
+        /** @type {string} ルールID */
+        this.id = definition.id;
+
+        /** @type {string} 表示名 */
+        this.name = definition.name;
+
+        /** @type {string} 説明 */
+        this.description = definition.description || '';
+
+        /** @type {Object<HandType, number>} 役の強さランク */
+        this.handRank = { ...definition.handRank };
+
+        /** @type {Object<HandType, {dealer: number, player: number}>} 配当倍率 */
+        this.multiplier = {};
+        Object.entries(definition.multiplier).forEach(([type, mult]) => {
+            this.multiplier[type] = { ...mult };
+        });
+
+        /** @type {TieRule} 同点時の扱い */
+        this.tieRule = definition.tieRule;
+
+        /** @type {Object<HandType, boolean>} 有効な役 */
+        this.enabledHands = { ...definition.enabledHands };
+
+        /** @type {boolean} アラシの目で強弱をつけるか */
+        this.arashiValueRanked = definition.arashiValueRanked;
+    }
+
+    /**
+     * 標準ルールをベースに一部を上書きしたルールを作成
+     * @param {Object} overrides - 上書きする項目
+     * @param {RuleDefinition} [base] - ベースのルール
+     * @returns {RuleSet}
+     */
+    static fromOverrides(overrides, base = STANDARD_RULES) {
+        const multiplier = {};
+        Object.keys(base.multiplier).forEach(type => {
+            multiplier[type] = {
+                ...base.multiplier[type],
+                ...(overrides.multiplier?.[type] || {})
+            };
+        });
+
+        return new RuleSet({
+            id: overrides.id || base.id,
+            name: overrides.name || base.name,
+            description: overrides.description ?? base.description,
+            handRank: { ...base.handRank, ...(overrides.handRank || {}) },
+            multiplier,
+            tieRule: overrides.tieRule || base.tieRule,
+            enabledHands: { ...base.enabledHands, ...(overrides.enabledHands || {}) },
+            arashiValueRanked: overrides.arashiValueRanked ?? base.arashiValueRanked
+        });
+    }
+
+    // ===== 判定 =====
+
+    /**
+     * 出目から役を判定する
+     * @param {number[]} dice
+     * @returns {HandResult}
+     */
+    evaluateHand(dice) {
+        return DiceEngine.evaluateHand(dice, this);
+    }
+
+    /**
+     * 親と子の役を比較する
+     * @param {HandResult} dealerHand
+     * @param {HandResult} playerHand
+     * @param {boolean} [forceResolution=false]
+     * @returns {CompareResult}
+     */
+    compareHands(dealerHand, playerHand, forceResolution = false) {
+        return DiceEngine.compareHands(dealerHand, playerHand, forceResolution, this);
+    }
+
+    /**
+     * 配当倍率を取得
+     * @param {HandResult} hand
+     * @param {boolean} isDealer
+     * @returns {number}
+     */
+    getMultiplier(hand, isDealer) {
+        return DiceEngine.getMultiplier(hand, isDealer, this);
+    }
+
+    /**
+     * 親子の勝負で動くチップの倍率を取得
+     * @param {HandResult} dealerHand
+     * @param {HandResult} playerHand
+     * @returns {number}
+     */
+    getPayoutMultiplier(dealerHand, playerHand) {
+        return DiceEngine.getPayoutMultiplier(dealerHand, playerHand, this);
+    }
+
+    /**
+     * 役の強さランクを取得（アラシ・通常の目は目の値を加味）
+     * @param {HandType} type
+     * @param {number} [value=0]
+     * @returns {number}
+     */
+    getRank(type, value = 0) {
+        const base = this.handRank[type];
+        if (type === HandType.NORMAL) return base + value;
+        if (type === HandType.ARASHI && this.arashiValueRanked) return base + value;
+        return base;
+    }
+
+    /**
+     * 役が有効かどうか
+     * @param {HandType} type
+     * @returns {boolean}
+     */
+    isHandEnabled(type) {
+        return this.enabledHands[type] !== false;
+    }
+
+    // ===== シリアライズ =====
+
+    /**
+     * クライアント送信用のJSON
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            description: this.description,
+            handRank: this.handRank,
+            multiplier: this.multiplier,
+            tieRule: this.tieRule,
+            enabledHands: this.enabledHands,
+            arashiValueRanked: this.arashiValueRanked
+        };
+    }
+}
+
+export { TieRule };
+
+export default RuleSet;
@@ -0,0 +1,159 @@
+/**
+ * RuleSetRegistry - ハウスルール登録・管理
+ *
+ * 名前付きのルールセットを登録し、ルーム作成時に選択できるようにする。
+ * 組み込みの「標準ルール」に加え、任意のカスタムルールを登録できる。
+ */
+
+import { RuleSet, TieRule } from './RuleSet.js';
+import { HandType, STANDARD_RULES } from '../DiceEngine.js';
+
+// カスタムルールで変更可能な役（通常の目・目なしは常に有効）
+const TOGGLEABLE_HANDS = [HandType.PINZORO, HandType.ARASHI, HandType.SHIGORO, HandType.HIFUMI];
+
+// 配当倍率の上限（極端な設定を防ぐ）
+const MAX_MULTIPLIER = 10;
+
+// カスタムルールのID（クライアントからは指定させない）
+const CUSTOM_RULE_SET_ID = 'custom';
+
+// 組み込みのローカルルール（標準ルールへの上書き）
+const LOCAL_RULE_PRESETS = [
+    {
+        id: 'pinzoro-5x',
+        name: 'ピンゾロ5倍付け',
+        description: 'ピンゾロは親・子どちらが出しても5倍。それ以外は標準ルールと同じ。',
+        multiplier: { [HandType.PINZORO]: { dealer: 5, player: 5 } }
+    },
+    {
+        id: 'tie-push',
+        name: '同点流し',
+        description: '同点は引き分け（チップの移動なし）。それ以外は標準ルールと同じ。',
+        tieRule: TieRule.PUSH
+    },
+    {
+        id: 'hifumi-3x',
+        name: 'ヒフミ3倍払い',
+        description: 'ヒフミを出したら3倍払い。それ以外は標準ルールと同じ。',
+        multiplier: { [HandType.HIFUMI]: { dealer: 3, player: 3 } }
+    },
+    {
+        id: 'arashi-flat',
+        name: 'アラシ同格',
+        description: 'アラシは目の大小に関係なく同じ強さ（アラシ同士は同点）。それ以外は標準ルールと同じ。',
+        arashiValueRanked: false
+    }
+];
+
+export class RuleSetRegistry {
+    constructor() {
+        /** @type {Map<string, RuleSet>} */
+        this.ruleSets = new Map();
+
+        // 組み込みルールを登録
+        this.registerDefaults();
+    }
+
+    /**
+     * 組み込みのルールセットを登録
+     */
+    registerDefaults() {
+        this.register(new RuleSet(STANDARD_RULES));
+        LOCAL_RULE_PRESETS.forEach(preset => this.register(RuleSet.fromOverrides(preset)));
+    }
+
+    /**
+     * ルールセットを登録
+     * @param {RuleSet} ruleSet
+     */
+    register(ruleSet) {
+        this.ruleSets.set(ruleSet.id, ruleSet);
+    }
+
+    /**
+     * ルールIDからルールセットを取得
+     * @param {string} ruleSetId
+     * @returns {RuleSet|null}
+     */
+    get(ruleSetId) {
+        return this.ruleSets.get(ruleSetId) || null;
+    }
+
+    /**
+     * 標準ルールを取得
+     * @returns {RuleSet}
+     */
+    getDefault() {
+        return this.ruleSets.get(STANDARD_RULES.id);
+    }
+
+    /**
+     * 標準ルールを上書きしたカスタムルールを作成（登録はしない）
+     * IDは常に 'custom' にする（登録済みのルールと見分けがつかなくならないように）。
+     * @param {Object} overrides - 上書きする項目
+     * @returns {RuleSet}
+     */
+    createCustom(overrides) {
+        return RuleSet.fromOverrides({
+            ...overrides,
+            id: CUSTOM_RULE_SET_ID,
+            name: overrides.name || 'カスタムルール'
+        });
+    }
+
+    /**
+     * カスタムルールの上書き内容を検証
+     * @param {Object} overrides
+     * @returns {string|null} エラーメッセージ（問題なければnull）
+     */
+    validateOverrides(overrides) {
+        if (!overrides || typeof overrides !== 'object') {
+            return 'ルール設定が不正です';
+        }
+        if (overrides.id !== undefined && overrides.id !== CUSTOM_RULE_SET_ID) {
+            return 'カスタムルールのIDは指定できません';
+        }
+        if (overrides.name !== undefined && (typeof overrides.name !== 'string' || overrides.name.length > 20)) {
+            return 'ルール名は20文字以内にしてください';
+        }
+        if (overrides.tieRule !== undefined && !Object.values(TieRule).includes(overrides.tieRule)) {
+            return '同点時の扱いが不正です';
+        }
+        if (overrides.arashiValueRanked !== undefined && typeof overrides.arashiValueRanked !== 'boolean') {
+            return 'アラシの強弱設定が不正です';
+        }
+
+        for (const [type, mult] of Object.entries(overrides.multiplier || {})) {
+            if (!Object.values(HandType).includes(type)) {
+                return `不明な役です: ${type}`;
+            }
+            for (const value of Object.values(mult || {})) {
+                if (typeof value !== 'number' || !(value >= 0 && value <= MAX_MULTIPLIER)) {
+                    return `配当倍率は0〜${MAX_MULTIPLIER}の数値で指定してください`;
+                }
+            }
+        }
+
+        for (const [type, enabled] of Object.entries(overrides.enabledHands || {})) {
+            if (!TOGGLEABLE_HANDS.includes(type) || typeof enabled !== 'boolean') {
+                return `役の有効設定が不正です: ${type}`;
+            }
+        }
+
+        if (overrides.handRank !== undefined) {
+            return '役の強さランクは変更できません';
+        }
+
+        return null;
+    }
+
+    /**
+     * 登録されているルールセットの一覧（ルーム作成画面用）
+     * @returns {Object[]}
+     */
+    getAllRuleSetInfo() {
+        return Array.from(this.ruleSets.values()).map(ruleSet => ruleSet.toJSON());
+    }
+}
+
+export default RuleSetRegistry;
@@ -183,6 +183,29 @@ export class BaseSkill {
         this.useCount = 0;
         this.cooldownRemaining = 0;
     }
+
+    /**
+     * 保存用の状態（スキルの定義は SkillRegistry から作り直すので、使用状況だけを持つ）
+     * @returns {Object}
+     */
+    toSnapshot() {
+        return {
+            id: this.id,
+            isUsed: this.isUsed,
+            useCount: this.useCount,
+            cooldownRemaining: this.cooldownRemaining
+        };
+    }
+
+    /**
+     * 保存した使用状況を戻す
+     * @param {Object} snapshot - toSnapshot の結果
+     */
+    restoreSnapshot(snapshot) {
+        this.isUsed = snapshot.isUsed;
+        this.useCount = snapshot.useCount;
+        this.cooldownRemaining = snapshot.cooldownRemaining;
+    }
 }
 
 // ===== 型定義（JSDoc） =====
@@ -5,7 +5,6 @@
  */
 
 import { BaseSkill, AsyncActionType } from './BaseSkill.js';
-import { DiceEngine } from '../DiceEngine.js';
 
 export class FourthDimension extends BaseSkill {
     constructor() {
@@ -26,7 +25,7 @@ export class FourthDimension extends BaseSkill {
         }
 
         // 4つのダイスを振る
-        const fourDice = DiceEngine.roll(4);
+        const fourDice = ctx.room.drawDice(4, ctx.player.id);
 
         return {
             override: true,
@@ -32,7 +32,7 @@ export class Revolutionary extends BaseSkill {
                 overrideHand: {
                     type: HandType.PINZORO,
                     value: 1,
-                    rank: 100,
+                    rank: ctx.room.ruleSet.getRank(HandType.PINZORO, 1),
                     dice: sorted,
                     displayName: '革命ピンゾロ'
                 },
@@ -86,9 +86,9 @@ export class Sniper extends BaseSkill {
 
         const { room, player } = ctx;
 
-        // 自分が子で親を狙う場合
+        // 自分が子で親を狙う場合（子が先に振るラウンドでは、親はまだ振っていない）
         const dealer = room.getDealer();
-        if (!dealer || dealer.id === player.id || !dealer.currentDice) {
+        if (!dealer || dealer.id === player.id || !dealer.currentDice?.length) {
             return { modified: false, newDice: diceResult };
         }
 
@@ -12,6 +12,11 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 
 import { GameManager } from './game/GameManager.js';
+import { ProvablyFair } from './game/ProvablyFair.js';
+import { RoomVisibility } from './game/GameState.js';
+import { ReplayStore } from './game/replay/ReplayStore.js';
+import { RoomSnapshotStore } from './game/persistence/RoomSnapshotStore.js';
+import { SessionTokens } from './game/SessionTokens.js';
 import { setupGameHandler } from './socket/gameHandler.js';
 
 // ESM用の __dirname 取得
@@ -47,7 +52,14 @@ const io = new Server(httpServer, {
 });
 
 // ===== ゲームマネージャー初期化 =====
-const gameManager = new GameManager(io);
+// ゲームの記録（リプレイ）の保存先
+const replayStore = new ReplayStore(process.env.REPLAY_DIR || path.join(__dirname, '../data/replays'));
+// 進行中のルームの保存先（再起動時に復元する）
+const snapshotStore = new RoomSnapshotStore(process.env.ROOM_SNAPSHOT_DIR || path.join(__dirname, '../data/rooms'));
+// 再接続用トークンの署名鍵（SESSION_SECRET がなければ生成して保存し、再起動後も同じ鍵を使う）
+const sessionTokens = new SessionTokens(process.env.SESSION_SECRET
+    || await SessionTokens.loadOrCreateSecret(path.join(__dirname, '../data/session-secret')));
+const gameManager = new GameManager(io, { replayStore, snapshotStore, sessionTokens });
 
 // Socket.ioハンドラーを設定
 setupGameHandler(io, gameManager);
@@ -68,21 +80,88 @@ app.get('/api/stats', (req, res) => {
     res.json(gameManager.getStats());
 });
 
+// 公開ルーム一覧（ロビー表示用）
+app.get('/api/lobby', (req, res) => {
+    res.json(gameManager.getPublicRooms());
+});
+
 // ルーム一覧（開発用）
 app.get('/api/rooms', (req, res) => {
     res.json(gameManager.getAllRooms());
 });
 
-// ルーム情報取得
+// ルーム情報取得（非公開ルームは見つからない扱い）
 app.get('/api/rooms/:roomId', (req, res) => {
     const room = gameManager.getRoom(req.params.roomId);
-    if (room) {
+    if (room && room.visibility === RoomVisibility.PUBLIC) {
         res.json(room.toJSON());
     } else {
         res.status(404).json({ error: 'ルームが見つかりません' });
     }
 });
 
+// 公平性検証: ルームのリビール済みラウンド一覧（公開ルームのみ）
+app.get('/api/rooms/:roomId/fairness', (req, res) => {
+    const room = gameManager.getRoom(req.params.roomId);
+    if (!room || room.visibility !== RoomVisibility.PUBLIC) {
+        return res.status(404).json({ error: 'ルームが見つかりません' });
+    }
+    res.json(room.diceSource.getHistory());
+});
+
+// 公平性検証: 特定ラウンドの記録と検証結果（公開ルームのみ）
+app.get('/api/rooms/:roomId/fairness/:roundNumber', (req, res) => {
+    const room = gameManager.getRoom(req.params.roomId);
+    if (!room || room.visibility !== RoomVisibility.PUBLIC) {
+        return res.status(404).json({ error: 'ルームが見つかりません' });
+    }
+    const record = room.diceSource.getRound(Number(req.params.roundNumber));
+    if (!record) {
+        return res.status(404).json({ error: 'リビール済みのラウンドが見つかりません' });
+    }
+    res.json({ record, verification: ProvablyFair.verify(record) });
+});
+
+// 公平性検証: 任意のシードからダイスを再計算
+// body: { serverSeed, serverSeedHash, clientSeed, rolls: [{ nonce, count, dice }] }
+app.post('/api/fairness/verify', (req, res) => {
+    const { serverSeed, serverSeedHash, clientSeed, rolls } = req.body || {};
+    if (typeof serverSeed !== 'string' || typeof serverSeedHash !== 'string' ||
+        typeof clientSeed !== 'string' || !Array.isArray(rolls)) {
+        return res.status(400).json({ error: 'serverSeed, serverSeedHash, clientSeed, rolls が必要です' });
+    }
+    const validRolls = rolls.every(roll =>
+        Number.isInteger(roll?.nonce) && Number.isInteger(roll?.count) &&
+        roll.count > 0 && roll.count <= 10 && Array.isArray(roll.dice)
+    );
+    if (!validRolls) {
+        return res.status(400).json({ error: 'rolls の形式が不正です' });
+    }
+    res.json(ProvablyFair.verify({ serverSeed, serverSeedHash, clientSeed, rolls }));
+});
+
+// リプレイ一覧（公開ルームのもののみ、新しい順、?roomId= で絞り込み）
+app.get('/api/replays', async (req, res, next) => {
+    try {
+        res.json(await replayStore.list({ roomId: req.query.roomId, visibility: RoomVisibility.PUBLIC }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// リプレイ取得（イベントの記録を含む、公開ルームのもののみ）
+app.get('/api/replays/:replayId', async (req, res, next) => {
+    try {
+        const replay = await replayStore.get(req.params.replayId);
+        if (!replay || ReplayStore.getVisibility(replay) !== RoomVisibility.PUBLIC) {
+            return res.status(404).json({ error: 'リプレイが見つかりません' });
+        }
+        res.json(replay);
+    } catch (error) {
+        next(error);
+    }
+});
+
 // SPAフォールバック（全てのルートをindex.htmlに）
 app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, '../client/index.html'));
@@ -95,6 +174,16 @@ app.use((err, req, res, next) => {
 });
 
 // ===== サーバー起動 =====
+// 前回のプロセスで進行中だったルームを、接続を受け付ける前に復元する
+try {
+    const restored = await gameManager.restoreRooms();
+    if (restored > 0) {
+        console.log(`[Restore] ${restored} 件のルームを復元しました`);
+    }
+} catch (error) {
+    console.error('[Restore] ルームの復元に失敗しました', error);
+}
+
 httpServer.listen(PORT, () => {
     console.log('╔═══════════════════════════════════════════════════════════╗');
     console.log('║                                                           ║');
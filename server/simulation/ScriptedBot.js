@@ -0,0 +1,38 @@
+/**
+ * ScriptedBot - シミュレーション用の固定方針の Bot
+ *
+ * 毎回最低ベットで賭け、ダウトはせず、使えるスキルは必ず使う。
+ * 性格による揺らぎを除き、スキルそのものの強さだけを比べるための基準。
+ */
+
+import { BotPlayer } from '../game/bots/BotPlayer.js';
+
+/**
+ * 固定方針の判断の傾向（項目は BOT_PROFILES と同じ）
+ */
+export const SCRIPTED_PROFILE = {
+    label: '固定',
+    betRatio: 0,
+    maxBetRatio: 0,
+    useCredit: false,
+    historyWeight: 0,
+    doubtThreshold: Infinity,
+    cheatRate: 1,
+    rerollBelow: 0.5
+};
+
+export class ScriptedBot extends BotPlayer {
+    /**
+     * @param {string} id - プレイヤーID
+     * @param {string} name - 表示名
+     */
+    constructor(id, name) {
+        super(id, name, 'scripted');
+    }
+
+    getProfile() {
+        return SCRIPTED_PROFILE;
+    }
+}
+
+export default ScriptedBot;
@@ -0,0 +1,315 @@
+/**
+ * SkillBalanceSimulator - スキルのバランス検証用シミュレーター
+ *
+ * ソケットを使わずに GameRoom で最後までゲームを進め、それを何千回も繰り返して
+ * スキルごとの勝率・平均収支・役の出方の偏りを集計する。
+ * 全席を Bot（固定方針または性格付き）が操作し、スキルは GameRoom が SkillRegistry から配る。
+ * 時間は VirtualClock で進めるので、持ち時間やダウト受付時間を待たずに済む。
+ */
+
+import { GameRoom } from '../game/GameRoom.js';
+import { RoomSettings } from '../game/RoomSettings.js';
+import { HandProbability } from '../game/HandProbability.js';
+import { HandType, STANDARD_RULES } from '../game/DiceEngine.js';
+import { RuleSet } from '../game/rules/RuleSet.js';
+import { SkillRegistry } from '../game/skills/SkillRegistry.js';
+import { SeededDiceSource } from '../game/dice/SeededDiceSource.js';
+import { UniformDiceSource } from '../game/dice/UniformDiceSource.js';
+import { BotPlayer, BOT_PROFILES } from '../game/bots/BotPlayer.js';
+import { GameState, GameConfig, GameEvent, GameEndCondition, BotPersonality } from '../game/GameState.js';
+import { ScriptedBot } from './ScriptedBot.js';
+import { VirtualClock } from './VirtualClock.js';
+
+/**
+ * 全席の操作方針
+ */
+export const SimulationPolicy = {
+    SCRIPTED: 'scripted',   // 固定方針（ScriptedBot）
+    MIXED: 'mixed',         // 席ごとに性格を順番に割り当てる
+    ...BotPersonality       // 全席を同じ性格の Bot にする
+};
+
+/** スキルなしの席の集計キー */
+export const NO_SKILL_ID = 'none';
+
+// 1ゲームで実行するタイマーの上限（進行が止まった時の保険）
+const MAX_STEPS_PER_GAME = 200000;
+
+export class SkillBalanceSimulator {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.games=1000] - ゲーム数
+     * @param {number} [options.players=4] - 1ゲームの人数
+     * @param {number} [options.sets=2] - 1ゲームのセット数（全員が同じ回数だけ親をやる）
+     * @param {string[]|null} [options.skills] - 配布するスキルIDの候補（省略時は登録済みの全スキル）
+     * @param {SimulationPolicy} [options.policy='scripted'] - 操作方針
+     * @param {number|null} [options.seed] - 出目のシード（ゲームごとに +1 する。Bot の判断とスキルの配布は固定しない）
+     * @param {number} [options.initialChips] - 初期チップ（省略時は GameConfig の値）
+     */
+    constructor(options = {}) {
+        /** @type {number} ゲーム数 */
+        this.games = options.games ?? 1000;
+
+        /** @type {number} 1ゲームの人数 */
+        this.players = options.players ?? 4;
+
+        /** @type {number} 1ゲームのセット数 */
+        this.sets = options.sets ?? 2;
+
+        /** @type {SkillRegistry} スキル登録（名前の表示と候補の検証に使う） */
+        this.skillRegistry = new SkillRegistry();
+
+        /** @type {string[]} 配布するスキルIDの候補 */
+        this.skills = options.skills || this.skillRegistry.getSkillIds();
+
+        /** @type {SimulationPolicy} 操作方針 */
+        this.policy = options.policy || SimulationPolicy.SCRIPTED;
+
+        /** @type {number|null} 出目のシード */
+        this.seed = options.seed ?? null;
+
+        /** @type {number} 初期チップ */
+        this.initialChips = options.initialChips ?? GameConfig.INITIAL_CHIPS;
+    }
+
+    /**
+     * オプションを検証する
+     * @param {Object} options
+     * @returns {string|null} エラーメッセージ（問題なければnull）
+     */
+    static validate(options) {
+        const { games, players, sets, skills, policy, seed } = options;
+
+        if (games !== undefined && (!Number.isInteger(games) || games < 1)) {
+            return 'ゲーム数は1以上の整数で指定してください';
+        }
+        if (players !== undefined && (!Number.isInteger(players) || players < GameConfig.MIN_PLAYERS || players > GameConfig.MAX_PLAYERS)) {
+            return `人数は${GameConfig.MIN_PLAYERS}〜${GameConfig.MAX_PLAYERS}人で指定してください`;
+        }
+        if (sets !== undefined && (!Number.isInteger(sets) || sets < 1)) {
+            return 'セット数は1以上の整数で指定してください';
+        }
+        if (policy !== undefined && !Object.values(SimulationPolicy).includes(policy)) {
+            return `操作方針は ${Object.values(SimulationPolicy).join(' / ')} のいずれかを指定してください`;
+        }
+        if (seed !== undefined && seed !== null && !Number.isInteger(seed)) {
+            return 'シードは整数で指定してください';
+        }
+        if (skills) {
+            const known = new SkillRegistry().getSkillIds();
+            const unknown = skills.filter(id => !known.includes(id));
+            if (unknown.length > 0) {
+                return `不明なスキルです: ${unknown.join(', ')}（${known.join(', ')}）`;
+            }
+            if (skills.length === 0) {
+                return 'スキルを1つ以上指定してください';
+            }
+        }
+        return null;
+    }
+
+    // ===== 実行 =====
+
+    /**
+     * 全ゲームを実行して集計する
+     * 実行中は仮想時計に差し替え、ゲームのログ出力を止める。
+     * @param {Function} [onProgress] - 1ゲーム終わるごとに (終わったゲーム数, 全ゲーム数) で呼ぶ
+     * @returns {Promise<Object>} 集計結果（buildReport）
+     */
+    async run(onProgress = null) {
+        const stats = new Map();
+        const clock = new VirtualClock();
+        const { log, warn } = console;
+        let stalledGames = 0;
+
+        clock.install();
+        console.log = () => {};
+        console.warn = () => {};
+
+        try {
+            for (let index = 0; index < this.games; index++) {
+                const finished = await this.playGame(index, clock, stats);
+                if (!finished) stalledGames++;
+                if (onProgress) onProgress(index + 1, this.games);
+            }
+        } finally {
+            clock.uninstall();
+            console.log = log;
+            console.warn = warn;
+        }
+
+        return this.buildReport(stats, stalledGames);
+    }
+
+    /**
+     * 1ゲームを最後まで進め、結果を集計に加える
+     * @param {number} index - 何ゲーム目か（0始まり）
+     * @param {VirtualClock} clock
+     * @param {Map<string, Object>} stats - スキルIDごとの集計
+     * @returns {Promise<boolean>} ゲームが終了したか（進行が止まった場合は集計しない）
+     */
+    async playGame(index, clock, stats) {
+        const hands = [];
+        let ranking = null;
+
+        const onEvent = (event, data) => {
+            if (event === GameEvent.ROUND_RESULT) {
+                hands.push(...this.collectHands(data.results));
+            } else if (event === GameEvent.GAME_ENDED) {
+                ranking = data.ranking;
+            }
+        };
+
+        const bots = this.createBots(index);
+        const room = new GameRoom(bots[0].id, { to: () => ({ emit: onEvent }) }, {
+            id: `SIM${index + 1}`,
+            diceSource: this.seed === null
+                ? new UniformDiceSource()
+                : new SeededDiceSource({ seed: (this.seed + index) >>> 0 }),
+            endCondition: { type: GameEndCondition.SETS, value: this.sets },
+            settings: new RoomSettings({ initialChips: this.initialChips, setBonusChips: 0, maxPlayers: this.players }),
+            skillPool: this.skills
+        });
+        bots.forEach(bot => room.addPlayer(bot));
+
+        room.startGame();
+        await clock.runUntil(() => ranking !== null || room.state === GameState.GAME_END, MAX_STEPS_PER_GAME);
+        room.close();
+        clock.timers.clear();
+
+        if (!ranking) return false;
+
+        const skillByPlayer = new Map(bots.map(bot => [bot.id, bot.skill?.id || NO_SKILL_ID]));
+        ranking.forEach(({ playerId, rank, netWorth }) => {
+            const entry = this.getStats(stats, skillByPlayer.get(playerId));
+            entry.seats++;
+            entry.rankSum += rank;
+            entry.chipDeltaSum += netWorth - this.initialChips;
+            if (rank === 1) entry.wins++;
+        });
+        hands.forEach(({ playerId, type }) => {
+            const entry = this.getStats(stats, skillByPlayer.get(playerId));
+            entry.hands++;
+            entry.handCounts[type]++;
+        });
+
+        return true;
+    }
+
+    /**
+     * 席に着く Bot を作る
+     * @param {number} gameIndex
+     * @returns {BotPlayer[]}
+     */
+    createBots(gameIndex) {
+        const personalities = Object.values(BotPersonality);
+
+        return Array.from({ length: this.players }, (_, seat) => {
+            const id = `sim-${gameIndex + 1}-${seat + 1}`;
+            if (this.policy === SimulationPolicy.SCRIPTED) {
+                return new ScriptedBot(id, `固定Bot ${seat + 1}`);
+            }
+
+            const personality = this.policy === SimulationPolicy.MIXED
+                ? personalities[seat % personalities.length]
+                : this.policy;
+            return new BotPlayer(id, `${BOT_PROFILES[personality].label}Bot ${seat + 1}`, personality);
+        });
+    }
+
+    /**
+     * ラウンド結果から最終的な役を取り出す（親の役はラウンドに1回だけ数える。振らなかった子は除く）
+     * @param {Object[]} results - ROUND_RESULT の results
+     * @returns {{ playerId: string, type: HandType }[]}
+     */
+    collectHands(results) {
+        const hands = results
+            .filter(result => result.playerHand)
+            .map(result => ({ playerId: result.playerId, type: result.playerHand.type }));
+
+        if (results.length > 0 && results[0].dealerHand) {
+            hands.push({ playerId: results[0].dealerId, type: results[0].dealerHand.type });
+        }
+        return hands;
+    }
+
+    // ===== 集計 =====
+
+    /**
+     * スキルIDごとの集計を取得（なければ作る）
+     * @param {Map<string, Object>} stats
+     * @param {string} skillId
+     * @returns {Object}
+     */
+    getStats(stats, skillId) {
+        if (!stats.has(skillId)) {
+            const handCounts = {};
+            Object.values(HandType).forEach(type => {
+                handCounts[type] = 0;
+            });
+            stats.set(skillId, { seats: 0, wins: 0, rankSum: 0, chipDeltaSum: 0, hands: 0, handCounts });
+        }
+        return stats.get(skillId);
+    }
+
+    /**
+     * 集計結果をまとめる
+     * 役の偏りは、振り直しを含めた理論上の最終分布（HandProbability）との差で表す。
+     * @param {Map<string, Object>} stats
+     * @param {number} stalledGames - 進行が止まって集計できなかったゲーム数
+     * @returns {Object}
+     */
+    buildReport(stats, stalledGames) {
+        const probability = HandProbability.forRuleSet(new RuleSet(STANDARD_RULES));
+        const expectedHandTypes = probability.getFinalHandTypeProbabilities();
+
+        const skills = Array.from(stats.entries()).map(([skillId, entry]) => {
+            const handTypes = {};
+            const handTypeShift = {};
+            Object.values(HandType).forEach(type => {
+                handTypes[type] = entry.hands > 0 ? entry.handCounts[type] / entry.hands : 0;
+                handTypeShift[type] = handTypes[type] - expectedHandTypes[type];
+            });
+
+            return {
+                skillId,
+                name: this.getSkillName(skillId),
+                seats: entry.seats,
+                winRate: entry.wins / entry.seats,
+                averageRank: entry.rankSum / entry.seats,
+                averageChipDelta: Math.round(entry.chipDeltaSum / entry.seats),
+                hands: entry.hands,
+                handTypes,
+                handTypeShift
+            };
+        }).sort((a, b) => b.winRate - a.winRate);
+
+        return {
+            config: {
+                games: this.games,
+                players: this.players,
+                sets: this.sets,
+                skills: this.skills,
+                policy: this.policy,
+                seed: this.seed,
+                initialChips: this.initialChips
+            },
+            completedGames: this.games - stalledGames,
+            stalledGames,
+            expectedWinRate: 1 / this.players,
+            expectedHandTypes,
+            skills
+        };
+    }
+
+    /**
+     * 表示用のスキル名
+     * @param {string} skillId
+     * @returns {string}
+     */
+    getSkillName(skillId) {
+        return skillId === NO_SKILL_ID ? 'スキルなし' : this.skillRegistry.create(skillId).name;
+    }
+}
+
+export default SkillBalanceSimulator;
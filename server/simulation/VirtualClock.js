@@ -0,0 +1,107 @@
+/**
+ * VirtualClock - シミュレーション用の仮想時計
+ *
+ * setTimeout / clearTimeout / Date.now を差し替え、タイマーを実時間を待たずに締め切り順で実行する。
+ * GameRoom・DeadlineTimer・Bot の待ち時間はそのままの長さで動くので、進行の順序は本番と変わらない。
+ * 差し替えはプロセス全体に効くため、サーバーと同じプロセスでは使わないこと。
+ */
+
+export class VirtualClock {
+    /**
+     * @param {number} [startTime] - 仮想時刻の開始値（Date.now() 基準）
+     */
+    constructor(startTime = Date.now()) {
+        /** @type {number} 現在の仮想時刻 */
+        this.now = startTime;
+
+        /** @type {Map<number, { id: number, at: number, callback: Function, args: Array }>} 予約中のタイマー */
+        this.timers = new Map();
+
+        /** @type {number} 次に払い出すタイマーID（登録順を同時刻のタイマーの実行順に使う） */
+        this.nextId = 1;
+
+        /** @type {Object|null} 差し替える前の関数 */
+        this.originals = null;
+    }
+
+    /**
+     * グローバルの setTimeout / clearTimeout / Date.now を差し替える
+     */
+    install() {
+        if (this.originals) return;
+
+        this.originals = {
+            setTimeout: globalThis.setTimeout,
+            clearTimeout: globalThis.clearTimeout,
+            dateNow: Date.now
+        };
+
+        globalThis.setTimeout = (callback, ms = 0, ...args) => this.schedule(callback, ms, args);
+        globalThis.clearTimeout = id => this.timers.delete(id);
+        Date.now = () => this.now;
+    }
+
+    /**
+     * 差し替えた関数を元に戻す（予約中のタイマーは破棄）
+     */
+    uninstall() {
+        if (!this.originals) return;
+
+        globalThis.setTimeout = this.originals.setTimeout;
+        globalThis.clearTimeout = this.originals.clearTimeout;
+        Date.now = this.originals.dateNow;
+        this.originals = null;
+        this.timers.clear();
+    }
+
+    /**
+     * タイマーを予約
+     * @param {Function} callback
+     * @param {number} ms
+     * @param {Array} args
+     * @returns {number} タイマーID
+     */
+    schedule(callback, ms, args) {
+        const id = this.nextId++;
+        this.timers.set(id, { id, at: this.now + Math.max(Number(ms) || 0, 0), callback, args });
+        return id;
+    }
+
+    /**
+     * 締め切りが一番早いタイマー（同時刻なら先に予約したもの）
+     * @returns {Object|null}
+     */
+    peek() {
+        let next = null;
+        this.timers.forEach(timer => {
+            if (!next || timer.at < next.at || (timer.at === next.at && timer.id < next.id)) {
+                next = timer;
+            }
+        });
+        return next;
+    }
+
+    /**
+     * 条件を満たすまでタイマーを順に実行する
+     * 1つ実行するごとに実際のイベントループを1周させ、async 処理（rollDice など）の続きを済ませる。
+     * @param {Function} isDone - true を返したら止める
+     * @param {number} [maxSteps] - 実行するタイマーの上限（進行が止まらない時の保険）
+     * @returns {Promise<boolean>} 条件を満たしたか（タイマーが尽きた・上限に達した時は false）
+     */
+    async runUntil(isDone, maxSteps = 100000) {
+        for (let step = 0; step < maxSteps; step++) {
+            await new Promise(resolve => setImmediate(resolve));
+            if (isDone()) return true;
+
+            const timer = this.peek();
+            if (!timer) return false;
+
+            this.timers.delete(timer.id);
+            this.now = timer.at;
+            timer.callback(...timer.args);
+        }
+        return isDone();
+    }
+}
+
+export default VirtualClock;
@@ -0,0 +1,172 @@
+/**
+ * スキルのバランス検証シミュレーター（コマンドライン）
+ *
+ * 使い方:
+ *   npm run simulate -- --games 2000 --players 4 --skills banker,bomber,revolutionary,god_hand
+ *   npm run simulate -- --policy mixed --seed 42 --json > report.json
+ *
+ * オプション:
+ *   --games <n>     ゲーム数（既定 1000）
+ *   --players <n>   1ゲームの人数（既定 4）
+ *   --sets <n>      1ゲームのセット数（既定 2）
+ *   --skills <ids>  配布するスキルIDをカンマ区切りで（既定は全スキル。人数より少なければ残りの席はスキルなし）
+ *   --policy <p>    操作方針 scripted / mixed / cautious / aggressive / paranoid（既定 scripted）
+ *   --seed <n>      出目のシード
+ *   --json          表の代わりに JSON を出力
+ */
+
+import { parseArgs } from 'util';
+import { HandType } from '../game/DiceEngine.js';
+import { SkillBalanceSimulator } from './SkillBalanceSimulator.js';
+
+// 表に出す役（通常の目は差が小さいので省く）
+const TABLE_HAND_TYPES = [
+    { type: HandType.PINZORO, label: 'ピンゾロ' },
+    { type: HandType.ARASHI, label: 'アラシ' },
+    { type: HandType.SHIGORO, label: 'シゴロ' },
+    { type: HandType.MENASHI, label: '目なし' },
+    { type: HandType.HIFUMI, label: 'ヒフミ' }
+];
+
+/**
+ * コマンドライン引数をシミュレーターのオプションにする
+ * @param {string[]} args
+ * @returns {{ options: Object, json: boolean, help: boolean }}
+ */
+function parseOptions(args) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            games: { type: 'string' },
+            players: { type: 'string' },
+            sets: { type: 'string' },
+            skills: { type: 'string' },
+            policy: { type: 'string' },
+            seed: { type: 'string' },
+            json: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const toInteger = value => (value === undefined ? undefined : Number(value));
+    return {
+        options: {
+            games: toInteger(values.games),
+            players: toInteger(values.players),
+            sets: toInteger(values.sets),
+            skills: values.skills ? values.skills.split(',').map(id => id.trim()).filter(Boolean) : undefined,
+            policy: values.policy,
+            seed: toInteger(values.seed)
+        },
+        json: values.json,
+        help: values.help
+    };
+}
+
+// ===== 表示 =====
+
+/**
+ * 表示幅（全角文字は2として数える）
+ * @param {string} text
+ * @returns {number}
+ */
+function displayWidth(text) {
+    return Array.from(text).reduce((width, char) => width + (char.charCodeAt(0) > 0xff ? 2 : 1), 0);
+}
+
+/**
+ * 表示幅で揃える
+ * @param {string} text
+ * @param {number} width
+ * @param {boolean} [alignRight=false]
+ * @returns {string}
+ */
+function pad(text, width, alignRight = false) {
+    const space = ' '.repeat(Math.max(width - displayWidth(text), 0));
+    return alignRight ? space + text : text + space;
+}
+
+/**
+ * 割合を % で表示
+ * @param {number} value
+ * @param {boolean} [signed=false] - 差分として符号を付けるか
+ * @returns {string}
+ */
+function formatPercent(value, signed = false) {
+    const text = `${(value * 100).toFixed(1)}%`;
+    return signed && value >= 0 ? `+${text}` : text;
+}
+
+/**
+ * 集計結果を読みやすい表にする
+ * @param {Object} report - SkillBalanceSimulator#run の結果
+ * @returns {string}
+ */
+function formatTable(report) {
+    const { config } = report;
+    const headers = ['スキル', '席数', '勝率', '平均順位', '平均収支', ...TABLE_HAND_TYPES.map(({ label }) => label)];
+    const rows = report.skills.map(skill => [
+        `${skill.name} (${skill.skillId})`,
+        String(skill.seats),
+        formatPercent(skill.winRate),
+        skill.averageRank.toFixed(2),
+        (skill.averageChipDelta >= 0 ? '+' : '') + skill.averageChipDelta.toLocaleString(),
+        ...TABLE_HAND_TYPES.map(({ type }) => formatPercent(skill.handTypeShift[type], true))
+    ]);
+
+    const widths = headers.map((header, column) =>
+        Math.max(displayWidth(header), ...rows.map(row => displayWidth(row[column])))
+    );
+    const formatRow = row => row.map((cell, column) => pad(cell, widths[column], column > 0)).join('  ');
+
+    return [
+        `${report.completedGames} ゲーム（${config.players}人・${config.sets}セット・方針 ${config.policy}` +
+            `${config.seed === null ? '' : `・シード ${config.seed}`}）`,
+        `勝率の基準: ${formatPercent(report.expectedWinRate)}　役の列は理論上の出現率との差`,
+        report.stalledGames > 0 ? `進行が止まったゲーム: ${report.stalledGames}（集計から除外）` : null,
+        '',
+        formatRow(headers),
+        widths.map(width => '-'.repeat(width)).join('  '),
+        ...rows.map(formatRow)
+    ].filter(line => line !== null).join('\n');
+}
+
+// ===== 実行 =====
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseOptions(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    if (parsed.help) {
+        console.log('使い方: npm run simulate -- [--games n] [--players n] [--sets n] [--skills a,b] [--policy p] [--seed n] [--json]');
+        return;
+    }
+
+    const error = SkillBalanceSimulator.validate(parsed.options);
+    if (error) {
+        console.error(error);
+        process.exit(1);
+    }
+
+    const definedOptions = Object.fromEntries(
+        Object.entries(parsed.options).filter(([, value]) => value !== undefined)
+    );
+    const simulator = new SkillBalanceSimulator(definedOptions);
+
+    // 端末で実行している時だけ進み具合を表示する
+    const showProgress = process.stderr.isTTY;
+    const report = await simulator.run((done, total) => {
+        if (showProgress && (done % 100 === 0 || done === total)) {
+            process.stderr.write(`\r${done}/${total} ゲーム${done === total ? '\n' : ''}`);
+        }
+    });
+
+    console.log(parsed.json ? JSON.stringify(report, null, 2) : formatTable(report));
+}
+
+main();
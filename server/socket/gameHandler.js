@@ -20,11 +20,19 @@ export function setupGameHandler(io, gameManager) {
 
         /**
          * ルーム作成
-         * data: { playerName: string }
+         * data: { playerName: string, ruleSetId?: string, customRules?: Object, roundFlow?: string, bankerMode?: boolean,
+         *         dealerContinuation?: boolean, maxDealerStreak?: number,
+         *         timeouts?: { betMs?: number, rollMs?: number }, autoBet?: string,
+         *         endCondition?: { type: string, value?: number }, catchUpChips?: number, settings?: Object,
+         *         visibility?: string, password?: string, sessionToken?: string }
          */
         socket.on(GameEvent.CREATE_ROOM, (data, callback) => {
             try {
-                const { playerName } = data;
+                const {
+                    playerName, ruleSetId, customRules, roundFlow, bankerMode,
+                    dealerContinuation, maxDealerStreak, timeouts, autoBet, endCondition, catchUpChips, settings,
+                    visibility, password, sessionToken
+                } = data;
 
                 if (!playerName || playerName.trim().length === 0) {
                     return sendError(socket, callback, 'プレイヤー名を入力してください');
@@ -33,7 +41,15 @@ export function setupGameHandler(io, gameManager) {
                     return sendError(socket, callback, 'プレイヤー名は20文字以内にしてください');
                 }
 
-                const result = gameManager.createRoom(socket.id, playerName.trim());
+                // 自分でルームを作る場合はクイックマッチの待ちをやめる
+                if (gameManager.isInQuickMatch(socket.id)) {
+                    gameManager.leaveQuickMatch(socket.id);
+                }
+
+                const result = gameManager.createRoom(socket.id, playerName.trim(), {
+                    ruleSetId, customRules, roundFlow, bankerMode, dealerContinuation, maxDealerStreak,
+                    timeouts, autoBet, endCondition, catchUpChips, settings, visibility, password, sessionToken
+                });
 
                 if (result.success) {
                     console.log(`[ルーム作成] ${result.roomId} by ${playerName}`);
@@ -50,11 +66,11 @@ export function setupGameHandler(io, gameManager) {
 
         /**
          * ルーム参加
-         * data: { roomId: string, playerName: string }
+         * data: { roomId: string, playerName: string, password?: string, sessionToken?: string }
          */
         socket.on(GameEvent.JOIN_ROOM, (data, callback) => {
             try {
-                const { roomId, playerName } = data;
+                const { roomId, playerName, password, sessionToken } = data;
 
                 if (!roomId || !playerName) {
                     return sendError(socket, callback, 'ルームIDとプレイヤー名を入力してください');
@@ -63,10 +79,14 @@ export function setupGameHandler(io, gameManager) {
                     return sendError(socket, callback, 'プレイヤー名は20文字以内にしてください');
                 }
 
-                const result = gameManager.joinRoom(roomId, socket.id, playerName.trim());
+                if (gameManager.isInQuickMatch(socket.id)) {
+                    gameManager.leaveQuickMatch(socket.id);
+                }
+
+                const result = gameManager.joinRoom(roomId, socket.id, playerName.trim(), password, sessionToken);
 
                 if (result.success) {
-                    console.log(`[ルーム参加] ${roomId} - ${playerName}`);
+                    console.log(`[ルーム参加] ${roomId} - ${playerName}${result.queued ? '（参加待ち）' : ''}`);
                     socket.emit('room_joined', result);
                     if (callback) callback(result);
                 } else {
@@ -78,6 +98,39 @@ export function setupGameHandler(io, gameManager) {
             }
         });
 
+        /**
+         * ルーム観戦（進行中のルームにも参加可能）
+         * data: { roomId: string, playerName: string, password?: string, sessionToken?: string }
+         */
+        socket.on(GameEvent.SPECTATE_ROOM, (data, callback) => {
+            try {
+                const { roomId, playerName, password, sessionToken } = data;
+
+                if (!roomId || !playerName) {
+                    return sendError(socket, callback, 'ルームIDとプレイヤー名を入力してください');
+                }
+                if (playerName.length > 20) {
+                    return sendError(socket, callback, 'プレイヤー名は20文字以内にしてください');
+                }
+
+                if (gameManager.isInQuickMatch(socket.id)) {
+                    gameManager.leaveQuickMatch(socket.id);
+                }
+
+                const result = gameManager.spectateRoom(roomId, socket.id, playerName.trim(), password, sessionToken);
+
+                if (result.success) {
+                    console.log(`[観戦開始] ${roomId} - ${playerName}`);
+                    if (callback) callback(result);
+                } else {
+                    sendError(socket, callback, result.error);
+                }
+            } catch (error) {
+                console.error('[SPECTATE_ROOM Error]', error);
+                sendError(socket, callback, '観戦に失敗しました');
+            }
+        });
+
         /**
          * ルーム退出
          */
@@ -91,6 +144,80 @@ export function setupGameHandler(io, gameManager) {
             }
         });
 
+        // ===== ロビー一覧・クイックマッチ =====
+
+        /**
+         * 公開ルーム一覧の配信を受け取る（以降は変化のたびに room_list_updated が届く）
+         */
+        socket.on(GameEvent.SUBSCRIBE_ROOM_LIST, (data, callback) => {
+            try {
+                const rooms = gameManager.subscribeRoomList(socket.id);
+                if (callback) callback({ success: true, rooms });
+            } catch (error) {
+                console.error('[SUBSCRIBE_ROOM_LIST Error]', error);
+                sendError(socket, callback, 'ルーム一覧の取得に失敗しました');
+            }
+        });
+
+        /**
+         * 公開ルーム一覧の配信を止める
+         */
+        socket.on(GameEvent.UNSUBSCRIBE_ROOM_LIST, (data, callback) => {
+            gameManager.unsubscribeRoomList(socket.id);
+            if (callback) callback({ success: true });
+        });
+
+        /**
+         * クイックマッチの待ち行列に入る（参加先が決まると quick_match_found が届く）
+         * data: { playerName: string, sessionToken?: string }
+         */
+        socket.on(GameEvent.QUICK_MATCH, (data, callback) => {
+            try {
+                const { playerName, sessionToken } = data;
+
+                if (!playerName || playerName.trim().length === 0) {
+                    return sendError(socket, callback, 'プレイヤー名を入力してください');
+                }
+                if (playerName.length > 20) {
+                    return sendError(socket, callback, 'プレイヤー名は20文字以内にしてください');
+                }
+
+                const result = gameManager.joinQuickMatch(socket.id, playerName.trim(), sessionToken);
+                if (!result.success) {
+                    return sendError(socket, callback, result.error);
+                }
+
+                console.log(`[クイックマッチ] ${playerName}${result.matched ? '' : '（待機中）'}`);
+                if (callback) callback(result);
+            } catch (error) {
+                console.error('[QUICK_MATCH Error]', error);
+                sendError(socket, callback, 'クイックマッチに失敗しました');
+            }
+        });
+
+        /**
+         * クイックマッチの待ち行列から抜ける
+         */
+        socket.on(GameEvent.CANCEL_QUICK_MATCH, (data, callback) => {
+            try {
+                const result = gameManager.leaveQuickMatch(socket.id);
+                if (!result.success) {
+                    return sendError(socket, callback, result.error);
+                }
+                if (callback) callback(result);
+            } catch (error) {
+                console.error('[CANCEL_QUICK_MATCH Error]', error);
+                sendError(socket, callback, 'クイックマッチの取り消しに失敗しました');
+            }
+        });
+
+        /**
+         * 選択可能なハウスルール一覧
+         */
+        socket.on(GameEvent.GET_RULE_SETS, (data, callback) => {
+            if (callback) callback({ success: true, ruleSets: gameManager.getRuleSets() });
+        });
+
         // ===== ゲーム操作 =====
 
         /**
@@ -103,7 +230,7 @@ export function setupGameHandler(io, gameManager) {
                     return sendError(socket, callback, 'ルームに参加していません');
                 }
 
-                if (room.hostId !== socket.id) {
+                if (room.hostId !== gameManager.getPlayerIdBySocket(socket.id)) {
                     return sendError(socket, callback, 'ホストのみがゲームを開始できます');
                 }
 
@@ -120,9 +247,204 @@ export function setupGameHandler(io, gameManager) {
             }
         });
 
+        // ===== ホスト操作 =====
+
+        /**
+         * プレイヤーを追放（ホストのみ）
+         * data: { playerId: string, ban?: boolean }
+         */
+        socket.on(GameEvent.KICK_PLAYER, (data, callback) => {
+            try {
+                const { playerId, ban } = data;
+                if (!playerId) {
+                    return sendError(socket, callback, '追放するプレイヤーを指定してください');
+                }
+
+                const result = gameManager.kickPlayer(socket.id, playerId, ban === true);
+                if (!result.success) {
+                    return sendError(socket, callback, result.error);
+                }
+
+                console.log(`[追放] ${playerId}${ban ? '（再参加禁止）' : ''}`);
+                if (callback) callback(result);
+            } catch (error) {
+                console.error('[KICK_PLAYER Error]', error);
+                sendError(socket, callback, '追放に失敗しました');
+            }
+        });
+
+        /**
+         * ホストを譲る（ホストのみ）
+         * data: { playerId: string }
+         */
+        socket.on(GameEvent.TRANSFER_HOST, (data, callback) => {
+            try {
+                const room = gameManager.getRoomBySocket(socket.id);
+                const playerId = gameManager.getPlayerIdBySocket(socket.id);
+
+                if (!room || !playerId) {
+                    return sendError(socket, callback, 'ルームに参加していません');
+                }
+                if (room.hostId !== playerId) {
+                    return sendError(socket, callback, 'ホストのみがホストを譲れます');
+                }
+
+                const result = room.transferHost(data.playerId);
+                if (!result.success) {
+                    return sendError(socket, callback, result.error);
+                }
+
+                if (callback) callback(result);
+            } catch (error) {
+                console.error('[TRANSFER_HOST Error]', error);
+                sendError(socket, callback, 'ホストの変更に失敗しました');
+            }
+        });
+
+        /**
+         * ゲームを一時停止（ホストのみ）
+         */
+        socket.on(GameEvent.PAUSE_GAME, (data, callback) => {
+            try {
+                const room = gameManager.getRoomBySocket(socket.id);
+                const playerId = gameManager.getPlayerIdBySocket(socket.id);
+
+                if (!room || !playerId) {
+                    return sendError(socket, callback, 'ルームに参加していません');
+                }
+                if (room.hostId !== playerId) {
+                    return sendError(socket, callback, 'ホストのみが一時停止できます');
+                }
+
+                const result = room.pauseGame();
+                if (!result.success) {
+                    return sendError(socket, callback, result.error);
+                }
+
+                if (callback) callback(result);
+            } catch (error) {
+                console.error('[PAUSE_GAME Error]', error);
+                sendError(socket, callback, '一時停止に失敗しました');
+            }
+        });
+
+        /**
+         * 一時停止を解除（ホストのみ）
+         */
+        socket.on(GameEvent.RESUME_GAME, (data, callback) => {
+            try {
+                const room = gameManager.getRoomBySocket(socket.id);
+                const playerId = gameManager.getPlayerIdBySocket(socket.id);
+
+                if (!room || !playerId) {
+                    return sendError(socket, callback, 'ルームに参加していません');
+                }
+                if (room.hostId !== playerId) {
+                    return sendError(socket, callback, 'ホストのみが再開できます');
+                }
+
+                const result = room.resumeGame();
+                if (!result.success) {
+                    return sendError(socket, callback, result.error);
+                }
+
+                if (callback) callback(result);
+            } catch (error) {
+                console.error('[RESUME_GAME Error]', error);
+                sendError(socket, callback, '再開に失敗しました');
+            }
+        });
+
+        /**
+         * ルーム設定を変更（ホストのみ・ロビーでのみ）
+         * data: { settings: Object }
+         */
+        socket.on(GameEvent.UPDATE_SETTINGS, (data, callback) => {
+            try {
+                const room = gameManager.getRoomBySocket(socket.id);
+                const playerId = gameManager.getPlayerIdBySocket(socket.id);
+
+                if (!room || !playerId) {
+                    return sendError(socket, callback, 'ルームに参加していません');
+                }
+                if (room.hostId !== playerId) {
+                    return sendError(socket, callback, 'ホストのみが設定を変更できます');
+                }
+
+                const result = room.updateSettings(data.settings);
+                if (!result.success) {
+                    return sendError(socket, callback, result.error);
+                }
+
+                if (callback) callback(result);
+            } catch (error) {
+                console.error('[UPDATE_SETTINGS Error]', error);
+                sendError(socket, callback, '設定の変更に失敗しました');
+            }
+        });
+
+        /**
+         * Bot を追加（ホストのみ・ロビーでのみ）
+         * data: { personality: string }
+         */
+        socket.on(GameEvent.ADD_BOT, (data, callback) => {
+            try {
+                const room = gameManager.getRoomBySocket(socket.id);
+                const playerId = gameManager.getPlayerIdBySocket(socket.id);
+
+                if (!room || !playerId) {
+                    return sendError(socket, callback, 'ルームに参加していません');
+                }
+                if (room.hostId !== playerId) {
+                    return sendError(socket, callback, 'ホストのみがBotを追加できます');
+                }
+
+                const result = room.addBot(data.personality);
+                if (!result.success) {
+                    return sendError(socket, callback, result.error);
+                }
+
+                console.log(`[Bot追加] ${room.id} - ${result.bot.name}`);
+                if (callback) callback(result);
+            } catch (error) {
+                console.error('[ADD_BOT Error]', error);
+                sendError(socket, callback, 'Botの追加に失敗しました');
+            }
+        });
+
+        /**
+         * Bot を外す（ホストのみ）
+         * data: { playerId: string }
+         */
+        socket.on(GameEvent.REMOVE_BOT, (data, callback) => {
+            try {
+                const room = gameManager.getRoomBySocket(socket.id);
+                const playerId = gameManager.getPlayerIdBySocket(socket.id);
+
+                if (!room || !playerId) {
+                    return sendError(socket, callback, 'ルームに参加していません');
+                }
+                if (room.hostId !== playerId) {
+                    return sendError(socket, callback, 'ホストのみがBotを外せます');
+                }
+
+                const result = room.removeBot(data.playerId);
+                if (!result.success) {
+                    return sendError(socket, callback, result.error);
+                }
+
+                if (callback) callback(result);
+            } catch (error) {
+                console.error('[REMOVE_BOT Error]', error);
+                sendError(socket, callback, 'Botの削除に失敗しました');
+            }
+        });
+
+        // ===== ゲーム進行 =====
+
         /**
          * ベットを置く
-         * data: { amount: number }
+         * data: { amount: number, clientSeed?: string }
          */
         socket.on(GameEvent.PLACE_BET, (data, callback) => {
             try {
@@ -133,12 +455,12 @@ export function setupGameHandler(io, gameManager) {
                     return sendError(socket, callback, 'ルームに参加していません');
                 }
 
-                const { amount } = data;
+                const { amount, clientSeed } = data;
                 if (typeof amount !== 'number' || amount <= 0) {
                     return sendError(socket, callback, '有効なベット額を入力してください');
                 }
 
-                const result = room.placeBet(playerId, amount);
+                const result = room.placeBet(playerId, amount, clientSeed);
                 if (!result) {
                     return sendError(socket, callback, 'ベットに失敗しました');
                 }
@@ -150,6 +472,81 @@ export function setupGameHandler(io, gameManager) {
             }
         });
 
+        /**
+         * 親を降りる（ラウンドの合間のみ）
+         */
+        socket.on(GameEvent.PASS_DEALER, (data, callback) => {
+            try {
+                const room = gameManager.getRoomBySocket(socket.id);
+                const playerId = gameManager.getPlayerIdBySocket(socket.id);
+
+                if (!room || !playerId) {
+                    return sendError(socket, callback, 'ルームに参加していません');
+                }
+
+                const result = room.passDealer(playerId);
+                if (!result.success) {
+                    return sendError(socket, callback, result.error);
+                }
+
+                if (callback) callback({ success: true });
+            } catch (error) {
+                console.error('[PASS_DEALER Error]', error);
+                sendError(socket, callback, '親を降りる処理に失敗しました');
+            }
+        });
+
+        /**
+         * クライアントシードを登録（ベット締め切りまで）
+         * data: { seed: string }
+         */
+        socket.on(GameEvent.SUBMIT_CLIENT_SEED, (data, callback) => {
+            try {
+                const room = gameManager.getRoomBySocket(socket.id);
+                const playerId = gameManager.getPlayerIdBySocket(socket.id);
+
+                if (!room || !playerId) {
+                    return sendError(socket, callback, 'ルームに参加していません');
+                }
+
+                if (!room.submitClientSeed(playerId, data.seed)) {
+                    return sendError(socket, callback, 'クライアントシードを登録できませんでした');
+                }
+
+                if (callback) callback({ success: true });
+            } catch (error) {
+                console.error('[SUBMIT_CLIENT_SEED Error]', error);
+                sendError(socket, callback, 'クライアントシードの登録に失敗しました');
+            }
+        });
+
+        /**
+         * ダイスソースを差し替える（ホストのみ・ENABLE_DICE_DEBUG=true の時のみ）
+         * data: { type: string, options?: Object }
+         */
+        socket.on(GameEvent.SET_DICE_SOURCE, (data, callback) => {
+            try {
+                const room = gameManager.getRoomBySocket(socket.id);
+                if (!room) {
+                    return sendError(socket, callback, 'ルームに参加していません');
+                }
+
+                if (room.hostId !== gameManager.getPlayerIdBySocket(socket.id)) {
+                    return sendError(socket, callback, 'ホストのみがダイスソースを変更できます');
+                }
+
+                const result = gameManager.setRoomDiceSource(room, data.type, data.options);
+                if (!result.success) {
+                    return sendError(socket, callback, result.error);
+                }
+
+                if (callback) callback(result);
+            } catch (error) {
+                console.error('[SET_DICE_SOURCE Error]', error);
+                sendError(socket, callback, 'ダイスソースの変更に失敗しました');
+            }
+        });
+
         /**
          * ダイスを振る
          */
@@ -162,6 +559,10 @@ export function setupGameHandler(io, gameManager) {
                     return sendError(socket, callback, 'ルームに参加していません');
                 }
 
+                if (room.isPaused) {
+                    return sendError(socket, callback, '一時停止中です');
+                }
+
                 // ★ダイスロール開始を全員に通知（アニメーション同期用）
                 io.to(room.id).emit('rolling_started', { playerId });
 
@@ -247,20 +648,20 @@ export function setupGameHandler(io, gameManager) {
         });
 
         /**
-         * 再接続試行
-         * data: { playerId: string }
+         * 再接続試行（作成・参加時に受け取ったセッショントークンが必要）
+         * data: { sessionToken: string }
          */
         socket.on('reconnect_attempt', (data, callback) => {
             try {
-                const { playerId } = data;
-                if (!playerId) {
-                    return sendError(socket, callback, 'プレイヤーIDが必要です');
+                const { sessionToken } = data;
+                if (!sessionToken) {
+                    return sendError(socket, callback, 'セッショントークンが必要です');
                 }
 
-                const result = gameManager.handleReconnect(null, socket.id, playerId);
+                const result = gameManager.handleReconnect(socket.id, sessionToken);
 
                 if (result.success) {
-                    console.log(`[再接続] ${playerId}`);
+                    console.log(`[再接続] ${result.roomId} - ${result.player.name}`);
                 }
 
                 if (callback) callback(result);
@@ -270,6 +671,22 @@ export function setupGameHandler(io, gameManager) {
             }
         });
 
+        /**
+         * 画面を作り直すための状態を取得（締め切り・スキルの選択待ち・ダウト受付・このラウンドの結果を含む）
+         */
+        socket.on(GameEvent.SYNC_STATE, (data, callback) => {
+            try {
+                const result = gameManager.getSyncState(socket.id);
+                if (!result.success) {
+                    return sendError(socket, callback, result.error);
+                }
+                if (callback) callback(result);
+            } catch (error) {
+                console.error('[SYNC_STATE Error]', error);
+                sendError(socket, callback, '状態の取得に失敗しました');
+            }
+        });
+
         // ===== デバッグ用 =====
 
         /**
@@ -333,21 +750,6 @@ export function setupGameHandler(io, gameManager) {
             }
         });
 
-        /**
-         * ルーム退出
-         */
-        socket.on('leave_room', (data, callback) => {
-            try {
-                gameManager.removePlayer(socket.id);
-                console.log(`[退出] ${socket.id}`);
-
-                if (callback) callback({ success: true });
-            } catch (error) {
-                console.error('[LEAVE_ROOM Error]', error);
-                sendError(socket, callback, '退出に失敗しました');
-            }
-        });
-
     });
 }
 